@@ -4,16 +4,19 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import * as FileSystem from 'expo-file-system';
 import Logger from '../src/utils/Logger';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { quizService } from '../src/services';
 
 export default function DebugScreen() {
   const [logs, setLogs] = useState([]);
   const [deviceInfo, setDeviceInfo] = useState({});
   const [storageInfo, setStorageInfo] = useState({});
+  const [qualityReports, setQualityReports] = useState([]);
 
   useEffect(() => {
     loadLogs();
     loadDeviceInfo();
     loadStorageInfo();
+    loadQualityReports();
   }, []);
 
   async function loadLogs() {
@@ -62,6 +65,14 @@ export default function DebugScreen() {
     }
   }
 
+  async function loadQualityReports() {
+    try {
+      setQualityReports(await quizService.getQualityReports());
+    } catch (error) {
+      console.error('Failed to load question quality reports:', error);
+    }
+  }
+
   async function clearAllLogs() {
     try {
       await Logger.clearLogs();
@@ -163,6 +174,35 @@ export default function DebugScreen() {
         ))}
       </ScrollView>
       
+      <Text style={styles.sectionTitle}>Question Quality ({qualityReports.length})</Text>
+      <ScrollView style={styles.infoContainer}>
+        {qualityReports.map(({ quizId, title, report }) => (
+          <View key={quizId} style={styles.qualityEntry}>
+            <Text style={styles.infoText}>
+              <Text style={styles.infoLabel}>{title}: </Text>
+              {`${report.passed}/${report.checked} passed, ${report.fixed} fixed, ${report.rejected} rejected, ` +
+                `score ${report.averageScore ?? '-'}`}
+            </Text>
+            {report.sanitisation?.suspicious && (
+              <Text style={styles.qualityRejected}>
+                Suspicious document: {report.sanitisation.reasons.join(', ')}
+                {` (${report.sanitisation.neutralisedCount} passages neutralised)`}
+              </Text>
+            )}
+            {report.rejections.map((rejection, index) => (
+              <Text key={`rejected-${index}`} style={styles.qualityRejected}>
+                Rejected: {rejection.text || 'untitled question'} ({rejection.reasons.join('; ')})
+              </Text>
+            ))}
+            {report.flagged.map((flagged, index) => (
+              <Text key={`flagged-${index}`} style={styles.qualityFlagged}>
+                {flagged.score}: {flagged.text} ({flagged.issues.join('; ')})
+              </Text>
+            ))}
+          </View>
+        ))}
+      </ScrollView>
+      
       <Text style={styles.sectionTitle}>Logs ({logs.length})</Text>
       <ScrollView style={styles.logContainer}>
         {logs.map((log, index) => (
@@ -247,6 +287,19 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#00FFCC',
   },
+  qualityEntry: {
+    marginBottom: 8,
+  },
+  qualityRejected: {
+    color: '#FF6B6B',
+    fontSize: 10,
+    marginBottom: 2,
+  },
+  qualityFlagged: {
+    color: '#FFD166',
+    fontSize: 10,
+    marginBottom: 2,
+  },
   logContainer: {
     flex: 1,
     backgroundColor: 'rgba(255, 255, 255, 0.05)',
@@ -1,17 +1,40 @@
-import React from 'react';
+import React, { useCallback, useState } from 'react';
 import { View, Text, StyleSheet, ScrollView } from 'react-native';
-import { router } from 'expo-router';
+import { router, useFocusEffect } from 'expo-router';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import Button from '../src/components/Button';
 import AppHeader from '../src/components/AppHeader';
 import { useTheme } from '../src/context/ThemeContext';
+import GenerationJobList from '../src/components/GenerationJobList';
+import { useGenerationJobs } from '../src/hooks/useGenerationJobs';
+import { reviewService } from '../src/services';
 
 /**
  * HomeScreen - The main hub of the GroundSchool-AI app
- * This screen provides access to Question Bank and Recent Activity
+ * This screen provides access to Question Bank, the questions due for review and Recent Activity
  */
 export default function HomeScreen() {
   const { colors } = useTheme();
+  const { jobs, cancel, retry, dismiss } = useGenerationJobs();
+  const [dueCount, setDueCount] = useState(null);
+  
+  // Count the questions due for review whenever the screen is shown, so a finished quiz or review is reflected
+  useFocusEffect(
+    useCallback(() => {
+      let active = true;
+      reviewService.sync()
+        .then(() => reviewService.getDueCount())
+        .then(count => {
+          if (active) {
+            setDueCount(count);
+          }
+        })
+        .catch(error => console.warn('Could not count the questions due for review:', error));
+      return () => {
+        active = false;
+      };
+    }, [])
+  );
   
   // Define styles within the component to use theme colors
   const styles = StyleSheet.create({
@@ -98,6 +121,8 @@ export default function HomeScreen() {
           <Text style={styles.subtitle}>AI-powered aviation study app for pilots</Text>
         </View>
 
+        <GenerationJobList jobs={jobs} onCancel={cancel} onRetry={retry} onDismiss={dismiss} />
+
         <View style={styles.cardContainer}>
           <View style={styles.card}>
             <Text style={styles.cardTitle}>Question Bank</Text>
@@ -124,6 +149,25 @@ export default function HomeScreen() {
             />
           </View>
 
+          <View style={styles.card} testID="home-screen-review-card">
+            <Text style={styles.cardTitle}>Due for Review</Text>
+            <Text style={styles.cardDescription}>
+              {dueCount === null
+                ? 'Checking the questions due for review...'
+                : dueCount > 0
+                  ? `${dueCount} question${dueCount === 1 ? '' : 's'} due today. Questions you miss come back sooner.`
+                  : 'Nothing due today. Questions you answer in quizzes come back here when they are due.'}
+            </Text>
+            <Button 
+              title="Start Review" 
+              onPress={() => router.push('/review')}
+              size="large"
+              variant="primary"
+              disabled={!dueCount}
+              testID="home-screen-review-btn"
+            />
+          </View>
+
           <View style={styles.card}>
             <Text style={styles.cardTitle}>Recent Activity</Text>
             <Text style={styles.cardDescription}>
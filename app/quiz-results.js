@@ -16,6 +16,13 @@ import AppHeader from '../src/components/AppHeader';
 import { useTheme } from '../src/context/ThemeContext';
 import { quizService } from '../src/services';
 import QuestionCard from '../src/components/QuestionCard';
+import SourceCitation from '../src/components/SourceCitation';
+import { drawFallbackQuestions, toQuizScreenQuestion } from '../lib/questionBank';
+import { shuffleForAttempt } from '../lib/optionShuffle';
+import { describeCorrectAnswer, QUESTION_TYPES, questionTypeOf } from '../lib/questionTypes';
+import { scoreQuestion } from '../lib/scoring';
+import { getExamProfile, passesExam, QUIZ_MODES } from '../lib/examMode';
+import { formatElapsed } from '../lib/quizProgress';
 
 export default function QuizResultsScreen() {
   // Get score data from route params
@@ -26,12 +33,18 @@ export default function QuizResultsScreen() {
   const total = parseInt(params.total || "0");
   const correct = parseInt(params.correct || "0");
   const quizId = params.quizId;
+  // Time used overall, and for an exam simulation its profile and whether its time ran out (see lib/examMode.js)
+  const elapsedMs = params.elapsed !== undefined ? Number(params.elapsed) : null;
+  const examProfileId = params.examProfile || null;
+  const timedOut = params.timedOut === 'true';
+  // Practice attempts are scored on first answers and kept apart from exam results
+  const isPractice = params.mode === QUIZ_MODES.PRACTICE;
   
-  const [quizData, setQuizData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showReview, setShowReview] = useState(false);
   const [reviewQuestions, setReviewQuestions] = useState([]);
+  const [questionTimes, setQuestionTimes] = useState({});
   
   // Load the full quiz data if quizId is provided
   useEffect(() => {
@@ -40,12 +53,14 @@ export default function QuizResultsScreen() {
       
       try {
         setLoading(true);
-        const data = await quizService.getQuiz(quizId);
-        setQuizData(data);
+        const questions = await quizService.getQuizQuestions(quizId);
         
-        // Extract questions for review if available
-        if (data?.quiz?.questions && Array.isArray(data.quiz.questions)) {
-          setReviewQuestions(data.quiz.questions);
+        // Extract questions for review if available, options in the order the attempt showed them
+        if (questions.length > 0) {
+          const storedResults = await quizService.getResultsFromStorage(quizId);
+          setQuestionTimes(storedResults?.questionTimes || {});
+          const optionSeed = params.seed !== undefined ? Number(params.seed) : storedResults?.optionSeed;
+          setReviewQuestions(typeof optionSeed === 'number' ? shuffleForAttempt(questions, optionSeed) : questions);
         }
         // Try to get from local storage as fallback
         else {
@@ -79,92 +94,16 @@ export default function QuizResultsScreen() {
     };
     
     loadQuizData();
-  }, [quizId, total, correct, params.isExpoGoSimulation]);
+  }, [quizId, total, correct, params.isExpoGoSimulation, params.seed]);
   
-  // Generate fallback aviation questions for review when real data isn't available
+  // Draw aviation questions from the question bank for review when real data isn't available
   const generateSimulatedQuestions = () => {
-    return [
-      {
-        id: 'sim-q-1',
-        questionText: 'What is the primary purpose of pre-flight inspections?',
-        questionNumber: 1,
-        category: 'Operations',
-        difficulty: 'Medium',
-        options: [
-          { text: 'To ensure safety and airworthiness before flight', isCorrect: true },
-          { text: 'To comply with logbook requirements only', isCorrect: false },
-          { text: 'To verify fuel prices at the destination', isCorrect: false },
-          { text: 'To clean the aircraft exterior', isCorrect: false }
-        ],
-        correctAnswer: 0,
-        reference: 'SACAA Operations Manual Sec. 3.2',
-        userAnswer: Math.random() > 0.5 ? 0 : 1, // Randomly simulate right/wrong answer
-      },
-      {
-        id: 'sim-q-2',
-        questionText: 'According to aviation regulations, when must a pilot file a flight plan?',
-        questionNumber: 2,
-        category: 'Regulations',
-        difficulty: 'Medium',
-        options: [
-          { text: 'Only for international flights', isCorrect: false },
-          { text: 'For all IFR flights and certain VFR flights', isCorrect: true },
-          { text: 'Only when carrying passengers', isCorrect: false },
-          { text: 'Only during night operations', isCorrect: false }
-        ],
-        correctAnswer: 1,
-        reference: 'SACAA Flight Planning Guide 2023',
-        userAnswer: Math.random() > 0.5 ? 1 : 2, // Randomly simulate right/wrong answer
-      },
-      {
-        id: 'sim-q-3',
-        questionText: 'What is the minimum visibility requirement for VFR flight in Class G airspace below 1,000 feet AGL?',
-        questionNumber: 3,
-        category: 'Weather',
-        difficulty: 'Hard',
-        options: [
-          { text: '1 statute mile', isCorrect: false },
-          { text: '3 statute miles', isCorrect: false },
-          { text: '5 kilometers', isCorrect: true },
-          { text: '8 kilometers', isCorrect: false }
-        ],
-        correctAnswer: 2,
-        reference: 'SACAA VFR Weather Minimums Table 3-1',
-        userAnswer: Math.random() > 0.5 ? 2 : 3, // Randomly simulate right/wrong answer
-      },
-      {
-        id: 'sim-q-4',
-        questionText: 'Which of the following is a primary function of the flight controls in a standard aircraft?',
-        questionNumber: 4,
-        category: 'Aircraft Systems',
-        difficulty: 'Easy',
-        options: [
-          { text: 'Managing the electrical system', isCorrect: false },
-          { text: 'Controlling the aircraft\'s attitude and direction', isCorrect: true },
-          { text: 'Regulating cabin pressure', isCorrect: false },
-          { text: 'Monitoring engine temperature', isCorrect: false }
-        ],
-        correctAnswer: 1,
-        reference: 'SACAA Flight Controls Manual Ch. 2',
-        userAnswer: Math.random() > 0.5 ? 1 : 0, // Randomly simulate right/wrong answer
-      },
-      {
-        id: 'sim-q-5',
-        questionText: 'What action should a pilot take if they encounter an area of severe turbulence?',
-        questionNumber: 5,
-        category: 'Emergency Procedures',
-        difficulty: 'Medium',
-        options: [
-          { text: 'Increase airspeed to exit the area quickly', isCorrect: false },
-          { text: 'Maintain attitude and reduce airspeed to maneuvering speed', isCorrect: true },
-          { text: 'Make rapid control inputs to maintain altitude', isCorrect: false },
-          { text: 'Turn off all navigation equipment', isCorrect: false }
-        ],
-        correctAnswer: 1,
-        reference: 'SACAA Adverse Weather Operations Guide',
-        userAnswer: Math.random() > 0.5 ? 1 : 0, // Randomly simulate right/wrong answer
-      }
-    ];
+    return drawFallbackQuestions(5).map((question, index) => {
+      const reviewQuestion = toQuizScreenQuestion(question, index);
+      const wrongAnswer = (reviewQuestion.correctAnswer + 1) % reviewQuestion.options.length;
+      // Randomly simulate right/wrong answer
+      return { ...reviewQuestion, userAnswer: Math.random() > 0.5 ? reviewQuestion.correctAnswer : wrongAnswer };
+    });
   };
   
   // Generate fallback questions based on quiz results
@@ -207,9 +146,12 @@ export default function QuizResultsScreen() {
   
   // Render a review question with answer display
   const renderReviewQuestion = (question, index) => {
-    const userAnswer = question.userAnswer !== undefined ? question.userAnswer : -1;
-    const correctAnswer = question.correctAnswer !== undefined ? question.correctAnswer : 0;
-    const isCorrect = userAnswer === correctAnswer;
+    const type = questionTypeOf(question);
+    const userAnswer = question.userAnswer !== undefined && question.userAnswer !== null ? question.userAnswer : -1;
+    const mark = scoreQuestion(question, userAnswer);
+    const isCorrect = mark.correct;
+    const isAnswered = Array.isArray(userAnswer) ? userAnswer.length > 0 : userAnswer !== -1;
+    const timeSpentMs = questionTimes[question.id] ?? question.timeSpentMs;
     
     return (
       <View key={`review-${index}`} style={styles.reviewItem}>
@@ -218,8 +160,9 @@ export default function QuizResultsScreen() {
           questionText={question.questionText || `Question ${index + 1}`}
           category={question.category || 'General'}
           difficulty={question.difficulty || 'Medium'}
+          type={type}
           options={question.options || []}
-          selectedOption={userAnswer}
+          selectedOption={type === QUESTION_TYPES.NUMERIC ? String(userAnswer === -1 ? '' : userAnswer) : userAnswer}
           // Disable option selection in review mode
           onSelectOption={() => {}}
         />
@@ -227,21 +170,29 @@ export default function QuizResultsScreen() {
         <View style={styles.answerReview}>
           <View style={[styles.answerStatus, isCorrect ? styles.correctAnswer : styles.wrongAnswer]}>
             <Text style={styles.answerStatusText}>
-              {isCorrect ? 'CORRECT' : 'INCORRECT'}
+              {isCorrect ? 'CORRECT' : mark.credit > 0 ? `PARTLY CORRECT (${Math.round(mark.credit * 100)}%)` : 'INCORRECT'}
             </Text>
           </View>
           
-          {!isCorrect && userAnswer >= 0 && (
+          {!isCorrect && isAnswered && (
             <Text style={styles.correctAnswerText}>
-              Correct answer: {String.fromCharCode(65 + correctAnswer)}
+              Correct answer: {describeCorrectAnswer(question)}
             </Text>
           )}
           
-          {question.reference && (
+          {typeof timeSpentMs === 'number' && (
+            <Text style={styles.timeSpentText}>
+              Time on question: {formatElapsed(timeSpentMs)}
+            </Text>
+          )}
+          
+          {!isCorrect && question.citation ? (
+            <SourceCitation citation={question.citation} />
+          ) : question.reference ? (
             <Text style={styles.referenceText}>
               Reference: {question.reference}
             </Text>
-          )}
+          ) : null}
         </View>
       </View>
     );
@@ -348,6 +299,11 @@ export default function QuizResultsScreen() {
       fontSize: 15,
       marginBottom: 8,
     },
+    timeSpentText: {
+      color: '#A0AEC0',
+      fontSize: 14,
+      marginBottom: 8,
+    },
     referenceText: {
       color: '#A0AEC0',
       fontSize: 14,
@@ -412,6 +368,31 @@ export default function QuizResultsScreen() {
             <Text style={styles.resultValue}>{skipped}</Text>
           </View>
           
+          {isPractice && (
+            <View style={styles.resultRow}>
+              <Text style={styles.resultLabel}>Mode:</Text>
+              <Text style={styles.resultValue} testID="quiz-results-mode">Practice (first answers scored)</Text>
+            </View>
+          )}
+          
+          {elapsedMs !== null && (
+            <View style={styles.resultRow}>
+              <Text style={styles.resultLabel}>Time Used:</Text>
+              <Text style={styles.resultValue} testID="quiz-results-time-used">
+                {formatElapsed(elapsedMs)}{timedOut ? ' (time ran out)' : ''}
+              </Text>
+            </View>
+          )}
+          
+          {examProfileId && (
+            <View style={styles.resultRow}>
+              <Text style={styles.resultLabel}>{getExamProfile(examProfileId).name} Exam:</Text>
+              <Text style={styles.resultValue} testID="quiz-results-exam-result">
+                {passesExam(score, examProfileId) ? 'PASS' : 'FAIL'} ({getExamProfile(examProfileId).passMark}% to pass)
+              </Text>
+            </View>
+          )}
+          
           <View style={styles.feedbackContainer}>
             <Text style={styles.feedbackText}>
               {getPerformanceMessage(score)}
@@ -1,13 +1,44 @@
-import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, ScrollView, Alert, ActivityIndicator } from 'react-native';
+import React, { useState, useEffect, useRef } from 'react';
+import { AppState, View, Text, StyleSheet, ScrollView, Alert, ActivityIndicator } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import { router, useLocalSearchParams } from 'expo-router';
+import { router, useLocalSearchParams, useNavigation } from 'expo-router';
 import QuestionCard from '../src/components/QuestionCard';
 import ProgressBar from '../src/components/ProgressBar';
 import Button from '../src/components/Button';
 import AppHeader from '../src/components/AppHeader';
+import AnswerFeedback from '../src/components/AnswerFeedback';
 import { useTheme } from '../src/context/ThemeContext';
-import { quizService } from '../src/services';
+import { quizProgressService, quizService, reviewService } from '../src/services';
+import { drawFallbackQuestions, toQuizScreenQuestion as toBankQuizScreenQuestion } from '../lib/questionBank';
+import {
+  addQuestionTime,
+  EXAM_PROFILES,
+  examElapsedMs,
+  examRemainingMs,
+  examTimeLimitMs,
+  getExamProfile,
+  QUIZ_MODES,
+  startExam
+} from '../lib/examMode';
+import { createShuffleSeed, shuffleForAttempt, toCanonicalAnswer } from '../lib/optionShuffle';
+import { toQuizScreenQuestion } from '../lib/questionModel';
+import { formatElapsed, restoreSelections } from '../lib/quizProgress';
+import { isAnswered, QUESTION_TYPES, questionTypeOf } from '../lib/questionTypes';
+import { scoreQuiz } from '../lib/scoring';
+
+// Time spent on an attempt: earlier sessions plus the one running, from the screen's refs
+const elapsedSince = (elapsedBefore, sessionStartedAt) =>
+  elapsedBefore.current + (sessionStartedAt.current ? Date.now() - sessionStartedAt.current : 0);
+
+// Add the time the question on screen has been shown to its total, and restart its clock (left stopped while paused)
+const chargeQuestionTime = (questionClock) => {
+  const clock = questionClock.current;
+  if (clock.questionId && clock.shownAt) {
+    const now = Date.now();
+    clock.times = addQuestionTime(clock.times, clock.questionId, now - clock.shownAt);
+    clock.shownAt = now;
+  }
+};
 
 // Questions will be fetched from the API
 export default function QuizScreen() {
@@ -24,6 +55,34 @@ export default function QuizScreen() {
   const initialQuizId = params.quizId;
   const documentTitle = params.documentTitle || '';
   const isExpoGoSimulation = params.isExpoGoSimulation === 'true';
+  // Optional difficulty filter: 'Easy', 'Medium', 'Hard' or a comma-separated list
+  const difficultyFilter = params.difficulty ? String(params.difficulty) : '';
+  // Each attempt shows the options in its own order; a seed passed in reproduces an earlier attempt
+  const [optionSeed, setOptionSeed] = useState(() => (params.seed !== undefined ? Number(params.seed) : createShuffleSeed()));
+  // Seed of a new attempt; a resumed attempt keeps the seed it started with
+  const newAttemptSeed = useRef(optionSeed);
+  const [flaggedQuestions, setFlaggedQuestions] = useState([]);
+  // Time spent in earlier sessions of the attempt, and when this session's clock started (null while stopped)
+  const elapsedBefore = useRef(0);
+  const sessionStartedAt = useRef(null);
+  // Set when the clock was stopped for the app going to the background, to start it again on return
+  const pausedInBackground = useRef(false);
+  const [clockTick, setClockTick] = useState(0);
+  // How the attempt is taken (see lib/examMode.js): chosen before a new attempt starts, kept when it is resumed
+  const [mode, setMode] = useState(null);
+  const [exam, setExam] = useState(null);
+  const isExam = mode === QUIZ_MODES.EXAM;
+  const isPractice = mode === QUIZ_MODES.PRACTICE;
+  // Practice mode: questions whose feedback is showing, and the first answer checked for each question (the one scored)
+  const [revealedQuestions, setRevealedQuestions] = useState([]);
+  const [firstAnswers, setFirstAnswers] = useState({});
+  // The question on screen, since when (null while paused), and the time spent on every question so far
+  const questionClock = useRef({ questionId: null, shownAt: null, times: {} });
+  // Set once the attempt is being submitted, so it is submitted once and an exam can then be left
+  const attemptOver = useRef(false);
+  // The latest submitQuiz, for the exam timer effect, which would otherwise keep the one from the render it ran in
+  const submitQuizRef = useRef(null);
+  const navigation = useNavigation();
   
   // Convert quizId to state so React can track and update it properly
   const [quizId, setQuizId] = useState(initialQuizId);
@@ -138,7 +197,7 @@ export default function QuizScreen() {
         if (isExpoGoSimulation) {
           console.log('Running in Expo Go simulation mode, generating mock questions');
           const mockQuestions = generateSimulatedQuestions(documentTitle);
-          setQuestions(mockQuestions);
+          setQuestions(shuffleForAttempt(mockQuestions, newAttemptSeed.current));
           setIsLoading(false);
           return;
         }
@@ -147,11 +206,39 @@ export default function QuizScreen() {
         if (quizId) {
           console.log('Fetching quiz questions with ID:', quizId);
           try {
-            const fetchedQuestions = await quizService.getQuizQuestions(quizId);
+            // An empty filter keeps every question ('' would split into [''])
+            const difficultyLevels = difficultyFilter.split(',').map(level => level.trim()).filter(Boolean);
+            const quiz = await quizService.getQuiz(quizId, {
+              difficulty: difficultyLevels.length > 0 ? difficultyLevels : undefined
+            });
+            // The same questions getQuizQuestions returns; the quiz itself holds the answers saved on the server
+            const fetchedQuestions = (quiz?.questions || []).map(toQuizScreenQuestion);
             
-            if (fetchedQuestions && fetchedQuestions.length > 0) {
+            if (fetchedQuestions.length > 0) {
               console.log(`Successfully loaded ${fetchedQuestions.length} questions`);
-              setQuestions(fetchedQuestions);
+              // Pick up where an unfinished attempt left off, in the option order it showed
+              const progress = await quizProgressService.loadProgress(quizId, quiz);
+              const seed = typeof progress?.optionSeed === 'number' ? progress.optionSeed : newAttemptSeed.current;
+              const shownQuestions = shuffleForAttempt(fetchedQuestions, seed);
+              setOptionSeed(seed);
+              setQuestions(shownQuestions);
+              if (progress) {
+                console.log(`Resuming quiz ${quizId} at question ${progress.currentQuestionIndex + 1}`);
+                const restoredSelections = restoreSelections(shownQuestions, progress.answers);
+                setSelectedOptions(restoredSelections);
+                // A practice attempt's saved answers are its first answers, shown with their feedback again
+                if (progress.mode === QUIZ_MODES.PRACTICE) {
+                  setFirstAnswers(restoredSelections);
+                  setRevealedQuestions(Object.keys(restoredSelections));
+                }
+                setFlaggedQuestions(progress.flagged.filter(id => shownQuestions.some(question => question.id === id)));
+                setCurrentQuestionIndex(Math.min(progress.currentQuestionIndex, shownQuestions.length - 1));
+                elapsedBefore.current = progress.elapsedMs || 0;
+                questionClock.current.times = progress.questionTimes || {};
+                setMode(progress.mode || QUIZ_MODES.UNTIMED);
+                setExam(progress.exam || null);
+                startClocks();
+              }
             } else {
               console.error('No questions returned from the server');
               setError('No questions available for this quiz. Please try another quiz.');
@@ -173,269 +260,92 @@ export default function QuizScreen() {
     };
     
     loadQuizQuestions();
-  }, [quizId, isExpoGoSimulation, documentTitle]);
-  
-  const totalQuestions = questions.length;
-  const currentQuestion = questions[currentQuestionIndex];
-  const currentQuestionNum = currentQuestionIndex + 1;
+  }, [quizId, isExpoGoSimulation, documentTitle, difficultyFilter]);
   
-  // Helper function to extract a topic from document title
-  const extractTopicFromTitle = (title) => {
-    if (!title) return 'aviation';
-    
-    // Convert to lowercase for easier matching
-    const lowerTitle = title.toLowerCase();
-    
-    // Common aviation and pilot certification topics to detect
-    const topicKeywords = {
-      'aviation': ['aviation', 'pilot', 'flight', 'aircraft', 'airplane', 'helicopter'],
-      'regulations': ['regulation', 'rules', 'law', 'compliance', 'sacaa', 'faa', 'easa'],
-      'weather': ['weather', 'meteorology', 'cloud', 'wind', 'forecast'],
-      'navigation': ['navigation', 'gps', 'vor', 'waypoint', 'chart', 'route'],
-      'systems': ['system', 'engine', 'electrical', 'hydraulic', 'avionics', 'instrument'],
-      'operations': ['operation', 'procedure', 'checklist', 'emergency', 'maneuver'],
-      'aerodynamics': ['aerodynamic', 'lift', 'drag', 'airfoil', 'stall', 'performance'],
-      'communications': ['communication', 'radio', 'phraseology', 'atc', 'transmission']
+  // Tick the attempt clock, and stop it while the app is in the background; an exam's clock keeps running
+  useEffect(() => {
+    const saveElapsedTime = async () => {
+      if (quizId && !isExpoGoSimulation && await quizProgressService.getProgress(quizId)) {
+        await quizProgressService.saveProgress(quizId, {
+          elapsedMs: exam ? examElapsedMs(exam) : elapsedSince(elapsedBefore, sessionStartedAt),
+          questionTimes: questionClock.current.times
+        });
+      }
     };
+    const warn = saveError => console.warn('Could not save quiz progress:', saveError);
     
-    // Search for matches in the title
-    for (const [topic, keywords] of Object.entries(topicKeywords)) {
-      if (keywords.some(keyword => lowerTitle.includes(keyword))) {
-        return topic;
+    const interval = global.setInterval(() => setClockTick(tick => tick + 1), 1000);
+    const appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'active') {
+        if (pausedInBackground.current) {
+          pausedInBackground.current = false;
+          sessionStartedAt.current = Date.now();
+          questionClock.current.shownAt = Date.now();
+        }
+      } else if (exam) {
+        chargeQuestionTime(questionClock);
+        saveElapsedTime().catch(warn);
+      } else if (sessionStartedAt.current) {
+        elapsedBefore.current = elapsedSince(elapsedBefore, sessionStartedAt);
+        sessionStartedAt.current = null;
+        chargeQuestionTime(questionClock);
+        questionClock.current.shownAt = null;
+        pausedInBackground.current = true;
+        saveElapsedTime().catch(warn);
       }
-    }
-    
-    // If no match, default to aviation
-    return 'aviation';
-  };
-  
-  // Generate higher quality simulated questions when running in Expo Go
-  const generateSimulatedQuestions = (documentTitle = '') => {
-    console.log('Generating high-quality simulated questions for Expo Go');
-    
-    // Extract a topic from the document title or use a default
-    const topic = documentTitle ? extractTopicFromTitle(documentTitle) : 'aviation';
+    });
     
-    // Create aviation-specific questions that feel more real
-    return [
-      {
-        id: `sim-q-1`,
-        questionText: `What is the primary purpose of ${topic === 'aviation' ? 'pre-flight inspections' : 'the ' + topic + ' process'}?`,
-        questionNumber: 1,
-        category: 'Operations',
-        difficulty: 'Medium',
-        options: [
-          { text: `To ensure safety and airworthiness before flight`, isCorrect: true },
-          { text: `To comply with logbook requirements only`, isCorrect: false },
-          { text: `To verify fuel prices at the destination`, isCorrect: false },
-          { text: `To clean the aircraft exterior`, isCorrect: false }
-        ],
-        correctAnswer: 0,
-        reference: 'SACAA Operations Manual Sec. 3.2',
-      },
-      {
-        id: `sim-q-2`,
-        questionText: `According to ${topic} regulations, when must a pilot file a flight plan?`,
-        questionNumber: 2,
-        category: 'Regulations',
-        difficulty: 'Medium',
-        options: [
-          { text: `Only for international flights`, isCorrect: false },
-          { text: `For all IFR flights and certain VFR flights`, isCorrect: true },
-          { text: `Only when carrying passengers`, isCorrect: false },
-          { text: `Only during night operations`, isCorrect: false }
-        ],
-        correctAnswer: 1,
-        reference: 'SACAA Flight Planning Guide 2023',
-      },
-      {
-        id: `sim-q-3`,
-        questionText: `What is the minimum visibility requirement for VFR flight in Class G airspace below 1,000 feet AGL?`,
-        questionNumber: 3,
-        category: 'Weather',
-        difficulty: 'Hard',
-        options: [
-          { text: `1 statute mile`, isCorrect: false },
-          { text: `3 statute miles`, isCorrect: false },
-          { text: `5 kilometers`, isCorrect: true },
-          { text: `8 kilometers`, isCorrect: false }
-        ],
-        correctAnswer: 2,
-        reference: 'SACAA VFR Weather Minimums Table 3-1',
-      },
-      {
-        id: `sim-q-4`,
-        questionText: `Which of the following is a primary function of the flight controls in a standard aircraft?`,
-        questionNumber: 4,
-        category: 'Aircraft Systems',
-        difficulty: 'Easy',
-        options: [
-          { text: `Managing the electrical system`, isCorrect: false },
-          { text: `Controlling the aircraft's attitude and direction`, isCorrect: true },
-          { text: `Regulating cabin pressure`, isCorrect: false },
-          { text: `Monitoring engine temperature`, isCorrect: false }
-        ],
-        correctAnswer: 1,
-        reference: 'SACAA Flight Controls Manual Ch. 2',
-      },
-      {
-        id: `sim-q-5`,
-        questionText: `What action should a pilot take if they encounter an area of severe turbulence?`,
-        questionNumber: 5,
-        category: 'Emergency Procedures',
-        difficulty: 'Medium',
-        options: [
-          { text: `Increase airspeed to exit the area quickly`, isCorrect: false },
-          { text: `Maintain attitude and reduce airspeed to maneuvering speed`, isCorrect: true },
-          { text: `Make rapid control inputs to maintain altitude`, isCorrect: false },
-          { text: `Turn off all navigation equipment`, isCorrect: false }
-        ],
-        correctAnswer: 1,
-        reference: 'SACAA Adverse Weather Operations Guide',
+    return () => {
+      global.clearInterval(interval);
+      appStateSubscription.remove();
+      // Leaving the screen: keep the time spent and send any answers still waiting to be saved
+      saveElapsedTime().catch(warn);
+      if (quizId) {
+        quizProgressService.flush(quizId).catch(warn);
       }
-    ];
-  };
+    };
+  }, [quizId, isExpoGoSimulation, exam]);
   
-  // Generate placeholder questions for when real questions aren't available
-  const generatePlaceholderQuestions = (count = 5, quizTitle = '') => {
-    console.log('Generating basic placeholder questions for quiz');
-    const placeholders = [];
-    for (let i = 0; i < count; i++) {
-      placeholders.push({
-        id: `placeholder-${i + 1}`,
-        question: `Sample question ${i + 1} ${quizTitle ? `about ${quizTitle}` : ''}`,
-        questionText: `Sample question ${i + 1} ${quizTitle ? `about ${quizTitle}` : ''}`,
-        questionNumber: i + 1,
-        category: 'General',
-        difficulty: 'Medium',
-        options: [
-          { text: 'Option A', isCorrect: true },
-          { text: 'Option B', isCorrect: false },
-          { text: 'Option C', isCorrect: false },
-          { text: 'Option D', isCorrect: false }
-        ],
-        correctAnswer: 0,
-        reference: '',
-      });
+  const totalQuestions = questions.length;
+  const currentQuestion = questions[currentQuestionIndex];
+  const currentQuestionNum = currentQuestionIndex + 1;
+  const currentQuestionId = currentQuestion?.id;
+  const isRevealed = Boolean(currentQuestionId) && revealedQuestions.includes(currentQuestionId);
+  
+  // Time each question while it is on screen; moving on charges the time to the question left
+  useEffect(() => {
+    questionClock.current.questionId = currentQuestionId || null;
+    return () => chargeQuestionTime(questionClock);
+  }, [currentQuestionId]);
+  
+  // Submit an exam as it stands once its time is up, including when it ran out in the background
+  useEffect(() => {
+    if (exam && !attemptOver.current && examRemainingMs(exam) === 0) {
+      console.log(`Exam time is up for quiz ${quizId}, submitting`);
+      submitQuizRef.current({ timedOut: true });
     }
-    return placeholders;
-  };
+  }, [quizId, exam, clockTick]);
   
-  // Using the enhanced extractTopicFromTitle function defined above
-
-  // Fetch questions from API when component mounts
+  // An exam cannot be left for earlier screens; it ends by submitting or by running out of time
   useEffect(() => {
-    console.log('DEBUG: quizId at fetch time:', quizId);
-    const fetchQuestions = async () => {
-      try {
-        setIsLoading(true);
-        setError(null);
-        
-        // If it's a simulated quiz from Expo Go, use better placeholder questions
-        if (isExpoGoSimulation) {
-          console.log('Using Expo Go simulated quiz with document info:', documentTitle);
-          const simulatedQuestions = generateSimulatedQuestions(documentTitle);
-          setQuestions(simulatedQuestions);
-          setIsLoading(false);
-          return;
-        }
-        
-        // If no quizId provided, create basic placeholder questions to avoid crashes
-        if (!quizId) {
-          console.log('No quizId provided, using basic placeholder questions');
-          setQuestions(generatePlaceholderQuestions());
-          setIsLoading(false);
-          return;
-        }
-
-        // Safely fetch quiz data with a timeout to prevent hanging
-        let quizData = null;
-        try {
-          const fetchPromise = quizService.getQuiz(quizId);
-          const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Quiz fetch timed out')), 10000)
-          );
-          quizData = await Promise.race([fetchPromise, timeoutPromise]);
-        } catch (fetchError) {
-          console.log('Error fetching quiz:', fetchError);
-          setQuestions(generatePlaceholderQuestions());
-          setIsLoading(false);
-          return;
-        }
-        
-        // Safely extract questions with multiple fallbacks
-        let formattedQuestions = [];
-        
-        // Case 1: We have questions array in the expected format
-        if (quizData && quizData.questions && Array.isArray(quizData.questions) && quizData.questions.length > 0) {
-          console.log('Found questions array in quiz data');
-          formattedQuestions = quizData.questions.map((q, index) => ({
-            id: q.id || `q-${index + 1}`,
-            question: q.question || q.questionText || `Question ${index + 1}`,
-            questionText: q.questionText || q.question || `Question ${index + 1}`,
-            questionNumber: index + 1,
-            category: q.category || 'General',
-            difficulty: q.difficulty || 'Medium',
-            options: Array.isArray(q.options) && q.options.length >= 2 ? q.options : [
-              { text: 'Option A', isCorrect: true },
-              { text: 'Option B', isCorrect: false },
-              { text: 'Option C', isCorrect: false },
-              { text: 'Option D', isCorrect: false }
-            ],
-            correctAnswer: typeof q.correctAnswer === 'number' ? q.correctAnswer : 0,
-            reference: q.reference || '',
-          }));
-        } 
-        // Case 2: We have questions in a nested property
-        else if (quizData && quizData.quiz && quizData.quiz.questions && 
-                Array.isArray(quizData.quiz.questions) && quizData.quiz.questions.length > 0) {
-          console.log('Found questions in quiz.questions');
-          formattedQuestions = quizData.quiz.questions.map((q, index) => ({
-            id: q.id || `q-${index + 1}`,
-            question: q.question || q.questionText || `Question ${index + 1}`,
-            questionText: q.questionText || q.question || `Question ${index + 1}`,
-            questionNumber: index + 1,
-            category: q.category || 'General',
-            difficulty: q.difficulty || 'Medium',
-            options: Array.isArray(q.options) && q.options.length >= 2 ? q.options : [
-              { text: 'Option A', isCorrect: true },
-              { text: 'Option B', isCorrect: false },
-              { text: 'Option C', isCorrect: false },
-              { text: 'Option D', isCorrect: false }
-            ],
-            correctAnswer: typeof q.correctAnswer === 'number' ? q.correctAnswer : 0,
-            reference: q.reference || '',
-          }));
-        }
-        // Case 3: We have a quiz but need to create placeholder questions
-        else if (quizData) {
-          console.log('Creating placeholder questions for quiz');
-          const quizTitle = quizData.title || (quizData.quiz && quizData.quiz.title) || '';
-          formattedQuestions = generatePlaceholderQuestions(5, quizTitle);
-        }
-        // Case 4: Last resort fallback
-        else {
-          console.log('No quiz data found, using fallback questions');
-          formattedQuestions = generatePlaceholderQuestions();
-        }
-        
-        // Always ensure we have questions to display
-        if (formattedQuestions.length === 0) {
-          console.log('No questions generated, using last resort fallback');
-          formattedQuestions = generatePlaceholderQuestions();
-        }
-        
-        setQuestions(formattedQuestions);
-      } catch (err) {
-        console.error('Error fetching questions:', err);
-        setError(err.message || 'Failed to load questions. Please try again.');
-      } finally {
-        setIsLoading(false);
+    if (!exam) {
+      return undefined;
+    }
+    navigation.setOptions({ gestureEnabled: false });
+    return navigation.addListener('beforeRemove', (event) => {
+      if (attemptOver.current) {
+        return;
       }
-    };
-    
-    // Removed fetchQuestions() call as we now use the new loadQuizQuestions function
-  }, [quizId]);
+      event.preventDefault();
+      Alert.alert('Exam in Progress', 'The exam cannot be left until it is submitted. The timer keeps running.');
+    });
+  }, [exam, navigation]);
+  
+  // Draw simulated questions from the SACAA question bank, on the subjects of the document title
+  const generateSimulatedQuestions = (documentTitle = '') => {
+    console.log('Drawing simulated questions from the question bank for Expo Go');
+    return drawFallbackQuestions(5, { text: documentTitle }).map(toBankQuizScreenQuestion);
+  };
   
   // Define styles within the component to use theme colors
   const styles = StyleSheet.create({
@@ -461,6 +371,25 @@ export default function QuizScreen() {
       padding: 16,
       paddingBottom: 32,
     },
+    flagButton: {
+      alignSelf: 'flex-start',
+      marginTop: 16,
+    },
+    modeTitle: {
+      fontSize: 20,
+      fontWeight: 'bold',
+      color: colors.text,
+      marginBottom: 8,
+    },
+    modeDescription: {
+      fontSize: 14,
+      color: colors.text,
+      opacity: 0.8,
+      marginBottom: 16,
+    },
+    modeButton: {
+      marginBottom: 12,
+    },
     navigationButtons: {
       flexDirection: 'row',
       justifyContent: 'space-between',
@@ -502,28 +431,145 @@ export default function QuizScreen() {
   
 
   
-  const handleSelectOption = (questionId, optionIndex) => {
+  // Attempts are saved as the user goes, so they can be resumed (see src/services/quizProgressService.js);
+  // simulated Expo Go quizzes get a new id every time and are not
+  const savesProgress = Boolean(quizId) && !isExpoGoSimulation;
+  const warnNotSaved = saveError => console.warn('Could not save quiz progress:', saveError);
+  
+  // Time used: on the exam's wall clock, or on the clock of an untimed attempt
+  const attemptElapsed = () => (exam ? examElapsedMs(exam) : elapsedSince(elapsedBefore, sessionStartedAt));
+  
+  // Everything about the attempt but its answers and flags, saved with each of them
+  const attemptState = (changes = {}) => ({
+    ...(documentTitle ? { title: documentTitle } : {}),
+    totalQuestions,
+    optionSeed,
+    currentQuestionIndex,
+    elapsedMs: attemptElapsed(),
+    mode,
+    exam,
+    questionTimes: questionClock.current.times,
+    ...changes
+  });
+  
+  function startClocks() {
+    sessionStartedAt.current = Date.now();
+    questionClock.current.shownAt = Date.now();
+  }
+  
+  // Start a new attempt untimed, or as an exam under one of the exam profiles
+  const handleChooseMode = (chosenMode, examProfileId = null) => {
+    const newExam = chosenMode === QUIZ_MODES.EXAM ? startExam(examProfileId, totalQuestions) : null;
+    const newMode = chosenMode;
+    setMode(newMode);
+    setExam(newExam);
+    startClocks();
+    // An exam's deadline is saved straight away, so it keeps running if the app is closed
+    if (newExam && savesProgress) {
+      quizProgressService.saveProgress(quizId, attemptState({ mode: newMode, exam: newExam, elapsedMs: 0 }))
+        .catch(warnNotSaved);
+    }
+  };
+  
+  const recordAnswer = (question, answer) => {
+    if (savesProgress) {
+      const storedAnswer = isAnswered(question, answer) ? toCanonicalAnswer(question, answer) : undefined;
+      quizProgressService.recordAnswer(quizId, question.id, storedAnswer, attemptState()).catch(warnNotSaved);
+    }
+  };
+  
+  // Moving between questions is saved once the attempt has progress to resume
+  const saveCurrentQuestion = async (index) => {
+    if (savesProgress && await quizProgressService.getProgress(quizId)) {
+      await quizProgressService.saveProgress(quizId, attemptState({ currentQuestionIndex: index }));
+    }
+  };
+  
+  // The answers to score: in practice mode the first answer checked for each question, retries aside
+  const answersToScore = () => (isPractice ? { ...selectedOptions, ...firstAnswers } : selectedOptions);
+  
+  // Practice mode: reveal whether an answer is right; the first answer checked is the one saved and scored
+  const checkAnswer = (question, answer) => {
+    if (!isAnswered(question, answer)) {
+      return;
+    }
+    setRevealedQuestions(revealed => [...revealed.filter(id => id !== question.id), question.id]);
+    if (firstAnswers[question.id] === undefined) {
+      setFirstAnswers({ ...firstAnswers, [question.id]: answer });
+      recordAnswer(question, answer);
+    }
+  };
+  
+  // Practice mode: hide the feedback and clear the answer to have another go
+  const handleRetry = (question) => {
+    const { [question.id]: _cleared, ...otherSelections } = selectedOptions;
+    setSelectedOptions(otherSelections);
+    setRevealedQuestions(revealedQuestions.filter(id => id !== question.id));
+  };
+  
+  const handleSelectOption = (question, optionIndex) => {
+    let answer = optionIndex;
+    const isMultiSelect = questionTypeOf(question) === QUESTION_TYPES.MULTI_SELECT;
+    // Multi-select questions toggle each option in and out of the answer
+    if (isMultiSelect) {
+      const current = Array.isArray(selectedOptions[question.id]) ? selectedOptions[question.id] : [];
+      answer = current.includes(optionIndex)
+        ? current.filter(index => index !== optionIndex)
+        : [...current, optionIndex].sort((a, b) => a - b);
+    }
+    setSelectedOptions({
+      ...selectedOptions,
+      [question.id]: answer
+    });
+    // In practice mode a single choice is checked at once; multi-select answers wait for "Check Answer"
+    if (!isPractice) {
+      recordAnswer(question, answer);
+    } else if (!isMultiSelect) {
+      checkAnswer(question, answer);
+    }
+  };
+  
+  // Typed answers to numeric questions, e.g. "1250" or "380 m"
+  const handleChangeAnswer = (question, text) => {
     setSelectedOptions({
       ...selectedOptions,
-      [questionId]: optionIndex
+      [question.id]: text
     });
+    if (!isPractice) {
+      recordAnswer(question, text);
+    }
+  };
+  
+  // Flag a question to come back to it before submitting
+  const handleToggleFlag = (question) => {
+    const flagged = !flaggedQuestions.includes(question.id);
+    setFlaggedQuestions(flagged
+      ? [...flaggedQuestions, question.id]
+      : flaggedQuestions.filter(id => id !== question.id));
+    if (savesProgress) {
+      quizProgressService.setFlagged(quizId, question.id, flagged, attemptState()).catch(warnNotSaved);
+    }
   };
   
   const handleNextQuestion = () => {
     if (currentQuestionIndex < totalQuestions - 1) {
       setCurrentQuestionIndex(currentQuestionIndex + 1);
+      saveCurrentQuestion(currentQuestionIndex + 1).catch(warnNotSaved);
     }
   };
   
   const handlePrevQuestion = () => {
     if (currentQuestionIndex > 0) {
       setCurrentQuestionIndex(currentQuestionIndex - 1);
+      saveCurrentQuestion(currentQuestionIndex - 1).catch(warnNotSaved);
     }
   };
   
   const handleQuizSubmit = async () => {
     // Check if all questions are answered
-    if (Object.keys(selectedOptions).length < totalQuestions) {
+    const answers = answersToScore();
+    const answeredCount = questions.filter(question => isAnswered(question, answers[question.id])).length;
+    if (answeredCount < totalQuestions) {
       Alert.alert(
         'Incomplete Quiz',
         'You have not answered all questions. Are you sure you want to submit?',
@@ -538,12 +584,34 @@ export default function QuizScreen() {
           },
         ]
       );
+    } else if (flaggedQuestions.length > 0) {
+      Alert.alert(
+        'Flagged Questions',
+        `You flagged ${flaggedQuestions.length} question${flaggedQuestions.length === 1 ? '' : 's'} for review. Are you sure you want to submit?`,
+        [
+          {
+            text: 'Cancel',
+            style: 'cancel',
+          },
+          {
+            text: 'Submit Anyway',
+            onPress: submitQuiz,
+          },
+        ]
+      );
     } else {
       submitQuiz();
     }
   };
   
-  const submitQuiz = async () => {
+  // Submit the attempt; an exam whose time ran out is submitted with timedOut
+  const submitQuiz = async ({ timedOut = false } = {}) => {
+    if (attemptOver.current) {
+      return;
+    }
+    attemptOver.current = true;
+    chargeQuestionTime(questionClock);
+    const elapsedMs = attemptElapsed();
     try {
       setIsSubmitting(true);
       console.log('DEBUG: quizId at submission time:', quizId);
@@ -570,25 +638,32 @@ export default function QuizScreen() {
         }
       }
       
-      // Calculate results
-      let correctAnswers = 0;
-      const userAnswers = {};
+      // Score with the engine quizService.submitQuiz uses (see lib/scoring.js); multi-select answers can
+      // earn partial credit
+      const answers = answersToScore();
+      const { score, correctAnswers } = scoreQuiz(questions, answers);
       
+      // Answers are stored against the stored option order, not the order this attempt showed
+      const userAnswers = {};
       questions.forEach(question => {
-        const selectedOption = selectedOptions[question.id];
-        userAnswers[question.id] = selectedOption;
-        
-        if (selectedOption === question.correctAnswer) {
-          correctAnswers++;
-        }
+        userAnswers[question.id] = toCanonicalAnswer(question, answers[question.id]);
       });
       
-      const score = (correctAnswers / totalQuestions) * 100;
-      
       // Save results to the server
       try {
         console.log('Submitting quiz with ID:', submissionId);
-        await quizService.submitQuiz(submissionId, userAnswers);
+        await quizService.submitQuiz(submissionId, userAnswers, {
+          optionSeed,
+          elapsedMs,
+          mode,
+          exam,
+          questionTimes: questionClock.current.times,
+          timedOut
+        });
+        // The attempt is finished; nothing is left to resume
+        if (savesProgress) {
+          await quizProgressService.clearProgress(quizId);
+        }
       } catch (submitError) {
         console.error('Submit quiz error:', submitError);
         // Continue to the results page even if submission fails
@@ -598,17 +673,31 @@ export default function QuizScreen() {
         }
       }
       
+      // Every question seen is scheduled for review (see src/services/reviewService.js); practice attempts by
+      // their first answers
+      reviewService.recordAnswers(questions, answers, { questionTimes: questionClock.current.times })
+        .catch(reviewError => console.warn('Could not schedule questions for review:', reviewError));
+      
       // Navigate to results screen with quiz data using URL query parameters
-      const resultsParams = `score=${score.toFixed(1)}&total=${totalQuestions}&correct=${correctAnswers}&quizId=${submissionId}`;
+      const resultsParams = `score=${score.toFixed(1)}&total=${totalQuestions}&correct=${correctAnswers}` +
+        `&quizId=${submissionId}&seed=${optionSeed}&elapsed=${Math.round(elapsedMs)}&mode=${mode}` +
+        (exam ? `&examProfile=${exam.profileId}&timedOut=${timedOut}` : '');
       console.log('Navigating to results with params:', resultsParams);
-      router.push(`/quiz-results?${resultsParams}`);
+      if (exam) {
+        // A finished exam is not on the way back
+        router.replace(`/quiz-results?${resultsParams}`);
+      } else {
+        router.push(`/quiz-results?${resultsParams}`);
+      }
     } catch (error) {
+      attemptOver.current = false;
       console.error('Error submitting quiz:', error);
       Alert.alert('Error', 'Failed to submit quiz. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
   };
+  submitQuizRef.current = submitQuiz;
 
   if (isLoading) {
     return (
@@ -654,15 +743,69 @@ export default function QuizScreen() {
     );
   }
   
+  if (!mode) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <AppHeader title="SACAA Practice Quiz" withBack={true} />
+        <ScrollView contentContainerStyle={styles.content}>
+          <Text style={styles.modeTitle}>How do you want to take this quiz?</Text>
+          <Text style={styles.modeDescription}>
+            {totalQuestions} questions. Untimed, answer at your own pace and come back to it any time.
+          </Text>
+          <Button
+            title="Untimed"
+            onPress={() => handleChooseMode(QUIZ_MODES.UNTIMED)}
+            variant="primary"
+            size="large"
+            style={styles.modeButton}
+            testID="quiz-screen-mode-untimed-btn"
+          />
+          <Text style={styles.modeDescription}>
+            In practice mode, see straight away whether each answer is right, with its explanation and source,
+            then try again or move on. Your first answers are scored, apart from your exam results.
+          </Text>
+          <Button
+            title="Practice"
+            onPress={() => handleChooseMode(QUIZ_MODES.PRACTICE)}
+            variant="outline"
+            size="large"
+            style={styles.modeButton}
+            testID="quiz-screen-mode-practice-btn"
+          />
+          <Text style={styles.modeDescription}>
+            As an exam simulation, the clock runs down, in the background too, and the exam is submitted when
+            time is up. You cannot go back to earlier screens, and see how you did only after submitting.
+          </Text>
+          {EXAM_PROFILES.map(profile => (
+            <Button
+              key={profile.id}
+              title={`${profile.name} exam · ${Math.ceil(examTimeLimitMs(profile, totalQuestions) / 60000)} min`}
+              onPress={() => handleChooseMode(QUIZ_MODES.EXAM, profile.id)}
+              variant="outline"
+              size="large"
+              style={styles.modeButton}
+              testID={`quiz-screen-mode-${profile.id}-btn`}
+            />
+          ))}
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+  
   return (
     <SafeAreaView style={styles.container}>
-      <AppHeader title="SACAA Practice Quiz" withBack={true} />
+      <AppHeader
+        title={isExam ? `${getExamProfile(exam.profileId).name} Exam Simulation` : 'SACAA Practice Quiz'}
+        withBack={!isExam}
+      />
     
       <View style={styles.header}>
         <ProgressBar current={currentQuestionNum} total={totalQuestions} />
         <View style={styles.counterContainer}>
-          <Text style={styles.counter}>
+          <Text style={styles.counter} testID="quiz-screen-counter">
             Question {currentQuestionIndex + 1} of {totalQuestions}
+            {' · '}{isExam ? `${formatElapsed(examRemainingMs(exam))} left` : formatElapsed(attemptElapsed())}
+            {flaggedQuestions.length > 0 ? ` · ${flaggedQuestions.length} flagged` : ''}
           </Text>
         </View>
       </View>
@@ -674,11 +817,51 @@ export default function QuizScreen() {
             questionText={currentQuestion.questionText}
             category={currentQuestion.category}
             difficulty={currentQuestion.difficulty}
+            type={questionTypeOf(currentQuestion)}
             options={currentQuestion.options}
             selectedOption={selectedOptions[currentQuestion.id]}
             onSelectOption={(optionIndex) => 
-              handleSelectOption(currentQuestion.id, optionIndex)
+              !isRevealed && handleSelectOption(currentQuestion, optionIndex)
             }
+            onChangeAnswer={isRevealed ? undefined : (text) => handleChangeAnswer(currentQuestion, text)}
+            answerUnit={currentQuestion.answer?.unit || undefined}
+          />
+        )}
+        
+        {/* Practice mode: multi-select and numeric answers are checked on request, single choices as they are picked */}
+        {currentQuestion && isPractice && !isRevealed && [QUESTION_TYPES.MULTI_SELECT, QUESTION_TYPES.NUMERIC]
+          .includes(questionTypeOf(currentQuestion)) && (
+          <Button
+            title="Check Answer"
+            onPress={() => checkAnswer(currentQuestion, selectedOptions[currentQuestion.id])}
+            disabled={!isAnswered(currentQuestion, selectedOptions[currentQuestion.id])}
+            variant="primary"
+            size="medium"
+            style={styles.flagButton}
+            testID="quiz-screen-check-btn"
+          />
+        )}
+        
+        {currentQuestion && isRevealed && (
+          <AnswerFeedback
+            question={currentQuestion}
+            answer={selectedOptions[currentQuestion.id]}
+            onRetry={() => handleRetry(currentQuestion)}
+            onContinue={currentQuestionIndex < totalQuestions - 1 ? handleNextQuestion : handleQuizSubmit}
+            continueTitle={currentQuestionIndex < totalQuestions - 1 ? 'Next Question' : 'Finish Practice'}
+            testID="quiz-screen-feedback"
+          />
+        )}
+        
+        {currentQuestion && (
+          <Button
+            title={flaggedQuestions.includes(currentQuestion.id) ? 'Flagged for review' : 'Flag for review'}
+            onPress={() => handleToggleFlag(currentQuestion)}
+            disabled={isSubmitting}
+            variant={flaggedQuestions.includes(currentQuestion.id) ? 'secondary' : 'outline'}
+            size="small"
+            style={styles.flagButton}
+            testID="quiz-screen-flag-btn"
           />
         )}
         
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { 
   View, 
   Text, 
@@ -10,45 +10,80 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { router } from 'expo-router';
 import AppHeader from '../src/components/AppHeader';
 import { useTheme } from '../src/context/ThemeContext';
+import GenerationJobList from '../src/components/GenerationJobList';
+import { useGenerationJobs } from '../src/hooks/useGenerationJobs';
+import { quizProgressService, quizService } from '../src/services';
+import { QUIZ_MODES } from '../lib/examMode';
 
-// Mock data for recent activity
-const mockActivity = [
-  {
-    id: '1',
-    title: 'SACAA Aircraft General Quiz',
-    date: '2025-03-05',
-    score: 85,
-    totalQuestions: 10,
-    completed: true,
-  },
-  {
-    id: '2',
-    title: 'Navigation Systems Quiz',
-    date: '2025-03-04',
-    score: 78,
-    totalQuestions: 15,
-    completed: true,
-  },
-  {
-    id: '3',
-    title: 'Aviation Regulations Quiz',
-    date: '2025-03-02',
-    score: 92,
-    totalQuestions: 12,
-    completed: true,
-  },
-  {
-    id: '4',
-    title: 'Weather Patterns Quiz',
-    date: '2025-02-28',
-    score: 0,
-    totalQuestions: 8,
-    completed: false,
-  }
+// Score history can be narrowed to one mode, so practice and exam scores are not mixed (see lib/examMode.js)
+const HISTORY_FILTERS = [
+  { label: 'All', mode: null },
+  { label: 'Untimed', mode: QUIZ_MODES.UNTIMED },
+  { label: 'Practice', mode: QUIZ_MODES.PRACTICE },
+  { label: 'Exam', mode: QUIZ_MODES.EXAM },
 ];
 
+// A completed quiz (see quizService.getQuizHistory) as an activity item
+const toHistoryItem = (quiz) => ({
+  id: `quiz-${quiz.id || quiz.quizId}`,
+  title: quiz.title || 'Quiz',
+  date: quiz.completedAt,
+  score: Math.round(quiz.score || 0),
+  totalQuestions: quiz.totalQuestions,
+  mode: quiz.mode || QUIZ_MODES.UNTIMED,
+  completed: true,
+});
+
+// A quiz attempt in progress (see src/services/quizProgressService.js) as an incomplete activity item
+const toActivityItem = (progress) => ({
+  id: `progress-${progress.quizId}`,
+  quizId: progress.quizId,
+  title: progress.title || 'Quiz in progress',
+  date: progress.updatedAt,
+  totalQuestions: progress.totalQuestions,
+  answeredCount: Object.keys(progress.answers || {}).length,
+  // Exam simulations keep running while away (see lib/examMode.js)
+  isExam: Boolean(progress.exam),
+  completed: false,
+});
+
 export default function RecentActivityScreen() {
   const { colors } = useTheme();
+  const { jobs, cancel, retry, dismiss } = useGenerationJobs();
+  const [inProgress, setInProgress] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [modeFilter, setModeFilter] = useState(null);
+  
+  useEffect(() => {
+    let mounted = true;
+    quizProgressService.getInProgress()
+      .then(attempts => {
+        if (mounted) {
+          setInProgress(attempts.map(toActivityItem));
+        }
+      })
+      .catch(error => console.warn('Could not load quizzes in progress:', error));
+    return () => {
+      mounted = false;
+    };
+  }, []);
+  
+  useEffect(() => {
+    let mounted = true;
+    quizService.getQuizHistory(1, 20, modeFilter ? { mode: modeFilter } : {})
+      .then(({ quizzes = [] }) => {
+        if (mounted) {
+          setHistory(quizzes.map(toHistoryItem));
+        }
+      })
+      .catch(error => console.warn('Could not load quiz history:', error));
+    return () => {
+      mounted = false;
+    };
+  }, [modeFilter]);
+  
+  // Quizzes to continue come first
+  const activity = [...inProgress, ...history];
   
   // Define styles within the component to use theme colors
   const styles = StyleSheet.create({
@@ -132,6 +167,30 @@ export default function RecentActivityScreen() {
       fontSize: 14,
       color: '#E2E8F0',
     },
+    filterRow: {
+      flexDirection: 'row',
+      paddingHorizontal: 16,
+      paddingTop: 12,
+    },
+    filterChip: {
+      paddingVertical: 6,
+      paddingHorizontal: 12,
+      borderRadius: 16,
+      borderWidth: 1,
+      borderColor: colors.primary,
+      marginRight: 8,
+    },
+    filterChipActive: {
+      backgroundColor: colors.primary,
+    },
+    filterChipText: {
+      fontSize: 14,
+      color: colors.text,
+    },
+    filterChipTextActive: {
+      color: '#0A0F24',
+      fontWeight: 'bold',
+    },
     emptyContainer: {
       flex: 1,
       justifyContent: 'center',
@@ -180,14 +239,21 @@ export default function RecentActivityScreen() {
           params: {
             score: item.score,
             total: item.totalQuestions,
+            mode: item.mode,
             correct: Math.round(item.score * item.totalQuestions / 100),
             timeSpent: 0, // We don't have this data for past quizzes
             fromHistory: true
           }
         });
       } else {
-        // Navigate to continue incomplete quiz
-        router.push('/quiz');
+        // Continue the attempt where it was left
+        router.push({
+          pathname: '/quiz',
+          params: {
+            quizId: item.quizId,
+            documentTitle: item.title
+          }
+        });
       }
     };
     
@@ -220,7 +286,9 @@ export default function RecentActivityScreen() {
           ) : (
             <View style={styles.incompleteContainer}>
               <Text style={styles.incompleteText}>Incomplete</Text>
-              <Text style={styles.continueText}>Tap to continue</Text>
+              <Text style={styles.continueText}>
+                {item.isExam ? 'Exam in progress · ' : ''}{item.answeredCount} answered · Tap to continue
+              </Text>
             </View>
           )}
           
@@ -236,17 +304,39 @@ export default function RecentActivityScreen() {
   return (
     <SafeAreaView style={styles.container} testID="recent-activity-screen">
       <AppHeader title="Recent Activity" withBack={true} />
+      
+      <View style={styles.filterRow}>
+        {HISTORY_FILTERS.map(filter => {
+          const active = filter.mode === modeFilter;
+          return (
+            <TouchableOpacity
+              key={filter.label}
+              style={[styles.filterChip, active && styles.filterChipActive]}
+              onPress={() => setModeFilter(filter.mode)}
+              testID={`history-filter-${filter.mode || 'all'}`}
+            >
+              <Text style={[styles.filterChipText, active && styles.filterChipTextActive]}>
+                {filter.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
     
-      {mockActivity.length > 0 ? (
+      {activity.length > 0 ? (
         <FlatList
-          data={mockActivity}
+          data={activity}
           renderItem={renderActivityItem}
           keyExtractor={item => item.id}
+          ListHeaderComponent={
+            <GenerationJobList jobs={jobs} onCancel={cancel} onRetry={retry} onDismiss={dismiss} />
+          }
           contentContainerStyle={styles.listContent}
           testID="recent-activity-list"
         />
       ) : (
         <View style={styles.emptyContainer}>
+          <GenerationJobList jobs={jobs} onCancel={cancel} onRetry={retry} onDismiss={dismiss} />
           <Text style={styles.emptyTitle}>No Activity Yet</Text>
           <Text style={styles.emptyMessage}>
             Complete your first quiz to see your activity history.
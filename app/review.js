@@ -0,0 +1,243 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { router } from 'expo-router';
+import QuestionCard from '../src/components/QuestionCard';
+import ProgressBar from '../src/components/ProgressBar';
+import Button from '../src/components/Button';
+import AppHeader from '../src/components/AppHeader';
+import AnswerFeedback from '../src/components/AnswerFeedback';
+import { useTheme } from '../src/context/ThemeContext';
+import { reviewService } from '../src/services';
+import { isAnswered, QUESTION_TYPES, questionTypeOf } from '../lib/questionTypes';
+import { scoreQuestion } from '../lib/scoring';
+
+/**
+ * ReviewScreen - Today's "Due for review" session
+ * The questions due (see src/services/reviewService.js) are shown one at a time with feedback on each answer,
+ * as in practice mode; the first answer to each question reschedules it
+ */
+export default function ReviewScreen() {
+  const { colors } = useTheme();
+  const [questions, setQuestions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
+  const [selectedOptions, setSelectedOptions] = useState({});
+  const [revealedQuestions, setRevealedQuestions] = useState([]);
+  const [firstAnswers, setFirstAnswers] = useState({});
+  const [isFinished, setIsFinished] = useState(false);
+  // When the question on screen was shown, to grade how readily it was recalled
+  const shownAt = useRef(Date.now());
+
+  useEffect(() => {
+    let active = true;
+    reviewService.getDueQuestions()
+      .then(dueQuestions => {
+        if (active) {
+          setQuestions(dueQuestions);
+        }
+      })
+      .catch(error => console.warn('Could not load the questions due for review:', error))
+      .finally(() => {
+        if (active) {
+          shownAt.current = Date.now();
+          setIsLoading(false);
+        }
+      });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const currentQuestion = questions[currentQuestionIndex];
+  const isRevealed = !!currentQuestion && revealedQuestions.includes(currentQuestion.id);
+
+  // Reveal whether an answer is right; the first answer checked is the one that reschedules the question
+  const checkAnswer = (question, answer) => {
+    if (!isAnswered(question, answer)) {
+      return;
+    }
+    setRevealedQuestions(revealed => [...revealed.filter(id => id !== question.id), question.id]);
+    if (firstAnswers[question.id] === undefined) {
+      setFirstAnswers({ ...firstAnswers, [question.id]: answer });
+      reviewService.recordAnswers([question], { [question.id]: answer }, {
+        questionTimes: { [question.id]: Date.now() - shownAt.current }
+      }).catch(error => console.warn('Could not reschedule the question:', error));
+    }
+  };
+
+  // Hide the feedback and clear the answer to have another go
+  const handleRetry = (question) => {
+    const { [question.id]: _cleared, ...otherSelections } = selectedOptions;
+    setSelectedOptions(otherSelections);
+    setRevealedQuestions(revealedQuestions.filter(id => id !== question.id));
+  };
+
+  const handleSelectOption = (question, optionIndex) => {
+    let answer = optionIndex;
+    const isMultiSelect = questionTypeOf(question) === QUESTION_TYPES.MULTI_SELECT;
+    // Multi-select questions toggle each option in and out of the answer, and wait for "Check Answer"
+    if (isMultiSelect) {
+      const current = Array.isArray(selectedOptions[question.id]) ? selectedOptions[question.id] : [];
+      answer = current.includes(optionIndex)
+        ? current.filter(index => index !== optionIndex)
+        : [...current, optionIndex].sort((a, b) => a - b);
+    }
+    setSelectedOptions({
+      ...selectedOptions,
+      [question.id]: answer
+    });
+    if (!isMultiSelect) {
+      checkAnswer(question, answer);
+    }
+  };
+
+  // Typed answers to numeric questions, e.g. "1250" or "380 m"
+  const handleChangeAnswer = (question, text) => {
+    setSelectedOptions({
+      ...selectedOptions,
+      [question.id]: text
+    });
+  };
+
+  const handleContinue = () => {
+    if (currentQuestionIndex < questions.length - 1) {
+      setCurrentQuestionIndex(currentQuestionIndex + 1);
+      shownAt.current = Date.now();
+    } else {
+      setIsFinished(true);
+    }
+  };
+
+  // Define styles within the component to use theme colors
+  const styles = StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: colors.background,
+    },
+    header: {
+      paddingHorizontal: 16,
+      paddingBottom: 8,
+    },
+    counter: {
+      fontSize: 14,
+      color: colors.text,
+      opacity: 0.8,
+      textAlign: 'right',
+      marginTop: 8,
+    },
+    content: {
+      padding: 16,
+      paddingBottom: 32,
+    },
+    checkButton: {
+      alignSelf: 'flex-start',
+      marginTop: 16,
+    },
+    centred: {
+      flex: 1,
+      justifyContent: 'center',
+      alignItems: 'center',
+      padding: 20,
+    },
+    message: {
+      marginTop: 16,
+      marginBottom: 24,
+      fontSize: 16,
+      color: colors.text,
+      textAlign: 'center',
+    },
+  });
+
+  if (isLoading) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <AppHeader title="Review" withBack />
+        <View style={styles.centred}>
+          <ActivityIndicator size="large" color={colors.primary} />
+          <Text style={styles.message}>Loading questions due for review...</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  if (questions.length === 0 || isFinished) {
+    const rightFirstTime = questions.filter(question =>
+      firstAnswers[question.id] !== undefined && scoreQuestion(question, firstAnswers[question.id]).correct
+    ).length;
+    return (
+      <SafeAreaView style={styles.container}>
+        <AppHeader title="Review" withBack />
+        <View style={styles.centred}>
+          <Text style={styles.message} testID="review-screen-summary">
+            {questions.length === 0
+              ? 'Nothing is due for review today.'
+              : `Review done: ${rightFirstTime} of ${questions.length} right first time. ` +
+                'The questions you missed come back tomorrow.'}
+          </Text>
+          <Button
+            title="Back to Home"
+            onPress={() => router.replace('/')}
+            variant="primary"
+            size="large"
+            testID="review-screen-home-btn"
+          />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <AppHeader title="Due for Review" withBack />
+
+      <View style={styles.header}>
+        <ProgressBar current={currentQuestionIndex + 1} total={questions.length} />
+        <Text style={styles.counter} testID="review-screen-counter">
+          Question {currentQuestionIndex + 1} of {questions.length}
+        </Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <QuestionCard
+          questionNumber={currentQuestionIndex + 1}
+          questionText={currentQuestion.questionText}
+          category={currentQuestion.category}
+          difficulty={currentQuestion.difficulty}
+          type={questionTypeOf(currentQuestion)}
+          options={currentQuestion.options}
+          selectedOption={selectedOptions[currentQuestion.id]}
+          onSelectOption={(optionIndex) =>
+            !isRevealed && handleSelectOption(currentQuestion, optionIndex)
+          }
+          onChangeAnswer={isRevealed ? undefined : (text) => handleChangeAnswer(currentQuestion, text)}
+          answerUnit={currentQuestion.answer?.unit || undefined}
+        />
+
+        {/* Multi-select and numeric answers are checked on request, single choices as they are picked */}
+        {!isRevealed && [QUESTION_TYPES.MULTI_SELECT, QUESTION_TYPES.NUMERIC].includes(questionTypeOf(currentQuestion)) && (
+          <Button
+            title="Check Answer"
+            onPress={() => checkAnswer(currentQuestion, selectedOptions[currentQuestion.id])}
+            disabled={!isAnswered(currentQuestion, selectedOptions[currentQuestion.id])}
+            variant="primary"
+            size="medium"
+            style={styles.checkButton}
+            testID="review-screen-check-btn"
+          />
+        )}
+
+        {isRevealed && (
+          <AnswerFeedback
+            question={currentQuestion}
+            answer={selectedOptions[currentQuestion.id]}
+            onRetry={() => handleRetry(currentQuestion)}
+            onContinue={handleContinue}
+            continueTitle={currentQuestionIndex < questions.length - 1 ? 'Next Question' : 'Finish Review'}
+            testID="review-screen-feedback"
+          />
+        )}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
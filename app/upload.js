@@ -13,16 +13,42 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { router } from 'expo-router';
-import { documentService, quizService } from '../src/services';
+import { documentService, quizService, generationJobService } from '../src/services';
+import { JOB_STATUS, isJobFinished } from '../src/services/generationJobService';
 import { supabase } from '../src/services/supabaseClient';
+import { describeGenerationError } from '../lib/generationErrors';
+import { describeRedaction } from '../lib/piiRedaction';
+import { env } from '../src/utils/environment';
+import { recognizePages, findLowConfidencePages } from '../lib/ocr';
 import * as DocumentPicker from 'expo-document-picker';
 import * as ImagePicker from 'expo-image-picker';
 import * as ImageManipulator from 'expo-image-manipulator';
 import Button from '../src/components/Button';
 import AppHeader from '../src/components/AppHeader';
+import GenerationJobList from '../src/components/GenerationJobList';
+import { useGenerationJobs } from '../src/hooks/useGenerationJobs';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../src/context/ThemeContext';
 
+// Difficulty settings offered before generating (see lib/difficulty.js)
+const DIFFICULTY_CHOICES = [
+  { value: 'mixed', label: 'Mixed' },
+  { value: 'easy', label: 'Easy' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'hard', label: 'Hard' }
+];
+
+// Question types offered before generating; several can be picked (see lib/questionTypes.js)
+const QUESTION_TYPE_CHOICES = [
+  { value: 'single_choice', label: 'Multiple choice' },
+  { value: 'true_false', label: 'True/False' },
+  { value: 'multi_select', label: 'Select all' },
+  { value: 'numeric', label: 'Calculation' }
+];
+
+// Share of the quiz made of generated calculation questions when calculation practice is on (see lib/calculations)
+const CALCULATION_SHARE = 0.3;
+
 // Helper function to check file size before processing
 const checkImageSize = (uri) => {
   return new Promise((resolve) => {
@@ -114,6 +140,35 @@ const optimizeImage = async (uri) => {
   }
 };
 
+// Read the text of a photographed page on the device, before the photo is shrunk for upload.
+// Returns the OCR extraction, or { error } when recognition failed.
+const recognizePhotoText = async (uri) => {
+  try {
+    const extraction = await recognizePages([uri]);
+    console.log(`Text recognition found ${extraction.text.length} characters`);
+    return extraction;
+  } catch (error) {
+    console.warn('Text recognition failed:', error);
+    return { error: { code: error.code || null, message: error.message, reason: error.details?.reason || null } };
+  }
+};
+
+// Ask the user whether to continue with poorly recognised pages
+const confirmLowConfidencePages = (pages) => {
+  return new Promise((resolve) => {
+    Alert.alert(
+      'Text May Be Misread',
+      `Some text on ${pages.length > 1 ? `pages ${pages.join(', ')}` : 'this page'} could not be read reliably, ` +
+      'so questions may contain errors. A sharper, well-lit photo taken straight on gives better results.',
+      [
+        { text: 'Choose Another Photo', style: 'cancel', onPress: () => resolve(false) },
+        { text: 'Continue Anyway', onPress: () => resolve(true) }
+      ],
+      { cancelable: false }
+    );
+  });
+};
+
 // Validate file before upload
 const validateFile = (file) => {
   if (!file || !file.uri) {
@@ -478,7 +533,15 @@ export default function UploadScreen() {
   const [showPickerOptions, setShowPickerOptions] = useState(false);
   const [processingProgress, setProcessingProgress] = useState(0);
   const [processingStage, setProcessingStage] = useState('');
+  const [isRecognizingText, setIsRecognizingText] = useState(false);
+  const [generationProgress, setGenerationProgress] = useState(null);
+  const [difficulty, setDifficulty] = useState('mixed');
+  const [questionTypes, setQuestionTypes] = useState(['single_choice']);
+  const [includeCalculations, setIncludeCalculations] = useState(false);
+  // Personal details are masked before the document goes to the AI provider (see lib/piiRedaction.js)
+  const [redactPersonalDetails, setRedactPersonalDetails] = useState(env.privacy.redactPII);
   const { colors } = useTheme();
+  const { jobs, cancel, retry, dismiss } = useGenerationJobs();
   
   // Define styles within the component to use theme colors
   const styles = StyleSheet.create({
@@ -567,6 +630,34 @@ export default function UploadScreen() {
       fontSize: 12,
       color: '#E2E8F0',
     },
+    ocrWarning: {
+      color: '#FFB020',
+    },
+    difficultyContainer: {
+      width: '100%',
+      marginBottom: 16,
+    },
+    difficultyOptions: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+    },
+    difficultyOption: {
+      paddingVertical: 8,
+      paddingHorizontal: 16,
+      borderRadius: 16,
+      borderWidth: 1,
+      borderColor: colors.border,
+      marginRight: 8,
+      marginBottom: 8,
+    },
+    difficultyOptionSelected: {
+      backgroundColor: colors.accent,
+      borderColor: colors.primary,
+    },
+    difficultyOptionText: {
+      color: colors.text,
+      fontSize: 14,
+    },
     modalContainer: {
       flex: 1,
       backgroundColor: 'rgba(0, 0, 0, 0.6)',
@@ -805,6 +896,11 @@ export default function UploadScreen() {
           return;
         }
         
+        // OCR works on the full-size photo; the optimized copy is too small to read
+        setIsRecognizingText(true);
+        const ocr = await recognizePhotoText(image.uri);
+        setIsRecognizingText(false);
+        
         // Optimize image in separate try block to isolate potential errors
         let optimizedUri = null;
         try {
@@ -862,7 +958,8 @@ export default function UploadScreen() {
           uri: optimizedUri, // Use the optimized URI
           size: image.fileSize || image.size || 0, // Account for different property names
           type: image.mimeType || image.type || imageType,
-          isOptimized: true // Flag that this image has been optimized
+          isOptimized: true, // Flag that this image has been optimized
+          ocr // Text recognised on the device, stored with the document after upload
         };
         
         // Validate the normalized file
@@ -877,6 +974,8 @@ export default function UploadScreen() {
       } catch (error) {
         console.error('Error picking image:', error);
         
+        setIsRecognizingText(false);
+        
         // In Expo Go, sometimes the error object is malformed, so handle safely
         const errorMessage = error?.message || 'Unknown error';
         
@@ -893,10 +992,10 @@ export default function UploadScreen() {
     setShowPickerOptions(!showPickerOptions);
   };
   
-  // Simulate progress updates during file processing
+  // Simulate progress updates during file processing, until question generation reports real progress
   useEffect(() => {
     let interval;
-    if (isUploading && processingProgress < 90) {
+    if (isUploading && processingProgress < 90 && !generationProgress) {
       interval = setInterval(() => {
         setProcessingProgress(prev => {
           // Gradually increase progress
@@ -916,8 +1015,36 @@ export default function UploadScreen() {
     }
     
     return () => clearInterval(interval);
-  }, [isUploading, processingProgress]);
+  }, [isUploading, processingProgress, generationProgress]);
   
+  // Show per-chunk progress reported by question generation (lib/aiProcessing.js)
+  const handleGenerationProgress = ({ stage, chunk, chunkCount, section }) => {
+    setGenerationProgress({ stage, chunk, chunkCount });
+    
+    if (stage === 'merging') {
+      setProcessingStage('Combining questions from all sections...');
+      setProcessingProgress(97);
+    } else if (stage === 'done') {
+      setProcessingProgress(99);
+    } else {
+      setProcessingStage(chunkCount > 1
+        ? `Generating questions: section ${chunk} of ${chunkCount}${section ? `\n${section}` : ''}`
+        : 'Generating questions...');
+      // Generation fills the progress bar from 85% to 97%
+      setProcessingProgress(85 + Math.round(((chunk - 1) / chunkCount) * 12));
+    }
+  };
+  
+  // Add or remove a question type, keeping at least one selected
+  const toggleQuestionType = (type) => {
+    setQuestionTypes(current => {
+      if (!current.includes(type)) {
+        return [...current, type];
+      }
+      return current.length > 1 ? current.filter(other => other !== type) : current;
+    });
+  };
+
   // Safe upload function with lock to prevent multiple simultaneous uploads
   let isCurrentlyUploading = false;
 
@@ -990,6 +1117,27 @@ export default function UploadScreen() {
       return;
     }
     
+    // Photos are generated from their recognised text - stop early if there is none,
+    // and let the user retake pages that were read with low confidence. Without an OCR
+    // engine on this device (e.g. Expo Go) the photo is uploaded without recognised text.
+    if (selectedFile.ocr?.error?.reason === 'unavailable') {
+      console.warn('Text recognition is not available on this device; uploading the photo without its text');
+    } else if (selectedFile.ocr) {
+      if (selectedFile.ocr.error) {
+        Alert.alert(
+          'Text Not Recognised',
+          describeGenerationError(selectedFile.ocr.error.code) || selectedFile.ocr.error.message
+        );
+        return;
+      }
+      
+      const lowConfidencePages = findLowConfidencePages(selectedFile.ocr);
+      if (lowConfidencePages.length > 0 && !(await confirmLowConfidencePages(lowConfidencePages))) {
+        setSelectedFile(null);
+        return;
+      }
+    }
+    
     // Strong size validation - especially important for Expo Go
     const fileSizeMB = (selectedFile.size || 0) / (1024 * 1024);
     console.log(`File size: ${fileSizeMB.toFixed(2)}MB, filename: ${selectedFile.name}`);
@@ -1049,6 +1197,7 @@ export default function UploadScreen() {
     
     try {
       setIsUploading(true);
+      setGenerationProgress(null);
       setProcessingProgress(0);
       setProcessingStage('Preparing document...');
       
@@ -1079,6 +1228,14 @@ export default function UploadScreen() {
         }
       }
       
+      // Recognise documents that were uploaded before, so they are not uploaded and processed again
+      let contentHash = null;
+      let existingDocument = null;
+      if (!isRunningInExpoGo()) {
+        setProcessingStage('Checking document...');
+        ({ contentHash, document: existingDocument } = await documentService.findUploadedDocument(selectedFile.uri));
+      }
+      
       setProcessingStage('Uploading document...');
       setProcessingProgress(20);
       
@@ -1117,13 +1274,18 @@ export default function UploadScreen() {
         }
         
         // Perform upload with proper error handling and retries
-        uploadResult = await uploadWithRetry(
-          selectedFile.uri,
-          fileName,
-          selectedFile.type || 'application/octet-stream',
-          retryCount,
-          timeoutMs
-        );
+        if (existingDocument) {
+          console.log('Document content was uploaded before, reusing document:', existingDocument.id);
+          uploadResult = { fileName: existingDocument.file_path, existingDocument };
+        } else {
+          uploadResult = await uploadWithRetry(
+            selectedFile.uri,
+            fileName,
+            selectedFile.type || 'application/octet-stream',
+            retryCount,
+            timeoutMs
+          );
+        }
         
         console.log('Upload completed successfully');
         setProcessingProgress(40); // Update progress after successful upload
@@ -1207,6 +1369,9 @@ export default function UploadScreen() {
           public_url: `https://example.com/simulated/${finalFileName}`,
           simulated: true
         }];
+      } else if (uploadResult?.existingDocument) {
+        // Same content as an earlier upload - its extraction and question pool are reused
+        documentRecord = [uploadResult.existingDocument];
       } else {
         // Regular flow - create actual document record
         const documentData = {
@@ -1214,6 +1379,7 @@ export default function UploadScreen() {
           file_path: finalFileName, // Store the path/filename in storage
           file_type: selectedFile.type || 'application/octet-stream',
           file_size: selectedFile.size || 0,
+          content_hash: contentHash,
           status: 'completed', // Set initial status
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString(),
@@ -1232,6 +1398,11 @@ export default function UploadScreen() {
           if (!documentRecord || documentRecord.length === 0) {
             throw new Error('Document record was not created properly');
           }
+          
+          // Store the recognised text so generation does not have to read the photo again
+          if (selectedFile.ocr && !selectedFile.ocr.error) {
+            await documentService.saveDocumentText(documentRecord[0].id, selectedFile.ocr);
+          }
         } catch (documentError) {
           console.error('Document record error:', documentError);
           // Avoid throwing here to allow recovery
@@ -1309,17 +1480,22 @@ export default function UploadScreen() {
           // In Expo Go, use a more aggressive timeout and simplified generation
           const timeoutDuration = isRunningInExpoGo() ? 45000 : 60000; // 45 seconds in Expo Go, 60 otherwise
           
-          // Set a timeout for quiz generation
-          const quizTimeoutPromise = new Promise((_, reject) => 
+          // Set a timeout for quiz generation, started once generation is under way
+          const createQuizTimeout = () => new Promise((_, reject) => 
             setTimeout(() => reject(new Error('Quiz generation timed out')), timeoutDuration)
           );
           
           // For Expo Go, use simpler quiz generation with fewer questions
+          const questionCount = isRunningInExpoGo() ? 5 : 10; // Fewer questions in Expo Go
           const options = {
-            questionCount: isRunningInExpoGo() ? 5 : 10, // Fewer questions in Expo Go
-            difficulty: 'mixed',
+            questionCount,
+            difficulty,
+            questionTypes,
+            calculationCount: includeCalculations ? Math.round(questionCount * CALCULATION_SHARE) : 0,
+            redactPII: redactPersonalDetails,
             documentId: documentRecord[0].id,
-            expoGoOptimized: isRunningInExpoGo() // Flag to tell quiz service to use lighter processing
+            expoGoOptimized: isRunningInExpoGo(), // Flag to tell quiz service to use lighter processing
+            onProgress: handleGenerationProgress
           };
           
           // Generate quiz with timeout protection
@@ -1350,10 +1526,58 @@ export default function UploadScreen() {
               });
             }
           } else {
-            quizGenerationPromise = quizService.generateQuiz(fileForQuiz, options);
+            // Generate in a background job, so leaving the screen or restarting the app does not lose the quiz
+            const job = await generationJobService.enqueue({
+              documentId: documentRecord[0].id,
+              title: selectedFile.name,
+              file: fileForQuiz,
+              options: {
+                questionCount: options.questionCount,
+                difficulty: options.difficulty,
+                questionTypes: options.questionTypes,
+                calculationCount: options.calculationCount,
+                redactPII: options.redactPII
+              }
+            });
+            const unsubscribe = generationJobService.subscribe(currentJobs => {
+              const current = currentJobs.find(other => other.id === job.id);
+              if (current?.progress) {
+                handleGenerationProgress(current.progress);
+              }
+            });
+            const finishedJob = await generationJobService.waitForJob(job.id, { timeoutMs: timeoutDuration });
+            unsubscribe();
+
+            if (!finishedJob || !isJobFinished(finishedJob) || finishedJob.status === JOB_STATUS.CANCELLED) {
+              if (finishedJob && !isJobFinished(finishedJob)) {
+                Alert.alert(
+                  'Still Generating',
+                  'Your questions are still being generated. You can follow the progress on the home screen.',
+                  [{ text: 'OK', onPress: () => router.replace('/') }]
+                );
+              }
+              isCurrentlyUploading = false;
+              setIsUploading(false);
+              return;
+            }
+            if (finishedJob.status === JOB_STATUS.FAILED && !finishedJob.error?.code) {
+              throw new Error(finishedJob.error?.message || 'Quiz generation failed');
+            }
+
+            quizGenerationPromise = Promise.resolve({
+              quiz: {
+                id: finishedJob.quizId,
+                title: finishedJob.quizTitle,
+                documentId: documentRecord[0].id,
+                redactionReport: finishedJob.redactionReport || null,
+                error: finishedJob.error?.message,
+                errorCode: finishedJob.error?.code || null,
+                errorDetails: finishedJob.error?.details || null
+              }
+            });
           }
           
-          quizResponse = await Promise.race([quizGenerationPromise, quizTimeoutPromise]);
+          quizResponse = await Promise.race([quizGenerationPromise, createQuizTimeout()]);
           
           // Release memory after quiz generation
           if (isRunningInExpoGo()) {
@@ -1364,6 +1588,31 @@ export default function UploadScreen() {
           if (!quizResponse?.quiz?.id) {
             throw new Error('Invalid quiz response format');
           }
+
+          // The document had no readable text or the AI output was unusable - tell the user why instead of opening an empty quiz
+          if (quizResponse.quiz.errorCode) {
+            const rejectedCount = quizResponse.quiz.errorDetails?.rejected?.length;
+            const detail = rejectedCount ? `\n\n${rejectedCount} generated question(s) were rejected.` : '';
+            Alert.alert(
+              'Question Generation Failed',
+              (describeGenerationError(quizResponse.quiz.errorCode) || quizResponse.quiz.error) + detail,
+              [{ text: 'OK', onPress: () => router.replace('/') }]
+            );
+            isCurrentlyUploading = false;
+            setIsUploading(false);
+            return;
+          }
+
+          // Let the user know which personal details never left the device (counts only, see lib/piiRedaction.js)
+          const redacted = describeRedaction(quizResponse.quiz.redactionReport);
+          if (redacted) {
+            Alert.alert(
+              'Personal Details Removed',
+              `${redacted} in your document ${quizResponse.quiz.redactionReport.total === 1 ? 'was' : 'were'} ` +
+                'replaced with placeholders such as [NAME_1] before it was sent for question generation. ' +
+                'The real details stay on this device.'
+            );
+          }
         } catch (error) {
           console.error('Quiz generation error:', error);
           
@@ -1685,6 +1934,8 @@ export default function UploadScreen() {
       <AppHeader title="Upload Study Material" withBack={true} />
     
       <ScrollView contentContainerStyle={styles.content}>
+        <GenerationJobList jobs={jobs} onCancel={cancel} onRetry={retry} onDismiss={dismiss} />
+
         <View style={styles.uploadArea}>
           <View style={styles.uploadIconContainer}>
             <Text style={styles.plusIcon}>+</Text>
@@ -1758,14 +2009,88 @@ export default function UploadScreen() {
               <Text style={styles.fileSize}>
                 {(selectedFile.size / 1024).toFixed(2)} KB
               </Text>
+              {selectedFile.ocr && !selectedFile.ocr.error && (
+                <Text style={[
+                  styles.fileSize,
+                  findLowConfidencePages(selectedFile.ocr).length > 0 && styles.ocrWarning
+                ]}>
+                  {`Text recognised: ${Math.round(selectedFile.ocr.ocrPages[0].confidence * 100)}% ` +
+                    (selectedFile.ocr.ocrPages[0].confidenceSource === 'estimated' ? 'estimated confidence' : 'confidence') +
+                    (findLowConfidencePages(selectedFile.ocr).length > 0 ? ' - some lines may be misread' : '')}
+                </Text>
+              )}
             </View>
           </View>
         )}
         
+        <View style={styles.difficultyContainer}>
+          <Text style={styles.fileInfoTitle}>Difficulty</Text>
+          <View style={styles.difficultyOptions}>
+            {DIFFICULTY_CHOICES.map(choice => (
+              <TouchableOpacity
+                key={choice.value}
+                style={[styles.difficultyOption, difficulty === choice.value && styles.difficultyOptionSelected]}
+                onPress={() => setDifficulty(choice.value)}
+                disabled={isUploading}
+                testID={`upload-screen-difficulty-${choice.value}`}
+              >
+                <Text style={styles.difficultyOptionText}>{choice.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+        
+        <View style={styles.difficultyContainer}>
+          <Text style={styles.fileInfoTitle}>Question types</Text>
+          <View style={styles.difficultyOptions}>
+            {QUESTION_TYPE_CHOICES.map(choice => (
+              <TouchableOpacity
+                key={choice.value}
+                style={[styles.difficultyOption, questionTypes.includes(choice.value) && styles.difficultyOptionSelected]}
+                onPress={() => toggleQuestionType(choice.value)}
+                disabled={isUploading}
+                testID={`upload-screen-question-type-${choice.value}`}
+              >
+                <Text style={styles.difficultyOptionText}>{choice.label}</Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity
+              style={[styles.difficultyOption, includeCalculations && styles.difficultyOptionSelected]}
+              onPress={() => setIncludeCalculations(!includeCalculations)}
+              disabled={isUploading}
+              testID="upload-screen-calculation-practice"
+            >
+              <Text style={styles.difficultyOptionText}>+ Calculation practice</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+        
+        <View style={styles.difficultyContainer}>
+          <Text style={styles.fileInfoTitle}>Privacy</Text>
+          <View style={styles.difficultyOptions}>
+            <TouchableOpacity
+              style={[styles.difficultyOption, redactPersonalDetails && styles.difficultyOptionSelected]}
+              onPress={() => setRedactPersonalDetails(!redactPersonalDetails)}
+              disabled={isUploading}
+              testID="upload-screen-redact-pii"
+            >
+              <Text style={styles.difficultyOptionText}>
+                {redactPersonalDetails ? 'Personal details masked' : 'Personal details sent unmasked'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+        
+        {isRecognizingText && (
+          <View style={styles.infoMessage}>
+            <Text style={styles.infoMessageText}>Reading text from the photo...</Text>
+          </View>
+        )}
+        
         <Button 
           title={isUploading ? 'Processing...' : 'Generate Questions'}
           onPress={handleProcessFile}
-          disabled={!selectedFile || isUploading}
+          disabled={!selectedFile || isUploading || isRecognizingText}
           variant="primary"
           size="large"
           style={styles.generateButton}
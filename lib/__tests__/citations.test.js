@@ -0,0 +1,47 @@
+/* global describe, it, expect */
+
+import { buildCitation, createCitationSource, locateExcerpt } from '../citations';
+
+const TEXT = `CHAPTER 4 WEIGHT AND BALANCE
+
+4.1 Loading
+The centre of gravity must remain within the
+approved envelope for every phase of flight.
+
+Page two starts here. Fuel burn moves the “centre of gravity” forward — check both
+the take-off and the landing condition.`;
+
+const PAGE_TWO = TEXT.indexOf('Page two');
+const PAGE_MAP = [{ page: 1, start: 0, end: PAGE_TWO - 2 }, { page: 2, start: PAGE_TWO, end: TEXT.length }];
+
+describe('citations', () => {
+  it('should match quotes across line breaks, case and typographic punctuation', () => {
+    const [range] = locateExcerpt(TEXT, 'The centre of gravity must remain within the approved envelope.');
+    expect(TEXT.slice(range.start, range.end)).toBe('The centre of gravity must remain within the\napproved envelope');
+
+    expect(locateExcerpt(TEXT, 'fuel burn moves the "centre of gravity" forward - check both')).toHaveLength(1);
+  });
+
+  it('should match quotes shortened with an ellipsis when the parts appear in order', () => {
+    expect(locateExcerpt(TEXT, 'Fuel burn moves the … landing condition')).toHaveLength(2);
+    expect(locateExcerpt(TEXT, 'landing condition ... Fuel burn moves the')).toBeNull();
+  });
+
+  it('should not match paraphrases or quotes too short to identify a passage', () => {
+    expect(locateExcerpt(TEXT, 'The CG has to stay inside the approved envelope.')).toBeNull();
+    expect(locateExcerpt(TEXT, 'gravity')).toBeNull();
+  });
+
+  it('should build a citation with page, section and the document wording', () => {
+    const source = createCitationSource({ documentId: 'doc-1', text: TEXT, pageMap: PAGE_MAP });
+
+    expect(buildCitation(source, 'fuel burn moves the "centre of gravity" forward')).toEqual({
+      documentId: 'doc-1',
+      page: 2,
+      section: '4.1 Loading',
+      excerpt: 'Fuel burn moves the “centre of gravity” forward'
+    });
+    expect(buildCitation(source, 'the approved envelope for every phase of flight')).toMatchObject({ page: 1 });
+    expect(buildCitation(source, 'Not in the document at all.')).toBeNull();
+  });
+});
@@ -0,0 +1,23 @@
+/* global describe, it, expect, TextEncoder */
+
+import { hashDocumentContent, sha256Hex } from '../contentHash';
+
+const bytesOf = text => new TextEncoder().encode(text);
+
+describe('contentHash', () => {
+  it('should match the SHA-256 test vectors', () => {
+    expect(sha256Hex(bytesOf(''))).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(sha256Hex(bytesOf('abc'))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    // Long enough that the padding spills into a second block
+    expect(sha256Hex(bytesOf('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq')))
+      .toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+  });
+
+  it('should give the same hash for the same content only', () => {
+    const manual = bytesOf('Chapter 1: Air Law\n'.repeat(200));
+
+    expect(hashDocumentContent(manual)).toBe(hashDocumentContent(manual.slice()));
+    expect(hashDocumentContent(manual)).toMatch(/^sha256:[0-9a-f]{64}$/);
+    expect(hashDocumentContent(manual)).not.toBe(hashDocumentContent(bytesOf('Chapter 1: Air Law\n')));
+  });
+});
@@ -0,0 +1,81 @@
+/* global describe, it, expect */
+
+import {
+  allocateDifficulty,
+  classifyDifficulty,
+  difficultySettingKey,
+  filterByDifficulty,
+  normaliseDifficulty,
+  resolveDifficultyMix
+} from '../difficulty';
+
+const question = (text, options, correctOptionId, excerpt) => ({
+  text,
+  options: options.map((optionText, index) => ({ id: 'ABCD'[index], text: optionText })),
+  correctOptionId,
+  citation: { excerpt }
+});
+
+describe('difficulty', () => {
+  it('should normalise labels in any case', () => {
+    expect(normaliseDifficulty('easy')).toBe('Easy');
+    expect(normaliseDifficulty(' HARD ')).toBe('Hard');
+    expect(normaliseDifficulty('mixed')).toBeNull();
+    expect(normaliseDifficulty(undefined)).toBeNull();
+  });
+
+  it('should resolve single levels, the default mix and explicit ratios', () => {
+    expect(resolveDifficultyMix('Medium')).toEqual({ Easy: 0, Medium: 1, Hard: 0 });
+    expect(resolveDifficultyMix('mixed')).toEqual({ Easy: 0.3, Medium: 0.4, Hard: 0.3 });
+    expect(resolveDifficultyMix(undefined)).toEqual({ Easy: 0.3, Medium: 0.4, Hard: 0.3 });
+    expect(resolveDifficultyMix({ easy: 1, hard: 3 })).toEqual({ Easy: 0.25, Medium: 0, Hard: 0.75 });
+    expect(resolveDifficultyMix({ easy: -2 })).toEqual({ Easy: 0.3, Medium: 0.4, Hard: 0.3 });
+  });
+
+  it('should allocate whole question counts that add up', () => {
+    expect(allocateDifficulty(10, 'mixed')).toEqual({ Easy: 3, Medium: 4, Hard: 3 });
+    expect(allocateDifficulty(4, 'hard')).toEqual({ Easy: 0, Medium: 0, Hard: 4 });
+    expect(allocateDifficulty(5, { easy: 1, medium: 1, hard: 1 })).toEqual({ Easy: 2, Medium: 2, Hard: 1 });
+  });
+
+  it('should key settings so equal mixes share a key', () => {
+    expect(difficultySettingKey(undefined)).toBe('mixed');
+    expect(difficultySettingKey({ easy: 3, medium: 4, hard: 3 })).toBe('mixed');
+    expect(difficultySettingKey('Easy')).toBe('easy');
+    expect(difficultySettingKey({ easy: 1, hard: 1 })).toBe('easy:50,medium:0,hard:50');
+  });
+
+  it('should classify recall, applied and calculation questions', () => {
+    const recall = question(
+      'In which frequency band do VOR stations transmit?',
+      ['108.0 to 117.95 MHz', '118.0 to 136.975 MHz', '190 to 535 kHz'],
+      'A',
+      'The VOR system operates in the 108.0 to 117.95 MHz frequency band.'
+    );
+    const negated = question(
+      'Which of the following is NOT a component of the pitot-static system?',
+      ['Pitot tube', 'Static port', 'Attitude indicator'],
+      'C',
+      'The pitot-static system consists of the pitot tube, the static ports and the instruments connected to them.'
+    );
+    const calculation = question(
+      'Calculate the time to fly 150 NM at a groundspeed of 100 kt.',
+      ['1 h 30 min', '1 h 15 min', '1 h 50 min', '2 h 30 min'],
+      'A',
+      'Time equals distance divided by groundspeed.'
+    );
+
+    expect(classifyDifficulty(recall)).toBe('Easy');
+    expect(classifyDifficulty(negated)).toBe('Medium');
+    expect(classifyDifficulty(calculation)).toBe('Hard');
+  });
+
+  it('should filter questions by level', () => {
+    const questions = [{ id: 1, difficulty: 'Easy' }, { id: 2, difficulty: 'Hard' }, { id: 3, difficulty: null }];
+
+    expect(filterByDifficulty(questions, 'hard').map(item => item.id)).toEqual([2]);
+    expect(filterByDifficulty(questions, ['Easy', 'Hard']).map(item => item.id)).toEqual([1, 2]);
+    expect(filterByDifficulty(questions, [''])).toBe(questions);
+    expect(filterByDifficulty(questions, null)).toBe(questions);
+  });
+});
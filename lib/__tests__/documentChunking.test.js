@@ -0,0 +1,92 @@
+/* global describe, it, expect, __dirname */
+
+import fs from 'fs';
+import path from 'path';
+import { allocateQuestions, chunkDocument, parseHeading, splitIntoSections } from '../documentChunking';
+
+const SAMPLE = fs.readFileSync(path.join(__dirname, '../../samples/aviation_sample.txt'), 'utf8');
+
+const chapterText = (number, title, paragraphs) => `CHAPTER ${number} ${title}\n\n` +
+  Array.from({ length: paragraphs }, (_, index) =>
+    `${title} paragraph ${index + 1}. ` + 'Pilots must know the limitations of the aircraft. '.repeat(8)).join('\n\n');
+
+describe('documentChunking', () => {
+  it('should recognise the heading styles used in manuals', () => {
+    expect(parseHeading('## Chapter 2: GPS Navigation Systems')).toEqual({ title: 'Chapter 2: GPS Navigation Systems', level: 2 });
+    expect(parseHeading('SECTION 2 LIMITATIONS')).toEqual({ title: 'SECTION 2 LIMITATIONS', level: 3 });
+    expect(parseHeading('2.3 GPS Approach Categories')).toEqual({ title: '2.3 GPS Approach Categories', level: 3 });
+    expect(parseHeading('EMERGENCY PROCEDURES')).toEqual({ title: 'EMERGENCY PROCEDURES', level: 2 });
+
+    expect(parseHeading('1. Fly directly to a station (by centering the CDI needle)')).toBeNull();
+    expect(parseHeading('VOR DME NDB')).toBeNull();
+    expect(parseHeading('Chapter 3 covers the use of INS in oceanic airspace.')).toBeNull();
+  });
+
+  it('should split the sample manual into sections grouped by chapter', () => {
+    const sections = splitIntoSections(SAMPLE);
+    const chapters = [...new Set(sections.map(section => section.chapter))];
+
+    expect(chapters).toEqual([
+      null,
+      'Chapter 1: VOR Navigation Principles',
+      'Chapter 2: GPS Navigation Systems',
+      'Chapter 3: Inertial Navigation Systems'
+    ]);
+    expect(sections.find(section => section.title === '2.2 WAAS and RAIM').chapter)
+      .toBe('Chapter 2: GPS Navigation Systems');
+    expect(sections[sections.length - 1].end).toBe(SAMPLE.length);
+  });
+
+  it('should keep short documents in a single chunk', () => {
+    const chunks = chunkDocument(SAMPLE);
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].text).toBe(SAMPLE.trim());
+  });
+
+  it('should cut long documents at chapter boundaries within the size limit', () => {
+    const chunks = chunkDocument(SAMPLE, { maxChars: 1800 });
+
+    expect(chunks.length).toBeGreaterThan(2);
+    chunks.forEach(chunk => expect(chunk.end - chunk.start).toBeLessThanOrEqual(1800));
+    expect(chunks[0].titles[0]).toBe('Aviation Navigation Systems Manual');
+    expect(chunks[0].chapter).toBe('Chapter 1: VOR Navigation Principles');
+    expect(chunks.map(chunk => chunk.text).join('\n')).toContain('Boeing 787 aircraft implement');
+  });
+
+  it('should split oversized sections at paragraph boundaries', () => {
+    const text = chapterText(1, 'Limitations', 12);
+    const chunks = chunkDocument(text, { maxChars: 2000 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks[1].titles[0]).toBe('CHAPTER 1 Limitations (continued)');
+    chunks.slice(1).forEach(chunk => expect(chunk.text).toMatch(/^Limitations paragraph \d+\./));
+  });
+
+  it('should allocate exactly questionCount questions and cover every chapter', () => {
+    const text = [
+      chapterText(1, 'Air Law', 30),
+      chapterText(2, 'Meteorology', 4),
+      chapterText(3, 'Navigation', 10)
+    ].join('\n\n');
+    const chunks = chunkDocument(text, { maxChars: 4000 });
+
+    const targets = allocateQuestions(chunks, 20);
+    const perChapter = {};
+    chunks.forEach((chunk, index) => {
+      perChapter[chunk.chapter] = (perChapter[chunk.chapter] || 0) + targets[index];
+    });
+
+    expect(targets.reduce((a, b) => a + b, 0)).toBe(20);
+    expect(Object.keys(perChapter)).toHaveLength(3);
+    // Longer chapters get more questions, but not in proportion to their length
+    expect(perChapter['CHAPTER 1 Air Law']).toBeGreaterThan(perChapter['CHAPTER 3 Navigation']);
+    expect(perChapter['CHAPTER 2 Meteorology']).toBeGreaterThanOrEqual(3);
+  });
+
+  it('should spread a few questions evenly when there are more chapters than questions', () => {
+    const chunks = ['A', 'B', 'C', 'D', 'E', 'F'].map((chapter, index) => ({ index, chapter, text: 'x'.repeat(500) }));
+
+    expect(allocateQuestions(chunks, 3)).toEqual([0, 1, 0, 1, 0, 1]);
+  });
+});
@@ -0,0 +1,211 @@
+/* global describe, it, expect, TextEncoder */
+
+import pako from 'pako';
+import { buildPageMap, extractDocumentContent, pageForOffset, readBlobBytes } from '../documentExtraction';
+import { GENERATION_ERROR_CODES } from '../generationErrors';
+
+const encode = text => new TextEncoder().encode(text);
+
+const toLatin1 = bytes => Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+
+/**
+ * Assemble a PDF with a correct cross-reference table.
+ * Object 1 is the catalog, 2 the page tree and 3 a Helvetica font; each page adds
+ * a page object and a content stream after that.
+ */
+function buildPdf(pages, { compress = false, extraObjects = {}, trailerExtra = '' } = {}) {
+  const objects = {
+    1: '<< /Type /Catalog /Pages 2 0 R >>',
+    3: '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    ...extraObjects
+  };
+  let next = Math.max(...Object.keys(objects).map(Number)) + 1;
+  const pageRefs = [];
+
+  pages.forEach(page => {
+    const pageNum = next++;
+    const contentNum = next++;
+    const content = typeof page === 'string' ? page : page.content;
+    const resources = page.resources || '<< /Font << /F1 3 0 R >> >>';
+    pageRefs.push(`${pageNum} 0 R`);
+    objects[pageNum] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources ${resources} ` +
+      `/Contents ${contentNum} 0 R >>`;
+    const data = compress ? toLatin1(pako.deflate(encode(content))) : content;
+    objects[contentNum] = `<< /Length ${data.length}${compress ? ' /Filter /FlateDecode' : ''} >>\nstream\n` +
+      `${data}\nendstream`;
+  });
+  objects[2] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pages.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  const count = Math.max(...Object.keys(objects).map(Number)) + 1;
+  for (let num = 1; num < count; num++) {
+    offsets[num] = pdf.length;
+    pdf += `${num} 0 obj\n${objects[num] || 'null'}\nendobj\n`;
+  }
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${count}\n0000000000 65535 f \n`;
+  for (let num = 1; num < count; num++) {
+    pdf += `${String(offsets[num]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${count} /Root 1 0 R ${trailerExtra}>>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Uint8Array.from(pdf, char => char.charCodeAt(0));
+}
+
+const textPage = lines => 'BT /F1 11 Tf 72 720 Td 14 TL\n' +
+  lines.map(line => `(${line}) Tj T*`).join('\n') + '\nET';
+
+const BODY = 'The altimeter measures pressure and displays it as height above the selected datum.';
+
+describe('documentExtraction', () => {
+  it('should extract text page by page with a page map', () => {
+    const pdf = buildPdf([textPage([BODY, 'Page one ends here.']), textPage([BODY, 'Page two ends here.'])]);
+
+    const result = extractDocumentContent(pdf);
+
+    expect(result.extractor).toBe('pdf');
+    expect(result.pageCount).toBe(2);
+    expect(result.text).toBe(`${BODY}\nPage one ends here.\n\n${BODY}\nPage two ends here.`);
+    expect(result.pageMap).toEqual([
+      { page: 1, start: 0, end: BODY.length + 20 },
+      { page: 2, start: BODY.length + 22, end: result.text.length }
+    ]);
+    expect(pageForOffset(result.pageMap, result.text.indexOf('Page two'))).toBe(2);
+  });
+
+  it('should decode FlateDecode content streams', () => {
+    const result = extractDocumentContent(buildPdf([textPage([BODY, BODY])], { compress: true }));
+
+    expect(result.text).toBe(`${BODY}\n${BODY}`);
+  });
+
+  it('should turn kerning and wide TJ offsets into the right spacing', () => {
+    const content = `BT /F1 12 Tf 72 750 Td [(Al) 20 (timeter) -300 (setting)] TJ ET\n${textPage([BODY, BODY])}`;
+
+    const result = extractDocumentContent(buildPdf([content]));
+
+    expect(result.text).toContain('Altimeter setting');
+  });
+
+  it('should read two-column pages column by column', () => {
+    const column = (x, label) => `BT /F1 10 Tf ${x} 700 Td 12 TL\n` +
+      [1, 2, 3, 4].map(n => `(${label} column sentence number ${n}.) Tj T*`).join('\n') + '\nET';
+    const heading = 'BT /F1 16 Tf 72 740 Td (Principles of Flight and Aircraft Performance) Tj ET';
+
+    const result = extractDocumentContent(buildPdf([`${heading}\n${column(72, 'Left')}\n${column(320, 'Right')}`]));
+    const lines = result.text.split('\n').filter(Boolean);
+
+    expect(lines[0]).toBe('Principles of Flight and Aircraft Performance');
+    expect(lines.slice(1, 5)).toEqual([1, 2, 3, 4].map(n => `Left column sentence number ${n}.`));
+    expect(lines.slice(5)).toEqual([1, 2, 3, 4].map(n => `Right column sentence number ${n}.`));
+  });
+
+  it('should map characters through a ToUnicode CMap', () => {
+    const cmap = '/CIDInit /ProcSet findresource begin 12 dict begin begincmap\n' +
+      '1 begincodespacerange <0000> <FFFF> endcodespacerange\n' +
+      '2 beginbfchar <0001> <0056> <0002> <004F> endbfchar\n' +
+      '1 beginbfrange <0003> <0003> <0052> endbfrange\n' +
+      'endcmap CMapName currentdict /CMap defineresource pop end end';
+    const pdf = buildPdf([{
+      content: `BT /F2 12 Tf 72 750 Td <000100020003> Tj ET\n${textPage([BODY, BODY])}`,
+      resources: '<< /Font << /F1 3 0 R /F2 10 0 R >> >>'
+    }], {
+      extraObjects: {
+        10: '<< /Type /Font /Subtype /Type0 /BaseFont /Custom /Encoding /Identity-H ' +
+          '/DescendantFonts [11 0 R] /ToUnicode 12 0 R >>',
+        11: '<< /Type /Font /Subtype /CIDFontType2 /BaseFont /Custom /DW 600 >>',
+        12: `<< /Length ${cmap.length} >>\nstream\n${cmap}\nendstream`
+      }
+    });
+
+    expect(extractDocumentContent(pdf).text.split('\n')[0]).toBe('VOR');
+  });
+
+  it('should report scanned documents without a text layer', () => {
+    const scan = {
+      content: 'q 612 0 0 792 0 0 cm /Im1 Do Q',
+      resources: '<< /XObject << /Im1 10 0 R >> >>'
+    };
+    const pdf = buildPdf([scan, scan], {
+      extraObjects: {
+        10: '<< /Type /XObject /Subtype /Image /Width 1 /Height 1 /ColorSpace /DeviceGray ' +
+          '/BitsPerComponent 8 /Length 1 >>\nstream\n\u0000\nendstream'
+      }
+    });
+
+    expect(() => extractDocumentContent(pdf)).toThrow(expect.objectContaining({
+      code: GENERATION_ERROR_CODES.SCANNED_DOCUMENT,
+      details: { pageCount: 2, scannedPages: [1, 2] }
+    }));
+  });
+
+  it('should report scanned pages of a document that otherwise has text', () => {
+    const pdf = buildPdf([
+      textPage([BODY, BODY]),
+      { content: 'BI /W 1 /H 1 /CS /G /BPC 8 ID \u0000 EI', resources: '<< >>' }
+    ]);
+
+    expect(extractDocumentContent(pdf).scannedPages).toEqual([2]);
+  });
+
+  it('should reject encrypted PDFs', () => {
+    const pdf = buildPdf([textPage([BODY])], {
+      extraObjects: { 10: '<< /Filter /Standard /V 1 /R 2 /O <00> /U <00> /P -4 >>' },
+      trailerExtra: '/Encrypt 10 0 R '
+    });
+
+    expect(() => extractDocumentContent(pdf)).toThrow(expect.objectContaining({
+      code: GENERATION_ERROR_CODES.UNSUPPORTED_DOCUMENT,
+      details: { reason: 'encrypted' }
+    }));
+  });
+
+  it('should report image files as scanned documents', () => {
+    const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+
+    expect(() => extractDocumentContent(jpeg)).toThrow(expect.objectContaining({
+      code: GENERATION_ERROR_CODES.SCANNED_DOCUMENT
+    }));
+  });
+
+  it('should read plain text documents as a single page', () => {
+    const text = `${BODY}\nStandard pressure is 1013.25 hPa.`;
+
+    expect(extractDocumentContent(encode(text))).toMatchObject({
+      text,
+      extractor: 'plain-text',
+      pageMap: [{ page: 1, start: 0, end: text.length }]
+    });
+  });
+
+  it('should reject binary files and documents with too little text', () => {
+    const binary = new Uint8Array(200).map((_, index) => index % 16);
+
+    expect(() => extractDocumentContent(binary)).toThrow(expect.objectContaining({
+      code: GENERATION_ERROR_CODES.UNSUPPORTED_DOCUMENT
+    }));
+    expect(() => extractDocumentContent(encode('Too short'))).toThrow(expect.objectContaining({
+      code: GENERATION_ERROR_CODES.NO_EXTRACTABLE_TEXT
+    }));
+  });
+
+  it('should build page maps and read blobs without arrayBuffer', async () => {
+    const { text, pageMap } = buildPageMap([{ pageNumber: 1, text: 'One' }, { pageNumber: 3, text: 'Three' }]);
+    expect(text).toBe('One\n\nThree');
+    expect(pageMap).toEqual([{ page: 1, start: 0, end: 3 }, { page: 3, start: 5, end: 10 }]);
+
+    const OriginalFileReader = global.FileReader;
+    global.FileReader = class {
+      readAsDataURL() {
+        this.result = 'data:application/pdf;base64,JVBERi0=';
+        this.onload();
+      }
+    };
+    try {
+      expect(Array.from(await readBlobBytes({}))).toEqual([0x25, 0x50, 0x44, 0x46, 0x2d]);
+    } finally {
+      global.FileReader = OriginalFileReader;
+    }
+  });
+});
@@ -0,0 +1,49 @@
+/* global describe, it, expect */
+
+import {
+  addQuestionTime,
+  examElapsedMs,
+  examRemainingMs,
+  getExamProfile,
+  passesExam,
+  startExam
+} from '../examMode';
+
+const START = Date.parse('2026-10-01T10:00:00.000Z');
+
+describe('examMode', () => {
+  it('should set the deadline from the profile and the length of the quiz', () => {
+    expect(startExam('sacaa-ppl', 20, START)).toEqual({
+      profileId: 'sacaa-ppl',
+      timeLimitMs: 30 * 60 * 1000,
+      endsAt: '2026-10-01T10:30:00.000Z'
+    });
+    expect(startExam('unknown', 20, START).profileId).toBe('sacaa-ppl');
+    expect(getExamProfile('sacaa-cpl').secondsPerQuestion).toBe(75);
+  });
+
+  it('should keep counting on the wall clock, in the background included', () => {
+    const exam = startExam('sacaa-ppl', 10, START);
+
+    expect(examRemainingMs(exam, START + 60000)).toBe(14 * 60 * 1000);
+    expect(examElapsedMs(exam, START + 60000)).toBe(60000);
+    // Left for longer than the exam runs: the time is up and the time used is the whole allowance
+    expect(examRemainingMs(exam, START + 60 * 60 * 1000)).toBe(0);
+    expect(examElapsedMs(exam, START + 60 * 60 * 1000)).toBe(exam.timeLimitMs);
+  });
+
+  it('should add up the time spent on each question', () => {
+    let times = {};
+    times = addQuestionTime(times, 'q1', 12000);
+    times = addQuestionTime(times, 'q2', 5000);
+    times = addQuestionTime(times, 'q1', 3000);
+
+    expect(times).toEqual({ q1: 15000, q2: 5000 });
+    expect(addQuestionTime(times, 'q3', 0)).toBe(times);
+  });
+
+  it('should pass an exam at the pass mark', () => {
+    expect(passesExam(75, 'sacaa-ppl')).toBe(true);
+    expect(passesExam(74.9, 'sacaa-ppl')).toBe(false);
+  });
+});
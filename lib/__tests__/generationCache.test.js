@@ -0,0 +1,71 @@
+/* global describe, it, expect */
+
+import {
+  addToPool,
+  createQuestionPool,
+  drawFromPool,
+  generationOptionsKey,
+  isPoolCurrent,
+  unservedCount
+} from '../generationCache';
+
+const KEY = { contentHash: 'sha256:abc', optionsKey: 'difficulty=mixed', promptVersion: 1, extractorVersion: 2 };
+
+const questionAbout = (topic, answer) => ({
+  id: `q-${topic}`,
+  text: `What do pilots need to know about ${topic}?`,
+  options: [{ id: 'A', text: answer }, { id: 'B', text: 'None of the above' }],
+  correctOptionId: 'A',
+  explanation: `${topic}: ${answer}`
+});
+
+const TOPICS = [
+  ['VOR radials and station identification', 'They are magnetic bearings from the station'],
+  ['RAIM availability before an approach', 'It checks the integrity of GPS signals'],
+  ['WAAS correction signals', 'It broadcasts GPS correction signals'],
+  ['INS drift over long oceanic legs', 'It grows with time since alignment']
+];
+const ids = questions => questions.map(question => question.id.replace('q-', '').split(' ')[0]);
+
+describe('generationCache', () => {
+  it('should key pools on the options that change the questions', () => {
+    expect(generationOptionsKey({ difficulty: 'hard', questionCount: 5 })).toBe('difficulty=hard;redaction=v2');
+    expect(generationOptionsKey({ questionCount: 20 })).toBe(generationOptionsKey({}));
+    // Questions generated from unredacted text never reach a quiz that asked for redaction
+    expect(generationOptionsKey({ redactPII: false })).not.toBe(generationOptionsKey({ redactPII: true }));
+    expect(generationOptionsKey({ redactPII: true })).toBe(generationOptionsKey({}));
+  });
+
+  it('should only reuse pools made with the current prompt and extractor versions', () => {
+    const pool = createQuestionPool(KEY);
+
+    expect(isPoolCurrent(pool, KEY)).toBe(true);
+    expect(isPoolCurrent(null, KEY)).toBe(false);
+    expect(isPoolCurrent(pool, { ...KEY, promptVersion: 2 })).toBe(false);
+    expect(isPoolCurrent(pool, { ...KEY, extractorVersion: 3 })).toBe(false);
+    expect(isPoolCurrent(pool, { ...KEY, optionsKey: 'difficulty=easy' })).toBe(false);
+  });
+
+  it('should add only questions the pool does not have yet', () => {
+    const first = addToPool(createQuestionPool(KEY), TOPICS.slice(0, 2).map(([topic, answer]) => questionAbout(topic, answer)));
+    const second = addToPool(first.pool, TOPICS.slice(1).map(([topic, answer]) => questionAbout(topic, answer)));
+
+    expect(first.added).toBe(2);
+    expect(second.added).toBe(2);
+    expect(ids(second.pool.questions)).toEqual(['VOR', 'RAIM', 'WAAS', 'INS']);
+  });
+
+  it('should serve fresh questions first and reuse the oldest once the pool runs dry', () => {
+    const { pool } = addToPool(createQuestionPool(KEY), TOPICS.map(([topic, answer]) => questionAbout(topic, answer)));
+
+    const first = drawFromPool(pool, 3);
+    expect(ids(first.questions)).toEqual(['VOR', 'RAIM', 'WAAS']);
+    expect(first.recycled).toBe(0);
+    expect(unservedCount(first.pool)).toBe(1);
+
+    const second = drawFromPool(first.pool, 3);
+    expect(ids(second.questions)).toEqual(['INS', 'VOR', 'RAIM']);
+    expect(second.recycled).toBe(2);
+    expect(second.pool.servedCount).toBe(4);
+  });
+});
@@ -0,0 +1,106 @@
+/* global describe, it, expect */
+
+import { analyseText, summariseGrounding, verifyGrounding } from '../groundingVerifier';
+
+const EXCERPT = 'For trans-oceanic flights, the maximum permitted INS drift is 2 nautical miles per hour.';
+
+const question = (overrides = {}) => ({
+  text: 'What is the maximum permitted INS drift on trans-oceanic flights?',
+  options: [
+    { id: 'A', text: '0.1 nautical miles per hour' },
+    { id: 'B', text: '2 nautical miles per hour' },
+    { id: 'C', text: '5 nautical miles per hour' },
+    { id: 'D', text: '10 nautical miles per hour' }
+  ],
+  correctOptionId: 'B',
+  explanation: 'Trans-oceanic flights allow a maximum INS drift of 2 nautical miles per hour.',
+  citation: { excerpt: EXCERPT },
+  ...overrides
+});
+
+describe('groundingVerifier', () => {
+  it('should reduce text to stemmed content terms and normalised numbers', () => {
+    expect(analyseText('The aircraft\'s altimeters read 1,000 feet')).toEqual({
+      words: ['the', 'aircraft', 'altimeters', 'read', '1,000', 'feet'],
+      terms: ['aircraft', 'altimeter', 'read', 'foot'],
+      numbers: ['1000']
+    });
+    expect(analyseText('Two satellites at 108.0 MHz').numbers).toEqual(['2', '108']);
+  });
+
+  it('should pass a question whose answer and explanation come from the excerpt', () => {
+    const result = verifyGrounding(question());
+
+    expect(result).toMatchObject({ supported: true, answerSupport: 1, reasons: [] });
+    expect(result.score).toBeGreaterThan(0.9);
+  });
+
+  it('should reject an answer key that points at a distractor', () => {
+    const result = verifyGrounding(question({ correctOptionId: 'C', explanation: 'INS drift is limited to 5 nautical miles per hour.' }));
+
+    expect(result.supported).toBe(false);
+    expect(result.reasons).toEqual(expect.arrayContaining([
+      'the excerpt does not contain 5 from the correct option',
+      'the excerpt supports option B rather than C'
+    ]));
+  });
+
+  it('should reject answers and explanations that go beyond the excerpt', () => {
+    const result = verifyGrounding(question({
+      text: 'Which sensors do modern inertial systems use?',
+      options: [
+        { id: 'A', text: 'Fibre optic gyroscopes' },
+        { id: 'B', text: 'Magnetic compasses' },
+        { id: 'C', text: 'Pitot tubes' }
+      ],
+      correctOptionId: 'A',
+      explanation: 'Fibre optic gyroscopes replaced mechanical gyros in the 1990s.'
+    }));
+
+    expect(result.supported).toBe(false);
+    expect(result.score).toBeLessThan(0.5);
+    expect(result.reasons).toContain('the explanation uses 1990, which the excerpt does not contain');
+  });
+
+  it('should match acronyms with the words they stand for', () => {
+    const result = verifyGrounding(question({
+      text: 'Which system provides correction signals that improve GPS accuracy?',
+      options: [
+        { id: 'A', text: 'Wide Area Augmentation System' },
+        { id: 'B', text: 'Receiver Autonomous Integrity Monitoring' },
+        { id: 'C', text: 'Distance Measuring Equipment' }
+      ],
+      correctOptionId: 'A',
+      explanation: 'WAAS enhances GPS accuracy with correction signals.',
+      citation: { excerpt: 'WAAS enhances the accuracy of GPS by providing correction signals.' }
+    }));
+
+    expect(result).toMatchObject({ supported: true, answerSupport: 1 });
+    expect(verifyGrounding({
+      ...question(),
+      text: 'What improves the accuracy of GPS?',
+      options: [{ id: 'A', text: 'WAAS' }, { id: 'B', text: 'RAIM' }, { id: 'C', text: 'DME' }],
+      correctOptionId: 'A',
+      explanation: 'The Wide Area Augmentation System provides correction signals.',
+      citation: { excerpt: 'Wide Area Augmentation System (WAAS) enhances the accuracy of GPS by providing correction signals.' }
+    }).supported).toBe(true);
+  });
+
+  it('should summarise the grounding of a question set', () => {
+    const questions = [
+      { grounding: { score: 0.9, regenerated: false } },
+      { grounding: { score: 0.6, regenerated: true } },
+      { id: 'fallback-1' }
+    ];
+
+    expect(summariseGrounding(questions, 5)).toEqual({
+      score: 0.75,
+      minScore: 0.6,
+      verified: 2,
+      regenerated: 1,
+      requested: 5,
+      returned: 3
+    });
+    expect(summariseGrounding([], 5).score).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+/* global describe, it, expect */
+
+import {
+  balanceAnswerPositions,
+  correctAnswerIndex,
+  createRandom,
+  placeCorrectOption,
+  shuffleForAttempt,
+  toCanonicalAnswer,
+  toDisplayAnswer
+} from '../optionShuffle';
+
+// Generated questions whose correct answer the model always put in A
+const generated = Array.from({ length: 12 }, (_, index) => ({
+  text: `Question ${index + 1} about the VOR?`,
+  options: [
+    { id: 'A', text: `Correct ${index + 1}` },
+    { id: 'B', text: `Wrong ${index + 1}a` },
+    { id: 'C', text: `Wrong ${index + 1}b` },
+    { id: 'D', text: `Wrong ${index + 1}c` }
+  ],
+  correctOptionId: 'A'
+}));
+
+const screenQuestion = (id, userAnswer) => ({
+  id,
+  questionText: `Question ${id}`,
+  options: ['Alpha', 'Bravo', 'Charlie', 'Delta'].map((text, index) => ({ text, isCorrect: index === 2 })),
+  correctAnswer: 2,
+  userAnswer
+});
+
+describe('optionShuffle', () => {
+  it('should move the correct option and re-letter every option', () => {
+    const moved = placeCorrectOption(generated[0], 3, createRandom(7));
+
+    expect(moved.options.map(option => option.id)).toEqual(['A', 'B', 'C', 'D']);
+    expect(moved.correctOptionId).toBe('D');
+    expect(moved.options[3].text).toBe('Correct 1');
+    expect(moved.options.map(option => option.text).sort()).toEqual(generated[0].options.map(option => option.text).sort());
+    expect(correctAnswerIndex(moved)).toBe(3);
+  });
+
+  it('should spread correct answers evenly over the positions', () => {
+    const balanced = balanceAnswerPositions(generated);
+    const counts = [0, 0, 0, 0];
+    balanced.forEach((question, index) => {
+      const correct = question.options.find(option => option.id === question.correctOptionId);
+      expect(correct.text).toBe(`Correct ${index + 1}`);
+      counts[correctAnswerIndex(question)]++;
+    });
+
+    expect(counts).toEqual([3, 3, 3, 3]);
+  });
+
+  it('should balance the same questions the same way every time', () => {
+    expect(balanceAnswerPositions(generated)).toEqual(balanceAnswerPositions(generated));
+    expect(balanceAnswerPositions(generated, 1)).not.toEqual(balanceAnswerPositions(generated, 2));
+  });
+
+  it('should reproduce an attempt order from its seed and map answers back', () => {
+    const questions = [screenQuestion('q1', 2), screenQuestion('q2', 0)];
+    const attempt = shuffleForAttempt(questions, 12345);
+
+    expect(shuffleForAttempt(questions, 12345)).toEqual(attempt);
+    attempt.forEach((question, index) => {
+      expect(question.options[question.correctAnswer].text).toBe('Charlie');
+      expect(question.options[question.userAnswer].text).toBe(questions[index].options[questions[index].userAnswer].text);
+      expect(toCanonicalAnswer(question, question.correctAnswer)).toBe(2);
+      expect(toDisplayAnswer(question, 2)).toBe(question.correctAnswer);
+    });
+    // A question is shuffled the same way whichever other questions are shown with it
+    expect(shuffleForAttempt([questions[1]], 12345)[0]).toEqual(attempt[1]);
+    expect(toCanonicalAnswer(attempt[0], undefined)).toBeUndefined();
+  });
+
+  it('should keep true/false and numeric questions and map multi-select answers', () => {
+    const trueFalse = { ...screenQuestion('tf', 1), type: 'true_false' };
+    const numeric = { id: 'n', type: 'numeric', options: [], answer: { value: 12, unit: 'nm' }, userAnswer: '12 nm' };
+    const multi = { ...screenQuestion('m', [0, 2]), type: 'multi_select', correctAnswers: [1, 2] };
+
+    const [shuffledTrueFalse, shuffledNumeric, shuffledMulti] = shuffleForAttempt([trueFalse, numeric, multi], 99);
+
+    expect(shuffledTrueFalse).toBe(trueFalse);
+    expect(shuffledNumeric).toBe(numeric);
+    expect(shuffledMulti.correctAnswers.map(index => shuffledMulti.options[index].text).sort()).toEqual(['Bravo', 'Charlie']);
+    expect(shuffledMulti.userAnswer.map(index => shuffledMulti.options[index].text).sort()).toEqual(['Alpha', 'Charlie']);
+    expect(toCanonicalAnswer(shuffledMulti, shuffledMulti.userAnswer).sort()).toEqual([0, 2]);
+    expect(toCanonicalAnswer(shuffledNumeric, '12 nm')).toBe('12 nm');
+    expect(toDisplayAnswer(shuffledMulti, [0, 2])).toEqual([...shuffledMulti.userAnswer].sort((a, b) => a - b));
+    expect(toDisplayAnswer(shuffledNumeric, '12 nm')).toBe('12 nm');
+  });
+});
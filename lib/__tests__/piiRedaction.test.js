@@ -0,0 +1,118 @@
+/* global describe, it, expect, __dirname */
+
+import fs from 'fs';
+import path from 'path';
+import { describeRedaction, maskPII, redactExtraction, redactPII, restorePII } from '../piiRedaction';
+
+const LOGBOOK_PAGE = `PILOT LOGBOOK
+Name: Jane Doe          Licence No: GBR.FCL.PPL.A.123456
+Address: 12 Mill Lane, Oxford OX1 2AB
+Tel: +44 7700 900123   Email: jane.doe@example.com
+Passport No: 123456789
+Instructor: Capt. John Smith signed the entry. JANE DOE flew 1.2 hours on 12/03/2024.
+Call the school on 020 7946 0958.
+Climb to 3500 ft on QNH 1013 hPa and contact approach on 119.475 MHz.`;
+
+describe('piiRedaction', () => {
+  it('should mask every kind of personal detail with a placeholder per value', () => {
+    const { text, mapping, report } = redactPII(LOGBOOK_PAGE);
+
+    expect(text).toBe(`PILOT LOGBOOK
+Name: [NAME_1]          Licence No: [LICENCE_1]
+Address: [ADDRESS_1]
+Tel: [PHONE_1]   Email: [EMAIL_1]
+Passport No: [ID_1]
+Instructor: Capt. [NAME_2] signed the entry. [NAME_1] flew 1.2 hours on 12/03/2024.
+Call the school on [PHONE_2].
+Climb to 3500 ft on QNH 1013 hPa and contact approach on 119.475 MHz.`);
+    expect(mapping).toEqual({
+      '[NAME_1]': 'Jane Doe',
+      '[LICENCE_1]': 'GBR.FCL.PPL.A.123456',
+      '[ADDRESS_1]': '12 Mill Lane, Oxford OX1 2AB',
+      '[PHONE_1]': '+44 7700 900123',
+      '[EMAIL_1]': 'jane.doe@example.com',
+      '[ID_1]': '123456789',
+      '[NAME_2]': 'John Smith',
+      '[PHONE_2]': '020 7946 0958'
+    });
+    expect(report).toEqual({
+      redactorVersion: 2,
+      total: 8,
+      occurrences: 9,
+      counts: { name: 2, email: 1, phone: 2, licence: 1, id_number: 1, address: 1 }
+    });
+    expect(JSON.stringify(report)).not.toContain('Jane');
+  });
+
+  it('should leave study material without personal details alone', () => {
+    const manual = fs.readFileSync(path.join(__dirname, '../../samples/aviation_sample.txt'), 'utf8');
+
+    const { text, report } = redactPII(manual);
+
+    expect(text).toBe(manual);
+    expect(report.total).toBe(0);
+  });
+
+  it('should not take labelled words in ordinary aviation prose for names or addresses', () => {
+    const prose = `Student: Remember to check the fuel before every flight. Remember that carb heat reduces power.
+Instructor - Always brief the passengers. Always secure loose articles.
+The examiner: Conducts the skill test and the examiner conducts the oral questions. Conducts is no name.
+Holder: The licence holder must carry the licence. The holder signs it.
+Pilot: Checks the QNH. Checks continue at every stage.
+Address: The aerodrome operator publishes the noise abatement procedures in the AIP.
+The holder of a PPL may act as pilot in command - the examiner: The Flight Test Standards apply.`;
+
+    const { text, report } = redactPII(prose);
+
+    expect(text).toBe(prose);
+    expect(report.total).toBe(0);
+  });
+
+  it('should mask a single-word name only where it was found', () => {
+    const { text, mapping } = redactPII('Briefed by Capt. Smith before departure.\nSmith Field is the alternate.');
+
+    expect(text).toBe('Briefed by Capt. [NAME_1] before departure.\nSmith Field is the alternate.');
+    expect(maskPII('Which runway does Smith Field use?', mapping)).toBe('Which runway does Smith Field use?');
+  });
+
+  it('should describe a report to the user without the values', () => {
+    const { report } = redactPII(LOGBOOK_PAGE);
+
+    expect(describeRedaction(report)).toBe('2 names, 1 email address, 2 phone numbers, 1 licence number, ' +
+      '1 ID number and 1 address');
+    expect(describeRedaction(redactPII('Student: Jane Doe').report)).toBe('1 name');
+    expect(describeRedaction(redactPII('Climb to 3500 ft.').report)).toBeNull();
+  });
+
+  it('should restore placeholders on the device and mask real values in questions', () => {
+    const { mapping } = redactPII(LOGBOOK_PAGE);
+    const question = {
+      text: 'Which licence does jane doe hold?',
+      options: [{ id: 'A', text: 'GBR.FCL.PPL.A.123456' }, { id: 'B', text: 'None' }],
+      answer: { value: 1.2, unit: 'h' }
+    };
+
+    expect(restorePII('[NAME_2] signed for [NAME_1] ([NAME_9])', mapping)).toBe('John Smith signed for Jane Doe ([NAME_9])');
+    expect(maskPII([question], mapping)).toEqual([{
+      text: 'Which licence does [NAME_1] hold?',
+      options: [{ id: 'A', text: '[LICENCE_1]' }, { id: 'B', text: 'None' }],
+      answer: { value: 1.2, unit: 'h' }
+    }]);
+  });
+
+  it('should shift the page map of a redacted extraction', () => {
+    const page1 = 'Student: Jane Doe, solo cross-country.';
+    const page2 = 'Email jane.doe@example.com for the briefing notes.';
+    const text = `${page1}\n\n${page2}`;
+
+    const redacted = redactExtraction({
+      text,
+      pageMap: [{ page: 1, start: 0, end: page1.length }, { page: 2, start: page1.length + 2, end: text.length }]
+    });
+
+    const pageText = range => redacted.text.slice(range.start, range.end);
+    expect(pageText(redacted.pageMap[0])).toBe('Student: [NAME_1], solo cross-country.');
+    expect(pageText(redacted.pageMap[1])).toBe('Email [EMAIL_1] for the briefing notes.');
+    expect(redacted.piiMapping).toEqual({ '[NAME_1]': 'Jane Doe', '[EMAIL_1]': 'jane.doe@example.com' });
+  });
+});
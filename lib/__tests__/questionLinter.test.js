@@ -0,0 +1,98 @@
+/* global describe, it, expect */
+
+import { buildQualityReport, lintQuestion, LINT_RULES } from '../questionLinter';
+
+const question = (text, options, correctOptionId) => ({
+  text,
+  options: options.map((optionText, index) => ({ id: 'ABCDE'[index], text: optionText })),
+  correctOptionId,
+  explanation: 'From the material.'
+});
+
+const rulesOf = result => result.issues.map(issue => issue.rule);
+
+describe('questionLinter', () => {
+  it('should pass a clean question unchanged with a full score', () => {
+    const clean = question('Within which band do VOR stations transmit?',
+      ['108.0 to 117.95 MHz', '118.0 to 136.975 MHz', '190 to 535 kHz'], 'A');
+
+    const result = lintQuestion(clean);
+
+    expect(result).toMatchObject({ question: clean, score: 1, rejected: false, issues: [], reasons: [] });
+  });
+
+  it('should remove duplicate options, keep the correct one and re-letter the rest', () => {
+    const result = lintQuestion(question('How many satellites must RAIM verify for a GPS approach?',
+      ['At least 3', 'At least 5.', 'At least 4', 'at least 5'], 'D'));
+
+    expect(result.rejected).toBe(false);
+    expect(result.question.options).toEqual([
+      { id: 'A', text: 'At least 3' },
+      { id: 'B', text: 'At least 4' },
+      { id: 'C', text: 'at least 5' }
+    ]);
+    expect(result.question.correctOptionId).toBe('C');
+    expect(rulesOf(result)).toEqual([LINT_RULES.DUPLICATE_OPTIONS]);
+    expect(result.score).toBe(0.95);
+  });
+
+  it('should reject "all of the above" answers and drop it as a spare distractor', () => {
+    const asAnswer = lintQuestion(question('Which instruments use the pitot-static system?',
+      ['Altimeter', 'Airspeed indicator', 'All of the above'], 'C'));
+    const asDistractor = lintQuestion(question('Which instrument uses pitot pressure?',
+      ['Altimeter', 'Airspeed indicator', 'Attitude indicator', 'None of the above'], 'B'));
+
+    expect(asAnswer).toMatchObject({ rejected: true, score: 0, reasons: ['the correct answer is "All of the above"'] });
+    expect(asDistractor.rejected).toBe(false);
+    expect(asDistractor.question.options.map(option => option.text))
+      .toEqual(['Altimeter', 'Airspeed indicator', 'Attitude indicator']);
+  });
+
+  it('should reject questions left with too few distinct options', () => {
+    const result = lintQuestion(question('What does a VOR radial describe?',
+      ['A magnetic bearing from the station', 'A magnetic bearing from the station', 'A true bearing'], 'A'));
+
+    expect(result.rejected).toBe(true);
+    expect(result.reasons).toEqual(['only 2 distinct options']);
+  });
+
+  it('should flag a correct answer that is much longer than the distractors', () => {
+    const result = lintQuestion(question('Why does INS accuracy degrade over time?',
+      ['Heat', 'Because small measurement errors are integrated and accumulate', 'Vibration'], 'B'));
+
+    expect(result.rejected).toBe(false);
+    expect(rulesOf(result)).toEqual([LINT_RULES.LONGEST_CORRECT_OPTION]);
+    expect(result.score).toBe(0.8);
+  });
+
+  it('should reject stems that already contain the answer', () => {
+    const giveaway = lintQuestion(question('The VOR operates in the VHF band. In which band does the VOR operate?',
+      ['VHF band', 'UHF band', 'LF band'], 'A'));
+    const shared = lintQuestion(question('Does the VOR use the VHF band or the UHF band?',
+      ['VHF band', 'UHF band', 'LF band'], 'A'));
+
+    expect(giveaway.reasons).toEqual(['the question text contains the correct answer']);
+    expect(shared.rejected).toBe(false);
+  });
+
+  it('should summarise accepted and rejected questions in a report', () => {
+    const fixed = lintQuestion(question('How many satellites must RAIM verify for a GPS approach?',
+      ['At least 3', 'At least 5', 'At least 5', 'At least 4'], 'B'));
+    const clean = lintQuestion(question('Within which band do VOR stations transmit?',
+      ['108.0 to 117.95 MHz', '118.0 to 136.975 MHz', '190 to 535 kHz'], 'A'));
+    const accepted = [fixed, clean].map(result => ({ ...result.question, quality: { score: result.score, issues: result.issues } }));
+
+    const report = buildQualityReport(accepted, [{ text: 'Which is true?', reasons: ['only 2 distinct options'] }]);
+
+    expect(report).toMatchObject({
+      checked: 3,
+      passed: 1,
+      fixed: 1,
+      rejected: 1,
+      rules: { [LINT_RULES.DUPLICATE_OPTIONS]: 1 },
+      rejections: [{ text: 'Which is true?', reasons: ['only 2 distinct options'] }],
+      flagged: [{ text: accepted[0].text, score: 0.95, issues: ['removed 1 duplicate option'] }]
+    });
+    expect(report.averageScore).toBeCloseTo(0.975, 1);
+  });
+});
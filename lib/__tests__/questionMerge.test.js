@@ -0,0 +1,93 @@
+/* global describe, it, expect */
+
+import { isDuplicateQuestion, mergeChunkQuestions } from '../questionMerge';
+
+const question = (text, answer = 'Answer', distractor = 'Other') => ({
+  text,
+  options: [{ id: 'A', text: distractor }, { id: 'B', text: answer }, { id: 'C', text: 'None' }],
+  correctOptionId: 'B',
+  explanation: 'From the material.'
+});
+
+const chunk = (index, chapter) => ({ index, chapter });
+
+describe('questionMerge', () => {
+  it('should treat rephrased questions with the same answer as duplicates', () => {
+    const a = question('In which frequency band do VOR ground stations transmit?', '108.0 to 117.95 MHz');
+    const b = question('Which frequency band is used by VOR stations?', '108.0 to 117.95 MHz');
+    const c = question('Which frequency band is used by ILS localisers?', '108.1 to 111.95 MHz');
+
+    expect(isDuplicateQuestion(a, b)).toBe(true);
+    expect(isDuplicateQuestion(a, c)).toBe(false);
+  });
+
+  it('should drop overlaps across chunks and keep each chunk to its target', () => {
+    const results = [
+      {
+        chunk: chunk(0, 'VOR'),
+        target: 2,
+        questions: [question('What does a VOR radial describe?', 'Magnetic bearing from the station'),
+          question('What is the range of a terminal VOR?', '25 NM'), question('What does TVOR mean?', 'Terminal VOR')]
+      },
+      {
+        chunk: chunk(1, 'GPS'),
+        target: 2,
+        questions: [question('What does a VOR radial describe exactly?', 'Magnetic bearing from the station'),
+          question('How many satellites must RAIM verify for an approach?', '5'),
+          question('What does WAAS provide?', 'Correction signals')]
+      }
+    ];
+
+    const merged = mergeChunkQuestions(results, 4);
+
+    expect(merged.map(item => item.text)).toEqual([
+      'What does a VOR radial describe?',
+      'What is the range of a terminal VOR?',
+      'How many satellites must RAIM verify for an approach?',
+      'What does WAAS provide?'
+    ]);
+  });
+
+  it('should fill the shortfall of a failed chunk from the least covered chapter', () => {
+    const results = [
+      {
+        chunk: chunk(0, 'VOR'),
+        target: 2,
+        questions: [question('What does a VOR radial describe?', 'Magnetic bearing'),
+          question('What is the range of a terminal VOR?', '25 NM'), question('What does TVOR mean?', 'Terminal VOR')]
+      },
+      { chunk: chunk(1, 'GPS'), target: 2, questions: [] },
+      {
+        chunk: chunk(2, 'INS'),
+        target: 1,
+        questions: [question('Why does an INS drift over time?', 'Sensor errors accumulate'),
+          question('Which sensors measure rotation in an INS?', 'Gyroscopes')]
+      }
+    ];
+
+    const merged = mergeChunkQuestions(results, 4);
+
+    expect(merged.map(item => item.text)).toEqual([
+      'What does a VOR radial describe?',
+      'What is the range of a terminal VOR?',
+      'Why does an INS drift over time?',
+      'Which sensors measure rotation in an INS?'
+    ]);
+  });
+
+  it('should never return more than questionCount questions', () => {
+    const results = [{
+      chunk: chunk(0, null),
+      target: 5,
+      questions: [
+        question('What does a VOR radial describe?', 'Magnetic bearing'),
+        question('Why does an INS drift over time?', 'Sensor errors accumulate'),
+        question('What does WAAS provide?', 'Correction signals'),
+        question('What is the range of a terminal VOR?', '25 NM'),
+        question('Which sensors measure rotation in an INS?', 'Gyroscopes')
+      ]
+    }];
+
+    expect(mergeChunkQuestions(results, 3)).toHaveLength(3);
+  });
+});
@@ -0,0 +1,106 @@
+/* global describe, it, expect */
+
+import { toCanonicalQuestion, toOptionRows, toQuestionRow, toQuizScreenQuestion } from '../questionModel';
+
+const singleChoice = {
+  id: 'q1',
+  type: 'single_choice',
+  text: 'Which frequency band does the VOR use?',
+  options: [
+    { id: 'A', text: 'LF' },
+    { id: 'B', text: 'VHF' },
+    { id: 'C', text: 'UHF' },
+    { id: 'D', text: 'HF' }
+  ],
+  correctOptionId: 'B',
+  explanation: 'The VOR operates between 108.0 and 117.95 MHz.',
+  difficulty: 'Easy',
+  citation: { page: 2, excerpt: '108.0 to 117.95 MHz' }
+};
+
+const multiSelect = {
+  id: 'q2',
+  type: 'multi_select',
+  text: 'Which of these are primary flight instruments?',
+  options: [
+    { id: 'A', text: 'Altimeter' },
+    { id: 'B', text: 'Fuel gauge' },
+    { id: 'C', text: 'Airspeed indicator' },
+    { id: 'D', text: 'Ammeter' }
+  ],
+  correctOptionIds: ['A', 'C'],
+  explanation: 'Both show flight data.',
+  difficulty: 'Medium'
+};
+
+const numeric = {
+  id: 'q3',
+  type: 'numeric',
+  text: 'What is the fuel burn for 2.5 hours at 32 litres per hour?',
+  answer: { value: 80, unit: 'l', tolerance: 2 },
+  explanation: '2.5 x 32 = 80 litres.',
+  difficulty: 'Medium'
+};
+
+describe('questionModel', () => {
+  it('should round-trip generated questions through the questions and question_options rows', () => {
+    [singleChoice, multiSelect, numeric].forEach((question, index) => {
+      const row = { id: question.id, ...toQuestionRow(question, index + 1) };
+
+      expect(toCanonicalQuestion(row)).toEqual(question);
+    });
+    // The option rows alone carry the same answer key
+    [singleChoice, multiSelect].forEach((question, index) => {
+      const row = { id: question.id, ...toQuestionRow(question, index + 1), options: [], correct_answer: null, answer: null };
+
+      expect(toCanonicalQuestion({ ...row, question_options: toOptionRows(question, question.id) })).toEqual(question);
+    });
+  });
+
+  it('should write the columns the schema has', () => {
+    expect(toQuestionRow(singleChoice, 1)).toEqual({
+      question_number: 1,
+      question_text: singleChoice.text,
+      question_type: 'single_choice',
+      options: singleChoice.options,
+      correct_answer: 1,
+      answer: null,
+      explanation: singleChoice.explanation,
+      citation: singleChoice.citation,
+      difficulty: 'Easy'
+    });
+    expect(toQuestionRow(multiSelect, 2)).toMatchObject({ correct_answer: null, answer: { correctAnswers: [0, 2] } });
+    expect(toQuestionRow(numeric, 3)).toMatchObject({ options: [], correct_answer: null, answer: numeric.answer });
+    expect(toOptionRows(multiSelect, 'row-2').map(row => row.is_correct)).toEqual([true, false, true, false]);
+  });
+
+  it('should convert to the quiz screen shape and back without losing the answer key', () => {
+    const screenQuestion = toQuizScreenQuestion(multiSelect, 4);
+
+    expect(screenQuestion).toMatchObject({
+      questionText: multiSelect.text,
+      questionNumber: 5,
+      correctAnswer: null,
+      correctAnswers: [0, 2]
+    });
+    expect(screenQuestion.options.map(option => option.isCorrect)).toEqual([true, false, true, false]);
+    expect(toCanonicalQuestion(screenQuestion)).toEqual(multiSelect);
+    expect(toQuizScreenQuestion(screenQuestion, 4)).toEqual(screenQuestion);
+  });
+
+  it('should read the answer key off the options when that is all there is', () => {
+    const legacy = {
+      id: 'q4',
+      questionText: 'Which side of the runway is the windsock on?',
+      options: [{ text: 'Left', isCorrect: false }, { text: 'Right', isCorrect: true }]
+    };
+
+    expect(toCanonicalQuestion(legacy)).toEqual({
+      id: 'q4',
+      type: 'single_choice',
+      text: legacy.questionText,
+      options: [{ id: 'A', text: 'Left' }, { id: 'B', text: 'Right' }],
+      correctOptionId: 'B'
+    });
+  });
+});
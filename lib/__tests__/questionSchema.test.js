@@ -0,0 +1,184 @@
+/* global describe, it, expect */
+
+import {
+  extractJsonPayload,
+  repairQuestion,
+  validateQuestion,
+  parseQuestionSet,
+  parseSingleQuestion
+} from '../questionSchema';
+import { GENERATION_ERROR_CODES } from '../generationErrors';
+
+const validItem = {
+  text: 'What is the primary purpose of the ailerons?',
+  options: [
+    { id: 'A', text: 'Control pitch' },
+    { id: 'B', text: 'Control roll' },
+    { id: 'C', text: 'Control yaw' },
+    { id: 'D', text: 'Reduce landing speed' }
+  ],
+  correctOptionId: 'B',
+  explanation: 'Ailerons control roll by creating differential lift.',
+  source: { excerpt: 'The ailerons control roll by creating differential lift on the wings.' }
+};
+
+describe('questionSchema', () => {
+  describe('extractJsonPayload', () => {
+    it('should parse JSON wrapped in code fences and prose', () => {
+      const raw = 'Here are your questions:\n```json\n{"questions": []}\n```\nGood luck!';
+      expect(extractJsonPayload(raw)).toEqual({ questions: [] });
+    });
+
+    it('should tolerate trailing commas', () => {
+      expect(extractJsonPayload('{"questions": [1, 2,],}')).toEqual({ questions: [1, 2] });
+    });
+
+    it('should throw a structured error for non-JSON responses', () => {
+      expect.assertions(2);
+      try {
+        extractJsonPayload('### Question 1: What is lift?\nA) A force');
+      } catch (error) {
+        expect(error.code).toBe(GENERATION_ERROR_CODES.INVALID_JSON);
+        expect(error.details.preview).toContain('### Question 1');
+      }
+    });
+  });
+
+  describe('repairQuestion', () => {
+    it('should normalise alternative field names and option formats', () => {
+      const repaired = repairQuestion({
+        question: '**What does AGL stand for?**',
+        options: ['A) Above Ground Level', 'B) Actual Glide Length', 'C) Auxiliary Gear Lever'],
+        correct_answer: 'a',
+        rationale: 'AGL is height above the terrain.'
+      });
+
+      expect(repaired.text).toBe('What does AGL stand for?');
+      expect(repaired.options[0]).toEqual({ id: 'A', text: 'Above Ground Level' });
+      expect(repaired.correctOptionId).toBe('A');
+      expect(repaired.explanation).toBe('AGL is height above the terrain.');
+    });
+
+    it('should accept the supporting quote as a plain string', () => {
+      const { source, ...item } = validItem;
+      expect(repairQuestion({ ...item, quote: `  ${source.excerpt}` }).source).toEqual(source);
+      expect(repairQuestion({ ...item, source: { quote: source.excerpt } }).source).toEqual(source);
+    });
+
+    it('should resolve the correct answer from an index or the option text', () => {
+      expect(repairQuestion({ ...validItem, correctOptionId: undefined, answer: 2 }).correctOptionId).toBe('C');
+      expect(repairQuestion({ ...validItem, correctOptionId: 'Control roll' }).correctOptionId).toBe('B');
+    });
+
+    it('should repair true/false, multi-select and numeric questions', () => {
+      const { source, explanation } = validItem;
+      const trueFalse = repairQuestion({ type: 'True/False', text: 'Ailerons control roll.', answer: true, explanation, source });
+      expect(trueFalse.type).toBe('true_false');
+      expect(trueFalse.options.map(option => option.text)).toEqual(['True', 'False']);
+      expect(trueFalse.correctOptionId).toBe('A');
+
+      const multi = repairQuestion({ ...validItem, type: 'select all', correctOptionId: undefined, correctAnswers: 'a, c' });
+      expect(multi.type).toBe('multi_select');
+      expect(multi.correctOptionIds).toEqual(['A', 'C']);
+
+      const numeric = repairQuestion({ text: 'What is the fuel burn?', answer: '12.5 usg', tolerance: '0.5', explanation, source });
+      expect(numeric.type).toBe('numeric');
+      expect(numeric.answer).toEqual({ value: 12.5, unit: 'usg', tolerance: 0.5 });
+      expect(numeric).not.toHaveProperty('options');
+    });
+
+    it('should normalise difficulty labels and drop ones it cannot read', () => {
+      expect(repairQuestion({ ...validItem, difficulty: 'hard' }).difficulty).toBe('Hard');
+      expect(repairQuestion({ ...validItem, level: ' Easy ' }).difficulty).toBe('Easy');
+      expect(repairQuestion({ ...validItem, difficulty: 'tricky' })).not.toHaveProperty('difficulty');
+    });
+  });
+
+  describe('validateQuestion', () => {
+    it('should accept a well-formed question', () => {
+      expect(validateQuestion(validItem)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject a correct answer that matches no option', () => {
+      const result = validateQuestion({ ...validItem, correctOptionId: 'E' });
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('does not match any option');
+    });
+
+    it('should reject questions without a supporting quote', () => {
+      const result = validateQuestion({ ...validItem, source: undefined });
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain("must have required property 'source'");
+    });
+
+    it('should reject questions with too few options', () => {
+      const result = validateQuestion({ ...validItem, options: validItem.options.slice(0, 2) });
+      expect(result.valid).toBe(false);
+    });
+
+    it('should validate each question type against its own schema', () => {
+      const { correctOptionId, ...choice } = validItem;
+      expect(correctOptionId).toBe('B');
+      expect(validateQuestion({ ...choice, type: 'multi_select', correctOptionIds: ['B', 'C'] }).valid).toBe(true);
+      expect(validateQuestion({ ...choice, type: 'multi_select', correctOptionIds: ['A', 'B', 'C', 'D'] }).errors)
+        .toEqual(['/correctOptionIds at least one option must be wrong']);
+      expect(validateQuestion({ ...choice, type: 'multi_select', correctOptionIds: ['B', 'E'] }).errors[0])
+        .toContain('"E" does not match any option');
+
+      const { options, ...stem } = choice;
+      expect(options).toHaveLength(4);
+      const numeric = { ...stem, type: 'numeric', answer: { value: 1250, unit: 'ft', tolerance: 50 } };
+      expect(validateQuestion(numeric).valid).toBe(true);
+      expect(validateQuestion({ ...numeric, answer: { ...numeric.answer, tolerance: -5 } }).valid).toBe(false);
+      expect(validateQuestion({ ...numeric, answer: { value: '1250', unit: 'ft', tolerance: 50 } }).valid).toBe(false);
+    });
+  });
+
+  describe('parseQuestionSet', () => {
+    it('should separate valid questions from invalid items', () => {
+      const raw = JSON.stringify({
+        questions: [validItem, { ...validItem, explanation: undefined, options: [] }]
+      });
+
+      const result = parseQuestionSet(raw);
+
+      expect(result.questions).toHaveLength(1);
+      expect(result.questions[0].correctOptionId).toBe('B');
+      expect(result.questions[0].citation).toEqual({ excerpt: validItem.source.excerpt });
+      expect(result.invalid).toHaveLength(1);
+      expect(result.invalid[0].index).toBe(1);
+      expect(result.invalid[0].errors.length).toBeGreaterThan(0);
+    });
+
+    it('should carry the answer key of each question type', () => {
+      const { correctOptionId, options, ...stem } = validItem;
+      expect(correctOptionId).toBe('B');
+      const raw = JSON.stringify({
+        questions: [
+          { ...stem, options, type: 'multi_select', correctOptionIds: ['A', 'B'] },
+          { ...stem, type: 'numeric', answer: { value: 120, unit: 'kt', tolerance: 5 } }
+        ]
+      });
+
+      const [multi, numeric] = parseQuestionSet(raw).questions;
+
+      expect(multi).toMatchObject({ type: 'multi_select', correctOptionIds: ['A', 'B'] });
+      expect(multi).not.toHaveProperty('correctOptionId');
+      expect(numeric).toMatchObject({ type: 'numeric', options: [], answer: { value: 120, unit: 'kt', tolerance: 5 } });
+    });
+
+    it('should throw SCHEMA_MISMATCH when there is no questions array', () => {
+      expect(() => parseQuestionSet('{"items": []}')).toThrow(
+        expect.objectContaining({ code: GENERATION_ERROR_CODES.SCHEMA_MISMATCH })
+      );
+    });
+  });
+
+  describe('parseSingleQuestion', () => {
+    it('should unwrap a question returned inside the set envelope', () => {
+      const result = parseSingleQuestion(JSON.stringify({ questions: [validItem] }), 3);
+      expect(result.question.text).toBe(validItem.text);
+      expect(result.question.id).toMatch(/-3$/);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/* global describe, it, expect */
+
+import {
+  allocateQuestionTypes,
+  convertUnit,
+  describeCorrectAnswer,
+  formatNumericAnswer,
+  isAnswered,
+  normaliseQuestionType,
+  parseNumericAnswer,
+  questionTypeOf,
+  resolveQuestionTypes,
+  scoreAnswer
+} from '../questionTypes';
+
+const numeric = { type: 'numeric', answer: { value: 1250, unit: 'ft', tolerance: 50 } };
+const multi = { type: 'multi_select', correctAnswers: [0, 2] };
+
+describe('questionTypes', () => {
+  it('should read type names and default to single choice', () => {
+    expect(normaliseQuestionType('True/False')).toBe('true_false');
+    expect(normaliseQuestionType('calculation')).toBe('numeric');
+    expect(normaliseQuestionType('essay')).toBeNull();
+    expect(questionTypeOf({})).toBe('single_choice');
+  });
+
+  it('should parse numbers with units, thousands separators and decimal commas', () => {
+    expect(parseNumericAnswer('1,250 ft')).toEqual({ value: 1250, unit: 'ft' });
+    expect(parseNumericAnswer('12,5 Litres')).toEqual({ value: 12.5, unit: 'l' });
+    expect(parseNumericAnswer('-3°C')).toEqual({ value: -3, unit: 'c' });
+    expect(parseNumericAnswer('about right')).toBeNull();
+  });
+
+  it('should convert between units of the same dimension only', () => {
+    expect(convertUnit(1000, 'm', 'feet')).toBeCloseTo(3280.84);
+    expect(convertUnit(10, 'usg', 'l')).toBeCloseTo(37.85, 1);
+    expect(convertUnit(15, 'C', 'F')).toBe(59);
+    expect(convertUnit(10, 'kg', 'ft')).toBeNull();
+  });
+
+  it('should score numeric answers within the tolerance band, in any unit', () => {
+    expect(scoreAnswer(numeric, '1290')).toEqual({ credit: 1, correct: true });
+    expect(scoreAnswer(numeric, '380 m')).toEqual({ credit: 1, correct: true });
+    expect(scoreAnswer(numeric, '1310 ft')).toEqual({ credit: 0, correct: false });
+    expect(scoreAnswer(numeric, '1250 kg')).toEqual({ credit: 0, correct: false });
+    expect(formatNumericAnswer(numeric.answer)).toBe('1250 ft (±50)');
+    // Without a tolerance, 2% of the answer is accepted
+    expect(scoreAnswer({ type: 'numeric', answer: { value: 100, unit: 'kt' } }, '102').correct).toBe(true);
+  });
+
+  it('should score headings across north by the shortest angle', () => {
+    const heading = { type: 'numeric', answer: { value: 359, unit: 'deg', tolerance: 2 } };
+    expect(scoreAnswer(heading, '001')).toEqual({ credit: 1, correct: true });
+    expect(scoreAnswer(heading, '357°')).toEqual({ credit: 1, correct: true });
+    expect(scoreAnswer(heading, '005')).toEqual({ credit: 0, correct: false });
+    expect(scoreAnswer({ type: 'numeric', answer: { value: 0, unit: 'deg', tolerance: 2 } }, '360').correct).toBe(true);
+  });
+
+  it('should give partial credit for multi-select answers', () => {
+    expect(scoreAnswer(multi, [0, 2])).toEqual({ credit: 1, correct: true });
+    expect(scoreAnswer(multi, [0])).toEqual({ credit: 0.5, correct: false });
+    expect(scoreAnswer(multi, [0, 1])).toEqual({ credit: 0, correct: false });
+    expect(scoreAnswer(multi, [0, 1, 2, 3])).toEqual({ credit: 0, correct: false });
+    expect(isAnswered(multi, [])).toBe(false);
+  });
+
+  it('should describe the correct answer of each type', () => {
+    expect(describeCorrectAnswer({ type: 'single_choice', correctAnswer: 1 })).toBe('B');
+    expect(describeCorrectAnswer(multi)).toBe('A, C');
+    expect(describeCorrectAnswer(numeric)).toBe('1250 ft (±50)');
+  });
+
+  it('should score single choice and true/false answers by index', () => {
+    expect(scoreAnswer({ correctAnswer: 1 }, 1)).toEqual({ credit: 1, correct: true });
+    expect(scoreAnswer({ type: 'true_false', correctAnswer: 0 }, 1)).toEqual({ credit: 0, correct: false });
+    expect(isAnswered(numeric, '  ')).toBe(false);
+  });
+
+  it('should split the questions of a prompt over the requested types', () => {
+    expect(resolveQuestionTypes(['numeric', 'mcq', 'bogus'])).toEqual(['single_choice', 'numeric']);
+    expect(resolveQuestionTypes([])).toEqual(['single_choice']);
+    expect(allocateQuestionTypes(10, ['single_choice', 'true_false', 'numeric'])).toEqual({
+      single_choice: 4,
+      true_false: 3,
+      numeric: 3
+    });
+  });
+});
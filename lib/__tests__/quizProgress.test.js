@@ -0,0 +1,109 @@
+/* global describe, it, expect */
+
+import { formatElapsed, progressFromQuiz, restoreSelections } from '../quizProgress';
+import { shuffleForAttempt, toCanonicalAnswer } from '../optionShuffle';
+
+const questions = [
+  {
+    id: 'q1',
+    type: 'single_choice',
+    options: [{ id: 'A', text: 'LF' }, { id: 'B', text: 'VHF' }, { id: 'C', text: 'UHF' }, { id: 'D', text: 'HF' }],
+    correctAnswer: 1
+  },
+  {
+    id: 'q2',
+    type: 'multi_select',
+    options: [{ id: 'A', text: 'Altimeter' }, { id: 'B', text: 'Fuel gauge' }, { id: 'C', text: 'Airspeed indicator' }],
+    correctAnswers: [0, 2]
+  },
+  {
+    id: 'q3',
+    type: 'numeric',
+    answer: { value: 80, unit: 'l', tolerance: 2 }
+  }
+];
+
+describe('quizProgress', () => {
+  it('should resume a quiz from the server at its first unanswered question', () => {
+    const quiz = {
+      id: 'quiz-1',
+      title: 'Navigation',
+      status: 'in_progress',
+      optionSeed: 42,
+      elapsedSeconds: 95,
+      createdAt: '2026-10-01T10:00:00.000Z',
+      questions: [
+        { ...questions[0], userAnswer: 1, flagged: false },
+        { ...questions[1], userAnswer: null, flagged: true },
+        { ...questions[2], userAnswer: '80', flagged: false }
+      ]
+    };
+
+    expect(progressFromQuiz(quiz)).toEqual({
+      quizId: 'quiz-1',
+      title: 'Navigation',
+      totalQuestions: 3,
+      optionSeed: 42,
+      currentQuestionIndex: 1,
+      answers: { q1: 1, q3: '80' },
+      flagged: ['q2'],
+      elapsedMs: 95000,
+      mode: 'untimed',
+      exam: null,
+      questionTimes: {},
+      startedAt: '2026-10-01T10:00:00.000Z',
+      updatedAt: null
+    });
+  });
+
+  it('should resume an exam whose time is running even with nothing answered', () => {
+    const quiz = {
+      id: 'quiz-1',
+      mode: 'exam',
+      examProfile: 'sacaa-ppl',
+      examEndsAt: '2026-10-01T10:07:30.000Z',
+      questions: questions.map(question => ({ ...question, userAnswer: null }))
+    };
+
+    expect(progressFromQuiz(quiz)).toMatchObject({
+      mode: 'exam',
+      exam: { profileId: 'sacaa-ppl', timeLimitMs: 270000, endsAt: '2026-10-01T10:07:30.000Z' },
+      currentQuestionIndex: 0
+    });
+  });
+
+  it('should resume a practice attempt in practice mode', () => {
+    const quiz = { id: 'quiz-1', mode: 'practice', questions: [{ ...questions[0], userAnswer: 2 }] };
+
+    expect(progressFromQuiz(quiz)).toMatchObject({ mode: 'practice', exam: null, answers: { q1: 2 } });
+  });
+
+  it('should have nothing to resume for a finished or untouched quiz', () => {
+    const untouched = { id: 'quiz-1', questions: questions.map(question => ({ ...question, userAnswer: null })) };
+
+    expect(progressFromQuiz(untouched)).toBeNull();
+    expect(progressFromQuiz({ ...untouched, status: 'completed', questions: [{ ...questions[0], userAnswer: 1 }] }))
+      .toBeNull();
+    expect(progressFromQuiz(null)).toBeNull();
+  });
+
+  it('should restore the selections as they were shown', () => {
+    const shown = shuffleForAttempt(questions, 7);
+    const selections = { q1: shown[0].correctAnswer, q2: [...shown[1].correctAnswers].sort((a, b) => a - b), q3: '79.5' };
+    const stored = {};
+    shown.forEach(question => {
+      stored[question.id] = toCanonicalAnswer(question, selections[question.id]);
+    });
+
+    // The same seed shows the same order, so the user sees what they picked
+    expect(restoreSelections(shuffleForAttempt(questions, 7), stored)).toEqual(selections);
+    expect(restoreSelections(shown, { ...stored, removed: 2 })).not.toHaveProperty('removed');
+  });
+
+  it('should format the time spent', () => {
+    expect(formatElapsed(0)).toBe('0:00');
+    expect(formatElapsed(65000)).toBe('1:05');
+    expect(formatElapsed(3723000)).toBe('1:02:03');
+    expect(formatElapsed(undefined)).toBe('0:00');
+  });
+});
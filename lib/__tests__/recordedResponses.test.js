@@ -0,0 +1,182 @@
+/* global jest, describe, beforeEach, it, expect, TextEncoder, __dirname */
+
+/**
+ * Golden tests for question generation on recorded model responses: every recorded
+ * conversation in fixtures/recorded-responses is replayed through generateQuestions,
+ * so the responses go through the same parsing, response retry, per-item repair and
+ * finishing steps as a live provider's (see lib/aiProcessing.js). The questions that
+ * come out are compared with the expected result stored next to the recording.
+ *
+ * Each fixture is:
+ *   <name>.txt     - the response to the question-set request, exactly as the provider returned it
+ *   <name>.<n>.txt - the response to the n-th follow-up request (response retry or question repair),
+ *                    only where the model's answer to it was captured too
+ *   <name>.json    - {"description", "document" (study text the questions are about, relative to
+ *                    the repository root), "questionCount", "expected"}
+ * where expected is {"requests" (the prompt each request answered), "questions"} or, when
+ * generation gives up, {"requests", "error"}. Question bank questions are drawn at random, so
+ * a fallback to them is recorded as {"requests", "fallback": "question-bank"}. Follow-up requests without a captured answer
+ * fail as a provider error would, and are listed in expected as "unrecorded", so a capture
+ * that needs a retry says so instead of carrying a made-up answer. Study texts that only
+ * exist for a recording are kept in fixtures/recorded-responses/documents.
+ *
+ * To add a response captured from a parsing failure, save it as <name>.txt, write
+ * <name>.json with a description, the document and the question count, then run
+ *   UPDATE_GOLDEN=1 npx jest lib/__tests__/recordedResponses.test.js
+ * Review the "expected" it writes before committing, and re-run the same way when a
+ * pipeline change is meant to change the results.
+ */
+import fs from 'fs';
+import path from 'path';
+import { supabase } from '../../src/services/supabaseClient';
+import documentService from '../../src/services/documentService';
+import { generateQuestions } from '../aiProcessing';
+
+jest.mock('../../src/services/supabaseClient', () => ({
+  supabase: {
+    from: jest.fn().mockReturnThis(),
+    select: jest.fn().mockReturnThis(),
+    eq: jest.fn().mockReturnThis(),
+    maybeSingle: jest.fn(),
+    storage: {
+      from: jest.fn().mockReturnThis(),
+      download: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../../src/services/documentService', () => ({
+  __esModule: true,
+  default: {
+    getDocumentText: jest.fn(),
+    saveDocumentText: jest.fn(),
+    getQuestionPool: jest.fn(),
+    saveQuestionPool: jest.fn()
+  }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null)),
+  setItem: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('../../src/utils/environment', () => ({
+  env: { llm: { provider: 'mock' } }
+}));
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'recorded-responses');
+// Read through a variable: react-native-dotenv inlines process.env.X, and Jest would cache the inlined value
+const { env } = process;
+const UPDATE = env.UPDATE_GOLDEN === '1';
+
+// Minimal stand-in for a downloaded storage blob
+const blobOf = content => {
+  const bytes = new TextEncoder().encode(content);
+  return { type: 'text/plain', size: bytes.length, arrayBuffer: () => Promise.resolve(bytes.buffer) };
+};
+
+// Ids are generated from the clock, so they are left out of the comparison
+const withoutId = ({ id: _id, ...question }) => question;
+
+// Which prompt a request answers: the retry continues the question-set conversation, repairs start their own
+const requestKind = (index, messages) => {
+  if (index === 0) {
+    return 'question-set';
+  }
+  return messages.length > 1 ? 'response-retry' : 'question-repair';
+};
+
+/**
+ * A provider that answers each request with the next recorded response of a fixture.
+ * Requests without a recording fail and are noted in `unrecorded` - generateQuestions
+ * would otherwise hide them behind question bank questions.
+ */
+function createReplayProvider(fixture) {
+  const requests = [];
+  const unrecorded = [];
+  return {
+    name: 'replay',
+    model: fixture.name,
+    requests,
+    unrecorded,
+
+    async complete({ messages }) {
+      const index = requests.length;
+      requests.push(requestKind(index, messages));
+      const file = index === 0 ? `${fixture.name}.txt` : `${fixture.name}.${index}.txt`;
+      const recordingPath = path.join(FIXTURE_DIR, file);
+      if (!fs.existsSync(recordingPath)) {
+        unrecorded.push(`${file} (${requests[index]})`);
+        throw new Error(`No recorded response in ${file}`);
+      }
+      return { text: fs.readFileSync(recordingPath, 'utf8') };
+    }
+  };
+}
+
+// Replay one conversation, as plain JSON so it can be stored and compared
+async function replay(fixture, provider) {
+  const document = fs.readFileSync(path.join(REPO_ROOT, fixture.meta.document), 'utf8');
+  supabase.storage.download.mockResolvedValue({ data: blobOf(document), error: null });
+  const conversation = () => ({
+    requests: provider.requests,
+    ...(provider.unrecorded.length > 0 && { unrecorded: provider.unrecorded })
+  });
+  try {
+    const questions = await generateQuestions(`recorded/${fixture.name}.txt`, {
+      questionCount: fixture.meta.questionCount,
+      llmProvider: provider
+    });
+    if (questions.length > 0 && questions.every(question => question.bank)) {
+      return { ...conversation(), fallback: 'question-bank' };
+    }
+    return { ...conversation(), questions: questions.map(withoutId) };
+  } catch (error) {
+    return { ...conversation(), error: { code: error.code || null, message: error.message } };
+  }
+}
+
+// Conversations start with a question-set response, <name>.txt; <name>.<n>.txt are its follow-ups
+const fixtures = fs.readdirSync(FIXTURE_DIR)
+  .filter(file => /^[\w-]+\.txt$/.test(file))
+  .sort()
+  .map(file => {
+    const name = path.basename(file, '.txt');
+    const metaPath = path.join(FIXTURE_DIR, `${name}.json`);
+    return {
+      name,
+      metaPath,
+      meta: fs.existsSync(metaPath) ? JSON.parse(fs.readFileSync(metaPath, 'utf8')) : null
+    };
+  });
+
+describe('recorded responses', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    supabase.maybeSingle.mockResolvedValue({ data: null, error: null });
+    documentService.getDocumentText.mockResolvedValue(null);
+    documentService.saveDocumentText.mockResolvedValue(true);
+    documentService.getQuestionPool.mockResolvedValue(null);
+    documentService.saveQuestionPool.mockResolvedValue(true);
+  });
+
+  it('should have fixtures to replay', () => {
+    expect(fixtures.length).toBeGreaterThan(0);
+  });
+
+  fixtures.forEach(fixture => {
+    it(`should generate questions from ${fixture.name} as recorded`, async () => {
+      expect(fixture.meta).not.toBeNull();
+      const provider = createReplayProvider(fixture);
+
+      const actual = await replay(fixture, provider);
+
+      if (UPDATE) {
+        fs.writeFileSync(fixture.metaPath, `${JSON.stringify({ ...fixture.meta, expected: actual }, null, 2)}\n`);
+        return;
+      }
+      expect(actual).toEqual(fixture.meta.expected);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/* global describe, it, expect */
+
+import { shuffleForAttempt, toCanonicalAnswer } from '../optionShuffle';
+import { toCanonicalQuestion, toQuestionRow, toQuizScreenQuestion } from '../questionModel';
+import { scoreQuestion, scoreQuiz } from '../scoring';
+
+const generated = [
+  {
+    id: 'q1',
+    type: 'single_choice',
+    text: 'Which frequency band does the VOR use?',
+    options: [{ id: 'A', text: 'LF' }, { id: 'B', text: 'VHF' }, { id: 'C', text: 'UHF' }, { id: 'D', text: 'HF' }],
+    correctOptionId: 'B'
+  },
+  {
+    id: 'q2',
+    type: 'true_false',
+    text: 'QNH set on the altimeter reads altitude above mean sea level.',
+    options: [{ id: 'A', text: 'True' }, { id: 'B', text: 'False' }],
+    correctOptionId: 'A'
+  },
+  {
+    id: 'q3',
+    type: 'multi_select',
+    text: 'Which of these are primary flight instruments?',
+    options: [{ id: 'A', text: 'Altimeter' }, { id: 'B', text: 'Fuel gauge' }, { id: 'C', text: 'Airspeed indicator' }],
+    correctOptionIds: ['A', 'C']
+  },
+  {
+    id: 'q4',
+    type: 'numeric',
+    text: 'What is the fuel burn for 2.5 hours at 32 litres per hour?',
+    answer: { value: 80, unit: 'l', tolerance: 2 }
+  }
+];
+
+// Answers in the stored option order, as submitQuiz receives them
+const canonicalAnswers = { q1: 1, q2: 1, q3: [0], q4: '81 l' };
+
+describe('scoring', () => {
+  it('should score every shape of the same question the same way', () => {
+    const shapes = question => [
+      question,
+      toQuestionRow(question, 1),
+      toQuizScreenQuestion(question, 0),
+      toCanonicalQuestion(toQuizScreenQuestion(question, 0))
+    ];
+
+    generated.forEach(question => {
+      const marks = shapes(question).map(shape => scoreQuestion(shape, canonicalAnswers[question.id]));
+      marks.forEach(mark => expect(mark).toEqual(marks[0]));
+    });
+    expect(generated.map(question => scoreQuestion(question, canonicalAnswers[question.id]))).toEqual([
+      { credit: 1, correct: true },
+      { credit: 0, correct: false },
+      { credit: 0.5, correct: false },
+      { credit: 1, correct: true }
+    ]);
+  });
+
+  it('should give the quiz screen and submitQuiz the same score for an attempt', () => {
+    // The screen shows the options shuffled and takes answers in that order
+    const shown = shuffleForAttempt(generated.map(toQuizScreenQuestion), 12345);
+    const displayAnswers = {};
+    shown.forEach(question => {
+      const canonical = canonicalAnswers[question.id];
+      const toDisplay = index => (question.optionOrder ? question.optionOrder.indexOf(index) : index);
+      displayAnswers[question.id] = Array.isArray(canonical) ? canonical.map(toDisplay)
+        : typeof canonical === 'number' ? toDisplay(canonical) : canonical;
+    });
+    shown.forEach(question => {
+      expect(toCanonicalAnswer(question, displayAnswers[question.id])).toEqual(canonicalAnswers[question.id]);
+    });
+
+    // submitQuiz scores the stored rows against the answers in the stored order
+    const rows = generated.map((question, index) => ({ id: question.id, ...toQuestionRow(question, index + 1) }));
+
+    const onScreen = scoreQuiz(shown, displayAnswers);
+    const submitted = scoreQuiz(rows, canonicalAnswers);
+
+    expect(onScreen).toEqual(submitted);
+    expect(submitted).toMatchObject({ score: 62.5, totalQuestions: 4, correctAnswers: 2, earnedCredit: 2.5 });
+  });
+
+  it('should count unanswered questions as wrong', () => {
+    expect(scoreQuiz(generated, {})).toMatchObject({ score: 0, correctAnswers: 0, totalQuestions: 4 });
+    expect(scoreQuiz([], {})).toMatchObject({ score: 0, totalQuestions: 0 });
+  });
+});
@@ -0,0 +1,60 @@
+/* global describe, it, expect */
+
+import { createCard, dueForReview, qualityOf, scheduleReview } from '../spacedRepetition';
+
+const NOW = new Date(2026, 9, 1, 9, 0, 0).getTime();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const days = (card, from = NOW) => Math.round((Date.parse(card.dueAt) - from) / DAY_MS);
+
+describe('spacedRepetition', () => {
+  it('should grade answers by correctness and response time', () => {
+    expect(qualityOf({ credit: 1, correct: true }, { timeSpentMs: 8000 })).toBe(5);
+    expect(qualityOf({ credit: 1, correct: true }, { timeSpentMs: 30000 })).toBe(4);
+    expect(qualityOf({ credit: 1, correct: true }, { timeSpentMs: 90000 })).toBe(3);
+    expect(qualityOf({ credit: 1, correct: true })).toBe(4);
+    expect(qualityOf({ credit: 0.5, correct: false })).toBe(2);
+    expect(qualityOf({ credit: 0, correct: false })).toBe(1);
+    expect(qualityOf({ credit: 0, correct: false }, { answered: false })).toBe(0);
+  });
+
+  it('should space out a question answered right at growing intervals', () => {
+    let card = createCard('q1', NOW);
+    const intervals = [];
+    let now = NOW;
+    for (let review = 0; review < 4; review++) {
+      card = scheduleReview(card, 4, now);
+      intervals.push(days(card, now));
+      now = Date.parse(card.dueAt);
+    }
+
+    expect(intervals).toEqual([1, 6, 15, 38]);
+    expect(card).toMatchObject({ repetitions: 4, easeFactor: 2.5, reviews: 4, lapses: 0, lastQuality: 4 });
+    // Easy recall grows the ease factor, hesitant recall shrinks it
+    expect(scheduleReview(createCard('q2', NOW), 5, NOW).easeFactor).toBe(2.6);
+    expect(scheduleReview(createCard('q3', NOW), 3, NOW).easeFactor).toBe(2.36);
+  });
+
+  it('should bring a forgotten question back the next day and count the lapse', () => {
+    let card = createCard('q1', NOW);
+    card = scheduleReview(card, 4, NOW);
+    card = scheduleReview(card, 4, NOW + DAY_MS);
+    card = scheduleReview(card, 1, NOW + 7 * DAY_MS);
+
+    expect(card).toMatchObject({ repetitions: 0, intervalDays: 1, lapses: 1, easeFactor: 2.5 });
+    expect(days(card, NOW + 7 * DAY_MS)).toBe(1);
+    // A new question answered wrong is not a lapse
+    expect(scheduleReview(createCard('q2', NOW), 1, NOW).lapses).toBe(0);
+  });
+
+  it('should build the session from the cards due today, longest overdue first', () => {
+    const card = (questionId, dueInHours) => ({
+      ...createCard(questionId, NOW),
+      dueAt: new Date(NOW + dueInHours * 60 * 60 * 1000).toISOString()
+    });
+    const cards = [card('later-today', 6), card('tomorrow', 24), card('overdue', -48), card('now', 0)];
+
+    expect(dueForReview(cards, NOW).map(due => due.questionId)).toEqual(['overdue', 'now', 'later-today']);
+    expect(dueForReview(cards, NOW, 1).map(due => due.questionId)).toEqual(['overdue']);
+  });
+});
@@ -1,38 +1,99 @@
-import axios from 'axios';
 import { supabase } from '../src/services/supabaseClient';
 import { env } from '../src/utils/environment';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import documentService from '../src/services/documentService';
+import { getLLMProvider } from './llm';
+import { extractDocumentContent, readBlobBytes, EXTRACTOR_VERSION } from './documentExtraction';
+import { sanitiseExtraction } from './documentSanitiser';
+import { maskPII, redactExtraction } from './piiRedaction';
+import { allocateQuestions, chunkDocument } from './documentChunking';
+import { mergeChunkQuestions } from './questionMerge';
+import { buildCitation, createCitationSource } from './citations';
+import { verifyGrounding } from './groundingVerifier';
+import { buildQualityReport, lintQuestion } from './questionLinter';
+import { balanceAnswerPositions } from './optionShuffle';
+import { detectSubjects, drawFallbackQuestions, QUESTION_BANK_VERSION } from './questionBank';
+import { generateCalculationQuestions } from './calculations';
+import { classifyDifficulty } from './difficulty';
+import { getPromptRegistry, promptVersionKey, promptVersionsOf, renderPrompt } from './prompts';
+import {
+  addToPool,
+  createQuestionPool,
+  drawFromPool,
+  generationOptionsKey,
+  isPoolCurrent,
+  unservedCount
+} from './generationCache';
+import {
+  createGenerationError,
+  GENERATION_ERROR_CODES,
+  isCancellation,
+  isDocumentFailure,
+  isParseFailure,
+  throwIfCancelled
+} from './generationErrors';
 
-// DeepSeek API configuration
-const DEEPSEEK_API_URL = 'https://api.deepseek.com/v1/chat/completions';
-const DEEPSEEK_MODEL = 'deepseek-chat'; // Using DeepSeek Chat model
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
- * Extracts text content from a document stored in Supabase
- * @param {string} filePath - Path to the file in Supabase storage
- * @returns {Promise<string>} - Extracted text content
+ * Look up the documents row for a document ID or storage path
+ * @param {string} documentRef - Document ID or path in the documents bucket
+ * @returns {Promise<{id: string|null, filePath: string, contentHash: string|null}>}
  */
-async function extractTextFromDocument(filePath) {
+async function resolveDocument(documentRef) {
+  const column = UUID_PATTERN.test(documentRef) ? 'id' : 'file_path';
   try {
-    console.log('[DEBUG] Starting document extraction for:', filePath);
-    console.log('[DEBUG] Supabase client available:', !!supabase);
+    const { data, error } = await supabase
+      .from('documents')
+      .select('id, file_path, content_hash')
+      .eq(column, documentRef)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) {
+      return { id: data.id, filePath: data.file_path, contentHash: data.content_hash || null };
+    }
+  } catch (error) {
+    console.warn('[WARN] Could not look up document record:', error.message);
+  }
+
+  // Unknown documents are still extracted, just not stored
+  return { id: null, filePath: documentRef, contentHash: null };
+}
+
+/**
+ * Extracts text content from a document stored in Supabase.
+ * Extractions are stored in document_texts, so each document is parsed only once.
+ * @param {string} documentRef - Document ID or path to the file in Supabase storage
+ * @returns {Promise<Object>} - Extraction ({text, pageMap, pageCount, scannedPages, extractor, extractorVersion}),
+ *                             plus the documentId and contentHash of its document (null for unknown documents)
+ * @throws {Error} - SCANNED_DOCUMENT, UNSUPPORTED_DOCUMENT or NO_EXTRACTABLE_TEXT generation errors
+ */
+async function extractTextFromDocument(documentRef) {
+  try {
+    console.log('[DEBUG] Starting document extraction for:', documentRef);
     
-    if (!filePath) {
-      console.error('[ERROR] Invalid file path provided:', filePath);
+    if (!documentRef) {
+      console.error('[ERROR] Invalid file path provided:', documentRef);
       throw new Error('Invalid document path: empty or undefined');
     }
     
-    // Log Supabase bucket access attempt
-    console.log('[DEBUG] Attempting to access Supabase storage bucket: documents');
+    const document = await resolveDocument(documentRef);
+    if (document.id) {
+      const stored = await documentService.getDocumentText(document.id, EXTRACTOR_VERSION);
+      if (stored) {
+        console.log(`[DEBUG] Using stored extraction: ${stored.text.length} characters, ${stored.pageCount} pages`);
+        return { ...stored, documentId: document.id, contentHash: document.contentHash };
+      }
+    }
     
     // Get file from Supabase storage
     const { data, error } = await supabase.storage
       .from('documents')
-      .download(filePath);
+      .download(document.filePath);
       
     if (error) {
       console.error('[ERROR] Failed to download document:', error);
-      console.error('[ERROR] Document path:', filePath);
+      console.error('[ERROR] Document path:', document.filePath);
       throw error;
     }
     
@@ -44,353 +105,373 @@ async function extractTextFromDocument(filePath) {
     console.log('[DEBUG] Document download successful, file type:', data.type);
     console.log('[DEBUG] Document size:', data.size, 'bytes');
     
-    // Convert blob to text
-    const text = await data.text();
+    const bytes = await readBlobBytes(data);
+    const extraction = extractDocumentContent(bytes);
     
-    // Log document content statistics
-    const contentPreview = text.substring(0, 100).replace(/\n/g, ' ');
-    console.log(`[SUCCESS] Extracted ${text.length} characters from document`);
+    const contentPreview = extraction.text.substring(0, 100).replace(/\n/g, ' ');
+    console.log(`[SUCCESS] Extracted ${extraction.text.length} characters from ${extraction.pageCount} pages (${extraction.extractor})`);
     console.log(`[DEBUG] Document content preview: "${contentPreview}..."`);
     
-    if (text.length < 50) {
-      console.warn('[WARN] Extracted document text is suspiciously short!');
+    if (document.id) {
+      await documentService.saveDocumentText(document.id, extraction);
     }
     
-    return text;
+    return { ...extraction, documentId: document.id, contentHash: document.contentHash };
   } catch (error) {
     console.error('[FATAL] Document extraction failed:', error);
-    console.error('[STACK] Error stack:', error.stack);
+    if (isDocumentFailure(error)) {
+      throw error;
+    }
     throw new Error(`Failed to extract text: ${error.message}`);
   }
 }
 
+// Generation limits
+const MAX_ITEM_REPAIR_ATTEMPTS = 1;
+// Chunks are asked for this many extra questions, so duplicates can be dropped when merging
+const CHUNK_EXTRA_QUESTION_SHARE = 0.25;
+
+const UNCITED_EXCERPT_ERROR = '/source/excerpt was not found in the study material - copy the supporting sentence word for word';
+const QUALITY_ERROR_PREFIX = 'quality check failed: ';
+
 /**
- * Generate aviation-specific questions using DeepSeek AI based on document content
+ * Request a completion for a rendered prompt from the configured LLM provider
+ * @param {Object} provider - LLM provider (see lib/llm)
+ * @param {Object} prompt - Rendered prompt (see prompts.renderPrompt); its system prompt and output contract apply
+ * @param {Array<Object>} messages - Chat messages (user/assistant turns)
+ * @returns {Promise<string>} - Raw text of the completion
+ */
+async function requestCompletion(provider, prompt, messages) {
+  const completion = await provider.complete({
+    system: prompt.system,
+    messages,
+    json: prompt.contract.json,
+    maxTokens: prompt.contract.maxTokens,
+    temperature: 0.3
+  });
+  return completion.text;
+}
+
+/**
+ * Ask the model to fix one invalid question, one item at a time
+ * @param {Object} provider - LLM provider
+ * @param {Object} template - The question-repair prompt template (see lib/prompts)
  * @param {string} documentText - Text content of the document
- * @param {number} questionCount - Number of questions to generate (default: 10)
- * @returns {Promise<Array>} - Array of generated questions
+ * @param {{index: number, item: Object, errors: Array<string>}} invalidItem - Item that failed validation
+ * @param {Function} checkQuestion - Extra validation rule (see validateQuestion)
+ * @returns {Promise<{question: Object|null, errors: Array<string>}>}
  */
-async function generateQuestionsWithDeepSeek(documentText, questionCount = 10) {
-  try {
-    console.log(`Generating ${questionCount} questions with DeepSeek AI`);
-    
-    // Import the API client
-    const apiClient = require('../src/services/apiClient').default;
-    
-    // Use the API client to generate questions
-    const result = await apiClient.generateQuestionsWithDeepSeek(documentText, {
-      questionCount: questionCount
-    });
-    
-    console.log('Successfully received response from DeepSeek');
-    
-    // Process the response into structured question format
-    return parseQuestionsFromAIResponse(result.rawResponse, questionCount);
-  } catch (error) {
-    console.error('DeepSeek AI error:', error.message);
-    throw new Error(`Failed to generate questions with AI: ${error.message}`);
+async function repairInvalidQuestion(provider, template, documentText, invalidItem, checkQuestion) {
+  let errors = invalidItem.errors;
+
+  for (let attempt = 1; attempt <= MAX_ITEM_REPAIR_ATTEMPTS; attempt++) {
+    try {
+      console.log(`[DEBUG] Re-requesting question ${invalidItem.index + 1} (attempt ${attempt}):`, errors);
+      const prompt = renderPrompt(template, { documentText, item: invalidItem.item, errors });
+      const rawResponse = await requestCompletion(provider, prompt, [{ role: 'user', content: prompt.text }]);
+      const result = prompt.contract.parse(rawResponse, { index: invalidItem.index, checkQuestion });
+      if (result.question) {
+        return result;
+      }
+      errors = result.errors;
+    } catch (error) {
+      console.warn(`[WARN] Repair request for question ${invalidItem.index + 1} failed:`, error.message);
+      errors = [error.message];
+    }
   }
+
+  return { question: null, errors };
 }
 
 /**
- * Parse DeepSeek's text response into structured question objects
- * @param {string} aiResponse - Raw text response from DeepSeek
- * @param {number} expectedCount - Expected number of questions
- * @returns {Array} - Array of structured question objects
+ * Generate questions for one piece of study material in a single prompt.
+ * The model is asked for schema-conforming JSON; items that fail validation, whose
+ * supporting quote is not in the document, or whose answer the quote does not
+ * support (see groundingVerifier.js), or that the quality linter rejects (see
+ * questionLinter.js) are re-requested individually and dropped if they are still
+ * invalid. Every returned question carries a citation, its grounding score and its
+ * quality score, with the linter's fixes applied.
+ * @param {Object} provider - LLM provider (see lib/llm)
+ * @param {string} documentText - Study material for this prompt
+ * @param {number} questionCount - Number of questions to generate
+ * @param {Object} options - Options
+ * @param {Object} options.citationSource - Document the quotes are looked up in (see citations.js)
+ * @param {Array<string>} options.sectionTitles - Sections covered, when the material is a chunk of a longer document
+ * @param {string|Object} options.difficulty - Difficulty setting (see difficulty.js)
+ * @param {Array<string>} options.questionTypes - Question types to mix in (see questionTypes.js)
+ * @param {Object} options.prompts - Prompt template per name (see prompts registry.selectAll; default: newest versions)
+ * @param {AbortSignal} options.signal - Cancels generation before the next AI request
+ * @param {Array<Object>} options.qualityRejections - Receives {text, reasons} for questions dropped by the linter
+ * @returns {Promise<Array>} - Array of validated questions, each with its own difficulty
  */
-function parseQuestionsFromAIResponse(aiResponse, expectedCount) {
-  try {
-    console.log('Parsing DeepSeek response into structured questions');
-    
-    // Log the start of the response for debugging
-    console.log('Response starts with:', aiResponse.substring(0, 100) + '...');
-    
-    // Enhanced response parsing with multiple formats support
-    let questionBlocks;
-    
-    // Try different splitting patterns based on how DeepSeek formats questions
-    // Pattern 1: Questions prefixed with '### Question X:' (typical DeepSeek format)
-    if (aiResponse.includes('### Question')) {
-      console.log('Detected DeepSeek markdown format with ### Question headers');
-      questionBlocks = aiResponse.split(/###\s*Question\s*\d+[:.\s]+/).filter(block => block.trim().length > 0);
+async function generateChunkQuestions(provider, documentText, questionCount, options = {}) {
+  const citationSource = options.citationSource || createCitationSource({ text: documentText });
+  const checkItem = question => {
+    const citation = buildCitation(citationSource, question.source.excerpt);
+    if (!citation) {
+      return [UNCITED_EXCERPT_ERROR];
     }
-    // Pattern 2: Questions separated by numbered patterns like '1.' or simple dash blocks
-    else if (aiResponse.match(/\n\s*\d+\.\s+/)) {
-      console.log('Detected numbered list format');
-      questionBlocks = aiResponse.split(/\n\s*\d+\.\s+/).filter(block => block.trim().length > 0);
-    }
-    // Pattern 3: Questions separated by '---' markdown dividers
-    else if (aiResponse.includes('---')) {
-      console.log('Detected markdown divider format');
-      questionBlocks = aiResponse.split(/\n\s*---\s*\n/).filter(block => block.trim().length > 0);
-    }
-    // Fallback: Try to split by double newline and look for question patterns
-    else {
-      console.log('Using fallback question parsing logic');
-      questionBlocks = aiResponse.split(/\n\n+/).filter(block => {
-        return block.includes('?') && block.includes('Correct Answer') || block.includes('Answer:');
-      });
+    return [
+      ...verifyGrounding({ ...question, citation }).reasons.map(reason => `grounding check failed: ${reason}`),
+      ...lintQuestion(question).reasons.map(reason => `${QUALITY_ERROR_PREFIX}${reason}`)
+    ];
+  };
+  // Apply the linter's fixes, replace the model's quote with the full citation, record how
+  // well it supports the answer and classify questions the model did not label
+  const finalise = (question, regenerated) => {
+    const lint = lintQuestion(question);
+    const linted = lint.question;
+    const citation = buildCitation(citationSource, linted.citation.excerpt);
+    const { score, answerSupport, explanationSupport } = verifyGrounding({ ...linted, citation });
+    return {
+      ...linted,
+      citation,
+      difficulty: linted.difficulty || classifyDifficulty({ ...linted, citation }),
+      grounding: { score, answerSupport, explanationSupport, regenerated },
+      quality: { score: lint.score, issues: lint.issues }
+    };
+  };
+  const prompts = options.prompts || getPromptRegistry().selectAll();
+  const prompt = renderPrompt(prompts['question-set'], {
+    documentText,
+    questionCount,
+    sectionTitles: options.sectionTitles || null,
+    difficulty: options.difficulty,
+    questionTypes: options.questionTypes
+  });
+  const messages = [{ role: 'user', content: prompt.text }];
+
+  let rawResponse = await requestCompletion(provider, prompt, messages);
+  let parsed;
+  try {
+    parsed = parseQuestionsFromAIResponse(prompt, rawResponse, checkItem);
+  } catch (parseError) {
+    if (!isParseFailure(parseError)) {
+      throw parseError;
     }
-    
-    console.log(`Identified ${questionBlocks.length} potential question blocks`);
-    
-    const questions = [];
-    
-    questionBlocks.forEach((block, index) => {
-      try {
-        // Extract question text (everything before options start)
-        // Try multiple patterns for question extraction
-        let questionText = '';
-        
-        // First try to get text before the first option
-        const questionMatch = block.match(/([\s\S]+?)\n\s*[A-D][.):]\s+/s) || 
-                            block.match(/\*\*([^*]+)\*\*/); // Look for bolded question in markdown
-                            
-        if (questionMatch) {
-          questionText = questionMatch[1].trim();
-        } else if (block.includes('?')) {
-          // Try to extract first sentence ending with question mark
-          const questionMarkMatch = block.match(/([^.!?]+\?)/); 
-          if (questionMarkMatch) {
-            questionText = questionMarkMatch[1].trim();
-          }
-        }
-        
-        // Remove any markdown formatting from question text
-        questionText = questionText.replace(/\*\*/g, '').trim();
-        
-        // Enhanced option extraction that handles multiple formats
-        const optionsRegex = /\b([A-D])[.):]\s*([^\n]+)/g;
-        const options = [];
-        let match;
-        
-        while ((match = optionsRegex.exec(block)) !== null) {
-          options.push({
-            id: match[1], // A, B, C, or D
-            text: match[2].trim()
-          });
-        }
-        
-        // Extract correct answer with enhanced pattern matching
-        const correctAnswerMatch = block.match(/Correct [Aa]nswer\s*[:.]+\s*([A-D])/i) || 
-                                  block.match(/Answer\s*[:.]+\s*([A-D])/i) ||
-                                  block.match(/\*\*Correct [Aa]nswer[:.]*\*\*\s*([A-D])/i);
-                                  
-        const correctAnswer = correctAnswerMatch ? correctAnswerMatch[1] : '';
-        
-        // Enhanced explanation extraction
-        const explanationMatch = block.match(/Explanation\s*[:.]+\s*([\s\S]+?)(?=\n\s*\d|\n\s*---|$)/is) ||
-                                block.match(/\*\*Explanation\*\*\s*[:.]*\s*([\s\S]+?)(?=\n\s*\d|\n\s*---|$)/is);
-                                
-        const explanation = explanationMatch ? explanationMatch[1].trim() : '';
-        
-        console.log(`Question ${index + 1} parsing result:`, {
-          hasText: !!questionText,
-          optionsCount: options.length,
-          hasCorrectAnswer: !!correctAnswer,
-          hasExplanation: !!explanation
-        });
-        
-        // Only add well-formed questions
-        if (questionText && options.length >= 3 && correctAnswer) {
-          questions.push({
-            id: `q-${Date.now()}-${index}`,
-            text: questionText,
-            options: options,
-            correctOptionId: correctAnswer,
-            explanation: explanation
-          });
-        } else {
-          console.warn(`Skipping malformed question ${index + 1}:`, {
-            textLength: questionText?.length || 0,
-            optionsCount: options.length,
-            correctAnswer
-          });
-        }
-      } catch (parseError) {
-        console.warn(`Error parsing question block ${index}:`, parseError);
-        // Continue with other questions
-      }
-    });
-    
-    console.log(`Successfully parsed ${questions.length} questions`);
-    
-    // Updated fallback handling - better to return fewer specific questions than pad with generic ones
-    if (questions.length < expectedCount) {
-      const missingCount = expectedCount - questions.length;
-      
-      // If we have at least 3 good questions, just return those instead of adding fallbacks
-      if (questions.length >= 3) {
-        console.log(`Generated ${questions.length} document-specific questions. Using these instead of adding fallbacks.`);
-      } else {
-        // Only use fallbacks if we have fewer than 3 valid questions
-        console.warn(`Only parsed ${questions.length} questions, adding ${missingCount} fallback questions as a last resort`);
-        const fallbackQuestions = generateFallbackQuestions(missingCount);
-        questions.push(...fallbackQuestions);
+    // The whole response was unusable - ask once more before giving up
+    console.warn('[WARN] AI response could not be parsed, re-requesting:', parseError.message);
+    const retry = renderPrompt(prompts['response-retry'], { reason: parseError.message });
+    // The retry continues the same conversation, so it keeps the question set's system prompt
+    rawResponse = await requestCompletion(provider, { ...retry, system: prompt.system }, [
+      ...messages,
+      { role: 'assistant', content: rawResponse },
+      { role: 'user', content: retry.text }
+    ]);
+    parsed = parseQuestionsFromAIResponse(retry, rawResponse, checkItem);
+  }
+
+  const questions = parsed.questions.map(question => finalise(question, false));
+  const rejected = [];
+
+  for (const invalidItem of parsed.invalid) {
+    throwIfCancelled(options.signal);
+    const { question, errors } = await repairInvalidQuestion(
+      provider, prompts['question-repair'], documentText, invalidItem, checkItem
+    );
+    if (question) {
+      questions.push(finalise(question, true));
+    } else {
+      console.warn(`[WARN] Dropping question ${invalidItem.index + 1} after repair attempts:`, errors);
+      rejected.push({ index: invalidItem.index, errors });
+      const qualityReasons = errors
+        .filter(error => error.startsWith(QUALITY_ERROR_PREFIX))
+        .map(error => error.slice(QUALITY_ERROR_PREFIX.length));
+      if (qualityReasons.length > 0 && options.qualityRejections) {
+        options.qualityRejections.push({ text: invalidItem.item?.text ?? null, reasons: qualityReasons });
       }
     }
-    
+  }
+
+  if (questions.length === 0) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.NO_VALID_QUESTIONS,
+      'No generated question passed validation',
+      { rejected }
+    );
+  }
+
+  console.log(`[SUCCESS] ${questions.length} valid questions, ${rejected.length} rejected`);
+  return questions.slice(0, questionCount);
+}
+
+/**
+ * Generate aviation-specific questions with the configured LLM provider based on document content.
+ * Long documents are split into chunks at their headings (see documentChunking.js);
+ * each chunk gets its share of the questions and the results are merged without
+ * overlaps. A chunk that fails is skipped and its share is filled from the others.
+ * @param {Object} provider - LLM provider (see lib/llm)
+ * @param {string} documentText - Text content of the document
+ * @param {number} questionCount - Number of questions to generate (default: 10)
+ * @param {Object} options - Options
+ * @param {Function} options.onProgress - Called with {stage, chunk, chunkCount, section} as chunks are processed
+ * @param {number} options.maxChunkChars - Maximum characters of document text per prompt
+ * @param {Object} options.citationSource - Document the citations point into (defaults to documentText alone)
+ * @param {string|Object} options.difficulty - Difficulty setting, applied to every chunk (see difficulty.js)
+ * @param {Array<string>} options.questionTypes - Question types, mixed into every chunk (see questionTypes.js)
+ * @param {Object} options.prompts - Prompt template per name, used for every chunk (see lib/prompts)
+ * @param {AbortSignal} options.signal - Cancels generation before the next AI request
+ * @param {Array<Object>} options.qualityRejections - Receives {text, reasons} for questions dropped by the linter
+ * @returns {Promise<Array>} - Array of validated questions, each with a citation
+ */
+async function generateQuestionsWithAI(provider, documentText, questionCount = 10, options = {}) {
+  const reportProgress = options.onProgress || (() => {});
+  const citationSource = options.citationSource || createCitationSource({ text: documentText });
+  const chunks = chunkDocument(documentText, { maxChars: options.maxChunkChars });
+  const targets = allocateQuestions(chunks, questionCount);
+  const plan = chunks
+    .map((chunk, index) => ({ chunk, target: targets[index] }))
+    .filter(entry => entry.target > 0);
+
+  console.log(`Generating ${questionCount} questions with ${provider.name} (${provider.model}) ` +
+    `from ${plan.length} of ${chunks.length} chunks`);
+
+  if (plan.length === 1 && chunks.length === 1) {
+    reportProgress({ stage: 'generating', chunk: 1, chunkCount: 1, section: chunks[0].titles[0] || null });
+    const questions = await generateChunkQuestions(provider, documentText, questionCount, {
+      citationSource,
+      difficulty: options.difficulty,
+      questionTypes: options.questionTypes,
+      prompts: options.prompts,
+      signal: options.signal,
+      qualityRejections: options.qualityRejections
+    });
+    reportProgress({ stage: 'done', chunk: 1, chunkCount: 1, section: null });
     return questions;
-  } catch (error) {
-    console.error('Error parsing AI response:', error);
-    
-    // Attempt to retry parsing with more lenient methods before falling back
+  }
+
+  const results = [];
+  const failures = [];
+  for (let index = 0; index < plan.length; index++) {
+    const { chunk, target } = plan[index];
+    throwIfCancelled(options.signal);
+    reportProgress({ stage: 'generating', chunk: index + 1, chunkCount: plan.length, section: chunk.titles[0] || null });
+
+    const requested = target + Math.ceil(target * CHUNK_EXTRA_QUESTION_SHARE);
     try {
-      console.log('Attempting emergency parsing of AI response...');
-      const lastDitchQuestions = emergencyParseResponse(aiResponse, expectedCount);
-      
-      if (lastDitchQuestions.length > 0) {
-        console.log(`Emergency parsing found ${lastDitchQuestions.length} questions`);
-        return lastDitchQuestions;
+      const questions = await generateChunkQuestions(provider, chunk.text, requested, {
+        citationSource,
+        sectionTitles: chunk.titles,
+        difficulty: options.difficulty,
+        questionTypes: options.questionTypes,
+        prompts: options.prompts,
+        signal: options.signal,
+        qualityRejections: options.qualityRejections
+      });
+      console.log(`[DEBUG] Chunk ${index + 1}/${plan.length}: ${questions.length} questions (target ${target})`);
+      results.push({ chunk, target, questions });
+    } catch (error) {
+      if (isCancellation(error)) {
+        throw error;
       }
-    } catch (emergencyError) {
-      console.error('Emergency parsing also failed:', emergencyError);
+      console.warn(`[WARN] Chunk ${index + 1}/${plan.length} failed, continuing with the others:`, error.message);
+      failures.push(error);
+      results.push({ chunk, target, questions: [] });
     }
-    
-    // Only use fallbacks as a true last resort
-    console.error('All parsing attempts failed, returning fallback questions');
-    return generateFallbackQuestions(expectedCount);
   }
+
+  reportProgress({ stage: 'merging', chunk: plan.length, chunkCount: plan.length, section: null });
+  const merged = mergeChunkQuestions(results, questionCount);
+
+  if (merged.length === 0) {
+    throw failures[0] || createGenerationError(
+      GENERATION_ERROR_CODES.NO_VALID_QUESTIONS,
+      'No generated question passed validation',
+      { rejected: [] }
+    );
+  }
+
+  console.log(`[SUCCESS] Merged ${merged.length} questions from ${plan.length} chunks (${failures.length} failed)`);
+  reportProgress({ stage: 'done', chunk: plan.length, chunkCount: plan.length, section: null });
+  return merged;
 }
 
 /**
- * Emergency parsing function to extract questions when normal parsing fails
- * Uses a more lenient approach to find any possible questions in the response
- * @param {string} aiResponse - Raw text response from DeepSeek
- * @param {number} expectedCount - Expected number of questions
- * @returns {Array} - Array of structured question objects
+ * Parse the model's JSON response into validated question objects
+ * @param {Object} prompt - Rendered prompt the response answers; its output contract is applied
+ * @param {string} aiResponse - Raw text response from the model
+ * @param {Function} checkQuestion - Extra validation rule (see validateQuestion)
+ * @returns {{questions: Array<Object>, invalid: Array<Object>}} - Valid questions and items needing repair
  */
-function emergencyParseResponse(aiResponse, expectedCount) {
-  try {
-    console.log('Attempting last-chance parsing of questions...');
-    const questions = [];
-    
-    // Look for question patterns - even incomplete ones
-    const questionPatterns = [
-      // Look for lines ending with question marks
-      /([^?\n]+\?)/g,
-      // Look for numbered questions
-      /(Question\s*\d+[:.\s]+[^\n]+)/gi
-    ];
-    
-    // Attempt to find any question-like text
-    let potentialQuestions = [];
-    questionPatterns.forEach(pattern => {
-      const matches = aiResponse.match(pattern);
-      if (matches) {
-        potentialQuestions = [...potentialQuestions, ...matches];
-      }
-    });
-    
-    console.log(`Found ${potentialQuestions.length} potential questions in emergency mode`);
-    
-    // Find option patterns
-    const optionRegex = /([A-D])[.):] ([^\n]+)/g;
-    
-    // Create questions from whatever we can find
-    potentialQuestions.forEach((questionText, index) => {
-      // Find the part of the response that might contain this question and its options
-      const startIndex = aiResponse.indexOf(questionText);
-      if (startIndex === -1) return;
-      
-      // Get a chunk of text that might contain options (300 chars after question)
-      const chunk = aiResponse.substring(startIndex, startIndex + 300);
-      
-      // Try to extract options
-      const options = [];
-      let match;
-      const localOptionRegex = new RegExp(optionRegex);
-      
-      while ((match = localOptionRegex.exec(chunk)) !== null) {
-        options.push({
-          id: match[1],
-          text: match[2].trim()
-        });
-      }
-      
-      // Only proceed if we found at least 3 options
-      if (options.length >= 3) {
-        // Try to find correct answer - fallback to first option if not found
-        const correctAnswerMatch = chunk.match(/correct answer[s:]*\s*([A-D])/i) ||
-                                 chunk.match(/answer[s:]*\s*([A-D])/i);
-        const correctAnswer = correctAnswerMatch ? correctAnswerMatch[1] : options[0].id;
-        
-        // Add the question
-        questions.push({
-          id: `emergency-${Date.now()}-${index}`,
-          text: questionText.replace(/^Question\s*\d+[:.\s]+/i, '').trim(),
-          options: options,
-          correctOptionId: correctAnswer,
-          explanation: 'This question was extracted from the document content.'
-        });
-      }
-    });
-    
-    console.log(`Emergency parsing recovered ${questions.length} questions with options`);
-    return questions;
-  } catch (error) {
-    console.error('Emergency parsing error:', error);
-    return [];
-  }
+function parseQuestionsFromAIResponse(prompt, aiResponse, checkQuestion = null) {
+  console.log(`Parsing AI response to ${prompt.id} into structured questions`);
+  const result = prompt.contract.parse(aiResponse, { checkQuestion });
+  console.log(`Parsed ${result.questions.length} valid questions, ${result.invalid.length} invalid`);
+  return result;
 }
 
 /**
- * Generate fallback aviation questions if AI generation fails
- * @param {number} count - Number of questions to generate
- * @returns {Array} - Array of fallback question objects
+ * Serve questions from the document's cached question pool, generating a quiz's worth
+ * more only when the pool has too few questions that have not been served yet
+ * @param {Object|null} poolKey - Pool identity (see generationCache.createQuestionPool), null to skip the cache
+ * @param {number} questionCount - Number of questions wanted
+ * @param {Function} generate - Called with a question count to generate new questions
+ * @param {Function} reportProgress - Progress callback (see generateQuestionsWithAI)
+ * @returns {Promise<Array>} - Questions for the quiz
  */
-function generateFallbackQuestions(count) {
-  console.log(`Generating ${count} fallback aviation questions`);
-  
-  const fallbackQuestions = [
-    {
-      id: 'fallback-1',
-      text: 'What is the primary purpose of the ailerons on an aircraft?',
-      options: [
-        { id: 'A', text: 'Control pitch (nose up/down)' },
-        { id: 'B', text: 'Control roll (bank left/right)' },
-        { id: 'C', text: 'Control yaw (nose left/right)' },
-        { id: 'D', text: 'Reduce landing speed' }
-      ],
-      correctOptionId: 'B',
-      explanation: 'Ailerons control the roll of an aircraft by creating differential lift on the wings.'
-    },
-    {
-      id: 'fallback-2',
-      text: 'What does AGL stand for in aviation?',
-      options: [
-        { id: 'A', text: 'Above Ground Level' },
-        { id: 'B', text: 'Actual Glide Length' },
-        { id: 'C', text: 'Automated Guidance Logic' },
-        { id: 'D', text: 'Auxiliary Gear Lever' }
-      ],
-      correctOptionId: 'A',
-      explanation: 'AGL stands for Above Ground Level, which measures height relative to the terrain directly below the aircraft.'
-    },
-    {
-      id: 'fallback-3',
-      text: 'What is the purpose of a VOR in aviation navigation?',
-      options: [
-        { id: 'A', text: 'Visual flight reference' },
-        { id: 'B', text: 'Variable oxygen regulator' },
-        { id: 'C', text: 'VHF Omnidirectional Range' },
-        { id: 'D', text: 'Vertical orientation radar' }
-      ],
-      correctOptionId: 'C',
-      explanation: 'VOR (VHF Omnidirectional Range) is a ground-based navigation system that provides bearing information to aircraft.'
+async function drawQuestionsFromPool(poolKey, questionCount, generate, reportProgress) {
+  if (!poolKey) {
+    return generate(questionCount);
+  }
+
+  const stored = await documentService.getQuestionPool(poolKey.contentHash, poolKey.optionsKey);
+  let pool = stored;
+  if (!isPoolCurrent(stored, poolKey)) {
+    if (stored) {
+      console.log(`[DEBUG] Discarding question pool from prompt version ${stored.promptVersion}, ` +
+        `extractor version ${stored.extractorVersion}`);
     }
-    // Add more fallback questions as needed
-  ];
-  
-  // Return the requested number of questions, cycling through the array if needed
-  return Array.from({ length: count }, (_, i) => fallbackQuestions[i % fallbackQuestions.length]);
+    pool = createQuestionPool(poolKey);
+  }
+
+  if (unservedCount(pool) >= questionCount) {
+    console.log(`[CACHE] Serving ${questionCount} of ${unservedCount(pool)} unused questions from the question pool`);
+    reportProgress({ stage: 'done', chunk: 1, chunkCount: 1, section: null });
+  } else {
+    const generated = await generate(questionCount);
+    const result = addToPool(pool, generated);
+    pool = result.pool;
+    console.log(`[CACHE] Added ${result.added} of ${generated.length} generated questions to the question pool`);
+  }
+
+  const drawn = drawFromPool(pool, questionCount);
+  if (drawn.recycled > 0) {
+    console.log(`[CACHE] Pool exhausted, reusing ${drawn.recycled} questions served before`);
+  }
+  await documentService.saveQuestionPool(drawn.pool);
+  return drawn.questions;
 }
 
 /**
  * Main function to generate questions from a document in Supabase storage
- * @param {string} filePath - Path to the file in Supabase storage
+ * @param {string} filePath - Document ID or path to the file in Supabase storage
  * @param {Object} options - Options for question generation
- * @returns {Promise<Array>} - Array of generated questions
+ * @param {Object} options.llmProvider - Provider to use instead of the configured one (see lib/llm)
+ * @param {number} options.questionCount - Number of questions (default 10)
+ * @param {string|Object} options.difficulty - 'easy', 'medium', 'hard', 'mixed' (default) or a mix like
+ *                                             {easy: 2, medium: 5, hard: 3} (see difficulty.js)
+ * @param {Array<string>} options.questionTypes - Question types to mix: 'single_choice' (default), 'true_false',
+ *                                                'multi_select' and 'numeric' (see questionTypes.js)
+ * @param {Function} options.onProgress - Called with {stage, chunk, chunkCount, section} while generating
+ * @param {AbortSignal} options.signal - Cancels generation between AI requests (CANCELLED generation error)
+ * @param {Function} options.onQualityReport - Called with the quality linter's report on the questions
+ *                                             (see questionLinter.buildQualityReport), with the document's
+ *                                             `sanitisation` report (see documentSanitiser.sanitiseExtraction)
+ * @param {Function} options.onPromptVersions - Called with the prompt template version per name the document
+ *                                              questions were generated with, e.g. {"question-set": 4, ...}
+ * @param {string} options.promptKey - Key prompt experiments are assigned by (default: the document's content hash)
+ * @param {boolean} options.redactPII - Mask names, licence and ID numbers, phone numbers, emails and addresses
+ *                                      before the text is sent to the provider (default on, see piiRedaction.js)
+ * @param {Function} options.onRedaction - Called with the redaction report and the placeholder-to-value mapping,
+ *                                         which must stay on the device
+ * @param {boolean} options.useQuestionPool - Set to false to always generate new questions instead of drawing
+ *                                            from the document's cached question pool (see generationCache.js)
+ * @param {number} options.calculationCount - How many of the questions to make with the offline calculation
+ *                                            generator, on the calculations the document covers (default 0,
+ *                                            see lib/calculations); the fallback path also uses it to top up the bank
+ * @returns {Promise<Array>} - Array of generated questions, with the correct answers spread evenly over the option positions
+ * @throws {Error} - Structured generation error (see generationErrors.js) when the document has no usable text
+ *                    or the AI output cannot be parsed
  */
 export const generateQuestions = async (filePath, options = {}) => {
   console.log('┌─────────────────────────────────────────────────');
@@ -399,52 +480,122 @@ export const generateQuestions = async (filePath, options = {}) => {
   console.log('│ Options:', JSON.stringify(options));
   console.log('└─────────────────────────────────────────────────');
   
+  // Kept outside the try so fallback questions can be matched to the document's subjects
+  let documentText = '';
+  let piiMapping = {};
+  const redactsPII = options.redactPII ?? env.privacy?.redactPII ?? true;
   try {
     // Extract document text with detailed error tracking
     console.log('[STEP 1] Extracting document text');
-    let documentText;
+    let citationSource;
+    let poolKey = null;
+    let prompts;
+    let promptVersions;
+    let sanitisation;
     try {
-      documentText = await extractTextFromDocument(filePath);
-      if (!documentText || documentText.length < 100) {
-        console.error('[ERROR] Document text is too short or empty:', documentText?.length || 0, 'chars');
-        throw new Error('Document text is too short to generate meaningful questions');
+      // Control characters, hidden text and instruction-like passages are removed before
+      // the text reaches a prompt (see documentSanitiser.js)
+      const sanitised = sanitiseExtraction(await extractTextFromDocument(filePath));
+      // Personal details are masked before the text leaves the device (see piiRedaction.js)
+      const extraction = redactsPII ? redactExtraction(sanitised) : sanitised;
+      documentText = extraction.text;
+      sanitisation = extraction.sanitisation;
+      piiMapping = extraction.piiMapping || {};
+      if (redactsPII) {
+        console.log(`[DEBUG] Redacted ${extraction.redaction.total} personal details ` +
+          `(${extraction.redaction.occurrences} occurrences)`);
+        if (options.onRedaction) {
+          options.onRedaction(extraction.redaction, piiMapping);
+        }
+      }
+      if (sanitisation.suspicious) {
+        console.warn(`[WARN] Document looks like it contains prompt injection (${sanitisation.reasons.join(', ')}), ` +
+          `${sanitisation.neutralisedCount} passages neutralised`);
+      }
+      citationSource = createCitationSource(extraction);
+      // Prompt experiments are assigned per document, so its question pool keeps one variant
+      prompts = getPromptRegistry().selectAll(options.promptKey || extraction.contentHash || filePath);
+      promptVersions = promptVersionsOf(prompts);
+      // Documents hashed at upload share generated questions across quizzes
+      if (extraction.contentHash && options.useQuestionPool !== false) {
+        poolKey = {
+          contentHash: extraction.contentHash,
+          optionsKey: generationOptionsKey({ ...options, redactPII: redactsPII }),
+          promptVersion: promptVersionKey(promptVersions),
+          extractorVersion: extraction.extractorVersion
+        };
       }
       console.log('[SUCCESS] Document text extracted successfully:', documentText.length, 'chars');
     } catch (extractError) {
       console.error('[FATAL] Document extraction failed:', extractError);
+      if (extractError.code) {
+        throw extractError;
+      }
       throw new Error(`Document extraction failed: ${extractError.message}`);
     }
     
+    throwIfCancelled(options.signal);
+
     // Set default options with better logging
     const questionOptions = {
       questionCount: 10,
       difficulty: 'mixed',
+      calculationCount: 0,
       ...options
     };
     console.log('[INFO] Using question options:', JSON.stringify(questionOptions));
     
-    // Generate questions with DeepSeek AI
-    console.log('[STEP 2] Generating questions with DeepSeek');
+    // Calculation questions come from templates, not the model, and are not pooled
+    const calculationCount = Math.min(Math.max(0, questionOptions.calculationCount), questionOptions.questionCount);
+    const calculations = generateCalculationQuestions(calculationCount, {
+      text: documentText,
+      questionTypes: questionOptions.questionTypes
+    });
+    const documentQuestionCount = questionOptions.questionCount - calculations.length;
+    
+    // Generate questions with the configured LLM provider
+    const provider = options.llmProvider || getLLMProvider();
+    console.log(`[STEP 2] Generating questions with ${provider.name}` +
+      (calculations.length > 0 ? `, plus ${calculations.length} calculation questions` : ''));
     try {
-      const questions = await generateQuestionsWithDeepSeek(
-        documentText, 
-        questionOptions.questionCount
+      const qualityRejections = [];
+      const questions = documentQuestionCount === 0 ? [] : await drawQuestionsFromPool(
+        poolKey,
+        documentQuestionCount,
+        count => generateQuestionsWithAI(
+          provider,
+          documentText,
+          count,
+          {
+            onProgress: options.onProgress,
+            maxChunkChars: options.maxChunkChars,
+            citationSource,
+            difficulty: questionOptions.difficulty,
+            questionTypes: questionOptions.questionTypes,
+            prompts,
+            signal: options.signal,
+            qualityRejections
+          }
+        ),
+        options.onProgress || (() => {})
       );
       
-      console.log('[SUCCESS] Generated', questions.length, 'questions');
-      
-      if (questions.every(q => q.id.startsWith('fallback'))) {
-        console.error('[ERROR] All questions are fallbacks, DeepSeek failed to produce document-specific questions');
-      } else if (questions.some(q => q.id.startsWith('fallback'))) {
-        console.warn('[WARN] Some questions are fallbacks, DeepSeek partially succeeded');
-      } else {
-        console.log('[SUCCESS] All questions are document-specific!');
+      console.log('[SUCCESS] Generated', questions.length, 'document-specific questions');
+      if (options.onQualityReport) {
+        options.onQualityReport({ ...buildQualityReport(questions, qualityRejections), sanitisation });
       }
-      
-      return questions;
+      if (options.onPromptVersions && questions.length > 0) {
+        options.onPromptVersions(promptVersions);
+      }
+      // Models favour A and B for the correct answer; spread it evenly (see optionShuffle.js).
+      // Questions keep the placeholders of redacted personal details, never the values
+      return balanceAnswerPositions(maskPII([...questions, ...calculations], piiMapping));
     } catch (aiError) {
-      console.error('[ERROR] DeepSeek API failed:', aiError);
-      throw new Error(`DeepSeek question generation failed: ${aiError.message}`);
+      console.error(`[ERROR] ${provider.name} generation failed:`, aiError);
+      if (aiError.code) {
+        throw aiError;
+      }
+      throw new Error(`${provider.name} question generation failed: ${aiError.message}`);
     }
   } catch (error) {
     console.error('┌─────────────────────────────────────────────────');
@@ -453,9 +604,27 @@ export const generateQuestions = async (filePath, options = {}) => {
     console.error('│ Stack:', error.stack);
     console.error('└─────────────────────────────────────────────────');
     
-    // Return fallback questions on error, but with better logging
+    // The model answered but its output was unusable, the document has no usable text, or the
+    // user cancelled - surface that instead of hiding it behind fallbacks
+    if (isParseFailure(error) || isDocumentFailure(error) || isCancellation(error)) {
+      throw error;
+    }
+    
+    // Return questions from the bundled bank on the document's subjects instead, with the
+    // requested calculation questions; calculations also make up for a bank that runs short
     const fallbackCount = options.questionCount || 10;
-    console.warn(`[FALLBACK] Returning ${fallbackCount} generic fallback questions due to error`);
-    return generateFallbackQuestions(fallbackCount);
+    const calculationCount = Math.min(Math.max(0, options.calculationCount || 0), fallbackCount);
+    const subjects = detectSubjects(documentText);
+    console.warn(`[FALLBACK] Drawing ${fallbackCount - calculationCount} question bank v${QUESTION_BANK_VERSION} questions ` +
+      `due to error, preferring: ${subjects.map(subject => subject.name).join(', ') || 'no detected subject'}`);
+    const bankQuestions = drawFallbackQuestions(fallbackCount - calculationCount, { subjects: subjects.map(subject => subject.id) });
+    const calculations = generateCalculationQuestions(fallbackCount - bankQuestions.length, {
+      text: documentText,
+      questionTypes: options.questionTypes
+    });
+    if (calculations.length > 0) {
+      console.warn(`[FALLBACK] Adding ${calculations.length} generated calculation questions`);
+    }
+    return balanceAnswerPositions([...bankQuestions, ...calculations]);
   }
 };
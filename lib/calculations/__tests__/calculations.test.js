@@ -0,0 +1,94 @@
+/* global describe, it, expect */
+
+import {
+  CALCULATION_TEMPLATES,
+  detectCalculationTemplates,
+  generateCalculationQuestion,
+  generateCalculationQuestions
+} from '..';
+import {
+  centreOfGravity,
+  densityAltitude,
+  fuelRequired,
+  pressureAltitude,
+  windTriangle
+} from '../aviationMath';
+import { scoreAnswer } from '../../questionTypes';
+
+describe('aviationMath', () => {
+  it('should solve the wind triangle', () => {
+    // Direct crosswind from the right: correct to the right, ground speed slightly below TAS
+    const crosswind = windTriangle({ course: 360, trueAirspeed: 120, windDirection: 90, windSpeed: 20 });
+    expect(crosswind.windCorrectionAngle).toBeCloseTo(9.59, 1);
+    expect(crosswind.heading).toBeCloseTo(9.59, 1);
+    expect(crosswind.groundSpeed).toBeCloseTo(118.3, 1);
+
+    const headwind = windTriangle({ course: 90, trueAirspeed: 100, windDirection: 90, windSpeed: 25 });
+    expect(headwind.heading).toBe(90);
+    expect(headwind.groundSpeed).toBeCloseTo(75);
+  });
+
+  it('should work out fuel, CG, pressure and density altitude', () => {
+    expect(fuelRequired({ flightMinutes: 90, burnPerHour: 30, reserveMinutes: 45, taxiFuel: 4 }).total).toBeCloseTo(71.5);
+    expect(centreOfGravity([{ mass: 600, arm: 2000 }, { mass: 200, arm: 2400 }]).cg).toBe(2100);
+    expect(pressureAltitude(5500, 1023)).toBe(5200);
+    // 5200 ft: ISA is 4.6 °C, so 30 °C is ISA +25.4
+    expect(densityAltitude(5200, 30)).toBeCloseTo(8248);
+  });
+});
+
+describe('calculations', () => {
+  it('should give every template a correct answer and three distinct mistakes', () => {
+    CALCULATION_TEMPLATES.forEach(template => {
+      for (let seed = 1; seed <= 25; seed++) {
+        const question = generateCalculationQuestion(template.id, seed);
+        expect(question.options).toHaveLength(4);
+        expect(new Set(question.options.map(option => option.text)).size).toBe(4);
+        expect(question.options.map(option => option.id)).toContain(question.correctOptionId);
+        expect(question.calculation).toMatchObject({ templateId: template.id, seed });
+      }
+    });
+  });
+
+  it('should compute the answer from the drawn inputs', () => {
+    const question = generateCalculationQuestion('pressure-altitude', 7);
+    const { elevation, qnh } = question.calculation.inputs;
+    const correct = question.options.find(option => option.id === question.correctOptionId);
+
+    expect(Number(correct.text.replace(/[^\d-]/g, ''))).toBe(pressureAltitude(elevation, qnh));
+    expect(generateCalculationQuestion('pressure-altitude', 7)).toEqual(question);
+  });
+
+  it('should make numeric questions that score the exact answer within tolerance', () => {
+    const question = generateCalculationQuestion('fuel-required', 11, { type: 'numeric' });
+    const { flightMinutes, burnPerHour, reserveMinutes, taxiFuel } = question.calculation.inputs;
+    const exact = fuelRequired({ flightMinutes, burnPerHour, reserveMinutes, taxiFuel }).total;
+
+    expect(question).toMatchObject({ type: 'numeric', options: [], answer: { unit: 'l', tolerance: 1 } });
+    expect(scoreAnswer(question, `${exact.toFixed(1)} litres`).correct).toBe(true);
+    expect(scoreAnswer(question, `${Math.round(exact) + 5}`).correct).toBe(false);
+  });
+
+  it('should keep heading answers between 000 and 359', () => {
+    for (let seed = 1; seed <= 200; seed++) {
+      // A seed that draws no usable inputs gives no question
+      const question = generateCalculationQuestion('wind-heading', seed, { type: 'numeric' });
+      if (question) {
+        expect(question.answer.value).toBeGreaterThanOrEqual(0);
+        expect(question.answer.value).toBeLessThan(360);
+      }
+    }
+  });
+
+  it('should prefer the calculations a document covers', () => {
+    const text = 'Fuel planning: carry a 45 minute reserve. The centre of gravity must stay within limits.';
+    expect(detectCalculationTemplates(text)).toEqual(['fuel-required', 'centre-of-gravity']);
+
+    const questions = generateCalculationQuestions(4, { text, seed: 3 });
+    expect(questions.map(question => question.calculation.templateId))
+      .toEqual(['fuel-required', 'centre-of-gravity', 'fuel-required', 'centre-of-gravity']);
+    expect(new Set(questions.map(question => question.id)).size).toBe(4);
+    expect(generateCalculationQuestions(4, { seed: 3, questionTypes: ['numeric', 'single_choice'] })
+      .map(question => question.type)).toEqual(['numeric', 'single_choice', 'numeric', 'single_choice']);
+  });
+});
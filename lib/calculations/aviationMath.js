@@ -0,0 +1,125 @@
+/**
+ * Flight computer arithmetic used by the calculation question templates.
+ *
+ * Angles are in degrees true, speeds in knots, altitudes in feet, pressures in hPa
+ * and temperatures in °C. Winds are given as the direction they blow FROM.
+ */
+
+// Rules of thumb taught for the PPL flight planning exam
+export const FEET_PER_HPA = 30;
+export const FEET_PER_DEGREE_ISA_DEVIATION = 120;
+export const STANDARD_PRESSURE_HPA = 1013;
+export const ISA_SEA_LEVEL_TEMPERATURE = 15;
+export const ISA_LAPSE_RATE_PER_1000_FT = 2;
+// Specific gravity of AVGAS 100LL, kg per litre
+export const AVGAS_KG_PER_LITRE = 0.72;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+
+/**
+ * Bring an angle into 0-359
+ * @param {number} degrees - Any angle
+ * @returns {number}
+ */
+export function normaliseBearing(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Wind components relative to a track
+ * @param {number} track - Track or course, degrees
+ * @param {number} windDirection - Direction the wind blows from, degrees
+ * @param {number} windSpeed - Wind speed, knots
+ * @returns {{headwind: number, crosswind: number}} - Headwind (negative for a tailwind) and crosswind
+ *          (positive from the right) components, knots
+ */
+export function windComponents(track, windDirection, windSpeed) {
+  const angle = toRadians(windDirection - track);
+  return { headwind: windSpeed * Math.cos(angle), crosswind: windSpeed * Math.sin(angle) };
+}
+
+/**
+ * Solve the wind triangle for heading and ground speed
+ * @param {Object} input - Flight
+ * @param {number} input.course - Required track, degrees true
+ * @param {number} input.trueAirspeed - True airspeed, knots
+ * @param {number} input.windDirection - Direction the wind blows from, degrees true
+ * @param {number} input.windSpeed - Wind speed, knots
+ * @returns {{windCorrectionAngle: number, heading: number, groundSpeed: number}} - Correction angle (positive
+ *          to the right), true heading to fly and ground speed
+ */
+export function windTriangle({ course, trueAirspeed, windDirection, windSpeed }) {
+  const { headwind, crosswind } = windComponents(course, windDirection, windSpeed);
+  const windCorrectionAngle = toDegrees(Math.asin(crosswind / trueAirspeed));
+  return {
+    windCorrectionAngle,
+    heading: normaliseBearing(course + windCorrectionAngle),
+    groundSpeed: trueAirspeed * Math.cos(toRadians(windCorrectionAngle)) - headwind
+  };
+}
+
+/**
+ * Flight time for a distance
+ * @param {number} distance - Nautical miles
+ * @param {number} groundSpeed - Knots
+ * @returns {number} - Minutes
+ */
+export function flightTimeMinutes(distance, groundSpeed) {
+  return (distance / groundSpeed) * 60;
+}
+
+/**
+ * Fuel to load for a flight
+ * @param {Object} input - Flight
+ * @param {number} input.flightMinutes - Planned flight time
+ * @param {number} input.burnPerHour - Fuel flow, litres per hour
+ * @param {number} input.reserveMinutes - Reserve to carry, at the same fuel flow
+ * @param {number} input.taxiFuel - Fuel for start-up and taxi, litres
+ * @returns {{tripFuel: number, reserveFuel: number, total: number}} - Litres
+ */
+export function fuelRequired({ flightMinutes, burnPerHour, reserveMinutes, taxiFuel }) {
+  const tripFuel = (flightMinutes / 60) * burnPerHour;
+  const reserveFuel = (reserveMinutes / 60) * burnPerHour;
+  return { tripFuel, reserveFuel, total: tripFuel + reserveFuel + taxiFuel };
+}
+
+/**
+ * Centre of gravity of a loaded aircraft
+ * @param {Array<{mass: number, arm: number}>} items - Masses (kg) and their arms aft of the datum (mm)
+ * @returns {{mass: number, moment: number, cg: number}} - Total mass, total moment (kg mm) and CG (mm aft of datum)
+ */
+export function centreOfGravity(items) {
+  const mass = items.reduce((sum, item) => sum + item.mass, 0);
+  const moment = items.reduce((sum, item) => sum + item.mass * item.arm, 0);
+  return { mass, moment, cg: moment / mass };
+}
+
+/**
+ * Pressure altitude of an aerodrome
+ * @param {number} elevation - Feet
+ * @param {number} qnh - hPa
+ * @returns {number} - Feet
+ */
+export function pressureAltitude(elevation, qnh) {
+  return elevation + (STANDARD_PRESSURE_HPA - qnh) * FEET_PER_HPA;
+}
+
+/**
+ * ISA temperature at a pressure altitude
+ * @param {number} altitude - Pressure altitude, feet
+ * @returns {number} - °C
+ */
+export function isaTemperature(altitude) {
+  return ISA_SEA_LEVEL_TEMPERATURE - (altitude / 1000) * ISA_LAPSE_RATE_PER_1000_FT;
+}
+
+/**
+ * Density altitude from pressure altitude and outside air temperature
+ * @param {number} altitude - Pressure altitude, feet
+ * @param {number} temperature - Outside air temperature, °C
+ * @returns {number} - Feet
+ */
+export function densityAltitude(altitude, temperature) {
+  return altitude + (temperature - isaTemperature(altitude)) * FEET_PER_DEGREE_ISA_DEVIATION;
+}
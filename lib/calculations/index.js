@@ -0,0 +1,160 @@
+/**
+ * Offline generator of aviation calculation questions.
+ *
+ * Questions are made from templates (see templates.js) with random inputs, so
+ * there is no limit to how many can be drawn. The answer is computed exactly and
+ * the distractors are the answers common mistakes lead to. Every question records
+ * its template and seed, so the same question can be generated again.
+ *
+ * Used alongside document questions (aiProcessing `calculationCount`) and to top
+ * up the fallback question bank.
+ */
+import { createRandom, createShuffleSeed } from '../optionShuffle';
+import { QUESTION_TYPES, numericDifference, resolveQuestionTypes } from '../questionTypes';
+import { SUBJECTS } from '../questionBank';
+import { CALCULATION_TEMPLATES } from './templates';
+
+// Bump when templates change, so stored questions can be told apart
+export const CALCULATION_GENERATOR_VERSION = 1;
+
+export { CALCULATION_TEMPLATES };
+
+// Draws per question before a template gives up on finding distinct distractors
+const MAX_ATTEMPTS = 20;
+const OPTION_IDS = ['A', 'B', 'C', 'D'];
+
+const templatesById = new Map(CALCULATION_TEMPLATES.map(template => [template.id, template]));
+const subjectNames = new Map(SUBJECTS.map(subject => [subject.id, subject.name]));
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find the calculation templates a document covers from its keywords
+ * @param {string} text - Document text or title
+ * @returns {Array<string>} - Template ids, most keyword matches first
+ */
+export function detectCalculationTemplates(text) {
+  const lowerText = (text || '').toLowerCase().replace(/\s+/g, ' ');
+  if (!lowerText.trim()) {
+    return [];
+  }
+  return CALCULATION_TEMPLATES
+    .map(template => ({
+      id: template.id,
+      matches: template.keywords.reduce((sum, keyword) =>
+        sum + (lowerText.match(new RegExp(`\\b${escapeRegExp(keyword)}s?\\b`, 'g')) || []).length, 0)
+    }))
+    .filter(entry => entry.matches > 0)
+    .sort((a, b) => b.matches - a.matches)
+    .map(entry => entry.id);
+}
+
+// Distractors whose option text differs from the answer and from each other by more than the tolerance
+function distinctMistakes(template, answer, mistakes) {
+  const kept = [];
+  mistakes.forEach(entry => {
+    const values = [answer, ...kept.map(other => other.value)];
+    if (Number.isFinite(entry.value) &&
+        values.every(value => numericDifference(value, entry.value, template.unit) > template.tolerance) &&
+        template.format(entry.value) !== template.format(answer)) {
+      kept.push(entry);
+    }
+  });
+  return kept;
+}
+
+/**
+ * Generate one calculation question
+ * @param {string} templateId - Template (see CALCULATION_TEMPLATES)
+ * @param {number} seed - Seed for the inputs; the same seed gives the same question
+ * @param {Object} options - Options
+ * @param {string} options.type - 'single_choice' (default) or 'numeric'
+ * @returns {Object|null} - Question in the generated question shape, with `calculation`
+ *                          ({version, templateId, seed, inputs}); null when no usable inputs were drawn
+ */
+export function generateCalculationQuestion(templateId, seed, options = {}) {
+  const template = templatesById.get(templateId);
+  if (!template) {
+    throw new Error(`Unknown calculation template: ${templateId}`);
+  }
+  const random = createRandom(seed);
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const drawn = template.generate(random);
+    const mistakes = drawn ? distinctMistakes(template, drawn.answer, drawn.mistakes) : [];
+    if (!drawn || mistakes.length < OPTION_IDS.length - 1) {
+      continue;
+    }
+
+    const question = {
+      id: `calc-${template.id}-${seed}`,
+      text: drawn.text,
+      explanation: `${drawn.working} Common mistakes: ${mistakes.map(entry => entry.mistake).join('; ')}.`,
+      difficulty: template.difficulty,
+      subject: subjectNames.get(template.subject) || template.subject,
+      calculation: { version: CALCULATION_GENERATOR_VERSION, templateId: template.id, seed, inputs: drawn.inputs }
+    };
+
+    if (options.type === QUESTION_TYPES.NUMERIC) {
+      return {
+        ...question,
+        type: QUESTION_TYPES.NUMERIC,
+        options: [],
+        answer: { value: drawn.answer, unit: template.unit, tolerance: template.tolerance }
+      };
+    }
+
+    // Correct answer at a random position; positions are balanced over the quiz later
+    const values = [drawn.answer, ...mistakes.map(entry => entry.value)];
+    const position = Math.floor(random() * values.length);
+    [values[0], values[position]] = [values[position], values[0]];
+    return {
+      ...question,
+      type: QUESTION_TYPES.SINGLE_CHOICE,
+      options: values.map((value, index) => ({ id: OPTION_IDS[index], text: template.format(value) })),
+      correctOptionId: OPTION_IDS[position]
+    };
+  }
+
+  console.warn(`[WARN] Calculation template ${template.id} found no usable inputs for seed ${seed}`);
+  return null;
+}
+
+/**
+ * Generate calculation questions, spread over the templates a document covers
+ * @param {number} count - Number of questions wanted
+ * @param {Object} options - Options
+ * @param {string} options.text - Document text or title; templates it covers come first (default: all templates)
+ * @param {Array<string>} options.templates - Template ids to use instead of detecting them from text
+ * @param {Array<string>} options.questionTypes - Requested question types; numeric questions are made when
+ *                                                'numeric' is among them, alternating with single choice
+ *                                                when that is requested too (see questionTypes.js)
+ * @param {number} options.seed - Seed for the whole set (default: random)
+ * @returns {Array<Object>} - Questions in the generated question shape
+ */
+export function generateCalculationQuestions(count, options = {}) {
+  const detected = options.templates || detectCalculationTemplates(options.text);
+  const templateIds = detected.filter(id => templatesById.has(id));
+  const rotation = templateIds.length > 0 ? templateIds : CALCULATION_TEMPLATES.map(template => template.id);
+
+  const types = resolveQuestionTypes(options.questionTypes);
+  const typeRotation = types.includes(QUESTION_TYPES.NUMERIC)
+    ? [QUESTION_TYPES.NUMERIC, ...(types.includes(QUESTION_TYPES.SINGLE_CHOICE) ? [QUESTION_TYPES.SINGLE_CHOICE] : [])]
+    : [QUESTION_TYPES.SINGLE_CHOICE];
+
+  const baseSeed = options.seed ?? createShuffleSeed();
+  const questions = [];
+  for (let index = 0; questions.length < Math.max(0, count) && index < count * 2; index++) {
+    const question = generateCalculationQuestion(
+      rotation[index % rotation.length],
+      (baseSeed + index) >>> 0,
+      { type: typeRotation[questions.length % typeRotation.length] }
+    );
+    if (question) {
+      questions.push(question);
+    }
+  }
+  return questions;
+}
@@ -0,0 +1,273 @@
+/**
+ * Calculation question templates.
+ *
+ * Each template draws its inputs at random within realistic ranges, computes the
+ * answer exactly (see aviationMath.js) and names the common mistakes that lead to
+ * each distractor, so a wrong pick can be explained. `generate` returns null when
+ * the drawn inputs make a poor question (e.g. a mistake giving the right answer);
+ * the generator then draws again.
+ */
+import {
+  AVGAS_KG_PER_LITRE,
+  centreOfGravity,
+  densityAltitude,
+  FEET_PER_HPA,
+  flightTimeMinutes,
+  fuelRequired,
+  isaTemperature,
+  normaliseBearing,
+  pressureAltitude,
+  STANDARD_PRESSURE_HPA,
+  windTriangle
+} from './aviationMath';
+
+// A whole number from min to max in steps of step
+function pick(random, min, max, step = 1) {
+  return min + Math.floor(random() * (Math.floor((max - min) / step) + 1)) * step;
+}
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+// "1,250"
+const withThousands = value => String(value).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+
+const formatBearing = value => `${String(normaliseBearing(Math.round(value))).padStart(3, '0')}°`;
+const formatWind = (direction, speed) => `${String(direction).padStart(3, '0')}°/${speed} kt`;
+
+export const CALCULATION_TEMPLATES = [
+  {
+    id: 'wind-heading',
+    subject: 'navigation',
+    keywords: ['wind correction', 'drift', 'heading', 'wind triangle', 'track'],
+    difficulty: 'Hard',
+    unit: 'deg',
+    tolerance: 2,
+    format: formatBearing,
+    generate(random) {
+      const course = pick(random, 10, 350, 5);
+      const trueAirspeed = pick(random, 90, 130, 5);
+      // Keep the wind well off the nose and tail, so the correction is worth calculating
+      const windDirection = normaliseBearing(course + (random() < 0.5 ? -1 : 1) * pick(random, 40, 130, 10));
+      const windSpeed = pick(random, 12, 30);
+      const { windCorrectionAngle, heading } = windTriangle({ course, trueAirspeed, windDirection, windSpeed });
+      const maxDrift = (windSpeed / trueAirspeed) * 60 * Math.sign(windCorrectionAngle);
+      return {
+        inputs: { course, trueAirspeed, windDirection, windSpeed },
+        text: `You plan to fly a true course of ${formatBearing(course)} at a TAS of ${trueAirspeed} kt. ` +
+          `The forecast wind is ${formatWind(windDirection, windSpeed)}. What true heading should you fly?`,
+        // Rounded before normalising, so 359.6° is 000° and not 360°
+        answer: normaliseBearing(Math.round(heading)),
+        mistakes: [
+          { value: normaliseBearing(Math.round(course - windCorrectionAngle)), mistake: 'wind correction applied with the wrong sign' },
+          { value: course, mistake: 'no wind correction applied' },
+          { value: normaliseBearing(Math.round(course + maxDrift)), mistake: 'the whole wind treated as crosswind' }
+        ],
+        working: `The wind correction angle is ${Math.abs(windCorrectionAngle).toFixed(1)}° ` +
+          `${windCorrectionAngle > 0 ? 'to the right' : 'to the left'} (into the wind), so the heading is ` +
+          `${formatBearing(course)} ${windCorrectionAngle > 0 ? '+' : '-'} ${Math.abs(windCorrectionAngle).toFixed(1)}° = ` +
+          `${formatBearing(heading)}.`
+      };
+    }
+  },
+  {
+    id: 'ground-speed',
+    subject: 'navigation',
+    keywords: ['ground speed', 'groundspeed', 'headwind', 'tailwind', 'wind component'],
+    difficulty: 'Hard',
+    unit: 'kt',
+    tolerance: 3,
+    format: value => `${Math.round(value)} kt`,
+    generate(random) {
+      const course = pick(random, 10, 350, 5);
+      const trueAirspeed = pick(random, 90, 130, 5);
+      const windDirection = normaliseBearing(course + (random() < 0.5 ? -1 : 1) * pick(random, 0, 60, 10));
+      const windSpeed = pick(random, 15, 35);
+      const { groundSpeed } = windTriangle({ course, trueAirspeed, windDirection, windSpeed });
+      const headwind = trueAirspeed - groundSpeed;
+      return {
+        inputs: { course, trueAirspeed, windDirection, windSpeed },
+        text: `You fly a true course of ${formatBearing(course)} at a TAS of ${trueAirspeed} kt with a wind of ` +
+          `${formatWind(windDirection, windSpeed)}. What is your ground speed?`,
+        answer: Math.round(groundSpeed),
+        mistakes: [
+          { value: Math.round(trueAirspeed + headwind), mistake: 'headwind component added instead of subtracted' },
+          { value: trueAirspeed, mistake: 'wind ignored' },
+          { value: trueAirspeed - windSpeed, mistake: 'the whole wind treated as headwind' }
+        ],
+        working: `The wind gives a ${headwind >= 0 ? 'headwind' : 'tailwind'} component of about ` +
+          `${Math.abs(Math.round(headwind))} kt on this course, so the ground speed is ${trueAirspeed} ` +
+          `${headwind >= 0 ? '-' : '+'} ${Math.abs(Math.round(headwind))} = ${Math.round(groundSpeed)} kt.`
+      };
+    }
+  },
+  {
+    id: 'time-speed-distance',
+    subject: 'flight-planning',
+    keywords: ['time', 'distance', 'eta', 'estimated time', 'leg'],
+    difficulty: 'Easy',
+    unit: 'min',
+    tolerance: 1,
+    format: value => `${Math.round(value)} min`,
+    generate(random) {
+      const groundSpeed = pick(random, 80, 130, 5);
+      const trueAirspeed = groundSpeed + pick(random, 8, 20);
+      const distance = pick(random, 40, 180, 2);
+      const minutes = flightTimeMinutes(distance, groundSpeed);
+      const hours = distance / groundSpeed;
+      // 1.25 h read as 1 h 25 min
+      const decimalAsMinutes = Math.floor(hours) * 60 + Math.round((hours % 1) * 100);
+      return {
+        inputs: { distance, groundSpeed, trueAirspeed },
+        text: `A leg is ${distance} nm long. Your TAS is ${trueAirspeed} kt and your ground speed ${groundSpeed} kt. ` +
+          'How long will the leg take?',
+        answer: Math.round(minutes),
+        mistakes: [
+          { value: Math.round(flightTimeMinutes(distance, trueAirspeed)), mistake: 'TAS used instead of ground speed' },
+          { value: decimalAsMinutes, mistake: 'decimal hours read as hours and minutes' },
+          { value: Math.round((groundSpeed / distance) * 60), mistake: 'speed divided by distance' }
+        ],
+        working: `Time = distance / ground speed = ${distance} / ${groundSpeed} = ${hours.toFixed(2)} h, ` +
+          `which is ${Math.round(minutes)} minutes.`
+      };
+    }
+  },
+  {
+    id: 'fuel-required',
+    subject: 'flight-planning',
+    keywords: ['fuel', 'reserve', 'endurance', 'fuel flow', 'fuel planning'],
+    difficulty: 'Medium',
+    unit: 'l',
+    tolerance: 1,
+    format: value => `${Math.round(value)} litres`,
+    generate(random) {
+      const flightMinutes = pick(random, 50, 180, 5);
+      const burnPerHour = pick(random, 24, 40);
+      const reserveMinutes = 45;
+      const taxiFuel = pick(random, 3, 6);
+      const { tripFuel, reserveFuel, total } = fuelRequired({ flightMinutes, burnPerHour, reserveMinutes, taxiFuel });
+      return {
+        inputs: { flightMinutes, burnPerHour, reserveMinutes, taxiFuel },
+        text: `A flight is planned to take ${flightMinutes} minutes at a fuel flow of ${burnPerHour} litres per hour. ` +
+          `You must land with a ${reserveMinutes}-minute reserve and allow ${taxiFuel} litres for start-up and taxi. ` +
+          'What is the minimum fuel to load?',
+        answer: Math.round(total),
+        mistakes: [
+          { value: Math.round(tripFuel + taxiFuel), mistake: 'reserve left out' },
+          { value: Math.round(tripFuel + reserveFuel), mistake: 'taxi fuel left out' },
+          { value: Math.round(tripFuel + 0.45 * burnPerHour + taxiFuel), mistake: '45 minutes taken as 0.45 hours' }
+        ],
+        working: `Trip fuel is ${flightMinutes} / 60 × ${burnPerHour} = ${tripFuel.toFixed(1)} l, the reserve is ` +
+          `0.75 × ${burnPerHour} = ${reserveFuel.toFixed(1)} l, and with ${taxiFuel} l taxi fuel the total is ` +
+          `${Math.round(total)} litres.`
+      };
+    }
+  },
+  {
+    id: 'centre-of-gravity',
+    subject: 'flight-planning',
+    keywords: ['centre of gravity', 'center of gravity', 'moment', 'mass and balance', 'weight and balance', 'datum'],
+    difficulty: 'Medium',
+    unit: 'mm',
+    tolerance: 5,
+    format: value => `${withThousands(Math.round(value))} mm`,
+    generate(random) {
+      const emptyMass = pick(random, 640, 720);
+      const emptyArm = pick(random, 2000, 2200, 5);
+      const frontSeats = pick(random, 140, 180);
+      const rearSeats = pick(random, 0, 150, 10);
+      const fuelLitres = pick(random, 80, 150, 5);
+      const baggage = pick(random, 10, 40);
+      const items = [
+        { mass: emptyMass, arm: emptyArm },
+        { mass: frontSeats, arm: 2050 },
+        { mass: rearSeats, arm: 2950 },
+        { mass: fuelLitres * AVGAS_KG_PER_LITRE, arm: 2400 },
+        { mass: baggage, arm: 3600 }
+      ];
+      const { mass, cg } = centreOfGravity(items);
+      const fuelAsKg = items.map((item, index) => (index === 3 ? { ...item, mass: fuelLitres } : item));
+      return {
+        inputs: { emptyMass, emptyArm, frontSeats, rearSeats, fuelLitres, baggage },
+        text: `An aircraft has an empty mass of ${emptyMass} kg with its CG ${withThousands(emptyArm)} mm aft of the datum. ` +
+          `Front seats: ${frontSeats} kg at 2,050 mm. Rear seats: ${rearSeats} kg at 2,950 mm. ` +
+          `Fuel: ${fuelLitres} litres of AVGAS (${AVGAS_KG_PER_LITRE} kg/l) at 2,400 mm. Baggage: ${baggage} kg at 3,600 mm. ` +
+          'Where is the loaded CG?',
+        answer: Math.round(cg),
+        mistakes: [
+          { value: Math.round(centreOfGravity(fuelAsKg).cg), mistake: 'fuel volume used as mass' },
+          { value: Math.round(items.reduce((sum, item) => sum + item.arm, 0) / items.length), mistake: 'arms averaged without their masses' },
+          { value: Math.round(centreOfGravity(items.slice(0, 4)).cg), mistake: 'baggage left out' }
+        ],
+        working: `Total mass ${mass.toFixed(1)} kg, total moment ${withThousands(Math.round(cg * mass))} kg mm; ` +
+          `CG = moment / mass = ${withThousands(Math.round(cg))} mm aft of the datum.`
+      };
+    }
+  },
+  {
+    id: 'pressure-altitude',
+    subject: 'flight-planning',
+    keywords: ['pressure altitude', 'qnh', 'altimeter setting', '1013'],
+    difficulty: 'Medium',
+    unit: 'ft',
+    tolerance: 30,
+    format: value => `${withThousands(Math.round(value))} ft`,
+    generate(random) {
+      const elevation = pick(random, 100, 6000, 10);
+      const qnh = pick(random, 995, 1030);
+      if (qnh === STANDARD_PRESSURE_HPA) {
+        return null;
+      }
+      const altitude = pressureAltitude(elevation, qnh);
+      const correction = (STANDARD_PRESSURE_HPA - qnh) * FEET_PER_HPA;
+      return {
+        inputs: { elevation, qnh },
+        text: `An aerodrome has an elevation of ${withThousands(elevation)} ft and the QNH is ${qnh} hPa. ` +
+          `Using ${FEET_PER_HPA} ft per hPa, what is the pressure altitude?`,
+        answer: Math.round(altitude),
+        mistakes: [
+          { value: Math.round(elevation - correction), mistake: 'pressure correction applied with the wrong sign' },
+          { value: elevation, mistake: 'elevation taken as pressure altitude' },
+          { value: Math.round(elevation + (STANDARD_PRESSURE_HPA - qnh) * 10), mistake: '10 ft per hPa used' }
+        ],
+        working: `Pressure altitude = elevation + (${STANDARD_PRESSURE_HPA} - QNH) × ${FEET_PER_HPA} = ${withThousands(elevation)} ` +
+          `${correction >= 0 ? '+' : '-'} ${Math.abs(correction)} = ${withThousands(altitude)} ft.`
+      };
+    }
+  },
+  {
+    id: 'density-altitude',
+    subject: 'flight-planning',
+    keywords: ['density altitude', 'isa deviation', 'hot and high', 'performance'],
+    difficulty: 'Hard',
+    unit: 'ft',
+    tolerance: 100,
+    format: value => `${withThousands(roundTo(value, 10))} ft`,
+    generate(random) {
+      const elevation = pick(random, 2000, 6000, 10);
+      const qnh = pick(random, 1002, 1026);
+      const temperature = pick(random, 18, 36);
+      if (qnh === STANDARD_PRESSURE_HPA) {
+        return null;
+      }
+      const altitude = pressureAltitude(elevation, qnh);
+      const isa = isaTemperature(altitude);
+      const density = densityAltitude(altitude, temperature);
+      return {
+        inputs: { elevation, qnh, temperature },
+        text: `An aerodrome has an elevation of ${withThousands(elevation)} ft, the QNH is ${qnh} hPa and the OAT ` +
+          `is ${temperature} °C. Using ${FEET_PER_HPA} ft per hPa and 120 ft per °C of ISA deviation, what is the ` +
+          'density altitude?',
+        answer: roundTo(density, 10),
+        mistakes: [
+          { value: roundTo(densityAltitude(elevation, temperature), 10), mistake: 'QNH correction left out' },
+          { value: roundTo(altitude + (temperature - 15) * 120, 10), mistake: 'ISA taken as 15 °C at the aerodrome' },
+          { value: roundTo(pressureAltitude(elevation, 2 * STANDARD_PRESSURE_HPA - qnh) + (temperature - isa) * 120, 10),
+            mistake: 'pressure correction applied with the wrong sign' }
+        ],
+        working: `Pressure altitude is ${withThousands(Math.round(altitude))} ft, where ISA is ${isa.toFixed(1)} °C, so the ` +
+          `deviation is ISA ${temperature - isa >= 0 ? '+' : ''}${(temperature - isa).toFixed(1)} °C. Density altitude = ` +
+          `${withThousands(Math.round(altitude))} + ${(temperature - isa).toFixed(1)} × 120 ≈ ${withThousands(roundTo(density, 10))} ft.`
+      };
+    }
+  }
+];
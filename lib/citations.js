@@ -0,0 +1,134 @@
+/**
+ * Source citations for generated questions.
+ *
+ * The model quotes the passage each question is based on. The quote is located in
+ * the extracted document text, which gives its page (from the page map) and the
+ * heading of the section it sits in. The stored excerpt is the document's own text,
+ * not the model's copy of it.
+ */
+import { pageForOffset } from './documentExtraction';
+import { splitIntoSections } from './documentChunking';
+
+// Quotes shorter than this match too many places to be a useful citation
+const MIN_EXCERPT_CHARS = 12;
+const ELLIPSIS = /\s*(?:\.{3}|…)\s*/;
+
+// Lower-case, collapse whitespace and fold typographic quotes and dashes, keeping a
+// map from each normalised character back to its offset in the original text
+function normaliseWithOffsets(text) {
+  let normalised = '';
+  const offsets = [];
+  let pendingSpace = false;
+
+  for (let index = 0; index < text.length; index++) {
+    let char = text[index];
+    if (/\s/.test(char)) {
+      pendingSpace = normalised.length > 0;
+      continue;
+    }
+    if (char === '\u00AD') {
+      continue;
+    }
+    if (pendingSpace) {
+      normalised += ' ';
+      offsets.push(index);
+      pendingSpace = false;
+    }
+    if (/[‘’‚′]/.test(char)) char = "'";
+    else if (/[“”„″]/.test(char)) char = '"';
+    else if (/[‐‑‒–—−]/.test(char)) char = '-';
+    normalised += char.toLowerCase();
+    offsets.push(index);
+  }
+
+  return { normalised, offsets };
+}
+
+function normaliseQuote(quote) {
+  return normaliseWithOffsets(quote).normalised
+    .replace(/^["']+|["']+$/g, '')
+    .replace(/[.;,:]+$/, '')
+    .trim();
+}
+
+// Match the quote's parts, in order, against an already normalised document
+function findExcerptRanges(document, excerpt) {
+  if (typeof excerpt !== 'string') {
+    return null;
+  }
+
+  const parts = excerpt.split(ELLIPSIS).map(normaliseQuote).filter(part => part.length > 0);
+  if (parts.length === 0 || parts.join(' ').length < MIN_EXCERPT_CHARS) {
+    return null;
+  }
+
+  const ranges = [];
+  let from = 0;
+  for (const part of parts) {
+    const found = document.normalised.indexOf(part, from);
+    if (found === -1) {
+      return null;
+    }
+    ranges.push({ start: document.offsets[found], end: document.offsets[found + part.length - 1] + 1 });
+    from = found + part.length;
+  }
+
+  return ranges;
+}
+
+/**
+ * Find a quoted passage in the document text.
+ * Matching ignores case, whitespace and typographic quote/dash differences; a quote
+ * shortened with "..." matches when its parts appear in order.
+ * @param {string} documentText - Full document text
+ * @param {string} excerpt - Passage quoted by the model
+ * @returns {Array<{start: number, end: number}>|null} - Matched ranges in the document text
+ */
+export function locateExcerpt(documentText, excerpt) {
+  return findExcerptRanges(normaliseWithOffsets(documentText || ''), excerpt);
+}
+
+/**
+ * Prepare the document context citations are resolved against
+ * @param {Object} extraction - Document extraction ({text, pageMap, documentId})
+ * @returns {Object} - Citation source
+ */
+export function createCitationSource(extraction) {
+  return {
+    documentId: extraction.documentId || null,
+    text: extraction.text,
+    pageMap: extraction.pageMap || [],
+    sections: splitIntoSections(extraction.text),
+    // Normalised once, as every question of the document is looked up in it
+    index: normaliseWithOffsets(extraction.text)
+  };
+}
+
+/**
+ * Build the citation for a quoted passage
+ * @param {Object} source - Citation source from createCitationSource
+ * @param {string} excerpt - Passage quoted by the model
+ * @returns {{documentId: string|null, page: number|null, section: string|null, excerpt: string}|null}
+ *          - null when the passage is not in the document
+ */
+export function buildCitation(source, excerpt) {
+  const ranges = findExcerptRanges(source.index, excerpt);
+  if (!ranges) {
+    return null;
+  }
+
+  const start = ranges[0].start;
+  // Nearest heading above the passage
+  const section = [...source.sections]
+    .reverse()
+    .find(candidate => candidate.title && candidate.start <= start);
+
+  return {
+    documentId: source.documentId,
+    page: pageForOffset(source.pageMap, start),
+    section: section ? section.title : null,
+    excerpt: ranges
+      .map(range => source.text.slice(range.start, range.end).replace(/\s+/g, ' '))
+      .join(' … ')
+  };
+}
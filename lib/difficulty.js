@@ -0,0 +1,151 @@
+/**
+ * Question difficulty: generation targets and per-question classification.
+ *
+ * A difficulty setting is 'easy', 'medium', 'hard', 'mixed' (the default mix) or an
+ * explicit mix such as {easy: 2, medium: 5, hard: 3}. The setting is turned into a
+ * number of questions per level for each prompt. The model labels every question it
+ * writes; questions it leaves unlabelled are classified from their content, so each
+ * question carries its own level instead of the quiz-wide setting.
+ */
+import { apportion } from './documentChunking';
+import { QUESTION_TYPES, questionTypeOf } from './questionTypes';
+
+export const DIFFICULTY_LEVELS = ['Easy', 'Medium', 'Hard'];
+
+// Share of each level for the 'mixed' setting
+export const DEFAULT_DIFFICULTY_MIX = { Easy: 0.3, Medium: 0.4, Hard: 0.3 };
+
+// Level descriptions used in the generation prompt
+export const DIFFICULTY_DESCRIPTIONS = {
+  Easy: 'recall of a single fact stated directly in the material',
+  Medium: 'applying a rule or connecting two facts from the material',
+  Hard: 'multi-step reasoning, calculations, exceptions or scenarios built on the material'
+};
+
+/**
+ * Normalise a difficulty label
+ * @param {string} value - Label such as 'easy', 'Medium' or 'HARD'
+ * @returns {string|null} - 'Easy', 'Medium' or 'Hard', or null for anything else
+ */
+export function normaliseDifficulty(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const lower = value.trim().toLowerCase();
+  return DIFFICULTY_LEVELS.find(level => level.toLowerCase() === lower) || null;
+}
+
+/**
+ * Share of each level for a difficulty setting
+ * @param {string|Object} setting - 'easy', 'medium', 'hard', 'mixed' or a mix like {easy: 2, medium: 5, hard: 3}
+ * @returns {{Easy: number, Medium: number, Hard: number}} - Shares adding up to 1
+ */
+export function resolveDifficultyMix(setting) {
+  const level = normaliseDifficulty(setting);
+  if (level) {
+    return Object.fromEntries(DIFFICULTY_LEVELS.map(other => [other, other === level ? 1 : 0]));
+  }
+
+  if (setting && typeof setting === 'object') {
+    const weights = DIFFICULTY_LEVELS.map(other => {
+      const weight = Number(setting[other] ?? setting[other.toLowerCase()]);
+      return Number.isFinite(weight) && weight > 0 ? weight : 0;
+    });
+    const total = weights.reduce((acc, weight) => acc + weight, 0);
+    if (total > 0) {
+      return Object.fromEntries(DIFFICULTY_LEVELS.map((other, index) => [other, weights[index] / total]));
+    }
+  }
+
+  return { ...DEFAULT_DIFFICULTY_MIX };
+}
+
+/**
+ * Stable key for a difficulty setting, used to tell cached question pools apart
+ * @param {string|Object} setting - Difficulty setting (see resolveDifficultyMix)
+ * @returns {string} - 'easy', 'medium', 'hard', 'mixed' or a percentage mix like 'easy:20,medium:50,hard:30'
+ */
+export function difficultySettingKey(setting) {
+  const level = normaliseDifficulty(setting);
+  if (level) {
+    return level.toLowerCase();
+  }
+
+  const mix = resolveDifficultyMix(setting);
+  const isDefault = DIFFICULTY_LEVELS.every(other => Math.abs(mix[other] - DEFAULT_DIFFICULTY_MIX[other]) < 0.005);
+  if (isDefault) {
+    return 'mixed';
+  }
+  return DIFFICULTY_LEVELS.map(other => `${other.toLowerCase()}:${Math.round(mix[other] * 100)}`).join(',');
+}
+
+/**
+ * Number of questions to ask for at each level
+ * @param {number} questionCount - Questions in the prompt
+ * @param {string|Object} setting - Difficulty setting (see resolveDifficultyMix)
+ * @returns {{Easy: number, Medium: number, Hard: number}} - Counts adding up to questionCount
+ */
+export function allocateDifficulty(questionCount, setting) {
+  const mix = resolveDifficultyMix(setting);
+  const shares = apportion(Math.max(0, questionCount), DIFFICULTY_LEVELS.map(level => mix[level]));
+  return Object.fromEntries(DIFFICULTY_LEVELS.map((level, index) => [level, shares[index]]));
+}
+
+// Stems that turn recall into a trap: "Which is NOT...", "...EXCEPT"
+const NEGATED_STEM = /\b(NOT|EXCEPT|LEAST|FALSE|INCORRECT)\b/;
+// Stems that ask the reader to work something out or apply it to a situation
+const REASONING_STEM = /\b(calculate|compute|determine|estimate|how (much|many|long|far)|what (would|will) happen|if a|if the|when a|during a)\b/i;
+const NUMBER = /\d/;
+
+/**
+ * Classify a question's difficulty from its content.
+ * Calculations, negated stems, scenarios and long supporting passages make a question
+ * harder; a correct answer copied word for word from a short quote makes it easier.
+ * @param {Object} question - Question ({type, text, options, correctOptionId, citation})
+ * @returns {string} - 'Easy', 'Medium' or 'Hard'
+ */
+export function classifyDifficulty(question) {
+  const text = question.text || '';
+  const options = question.options || [];
+  const excerpt = question.citation?.excerpt || question.source?.excerpt || '';
+  const correct = options.find(option => option.id === question.correctOptionId);
+  let score = 0;
+
+  const numericOptions = options.filter(option => NUMBER.test(option.text || '')).length;
+  const isCalculation = questionTypeOf(question) === QUESTION_TYPES.NUMERIC ||
+    (numericOptions >= Math.max(2, options.length - 1) && NUMBER.test(text));
+  if (isCalculation) {
+    score += 2;
+  }
+  if (NEGATED_STEM.test(text)) {
+    score += 1;
+  }
+  if (REASONING_STEM.test(text) || text.length > 180) {
+    score += 1;
+  }
+  if (excerpt.length > 240) {
+    score += 1;
+  }
+  if (correct && correct.text.length > 3 && excerpt.toLowerCase().includes(correct.text.toLowerCase()) && excerpt.length <= 160) {
+    score -= 1;
+  }
+
+  if (score >= 2) {
+    return 'Hard';
+  }
+  return score === 1 ? 'Medium' : 'Easy';
+}
+
+/**
+ * Keep the questions of the given levels
+ * @param {Array<Object>} questions - Questions with a difficulty field
+ * @param {string|Array<string>} levels - Level or levels to keep (any case); empty keeps everything
+ * @returns {Array<Object>}
+ */
+export function filterByDifficulty(questions, levels) {
+  const wanted = [].concat(levels || []).map(normaliseDifficulty).filter(Boolean);
+  if (wanted.length === 0) {
+    return questions;
+  }
+  return questions.filter(question => wanted.includes(normaliseDifficulty(question.difficulty)));
+}
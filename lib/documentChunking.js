@@ -0,0 +1,248 @@
+/**
+ * Splitting long documents into chunks for question generation.
+ *
+ * The text is cut into sections at headings (markdown `#` headings, "Chapter 3",
+ * "SECTION 2 LIMITATIONS", numbered "2.3 GPS Approach Categories", all-caps titles),
+ * and sections are packed into chunks small enough for one prompt. Questions are
+ * then allocated across chapters so every chapter is covered, not only the longest.
+ */
+
+// Characters of document text per prompt (~3k tokens)
+export const DEFAULT_MAX_CHUNK_CHARS = 12000;
+
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+const KEYWORD_HEADING = /^(part|chapter|section|module)\s+([0-9]+|[IVXLC]+)\b[\s:.\-–]*(.*)$/i;
+const NUMBERED_HEADING = /^(\d+(?:\.\d+)+)\.?\s+([A-Z].{1,80})$/;
+const CAPS_HEADING = /^(?:\d+\.?\s+)?[A-Z][A-Z0-9 ,&'/()\-–]{3,60}$/;
+const KEYWORD_LEVELS = { part: 1, chapter: 2, module: 2, section: 3 };
+
+/**
+ * Recognise a heading line
+ * @param {string} line - Trimmed line of text
+ * @returns {{title: string, level: number}|null}
+ */
+export function parseHeading(line) {
+  if (line.length === 0 || line.length > 100) {
+    return null;
+  }
+
+  const markdown = MARKDOWN_HEADING.exec(line);
+  if (markdown) {
+    return { title: markdown[2], level: markdown[1].length };
+  }
+
+  const keyword = KEYWORD_HEADING.exec(line);
+  if (keyword && !/[.;,]$/.test(line)) {
+    return { title: line, level: KEYWORD_LEVELS[keyword[1].toLowerCase()] };
+  }
+
+  const numbered = NUMBERED_HEADING.exec(line);
+  if (numbered && !/[.;,:]$/.test(line)) {
+    return { title: line, level: numbered[1].split('.').length + 1 };
+  }
+
+  // All-caps titles need at least one real word, so table rows like "VOR DME NDB" are not headings
+  if (CAPS_HEADING.test(line) && /[A-Z]{4,}/.test(line) && !/[.;,:]$/.test(line)) {
+    return { title: line, level: 2 };
+  }
+
+  return null;
+}
+
+/**
+ * Split text into sections at headings
+ * @param {string} text - Document text
+ * @returns {Array<{title: string|null, level: number, chapter: string|null, start: number, end: number}>}
+ */
+export function splitIntoSections(text) {
+  const headings = [];
+  let offset = 0;
+
+  text.split('\n').forEach(line => {
+    const heading = parseHeading(line.trim());
+    if (heading) {
+      headings.push({ ...heading, start: offset });
+    }
+    offset += line.length + 1;
+  });
+
+  // Chapters are the highest heading level that occurs more than once (a single
+  // top-level heading is the document title)
+  const levels = [...new Set(headings.map(heading => heading.level))].sort((a, b) => a - b);
+  const chapterLevel = levels.find(level => headings.filter(heading => heading.level === level).length > 1) ??
+    levels[0];
+
+  const sections = [];
+  if (headings.length === 0 || headings[0].start > 0) {
+    sections.push({ title: null, level: 0, chapter: null, start: 0, end: headings[0]?.start ?? text.length });
+  }
+
+  let chapter = null;
+  headings.forEach((heading, index) => {
+    if (heading.level <= chapterLevel) {
+      chapter = heading.level === chapterLevel ? heading.title : null;
+    }
+    sections.push({
+      title: heading.title,
+      level: heading.level,
+      chapter,
+      start: heading.start,
+      end: index + 1 < headings.length ? headings[index + 1].start : text.length
+    });
+  });
+
+  return sections.filter(section => text.slice(section.start, section.end).trim().length > 0);
+}
+
+// Cut an oversized range at paragraph, then line, then word boundaries
+function splitRange(text, start, end, maxChars) {
+  const pieces = [];
+  let pieceStart = start;
+
+  while (end - pieceStart > maxChars) {
+    const window = text.slice(pieceStart, pieceStart + maxChars);
+    const minCut = Math.floor(maxChars / 2);
+    let cut = window.lastIndexOf('\n\n');
+    if (cut < minCut) cut = window.lastIndexOf('\n');
+    if (cut < minCut) cut = window.lastIndexOf(' ');
+    if (cut < minCut) cut = maxChars;
+
+    pieces.push({ start: pieceStart, end: pieceStart + cut });
+    pieceStart += cut;
+  }
+
+  pieces.push({ start: pieceStart, end });
+  return pieces;
+}
+
+/**
+ * Pack sections into chunks of at most `maxChars` characters. A document that fits
+ * in one chunk is kept whole; otherwise every chapter starts a new chunk.
+ * @param {string} text - Document text
+ * @param {Object} options - Options
+ * @param {number} options.maxChars - Maximum characters per chunk
+ * @returns {Array<{index: number, chapter: string|null, titles: Array<string>, start: number, end: number, text: string}>}
+ */
+export function chunkDocument(text, options = {}) {
+  const maxChars = options.maxChars || DEFAULT_MAX_CHUNK_CHARS;
+  const sections = splitIntoSections(text);
+
+  if (text.length <= maxChars) {
+    return [{
+      index: 0,
+      chapter: sections.find(section => section.chapter)?.chapter ?? null,
+      titles: sections.filter(section => section.title).map(section => section.title),
+      start: 0,
+      end: text.length,
+      text: text.trim()
+    }];
+  }
+
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) {
+      chunks.push(current);
+      current = null;
+    }
+  };
+
+  sections.forEach(section => {
+    splitRange(text, section.start, section.end, maxChars).forEach((piece, pieceIndex) => {
+      const title = section.title && pieceIndex > 0 ? `${section.title} (continued)` : section.title;
+      const fits = current && piece.end - current.start <= maxChars;
+      // Text before the first chapter (the document title, a preface) joins that chapter
+      const sameChapter = current && (current.chapter === null || current.chapter === section.chapter);
+
+      if (!fits || !sameChapter) {
+        flush();
+      }
+      if (!current) {
+        current = { chapter: section.chapter, titles: [], start: piece.start, end: piece.end };
+      }
+      if (title) current.titles.push(title);
+      // A chunk that starts with the document title belongs to the first chapter it reaches
+      current.chapter = current.chapter ?? section.chapter;
+      current.end = piece.end;
+    });
+  });
+  flush();
+
+  return chunks.map((chunk, index) => ({
+    ...chunk,
+    index,
+    text: text.slice(chunk.start, chunk.end).trim()
+  }));
+}
+
+/**
+ * Split `total` over weights, rounding with the largest-remainder method
+ * @param {number} total - Whole number to split
+ * @param {Array<number>} weights - Relative weights
+ * @returns {Array<number>} - Whole shares, one per weight, adding up to total (all 0 when the weights are)
+ */
+export function apportion(total, weights) {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  if (sum === 0) {
+    return weights.map(() => 0);
+  }
+
+  const exact = weights.map(weight => (total * weight) / sum);
+  const shares = exact.map(Math.floor);
+  let remaining = total - shares.reduce((acc, share) => acc + share, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        shares[index]++;
+        remaining--;
+      }
+    });
+
+  return shares;
+}
+
+/**
+ * Decide how many questions each chunk should contribute.
+ * Chapters are weighted by the square root of their length, so long chapters get
+ * more questions without crowding out short ones; when there are more chapters
+ * than questions, the questions are spread evenly through the document.
+ * @param {Array<Object>} chunks - Chunks from chunkDocument
+ * @param {number} questionCount - Total questions requested
+ * @returns {Array<number>} - Target question count per chunk (same order as chunks)
+ */
+export function allocateQuestions(chunks, questionCount) {
+  const chapters = [];
+  chunks.forEach(chunk => {
+    const last = chapters[chapters.length - 1];
+    if (last && last.name === chunk.chapter) {
+      last.chunks.push(chunk);
+    } else {
+      chapters.push({ name: chunk.chapter, chunks: [chunk] });
+    }
+  });
+
+  let chapterShares;
+  if (questionCount < chapters.length) {
+    chapterShares = chapters.map(() => 0);
+    for (let i = 0; i < questionCount; i++) {
+      chapterShares[Math.floor(((i + 0.5) * chapters.length) / questionCount)] = 1;
+    }
+  } else {
+    const lengths = chapters.map(chapter =>
+      chapter.chunks.reduce((acc, chunk) => acc + chunk.text.length, 0));
+    // Every chapter gets one question first, the rest follows the weights
+    chapterShares = apportion(questionCount - chapters.length, lengths.map(Math.sqrt)).map(share => share + 1);
+  }
+
+  const targets = new Map();
+  chapters.forEach((chapter, index) => {
+    apportion(chapterShares[index], chapter.chunks.map(chunk => chunk.text.length))
+      .forEach((share, chunkIndex) => targets.set(chapter.chunks[chunkIndex], share));
+  });
+
+  return chunks.map(chunk => targets.get(chunk));
+}
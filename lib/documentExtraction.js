@@ -0,0 +1,243 @@
+import { extractPdfPages } from './pdf/pdfTextExtractor';
+import { isPdf } from './pdf/pdfParser';
+import { createGenerationError, GENERATION_ERROR_CODES } from './generationErrors';
+
+/**
+ * Bump when extraction output changes, so stored extractions are redone
+ */
+export const EXTRACTOR_VERSION = 1;
+
+// A page with less text than this but with images is treated as a scanned page
+const MIN_PAGE_TEXT_CHARS = 20;
+// A document needs at least this much text to be useful
+export const MIN_DOCUMENT_TEXT_CHARS = 100;
+// Share of control/replacement characters above which a "text" file is binary
+const MAX_BINARY_SHARE = 0.05;
+
+const PAGE_SEPARATOR = '\n\n';
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+function decodeBase64(base64) {
+  const clean = base64.replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let byteIndex = 0;
+
+  for (let i = 0; i < clean.length; i += 4) {
+    const a = BASE64_ALPHABET.indexOf(clean[i]);
+    const b = BASE64_ALPHABET.indexOf(clean[i + 1]);
+    const c = i + 2 < clean.length ? BASE64_ALPHABET.indexOf(clean[i + 2]) : 0;
+    const d = i + 3 < clean.length ? BASE64_ALPHABET.indexOf(clean[i + 3]) : 0;
+    const triple = (a << 18) | (b << 12) | (c << 6) | d;
+
+    if (byteIndex < bytes.length) bytes[byteIndex++] = (triple >> 16) & 0xff;
+    if (byteIndex < bytes.length) bytes[byteIndex++] = (triple >> 8) & 0xff;
+    if (byteIndex < bytes.length) bytes[byteIndex++] = triple & 0xff;
+  }
+
+  return bytes;
+}
+
+/**
+ * Read the raw bytes of a downloaded blob.
+ * React Native blobs have no arrayBuffer(), so fall back to a data URL there.
+ * @param {Blob} blob - Downloaded file
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readBlobBytes(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new global.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error('Failed to read document data'));
+    reader.readAsDataURL(blob);
+  });
+  return decodeBase64(String(dataUrl).split(',')[1] || '');
+}
+
+/**
+ * Decode UTF-8 bytes, replacing invalid sequences with U+FFFD
+ * @param {Uint8Array} bytes - Encoded text
+ * @returns {string}
+ */
+export function decodeUtf8(bytes) {
+  let result = '';
+  let i = bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf ? 3 : 0; // skip BOM
+
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    let codePoint = 0xfffd;
+    let length = 1;
+
+    if (byte < 0x80) {
+      codePoint = byte;
+    } else if (byte >= 0xc2 && byte < 0xe0 && (bytes[i + 1] & 0xc0) === 0x80) {
+      codePoint = ((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f);
+      length = 2;
+    } else if (byte >= 0xe0 && byte < 0xf0 && (bytes[i + 1] & 0xc0) === 0x80 && (bytes[i + 2] & 0xc0) === 0x80) {
+      codePoint = ((byte & 0x0f) << 12) | ((bytes[i + 1] & 0x3f) << 6) | (bytes[i + 2] & 0x3f);
+      length = 3;
+    } else if (byte >= 0xf0 && byte < 0xf5 && (bytes[i + 1] & 0xc0) === 0x80 &&
+               (bytes[i + 2] & 0xc0) === 0x80 && (bytes[i + 3] & 0xc0) === 0x80) {
+      codePoint = ((byte & 0x07) << 18) | ((bytes[i + 1] & 0x3f) << 12) |
+        ((bytes[i + 2] & 0x3f) << 6) | (bytes[i + 3] & 0x3f);
+      length = 4;
+    }
+
+    result += String.fromCodePoint(codePoint);
+    i += length;
+  }
+
+  return result;
+}
+
+function countTextChars(text) {
+  return text.replace(/\s/g, '').length;
+}
+
+function isImageFile(bytes) {
+  const jpeg = bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff;
+  const png = bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47;
+  return jpeg || png;
+}
+
+/**
+ * Join page texts and record where each page starts and ends
+ * @param {Array<{pageNumber: number, text: string}>} pages - Page texts
+ * @returns {{text: string, pageMap: Array<{page: number, start: number, end: number}>}}
+ */
+export function buildPageMap(pages) {
+  let text = '';
+  const pageMap = pages.map((page, index) => {
+    if (index > 0) text += PAGE_SEPARATOR;
+    const start = text.length;
+    text += page.text;
+    return { page: page.pageNumber, start, end: text.length };
+  });
+  return { text, pageMap };
+}
+
+/**
+ * Find the page a character offset falls on
+ * @param {Array<{page: number, start: number, end: number}>} pageMap - Page map of the extraction
+ * @param {number} offset - Character offset into the extracted text
+ * @returns {number|null} - Page number
+ */
+export function pageForOffset(pageMap, offset) {
+  if (!Array.isArray(pageMap)) return null;
+  const entry = pageMap.find(range => offset >= range.start && offset <= range.end);
+  return entry ? entry.page : null;
+}
+
+function extractPdf(bytes) {
+  let result;
+  try {
+    result = extractPdfPages(bytes);
+  } catch (error) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.UNSUPPORTED_DOCUMENT,
+      `PDF could not be parsed: ${error.message}`,
+      { reason: 'corrupt' }
+    );
+  }
+
+  if (result.encrypted) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.UNSUPPORTED_DOCUMENT,
+      'PDF is encrypted',
+      { reason: 'encrypted' }
+    );
+  }
+
+  const scannedPages = result.pages
+    .filter(page => page.imageCount > 0 && countTextChars(page.text) < MIN_PAGE_TEXT_CHARS)
+    .map(page => page.pageNumber);
+  const { text, pageMap } = buildPageMap(result.pages);
+
+  if (countTextChars(text) < MIN_DOCUMENT_TEXT_CHARS) {
+    if (scannedPages.length > 0) {
+      throw createGenerationError(
+        GENERATION_ERROR_CODES.SCANNED_DOCUMENT,
+        `PDF has no text layer (${scannedPages.length} of ${result.pageCount} pages are images only)`,
+        { pageCount: result.pageCount, scannedPages }
+      );
+    }
+    const undecodableGlyphs = result.pages.reduce((total, page) => total + page.undecodableGlyphs, 0);
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.NO_EXTRACTABLE_TEXT,
+      `PDF contains too little readable text (${countTextChars(text)} characters)`,
+      { pageCount: result.pageCount, undecodableGlyphs }
+    );
+  }
+
+  if (scannedPages.length > 0) {
+    console.warn(`[WARN] PDF pages without a text layer were skipped: ${scannedPages.join(', ')}`);
+  }
+
+  return {
+    text,
+    pageMap,
+    pageCount: result.pageCount,
+    scannedPages,
+    extractor: 'pdf',
+    extractorVersion: EXTRACTOR_VERSION
+  };
+}
+
+function extractPlainText(bytes) {
+  const text = decodeUtf8(bytes);
+  let suspicious = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if ((code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0d && code !== 0x0c) || code === 0xfffd) {
+      suspicious++;
+    }
+  }
+
+  if (text.length > 0 && suspicious / text.length > MAX_BINARY_SHARE) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.UNSUPPORTED_DOCUMENT,
+      'Document is a binary format that is not supported',
+      { reason: 'binary' }
+    );
+  }
+  if (countTextChars(text) < MIN_DOCUMENT_TEXT_CHARS) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.NO_EXTRACTABLE_TEXT,
+      `Document contains too little text (${countTextChars(text)} characters)`,
+      { pageCount: 1 }
+    );
+  }
+
+  return {
+    text,
+    pageMap: [{ page: 1, start: 0, end: text.length }],
+    pageCount: 1,
+    scannedPages: [],
+    extractor: 'plain-text',
+    extractorVersion: EXTRACTOR_VERSION
+  };
+}
+
+/**
+ * Extract the text of an uploaded document, keeping track of page numbers
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{text: string, pageMap: Array<Object>, pageCount: number, scannedPages: Array<number>, extractor: string, extractorVersion: number}}
+ * @throws {Error} - SCANNED_DOCUMENT, UNSUPPORTED_DOCUMENT or NO_EXTRACTABLE_TEXT generation errors
+ */
+export function extractDocumentContent(bytes) {
+  if (isPdf(bytes)) {
+    return extractPdf(bytes);
+  }
+  if (isImageFile(bytes)) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.SCANNED_DOCUMENT,
+      'Document is an image without a text layer',
+      { pageCount: 1, scannedPages: [1] }
+    );
+  }
+  return extractPlainText(bytes);
+}
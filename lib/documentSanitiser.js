@@ -0,0 +1,223 @@
+/**
+ * Sanitisation of document text before it goes into a prompt.
+ *
+ * Uploaded documents are pasted into the prompt, so a document can carry text aimed
+ * at the model rather than the reader ("ignore previous instructions and ..."). The
+ * extracted text is cleaned before generation:
+ *   - control characters are removed, apart from tabs, line breaks and form feeds;
+ *   - hidden text is removed: zero-width and bidirectional formatting characters,
+ *     Unicode tag characters (invisible copies of ASCII) and HTML comments;
+ *   - markup imitating the prompt's fences or chat roles is removed;
+ *   - sentences that read as instructions to a model are replaced with a placeholder.
+ * Stored extractions are left as extracted and cleaned on every generation, so a
+ * sanitiser change applies to old documents too. The page map is shifted to match
+ * the cleaned text, so citations still resolve to the right page.
+ */
+import { applyEdits, shiftPageMap } from './textEdits';
+
+// Bump when the rules change, so reports can be told apart
+export const SANITISER_VERSION = 2;
+
+export const NEUTRALISED_PLACEHOLDER = '[instruction-like text removed]';
+
+export const SANITISER_RULES = {
+  IGNORE_INSTRUCTIONS: 'ignore-instructions',
+  ROLE_OVERRIDE: 'role-override',
+  MODEL_DIRECTIVE: 'model-directive',
+  NEW_INSTRUCTIONS: 'new-instructions',
+  PROMPT_MARKUP: 'prompt-markup'
+};
+
+// Sentences matching any of these are neutralised. Study material is full of instructions for
+// pilots ("disregard previous instructions" is standard radiotelephony), so the rules only fire
+// on text addressed to the model or its prompt. Imperative patterns only count at the start of
+// a sentence
+const INSTRUCTION_PATTERNS = [
+  {
+    // "... your earlier instructions", "... my rules"
+    rule: SANITISER_RULES.IGNORE_INSTRUCTIONS,
+    pattern: /\b(?:ignore|disregard|forget|override)\b[^.!?\n]{0,40}?\b(?:your|my)\s+(?:(?:previous|prior|above|earlier|preceding|original|initial|current|system)\s+){0,2}(?:instructions?|prompts?|rules|guidelines|directions|programming)\b/gi
+  },
+  {
+    // "... the system prompt", "... the above instructions"
+    rule: SANITISER_RULES.IGNORE_INSTRUCTIONS,
+    pattern: /\b(?:ignore|disregard|forget|override)\b[^.!?\n]{0,40}?\b(?:system prompt|(?:the|this) prompt|prompt instructions|the (?:above|preceding) (?:instructions?|prompts?|rules))\b/gi
+  },
+  {
+    // "Ignore all previous instructions"
+    rule: SANITISER_RULES.IGNORE_INSTRUCTIONS,
+    pattern: /\b(?:ignore|forget)\s+(?:all\s+)?(?:of\s+)?(?:the\s+)?(?:previous|prior|above|earlier|preceding)\s+(?:instructions?|prompts?)\b/gi,
+    imperative: true
+  },
+  {
+    rule: SANITISER_RULES.ROLE_OVERRIDE,
+    pattern: /\b(?:you are (?:now|no longer)|act as|pretend to be|roleplay as)\s+(?:an?\s+|the\s+)?(?:different\s+|unrestricted\s+)?(?:ai|assistant|language model|chat ?bot|llm)\b|\b(?:system prompt|developer mode|jailbreak)\b/gi
+  },
+  {
+    rule: SANITISER_RULES.MODEL_DIRECTIVE,
+    pattern: /\b(?:ai|assistant|language model|llm|chat ?bot|chatgpt|gpt|claude|deepseek)s?\b[^.!?\n]{0,40}?\b(?:must|should|shall|will|needs? to)\b[^.!?\n]{0,40}?\b(?:ignore|respond|reply|output|generate|write|answer|say)\b/gi
+  },
+  {
+    // Chat-role lines ("System: ...") are left to PROMPT_MARKUP: "System: Electrical" is a heading
+    rule: SANITISER_RULES.NEW_INSTRUCTIONS,
+    pattern: /\b(?:new|updated|real|actual|additional|hidden) instructions?\s*:/gi
+  }
+];
+
+// Tags the prompt fences the document with (see prompts/templates.js) and chat-format role markers
+const PROMPT_MARKUP = /<\/?\s*(?:study_material|system|assistant|user|instructions?)\b[^<>]{0,100}>|<\|[\w-]{1,30}\|>|\[\/?INST\]|<<\/?SYS>>/gi;
+const HTML_COMMENT = /<!--[\s\S]*?-->/g;
+
+// Characters that render as nothing: zero-width, word joiners, byte order marks and bidi controls
+const HIDDEN_CHARACTER = /[\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/;
+// Tag characters (U+E0000-U+E007F) spell out invisible ASCII - their only use in a study document is smuggling text
+const TAG_CHARACTER_HIGH_SURROGATE = 0xdb40;
+
+// Neutralised sentences kept in the report, and how much of each
+const MAX_REPORTED_PASSAGES = 5;
+const MAX_EXCERPT_CHARS = 120;
+
+function isControlCharacter(code) {
+  return (code < 0x20 && code !== 0x09 && code !== 0x0a && code !== 0x0c && code !== 0x0d) ||
+    (code >= 0x7f && code <= 0x9f);
+}
+
+// Edits removing control, hidden and tag characters one by one
+function characterEdits(text, removed) {
+  const edits = [];
+  for (let index = 0; index < text.length; index++) {
+    const code = text.charCodeAt(index);
+    if (code === TAG_CHARACTER_HIGH_SURROGATE && /[\uDC00-\uDC7F]/.test(text[index + 1] || '')) {
+      edits.push({ start: index, end: index + 2, replacement: '' });
+      removed.tagChars++;
+      index++;
+    } else if (isControlCharacter(code)) {
+      edits.push({ start: index, end: index + 1, replacement: '' });
+      removed.controlChars++;
+    } else if (HIDDEN_CHARACTER.test(text[index])) {
+      edits.push({ start: index, end: index + 1, replacement: '' });
+      removed.hiddenChars++;
+    }
+  }
+  return edits;
+}
+
+// Edits removing every match of a pattern
+function patternEdits(text, pattern) {
+  return [...text.matchAll(pattern)].map(match => ({ start: match.index, end: match.index + match[0].length, replacement: '' }));
+}
+
+// The sentence (or line) around a match
+function sentenceAround(text, start, end) {
+  let sentenceStart = start;
+  while (sentenceStart > 0 && !/[.!?\n]/.test(text[sentenceStart - 1])) {
+    sentenceStart--;
+  }
+  while (sentenceStart < start && /\s/.test(text[sentenceStart])) {
+    sentenceStart++;
+  }
+
+  let sentenceEnd = end;
+  while (sentenceEnd < text.length && !/[.!?\n]/.test(text[sentenceEnd])) {
+    sentenceEnd++;
+  }
+  if (sentenceEnd < text.length && text[sentenceEnd] !== '\n') {
+    sentenceEnd++;
+  }
+
+  return { start: sentenceStart, end: sentenceEnd };
+}
+
+// Edits replacing instruction-like sentences with the placeholder, with the rule each matched
+function instructionEdits(text) {
+  const spans = [];
+  INSTRUCTION_PATTERNS.forEach(({ rule, pattern, imperative }) => {
+    for (const match of text.matchAll(pattern)) {
+      const sentence = sentenceAround(text, match.index, match.index + match[0].length);
+      // "Pilots should ignore ..." describes what a pilot does; only a sentence that opens with the verb is an order
+      if (imperative && /\w/.test(text.slice(sentence.start, match.index).replace(/\b(?:please|now)\b/gi, ''))) {
+        continue;
+      }
+      spans.push({ ...sentence, rule });
+    }
+  });
+  spans.sort((a, b) => a.start - b.start);
+
+  // Sentences matched by several rules are neutralised once
+  const merged = [];
+  spans.forEach(span => {
+    const last = merged[merged.length - 1];
+    if (last && span.start < last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ ...span });
+    }
+  });
+
+  return merged.map(span => ({
+    start: span.start,
+    end: span.end,
+    replacement: NEUTRALISED_PLACEHOLDER,
+    rule: span.rule,
+    excerpt: text.slice(span.start, span.end).replace(/\s+/g, ' ').trim().slice(0, MAX_EXCERPT_CHARS)
+  }));
+}
+
+/**
+ * Clean document text for use in a prompt (see the module comment)
+ * @param {string} text - Extracted document text
+ * @returns {{text: string, mapOffset: Function, report: Object}} - Cleaned text, a function mapping
+ *          offsets in the original text to the cleaned one, and the report (see sanitiseExtraction)
+ */
+export function sanitiseDocumentText(text) {
+  const removed = { controlChars: 0, hiddenChars: 0, tagChars: 0, htmlComments: 0, markup: 0 };
+  const passes = [];
+  let current = text || '';
+
+  const runPass = edits => {
+    const result = applyEdits(current, edits);
+    current = result.text;
+    passes.push(result.mapOffset);
+    return edits;
+  };
+
+  runPass(characterEdits(current, removed));
+  removed.htmlComments = runPass(patternEdits(current, HTML_COMMENT)).length;
+  removed.markup = runPass(patternEdits(current, PROMPT_MARKUP)).length;
+  const neutralised = runPass(instructionEdits(current));
+
+  const reasons = [];
+  if (neutralised.length > 0) reasons.push('instruction-like text');
+  if (removed.markup > 0) reasons.push('prompt markup');
+  if (removed.tagChars > 0) reasons.push('hidden tag characters');
+
+  return {
+    text: current,
+    mapOffset: offset => passes.reduce((mapped, mapOffset) => mapOffset(mapped), offset),
+    report: {
+      sanitiserVersion: SANITISER_VERSION,
+      suspicious: reasons.length > 0,
+      reasons,
+      removed,
+      neutralisedCount: neutralised.length,
+      neutralised: neutralised.slice(0, MAX_REPORTED_PASSAGES).map(({ rule, excerpt }) => ({ rule, excerpt }))
+    }
+  };
+}
+
+/**
+ * Clean an extraction's text and shift its page map to match
+ * @param {Object} extraction - Document extraction ({text, pageMap, ...}, see documentExtraction.js)
+ * @returns {Object} - The extraction with the cleaned text and page map, plus `sanitisation`:
+ *          {sanitiserVersion, suspicious, reasons, removed: {controlChars, hiddenChars, tagChars,
+ *          htmlComments, markup}, neutralisedCount, neutralised: [{rule, excerpt}]}
+ */
+export function sanitiseExtraction(extraction) {
+  const { text, mapOffset, report } = sanitiseDocumentText(extraction.text);
+  return {
+    ...extraction,
+    text,
+    pageMap: shiftPageMap(extraction.pageMap, mapOffset),
+    sanitisation: report
+  };
+}
@@ -0,0 +1,107 @@
+/**
+ * Quiz modes, and the timed exam simulation.
+ *
+ * A quiz is taken untimed (the clock pauses while the app is in the background), in
+ * practice mode (untimed, with feedback on each answer as soon as it is given; the first
+ * answer to each question is the one scored, and the results are kept apart from exams by
+ * their mode) or as an exam simulation under an exam profile. An exam has a wall-clock
+ * deadline set when it starts:
+ *   {profileId, timeLimitMs, endsAt}
+ * so it keeps running while the app is in the background or closed, and a resumed exam
+ * that ran out is submitted straight away. Time is also recorded per question (question
+ * id -> milliseconds on screen) for the results.
+ */
+
+export const QUIZ_MODES = {
+  UNTIMED: 'untimed',
+  PRACTICE: 'practice',
+  EXAM: 'exam'
+};
+
+/**
+ * Exam profiles: time allowed per question, scaled to the length of the quiz, and the pass mark (%)
+ */
+export const EXAM_PROFILES = [
+  { id: 'sacaa-ppl', name: 'SACAA PPL', secondsPerQuestion: 90, passMark: 75 },
+  { id: 'sacaa-cpl', name: 'SACAA CPL', secondsPerQuestion: 75, passMark: 75 },
+  { id: 'sacaa-atpl', name: 'SACAA ATPL', secondsPerQuestion: 75, passMark: 75 }
+];
+
+export const DEFAULT_EXAM_PROFILE_ID = 'sacaa-ppl';
+
+/**
+ * Look up an exam profile
+ * @param {string} profileId - Profile ID
+ * @returns {Object} - The profile, or the default profile for an unknown id
+ */
+export function getExamProfile(profileId) {
+  return EXAM_PROFILES.find(profile => profile.id === profileId)
+    || EXAM_PROFILES.find(profile => profile.id === DEFAULT_EXAM_PROFILE_ID);
+}
+
+/**
+ * Time allowed for a quiz under an exam profile
+ * @param {Object} profile - Exam profile
+ * @param {number} questionCount - Number of questions in the quiz
+ * @returns {number} - Milliseconds
+ */
+export function examTimeLimitMs(profile, questionCount) {
+  return Math.max(1, questionCount) * profile.secondsPerQuestion * 1000;
+}
+
+/**
+ * Start an exam now
+ * @param {string} profileId - Exam profile ID
+ * @param {number} questionCount - Number of questions in the quiz
+ * @param {number} now - Current time (ms since the epoch)
+ * @returns {{profileId: string, timeLimitMs: number, endsAt: string}} - The exam (see the module comment)
+ */
+export function startExam(profileId, questionCount, now = Date.now()) {
+  const profile = getExamProfile(profileId);
+  const timeLimitMs = examTimeLimitMs(profile, questionCount);
+  return { profileId: profile.id, timeLimitMs, endsAt: new Date(now + timeLimitMs).toISOString() };
+}
+
+/**
+ * Time left in an exam
+ * @param {Object} exam - Exam from startExam
+ * @param {number} now - Current time (ms since the epoch)
+ * @returns {number} - Milliseconds, 0 once the time is up
+ */
+export function examRemainingMs(exam, now = Date.now()) {
+  return Math.max(0, Date.parse(exam.endsAt) - now);
+}
+
+/**
+ * Time used in an exam, in the background included
+ * @param {Object} exam - Exam from startExam
+ * @param {number} now - Current time (ms since the epoch)
+ * @returns {number} - Milliseconds, at most the time limit
+ */
+export function examElapsedMs(exam, now = Date.now()) {
+  return exam.timeLimitMs - examRemainingMs(exam, now);
+}
+
+/**
+ * Add time spent on a question
+ * @param {Object} questionTimes - Question id -> milliseconds
+ * @param {string} questionId - Question ID
+ * @param {number} ms - Milliseconds to add
+ * @returns {Object} - Updated copy
+ */
+export function addQuestionTime(questionTimes, questionId, ms) {
+  if (!questionId || !(ms > 0)) {
+    return questionTimes;
+  }
+  return { ...questionTimes, [questionId]: ((questionTimes || {})[questionId] || 0) + ms };
+}
+
+/**
+ * Whether a score passes an exam profile
+ * @param {number} score - Score as a percentage
+ * @param {string} profileId - Exam profile ID
+ * @returns {boolean}
+ */
+export function passesExam(score, profileId) {
+  return score >= getExamProfile(profileId).passMark;
+}
@@ -0,0 +1,116 @@
+/**
+ * Pools of generated questions, cached per document content.
+ *
+ * A pool holds every question generated for one document (by content hash) with
+ * one set of generation options. Quizzes draw the questions not served yet, so
+ * re-generating from the same manual is instant and gives fresh questions; the AI
+ * is only called again once the pool runs dry. Pools made with another prompt
+ * template or extractor version are discarded, since their questions (and citation
+ * offsets) would differ from what the current code produces.
+ */
+import { isDuplicateQuestion } from './questionMerge';
+import { difficultySettingKey } from './difficulty';
+import { QUESTION_TYPES, resolveQuestionTypes } from './questionTypes';
+import { REDACTOR_VERSION } from './piiRedaction';
+
+/**
+ * Key for the generation options that change which questions are produced.
+ * The question count is left out: it only decides how many are drawn from the pool.
+ * Redaction is included with the redactor version, so questions generated from text
+ * with personal details left in are never served to a quiz that asked for redaction.
+ * @param {Object} options - Generation options
+ * @param {string|Object} options.difficulty - Requested difficulty (default 'mixed', see difficulty.js)
+ * @param {Array<string>} options.questionTypes - Requested question types (default single choice only, see questionTypes.js)
+ * @param {boolean} options.redactPII - Whether personal details are redacted from the text (default true)
+ * @returns {string}
+ */
+export function generationOptionsKey(options = {}) {
+  const difficulty = `difficulty=${difficultySettingKey(options.difficulty)}`;
+  const types = resolveQuestionTypes(options.questionTypes);
+  const typesKey = types.length === 1 && types[0] === QUESTION_TYPES.SINGLE_CHOICE
+    ? ''
+    : `;types=${types.join(',')}`;
+  const redaction = options.redactPII === false ? 'off' : `v${REDACTOR_VERSION}`;
+  return `${difficulty}${typesKey};redaction=${redaction}`;
+}
+
+/**
+ * Create an empty pool
+ * @param {Object} key - Pool identity
+ * @param {string} key.contentHash - Document content hash (see contentHash.js)
+ * @param {string} key.optionsKey - Result of generationOptionsKey
+ * @param {string} key.promptVersion - Prompt template versions the questions are generated with (see prompts.promptVersionKey)
+ * @param {number} key.extractorVersion - Extractor version of the document text
+ * @returns {Object} - {contentHash, optionsKey, promptVersion, extractorVersion, questions, servedCount}
+ */
+export function createQuestionPool(key) {
+  return {
+    contentHash: key.contentHash,
+    optionsKey: key.optionsKey,
+    promptVersion: key.promptVersion,
+    extractorVersion: key.extractorVersion,
+    questions: [],
+    servedCount: 0
+  };
+}
+
+/**
+ * Whether a stored pool can still be used
+ * @param {Object|null} pool - Stored pool
+ * @param {Object} key - Key the caller would create the pool with (see createQuestionPool)
+ * @returns {boolean}
+ */
+export function isPoolCurrent(pool, key) {
+  return Boolean(pool) &&
+    pool.contentHash === key.contentHash &&
+    pool.optionsKey === key.optionsKey &&
+    pool.promptVersion === key.promptVersion &&
+    pool.extractorVersion === key.extractorVersion;
+}
+
+/**
+ * Number of questions in the pool that have not been served yet
+ * @param {Object} pool - Pool
+ * @returns {number}
+ */
+export function unservedCount(pool) {
+  return Math.max(0, pool.questions.length - pool.servedCount);
+}
+
+/**
+ * Take `count` questions, preferring ones that have not been served yet. When too few
+ * remain, the quiz is topped up with the questions served longest ago.
+ * @param {Object} pool - Pool
+ * @param {number} count - Number of questions wanted
+ * @returns {{questions: Array<Object>, recycled: number, pool: Object}} - Drawn questions, how many of them
+ *          were served before, and the pool with the drawn questions marked as served
+ */
+export function drawFromPool(pool, count) {
+  const wanted = Math.min(Math.max(0, count), pool.questions.length);
+  const fresh = pool.questions.slice(pool.servedCount, pool.servedCount + wanted);
+  const recycled = pool.questions.slice(0, wanted - fresh.length);
+  return {
+    questions: [...fresh, ...recycled],
+    recycled: recycled.length,
+    pool: { ...pool, servedCount: pool.servedCount + fresh.length }
+  };
+}
+
+/**
+ * Add newly generated questions to the pool, leaving out ones it already has
+ * @param {Object} pool - Pool
+ * @param {Array<Object>} questions - Generated questions
+ * @returns {{pool: Object, added: number}} - Updated pool and how many questions were new
+ */
+export function addToPool(pool, questions) {
+  const kept = [...pool.questions];
+  questions.forEach(question => {
+    if (!kept.some(other => isDuplicateQuestion(question, other))) {
+      kept.push(question);
+    }
+  });
+  return {
+    pool: { ...pool, questions: kept },
+    added: kept.length - pool.questions.length
+  };
+}
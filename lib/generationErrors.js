@@ -0,0 +1,116 @@
+/**
+ * Structured errors for the question generation pipeline.
+ *
+ * Errors are plain Error instances with a `code` and a `details` object attached,
+ * matching the way the rest of the app decorates errors (e.g. `originalError`,
+ * `status`). The upload screen uses the code to show a meaningful message.
+ */
+
+export const GENERATION_ERROR_CODES = {
+  INVALID_JSON: 'INVALID_JSON',
+  SCHEMA_MISMATCH: 'SCHEMA_MISMATCH',
+  NO_VALID_QUESTIONS: 'NO_VALID_QUESTIONS',
+  AI_REQUEST_FAILED: 'AI_REQUEST_FAILED',
+  SCANNED_DOCUMENT: 'SCANNED_DOCUMENT',
+  UNSUPPORTED_DOCUMENT: 'UNSUPPORTED_DOCUMENT',
+  NO_EXTRACTABLE_TEXT: 'NO_EXTRACTABLE_TEXT',
+  OCR_FAILED: 'OCR_FAILED',
+  CANCELLED: 'CANCELLED'
+};
+
+// Codes that mean the model answered but we could not turn the answer into questions
+const PARSE_FAILURE_CODES = [
+  GENERATION_ERROR_CODES.INVALID_JSON,
+  GENERATION_ERROR_CODES.SCHEMA_MISMATCH,
+  GENERATION_ERROR_CODES.NO_VALID_QUESTIONS
+];
+
+// Codes that mean the uploaded document itself cannot be used
+const DOCUMENT_FAILURE_CODES = [
+  GENERATION_ERROR_CODES.SCANNED_DOCUMENT,
+  GENERATION_ERROR_CODES.UNSUPPORTED_DOCUMENT,
+  GENERATION_ERROR_CODES.NO_EXTRACTABLE_TEXT
+];
+
+const USER_MESSAGES = {
+  [GENERATION_ERROR_CODES.INVALID_JSON]:
+    'The AI returned a response we could not read. Please try generating the questions again.',
+  [GENERATION_ERROR_CODES.SCHEMA_MISMATCH]:
+    'The AI returned questions in an unexpected format. Please try generating the questions again.',
+  [GENERATION_ERROR_CODES.NO_VALID_QUESTIONS]:
+    'None of the generated questions passed validation. Try again, or upload a document with more study content.',
+  [GENERATION_ERROR_CODES.AI_REQUEST_FAILED]:
+    'We could not reach the question generator. Please check your connection and try again.',
+  [GENERATION_ERROR_CODES.SCANNED_DOCUMENT]:
+    'This document only contains scanned images, so there is no text to read. ' +
+    'Please upload a text-based PDF, or photos of the pages from the gallery.',
+  [GENERATION_ERROR_CODES.UNSUPPORTED_DOCUMENT]:
+    'This document is password-protected or in a format we cannot read. Please upload an unprotected PDF or a text file.',
+  [GENERATION_ERROR_CODES.NO_EXTRACTABLE_TEXT]:
+    'We could not find enough readable text in this document to generate questions.',
+  [GENERATION_ERROR_CODES.OCR_FAILED]:
+    'We could not read the text in this photo. Try a sharper photo; text recognition is not available in Expo Go.',
+  [GENERATION_ERROR_CODES.CANCELLED]:
+    'Question generation was cancelled.'
+};
+
+/**
+ * Create a structured generation error
+ * @param {string} code - One of GENERATION_ERROR_CODES
+ * @param {string} message - Technical message for logs
+ * @param {Object} details - Extra context (validation errors, counts, ...)
+ * @returns {Error} - Error with `code` and `details` attached
+ */
+export function createGenerationError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Whether an error means the AI response could not be parsed into questions
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export function isParseFailure(error) {
+  return !!error && PARSE_FAILURE_CODES.includes(error.code);
+}
+
+/**
+ * Whether an error means the uploaded document cannot be used for generation
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export function isDocumentFailure(error) {
+  return !!error && DOCUMENT_FAILURE_CODES.includes(error.code);
+}
+
+/**
+ * Whether an error means generation was cancelled by the user
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export function isCancellation(error) {
+  return !!error && error.code === GENERATION_ERROR_CODES.CANCELLED;
+}
+
+/**
+ * Stop generation between steps once it has been cancelled
+ * @param {AbortSignal} signal - Signal of the job's AbortController (optional)
+ * @throws {Error} - CANCELLED generation error when the signal is aborted
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw createGenerationError(GENERATION_ERROR_CODES.CANCELLED, 'Question generation was cancelled');
+  }
+}
+
+/**
+ * Get a user-facing description for a generation error code
+ * @param {string} code - Error code
+ * @returns {string|null} - Message to show, or null for unknown codes
+ */
+export function describeGenerationError(code) {
+  return USER_MESSAGES[code] || null;
+}
@@ -0,0 +1,267 @@
+/**
+ * Offline check that a generated question is grounded in the passage it cites.
+ *
+ * The correct option and the explanation are compared with the cited excerpt by
+ * lexical overlap: words are lower-cased and stemmed, acronyms are matched against
+ * the words they abbreviate, related word forms share a prefix, and numbers must
+ * match exactly. A question fails when its answer is not in the excerpt, when it
+ * relies on numbers the excerpt does not contain, or when the excerpt supports a
+ * different option better than the one marked correct.
+ *
+ * The other question types are judged on what they have: the correct options together
+ * for multi-select, the statement for true/false, and only the explanation for
+ * numeric questions, whose answers are calculated rather than quoted.
+ */
+import { QUESTION_TYPES, questionTypeOf } from './questionTypes';
+
+// Minimum grounding score for a question to be kept
+export const GROUNDING_THRESHOLD = 0.5;
+// Weight of the correct option in the score; the explanation makes up the rest
+const ANSWER_WEIGHT = 0.6;
+// A distractor this much better supported than the correct option means the key is wrong
+const DISTRACTOR_MARGIN = 0.34;
+// Words sharing a prefix this long count as forms of the same word (navigate/navigation)
+const SHARED_PREFIX_CHARS = 6;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'to', 'in', 'on', 'for', 'at', 'by', 'from', 'with', 'and', 'or', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its', 'this', 'that', 'these', 'those',
+  'which', 'what', 'when', 'where', 'who', 'how', 'why', 'does', 'do', 'did', 'can', 'could', 'will',
+  'would', 'should', 'may', 'might', 'must', 'has', 'have', 'had', 'not', 'no', 'than', 'then',
+  'there', 'their', 'they', 'into', 'onto', 'over', 'under', 'about', 'such', 'each', 'any', 'all',
+  'also', 'only', 'because', 'so', 'if', 'while', 'during', 'per', 'some', 'other', 'following',
+  'correct', 'answer', 'option', 'material', 'states', 'according', 'stated', 'study'
+]);
+
+const NUMBER_WORDS = {
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8',
+  nine: '9', ten: '10', eleven: '11', twelve: '12', fifteen: '15', twenty: '20', thirty: '30',
+  forty: '40', fifty: '50', hundred: '100', thousand: '1000', single: '1', double: '2', triple: '3'
+};
+
+// Irregular forms the suffix rules below do not reach
+const WORD_FORMS = { feet: 'foot', knots: 'knot', miles: 'mile', degrees: 'degree' };
+
+function stem(word) {
+  if (WORD_FORMS[word]) return WORD_FORMS[word];
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function normaliseNumber(value) {
+  const plain = value.replace(/,/g, '');
+  return String(Number(plain)) === 'NaN' ? plain : String(Number(plain));
+}
+
+/**
+ * Split text into comparable terms
+ * @param {string} text - Text to analyse
+ * @returns {{words: Array<string>, terms: Array<string>, numbers: Array<string>}}
+ *          - all words in order, content terms (stemmed, no stop words) and numbers
+ */
+export function analyseText(text) {
+  const words = (text || '')
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/'s\b/g, '')
+    .match(/\d[\d,]*(?:\.\d+)?|[a-z][a-z']*/g) || [];
+
+  const terms = [];
+  const numbers = [];
+  words.forEach(word => {
+    if (/^\d/.test(word)) {
+      numbers.push(normaliseNumber(word));
+    } else if (NUMBER_WORDS[word]) {
+      numbers.push(NUMBER_WORDS[word]);
+    } else if (!STOP_WORDS.has(word) && word.length > 1) {
+      terms.push(stem(word.replace(/'/g, '')));
+    }
+  });
+
+  return { words, terms, numbers };
+}
+
+// Initials of every run of 2-5 consecutive words, so "wide area augmentation system" yields "waas"
+function acronymsOf(words) {
+  const letters = words.filter(word => /^[a-z]/.test(word)).map(word => word[0]);
+  const acronyms = new Set();
+  for (let start = 0; start < letters.length; start++) {
+    for (let length = 2; length <= 5 && start + length <= letters.length; length++) {
+      const acronym = letters.slice(start, start + length).join('');
+      // Compared with stemmed terms, where "waas" has become "waa"
+      acronyms.add(acronym).add(stem(acronym));
+    }
+  }
+  return acronyms;
+}
+
+/**
+ * Index an excerpt for support lookups
+ * @param {string} excerpt - Cited passage
+ * @returns {Object} - Evidence index
+ */
+export function createEvidence(excerpt) {
+  const { words, terms, numbers } = analyseText(excerpt);
+  return {
+    terms: new Set(terms),
+    numbers: new Set(numbers),
+    acronyms: acronymsOf(words)
+  };
+}
+
+function termSupported(term, evidence) {
+  if (evidence.terms.has(term) || evidence.acronyms.has(term)) {
+    return true;
+  }
+  if (term.length < SHARED_PREFIX_CHARS) {
+    return false;
+  }
+  const prefix = term.slice(0, SHARED_PREFIX_CHARS);
+  for (const candidate of evidence.terms) {
+    if (candidate.startsWith(prefix)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * How much of a claim the evidence supports
+ * @param {string} text - Claim (option or explanation)
+ * @param {Object} evidence - Evidence from createEvidence
+ * @param {Object} options - Options
+ * @param {Set<string>} options.ignore - Terms left out of the comparison (e.g. words shared by every option)
+ * @returns {{support: number|null, missingNumbers: Array<string>}} - support is null when the claim has nothing to check
+ */
+export function measureSupport(text, evidence, options = {}) {
+  const ignore = options.ignore || new Set();
+  const { words, terms, numbers } = analyseText(text);
+  const checked = terms.filter(term => !ignore.has(term));
+  const supported = new Set(checked.filter(term => termSupported(term, evidence)));
+
+  // Words spelled out in the claim but abbreviated in the excerpt ("above ground level" vs "AGL")
+  const contentWords = words.filter(word => !STOP_WORDS.has(word) && /^[a-z]/.test(word));
+  for (let start = 0; start < contentWords.length; start++) {
+    for (let length = 2; length <= 5 && start + length <= contentWords.length; length++) {
+      const run = contentWords.slice(start, start + length);
+      const initials = run.map(word => word[0]).join('');
+      if (evidence.terms.has(initials) || evidence.terms.has(stem(initials))) {
+        run.forEach(word => supported.add(stem(word.replace(/'/g, ''))));
+      }
+    }
+  }
+
+  const missingNumbers = numbers.filter(number => !ignore.has(number) && !evidence.numbers.has(number));
+  const total = checked.length + numbers.filter(number => !ignore.has(number)).length;
+  if (total === 0) {
+    return { support: null, missingNumbers };
+  }
+
+  const found = checked.filter(term => supported.has(term)).length +
+    numbers.filter(number => !ignore.has(number) && evidence.numbers.has(number)).length;
+  return { support: found / total, missingNumbers };
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Check that a question's correct option and explanation are supported by its cited excerpt
+ * @param {Object} question - Question with its type, options and correctOptionId (or correctOptionIds, or a
+ *                            numeric answer), explanation and citation
+ * @param {Object} options - Options
+ * @param {number} options.threshold - Minimum score to pass (default GROUNDING_THRESHOLD)
+ * @returns {{score: number, supported: boolean, answerSupport: number, explanationSupport: number, reasons: Array<string>}}
+ */
+export function verifyGrounding(question, options = {}) {
+  const threshold = options.threshold ?? GROUNDING_THRESHOLD;
+  const excerpt = question.citation?.excerpt ?? question.source?.excerpt ?? '';
+  const evidence = createEvidence(excerpt);
+  const reasons = [];
+  const type = questionTypeOf(question);
+  const choices = type === QUESTION_TYPES.NUMERIC || type === QUESTION_TYPES.TRUE_FALSE ? [] : question.options;
+  const correctIds = type === QUESTION_TYPES.MULTI_SELECT ? question.correctOptionIds : [question.correctOptionId];
+
+  // Words every option shares ("nautical miles", "at least") say nothing about which one is right
+  const optionTerms = choices.map(option => {
+    const { terms, numbers } = analyseText(option.text);
+    return new Set([...terms, ...numbers]);
+  });
+  const shared = new Set(optionTerms.length > 0
+    ? [...optionTerms[0]].filter(term => optionTerms.every(set => set.has(term)))
+    : []);
+  const optionSupport = choices.map(option => measureSupport(option.text, evidence, { ignore: shared }));
+
+  // The stem is not evidence, but restating it in the explanation is not a claim either
+  const stem = analyseText(question.text);
+  const stemTerms = new Set([...stem.terms, ...stem.numbers]);
+  const explanation = measureSupport(question.explanation, evidence, { ignore: stemTerms });
+
+  let answerSupport = null;
+  if (type === QUESTION_TYPES.TRUE_FALSE) {
+    // The statement is about the excerpt whichever way it goes; only a true one must match its numbers
+    const statement = measureSupport(question.text, evidence);
+    answerSupport = statement.support;
+    if (question.correctOptionId === 'A' && statement.missingNumbers.length > 0) {
+      reasons.push(`the excerpt does not contain ${statement.missingNumbers.join(', ')} from the statement`);
+      answerSupport = 0;
+    }
+  } else if (type !== QUESTION_TYPES.NUMERIC) {
+    const correctText = choices.filter(option => correctIds.includes(option.id)).map(option => option.text).join(' ');
+    const correct = measureSupport(correctText, evidence, { ignore: shared });
+    answerSupport = correct.support;
+    if (correct.missingNumbers.length > 0) {
+      reasons.push(`the excerpt does not contain ${correct.missingNumbers.join(', ')} from the correct option`);
+      answerSupport = 0;
+    }
+  }
+  const explanationSupport = explanation.support ?? answerSupport ?? 0;
+  // Numeric explanations show the working, whose intermediate results cannot be in the excerpt
+  if (explanation.missingNumbers.length > 0 && type !== QUESTION_TYPES.NUMERIC) {
+    reasons.push(`the explanation uses ${explanation.missingNumbers.join(', ')}, which the excerpt does not contain`);
+  }
+  if (answerSupport === null) {
+    // Options like "None of the above", and calculated answers, can only be judged through the explanation
+    answerSupport = explanationSupport;
+  }
+
+  optionSupport.forEach((other, index) => {
+    if (!correctIds.includes(choices[index].id) && other.support !== null && other.missingNumbers.length === 0 &&
+        other.support >= answerSupport + DISTRACTOR_MARGIN) {
+      reasons.push(`the excerpt supports option ${choices[index].id} rather than ${correctIds.join(', ')}`);
+    }
+  });
+
+  const score = round(ANSWER_WEIGHT * answerSupport + (1 - ANSWER_WEIGHT) * explanationSupport);
+  if (score < threshold) {
+    reasons.push(`the correct option and explanation are not supported by the excerpt (score ${score})`);
+  }
+
+  return {
+    score,
+    supported: reasons.length === 0,
+    answerSupport: round(answerSupport),
+    explanationSupport: round(explanationSupport),
+    reasons
+  };
+}
+
+/**
+ * Summarise the grounding of a generated question set, for the quiz record
+ * @param {Array<Object>} questions - Questions carrying a `grounding` result
+ * @param {number} requested - Number of questions that were asked for
+ * @returns {{score: number|null, minScore: number|null, verified: number, regenerated: number, requested: number, returned: number}}
+ */
+export function summariseGrounding(questions, requested) {
+  const scores = questions.filter(question => question.grounding).map(question => question.grounding.score);
+  return {
+    score: scores.length > 0 ? round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+    minScore: scores.length > 0 ? Math.min(...scores) : null,
+    verified: scores.length,
+    regenerated: questions.filter(question => question.grounding?.regenerated).length,
+    requested,
+    returned: questions.length
+  };
+}
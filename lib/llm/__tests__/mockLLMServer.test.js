@@ -0,0 +1,111 @@
+/* global jest, describe, beforeAll, afterAll, beforeEach, it, expect, TextEncoder, __dirname */
+
+import fs from 'fs';
+import path from 'path';
+import { supabase } from '../../../src/services/supabaseClient';
+import documentService from '../../../src/services/documentService';
+import { generateQuestions } from '../../aiProcessing';
+import { createLLMProvider } from '../index';
+import { GENERATION_ERROR_CODES } from '../../generationErrors';
+
+const { createMockLLMServer } = require('../../../scripts/mock-llm-server');
+
+jest.mock('../../../src/services/supabaseClient', () => ({
+  supabase: {
+    from: jest.fn().mockReturnThis(),
+    select: jest.fn().mockReturnThis(),
+    eq: jest.fn().mockReturnThis(),
+    maybeSingle: jest.fn(),
+    storage: {
+      from: jest.fn().mockReturnThis(),
+      download: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../../../src/services/documentService', () => ({
+  __esModule: true,
+  default: {
+    getDocumentText: jest.fn(),
+    saveDocumentText: jest.fn(),
+    getQuestionPool: jest.fn(),
+    saveQuestionPool: jest.fn()
+  }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null)),
+  setItem: jest.fn(() => Promise.resolve())
+}));
+
+jest.mock('../../../src/utils/environment', () => ({
+  env: { llm: { provider: 'mock-server' } }
+}));
+
+const DOCUMENT_TEXT = fs.readFileSync(path.join(__dirname, '../../../samples/aviation_sample.txt'), 'utf8');
+
+const blobOf = content => {
+  const bytes = new TextEncoder().encode(content);
+  return { type: 'text/plain', size: bytes.length, arrayBuffer: () => Promise.resolve(bytes.buffer) };
+};
+
+describe('mock LLM server', () => {
+  const mock = createMockLLMServer();
+  let baseUrl;
+
+  beforeAll(async () => {
+    ({ url: baseUrl } = await mock.listen(0));
+  });
+
+  afterAll(() => mock.close());
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mock.requests.length = 0;
+    supabase.maybeSingle.mockResolvedValue({ data: null, error: null });
+    supabase.storage.download.mockResolvedValue({ data: blobOf(DOCUMENT_TEXT), error: null });
+    documentService.getDocumentText.mockResolvedValue(null);
+  });
+
+  it('should generate questions quoted from the document over HTTP', async () => {
+    const llmProvider = createLLMProvider({ provider: 'mock-server', baseUrl });
+
+    const questions = await generateQuestions('docs/manual.txt', { questionCount: 3, llmProvider });
+
+    expect(questions).toHaveLength(3);
+    questions.forEach(question => {
+      expect(question.bank).toBeUndefined();
+      expect(DOCUMENT_TEXT).toContain(question.citation.excerpt);
+    });
+    expect(mock.requests.map(request => request.scenario)).toEqual(['ok']);
+  });
+
+  it('should rate limit and fail requests so the provider retries them', async () => {
+    mock.queue(['rate_limit', 'server_error']);
+    const llmProvider = createLLMProvider({ provider: 'mock-server', baseUrl, maxRetries: 2 });
+
+    const completion = await llmProvider.complete({ messages: [{ role: 'user', content: 'Reply with one word' }] });
+
+    expect(completion.text).toBeTruthy();
+    expect(mock.requests.map(request => request.scenario)).toEqual(['rate_limit', 'server_error', 'ok']);
+  }, 15000);
+
+  it('should surface persistent server errors as AI_REQUEST_FAILED', async () => {
+    mock.queue(['server_error']);
+    const llmProvider = createLLMProvider({ provider: 'mock-server', baseUrl, maxRetries: 0 });
+
+    await expect(llmProvider.complete({ messages: [{ role: 'user', content: 'Hello' }] }))
+      .rejects.toMatchObject({ code: GENERATION_ERROR_CODES.AI_REQUEST_FAILED, details: { status: 503 } });
+  });
+
+  it('should send malformed output that generation re-requests', async () => {
+    mock.queue(['malformed']);
+    const llmProvider = createLLMProvider({ provider: 'mock-server', baseUrl });
+
+    const questions = await generateQuestions('docs/manual.txt', { questionCount: 2, llmProvider });
+
+    expect(questions).toHaveLength(2);
+    expect(mock.requests.map(request => request.scenario)).toEqual(['malformed', 'ok']);
+    expect(mock.requests[1].prompt).toContain('That response was rejected');
+  });
+});
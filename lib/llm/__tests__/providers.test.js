@@ -0,0 +1,165 @@
+/* global jest, describe, beforeEach, it, expect */
+
+import axios from 'axios';
+import { createLLMProvider } from '../index';
+import { withRetries } from '../providerUtils';
+import { GENERATION_ERROR_CODES } from '../../generationErrors';
+
+jest.mock('axios');
+
+jest.mock('../../../src/utils/environment', () => ({
+  env: { llm: { provider: 'mock' } }
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve('stored-deepseek-key')),
+  setItem: jest.fn(() => Promise.resolve())
+}));
+
+const request = {
+  system: 'You write questions.',
+  messages: [{ role: 'user', content: 'Create 1 question' }],
+  json: true,
+  maxTokens: 100
+};
+
+describe('LLM providers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('deepseek', () => {
+    it('should send an OpenAI-style JSON mode request and normalise the response', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          model: 'deepseek-chat',
+          choices: [{ message: { content: '{"questions": []}' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 12, completion_tokens: 5 }
+        }
+      });
+
+      const provider = createLLMProvider({ provider: 'deepseek' });
+      const completion = await provider.complete(request);
+
+      const [url, body, config] = axios.post.mock.calls[0];
+      expect(url).toBe('https://api.deepseek.com/v1/chat/completions');
+      expect(body.messages[0]).toEqual({ role: 'system', content: 'You write questions.' });
+      expect(body.response_format).toEqual({ type: 'json_object' });
+      expect(config.headers.Authorization).toBe('Bearer stored-deepseek-key');
+      expect(completion).toEqual({
+        text: '{"questions": []}',
+        model: 'deepseek-chat',
+        finishReason: 'stop',
+        usage: { inputTokens: 12, outputTokens: 5 }
+      });
+    });
+
+    it('should raise AI_REQUEST_FAILED for an empty completion', async () => {
+      axios.post.mockResolvedValueOnce({ data: { choices: [{ message: { content: '' } }] } });
+
+      const provider = createLLMProvider({ provider: 'deepseek', apiKey: 'key' });
+
+      await expect(provider.complete(request)).rejects.toMatchObject({
+        code: GENERATION_ERROR_CODES.AI_REQUEST_FAILED
+      });
+    });
+  });
+
+  describe('anthropic', () => {
+    it('should use the Messages API and join text blocks', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          model: 'claude-test',
+          content: [{ type: 'text', text: '{"questions":' }, { type: 'text', text: ' []}' }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 20, output_tokens: 4 }
+        }
+      });
+
+      const provider = createLLMProvider({ provider: 'anthropic', apiKey: 'claude-key', model: 'claude-test' });
+      const completion = await provider.complete(request);
+
+      const [url, body, config] = axios.post.mock.calls[0];
+      expect(url).toBe('https://api.anthropic.com/v1/messages');
+      expect(body.system).toContain('You write questions.');
+      expect(body.messages).toEqual(request.messages);
+      expect(config.headers['x-api-key']).toBe('claude-key');
+      expect(completion.text).toBe('{"questions": []}');
+      expect(completion.usage).toEqual({ inputTokens: 20, outputTokens: 4 });
+    });
+  });
+
+  describe('openai-compatible', () => {
+    it('should require a base URL and model', () => {
+      expect(() => createLLMProvider({ provider: 'openai-compatible' })).toThrow('requires a base URL');
+    });
+
+    it('should call the configured endpoint', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { choices: [{ message: { content: '{}' } }] }
+      });
+
+      const provider = createLLMProvider({
+        provider: 'openai-compatible',
+        baseUrl: 'http://localhost:11434/v1/',
+        model: 'llama3'
+      });
+      await provider.complete(request);
+
+      expect(axios.post.mock.calls[0][0]).toBe('http://localhost:11434/v1/chat/completions');
+      expect(axios.post.mock.calls[0][2].headers.Authorization).toBeUndefined();
+    });
+  });
+
+  describe('mock', () => {
+    it('should answer from the bundled fixture without network access', async () => {
+      const provider = createLLMProvider({ provider: 'mock' });
+      const completion = await provider.complete(request);
+
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(JSON.parse(completion.text).questions.length).toBeGreaterThan(0);
+    });
+
+    it('should pick the first fixture entry whose match text is in the prompt', async () => {
+      const provider = createLLMProvider({
+        provider: 'mock',
+        fixture: {
+          responses: [
+            { match: 'repair', response: 'not json' },
+            { response: { questions: [] } }
+          ]
+        }
+      });
+
+      const repaired = await provider.complete({ messages: [{ role: 'user', content: 'please repair this' }] });
+      const fallback = await provider.complete(request);
+
+      expect(repaired.text).toBe('not json');
+      expect(fallback.text).toBe('{"questions":[]}');
+    });
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => createLLMProvider({ provider: 'carrier-pigeon' })).toThrow('Unknown LLM provider');
+  });
+
+  describe('withRetries', () => {
+    it('should retry rate limits and server errors, then succeed', async () => {
+      const attempt = jest.fn()
+        .mockRejectedValueOnce({ message: 'Too Many Requests', response: { status: 429 } })
+        .mockRejectedValueOnce({ message: 'Bad Gateway', response: { status: 502 } })
+        .mockResolvedValueOnce('ok');
+
+      await expect(withRetries(attempt, { provider: 'test', maxRetries: 2, retryDelayMs: 1 })).resolves.toBe('ok');
+      expect(attempt).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry client errors', async () => {
+      const attempt = jest.fn().mockRejectedValue({ message: 'Unauthorized', response: { status: 401 } });
+
+      await expect(withRetries(attempt, { provider: 'test', maxRetries: 2, retryDelayMs: 1 }))
+        .rejects.toMatchObject({ code: GENERATION_ERROR_CODES.AI_REQUEST_FAILED, details: { status: 401 } });
+      expect(attempt).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+import axios from 'axios';
+import { normaliseCompletion, withRetries } from './providerUtils';
+
+// Anthropic API configuration
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+const ANTHROPIC_MODEL = 'claude-sonnet-4-20250514';
+
+/**
+ * Create the Anthropic Claude provider (Messages API)
+ * @param {Object} config - Provider configuration (see environment.js `llm`)
+ * @returns {Object} - LLM provider
+ */
+export function createAnthropicProvider(config = {}) {
+  const name = 'anthropic';
+  const model = config.model || ANTHROPIC_MODEL;
+  const url = `${(config.baseUrl || ANTHROPIC_BASE_URL).replace(/\/+$/, '')}/messages`;
+  const timeoutMs = config.timeoutMs || 90000;
+  const maxRetries = config.maxRetries ?? 2;
+
+  return {
+    name,
+    model,
+
+    /**
+     * Request a completion
+     * @param {Object} request - Completion request (same shape for every provider)
+     * @returns {Promise<Object>} - Normalised completion
+     */
+    async complete({ system, messages, json = false, maxTokens = 4000, temperature = 0.3 }) {
+      // Claude has no JSON mode; a system instruction is the closest equivalent
+      const systemPrompt = json
+        ? `${system || ''}\nRespond with a single JSON object only.`.trim()
+        : system;
+
+      const body = {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        // The Messages API only accepts user/assistant turns
+        messages: messages.filter(message => message.role !== 'system')
+      };
+      if (systemPrompt) {
+        body.system = systemPrompt;
+      }
+
+      const response = await withRetries(
+        () => axios.post(url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': config.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION
+          },
+          timeout: timeoutMs
+        }),
+        { provider: name, maxRetries }
+      );
+
+      const text = (response.data?.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      return normaliseCompletion({
+        provider: name,
+        text,
+        model: response.data?.model || model,
+        finishReason: response.data?.stop_reason || null,
+        inputTokens: response.data?.usage?.input_tokens || 0,
+        outputTokens: response.data?.usage?.output_tokens || 0
+      });
+    }
+  };
+}
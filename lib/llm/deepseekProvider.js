@@ -0,0 +1,25 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createOpenAICompatibleProvider } from './openAICompatibleProvider';
+
+// DeepSeek API configuration
+const DEEPSEEK_BASE_URL = 'https://api.deepseek.com/v1';
+const DEEPSEEK_MODEL = 'deepseek-chat'; // Using DeepSeek Chat model
+
+/**
+ * Create the DeepSeek provider. DeepSeek speaks the OpenAI protocol, so this only
+ * supplies its defaults and the API key lookup.
+ * @param {Object} config - Provider configuration (see environment.js `llm`)
+ * @returns {Object} - LLM provider
+ */
+export function createDeepSeekProvider(config = {}) {
+  return createOpenAICompatibleProvider({
+    name: 'deepseek',
+    baseUrl: config.baseUrl || DEEPSEEK_BASE_URL,
+    model: config.model || DEEPSEEK_MODEL,
+    // The key may only be available from AsyncStorage, where environment.js stores it
+    apiKey: async () => config.apiKey || AsyncStorage.getItem('deepseek_api_key'),
+    timeoutMs: config.timeoutMs || 60000,
+    maxRetries: config.maxRetries ?? 2,
+    supportsJsonMode: true
+  });
+}
@@ -0,0 +1,68 @@
+/**
+ * LLM provider layer.
+ *
+ * Every provider exposes the same interface:
+ *   provider.name, provider.model
+ *   provider.complete({ system, messages, json, maxTokens, temperature })
+ *     -> Promise<{ text, model, finishReason, usage: { inputTokens, outputTokens } }>
+ *
+ * Failures surface as AI_REQUEST_FAILED generation errors. The active provider is
+ * chosen by the `llm` section of src/utils/environment.js.
+ */
+import { env } from '../../src/utils/environment';
+import { createGenerationError, GENERATION_ERROR_CODES } from '../generationErrors';
+import { createDeepSeekProvider } from './deepseekProvider';
+import { createAnthropicProvider } from './anthropicProvider';
+import { createOpenAICompatibleProvider } from './openAICompatibleProvider';
+import { createMockProvider } from './mockProvider';
+import { createMockServerProvider } from './mockServerProvider';
+
+export const LLM_PROVIDERS = {
+  deepseek: createDeepSeekProvider,
+  anthropic: createAnthropicProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  mock: createMockProvider,
+  'mock-server': createMockServerProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Create a provider from configuration
+ * @param {Object} config - Provider configuration; `provider` selects the implementation
+ * @returns {Object} - LLM provider
+ */
+export function createLLMProvider(config = {}) {
+  const providerName = config.provider || 'deepseek';
+  const factory = LLM_PROVIDERS[providerName];
+
+  if (!factory) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.AI_REQUEST_FAILED,
+      `Unknown LLM provider "${providerName}". Expected one of: ${Object.keys(LLM_PROVIDERS).join(', ')}`,
+      { provider: providerName }
+    );
+  }
+
+  return factory(config);
+}
+
+/**
+ * Get the provider configured for this environment (created once, then reused)
+ * @returns {Object} - LLM provider
+ */
+export function getLLMProvider() {
+  if (!activeProvider) {
+    activeProvider = createLLMProvider(env.llm);
+    console.log(`[DEBUG] Using LLM provider: ${activeProvider.name} (${activeProvider.model})`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Override the active provider, e.g. to run offline in tests. Pass null to reset.
+ * @param {Object|null} provider - Provider instance
+ */
+export function setLLMProvider(provider) {
+  activeProvider = provider;
+}
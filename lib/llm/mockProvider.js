@@ -0,0 +1,51 @@
+import { normaliseCompletion } from './providerUtils';
+import defaultFixture from './fixtures/mockResponses.json';
+
+/**
+ * Create a mock provider that answers from a fixture file instead of the network.
+ * Used for offline development and tests.
+ * @param {Object} config - Provider configuration
+ * @param {Object} config.fixture - Fixture in the mockResponses.json format (defaults to the bundled one)
+ * @param {number} config.latencyMs - Artificial delay before answering
+ * @returns {Object} - LLM provider
+ */
+export function createMockProvider(config = {}) {
+  const name = 'mock';
+  const fixture = config.fixture || defaultFixture;
+  const latencyMs = config.latencyMs || 0;
+
+  return {
+    name,
+    model: 'mock-fixture',
+
+    /**
+     * Request a completion
+     * @param {Object} request - Completion request (same shape for every provider)
+     * @returns {Promise<Object>} - Normalised completion
+     */
+    async complete({ messages }) {
+      if (latencyMs > 0) {
+        await new Promise(resolve => global.setTimeout(resolve, latencyMs));
+      }
+
+      const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+      const prompt = lastUserMessage?.content || '';
+      const entry = fixture.responses.find(candidate => candidate.match && prompt.includes(candidate.match)) ||
+        fixture.responses.find(candidate => !candidate.match);
+
+      let text = '';
+      if (entry) {
+        text = typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response);
+      }
+
+      return normaliseCompletion({
+        provider: name,
+        text,
+        model: 'mock-fixture',
+        finishReason: 'stop',
+        inputTokens: prompt.length,
+        outputTokens: text.length
+      });
+    }
+  };
+}
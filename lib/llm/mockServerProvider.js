@@ -0,0 +1,25 @@
+import { createOpenAICompatibleProvider } from './openAICompatibleProvider';
+
+// scripts/mock-llm-server.js listens here by default. Devices need the development machine's
+// address instead (LLM_BASE_URL), e.g. http://10.0.2.2:4010/v1 from the Android emulator.
+const MOCK_SERVER_BASE_URL = 'http://localhost:4010/v1';
+const MOCK_SERVER_MODEL = 'mock-llm';
+
+/**
+ * Create a provider for the local mock LLM server (scripts/mock-llm-server.js). Unlike the
+ * in-process mock provider, requests go over HTTP, so latency, rate limits, server errors
+ * and malformed output exercise the real retry and parsing paths.
+ * @param {Object} config - Provider configuration (see environment.js `llm`)
+ * @returns {Object} - LLM provider
+ */
+export function createMockServerProvider(config = {}) {
+  return createOpenAICompatibleProvider({
+    name: 'mock-server',
+    baseUrl: config.baseUrl || MOCK_SERVER_BASE_URL,
+    model: config.model || MOCK_SERVER_MODEL,
+    apiKey: config.apiKey || null,
+    timeoutMs: config.timeoutMs || 60000,
+    maxRetries: config.maxRetries ?? 2,
+    supportsJsonMode: true
+  });
+}
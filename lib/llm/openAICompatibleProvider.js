@@ -0,0 +1,84 @@
+import axios from 'axios';
+import { createGenerationError, GENERATION_ERROR_CODES } from '../generationErrors';
+import { normaliseCompletion, withRetries } from './providerUtils';
+
+const DEFAULT_TIMEOUT = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+
+/**
+ * Create a provider for any endpoint speaking the OpenAI chat-completions protocol
+ * @param {Object} config - Provider configuration
+ * @param {string} config.name - Provider name used in logs and errors
+ * @param {string} config.baseUrl - API base URL (without /chat/completions)
+ * @param {string} config.model - Model name
+ * @param {string|Function} config.apiKey - API key, or async function resolving it
+ * @param {number} config.timeoutMs - Request timeout
+ * @param {number} config.maxRetries - Retries for transient failures
+ * @param {boolean} config.supportsJsonMode - Whether `response_format: json_object` is accepted
+ * @returns {Object} - LLM provider
+ */
+export function createOpenAICompatibleProvider(config) {
+  const { baseUrl, model, apiKey } = config;
+  const name = config.name || 'openai-compatible';
+  const timeoutMs = config.timeoutMs || DEFAULT_TIMEOUT;
+  const maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+  const supportsJsonMode = config.supportsJsonMode ?? true;
+
+  if (!baseUrl || !model) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.AI_REQUEST_FAILED,
+      `${name} provider requires a base URL and a model`,
+      { provider: name }
+    );
+  }
+
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+    model,
+
+    /**
+     * Request a completion
+     * @param {Object} request - Completion request
+     * @param {string} request.system - System prompt
+     * @param {Array<Object>} request.messages - Chat messages ({role, content})
+     * @param {boolean} request.json - Ask for a JSON object response
+     * @param {number} request.maxTokens - Output token limit
+     * @param {number} request.temperature - Sampling temperature
+     * @returns {Promise<Object>} - Normalised completion
+     */
+    async complete({ system, messages, json = false, maxTokens = 4000, temperature = 0.3 }) {
+      const key = typeof apiKey === 'function' ? await apiKey() : apiKey;
+      const headers = { 'Content-Type': 'application/json' };
+      if (key) {
+        headers.Authorization = `Bearer ${key}`;
+      }
+
+      const body = {
+        model,
+        messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+        temperature,
+        max_tokens: maxTokens
+      };
+      if (json && supportsJsonMode) {
+        body.response_format = { type: 'json_object' };
+      }
+
+      const response = await withRetries(
+        () => axios.post(url, body, { headers, timeout: timeoutMs }),
+        { provider: name, maxRetries }
+      );
+
+      const choice = response.data?.choices?.[0];
+      return normaliseCompletion({
+        provider: name,
+        text: choice?.message?.content,
+        model: response.data?.model || model,
+        finishReason: choice?.finish_reason || null,
+        inputTokens: response.data?.usage?.prompt_tokens || 0,
+        outputTokens: response.data?.usage?.completion_tokens || 0
+      });
+    }
+  };
+}
@@ -0,0 +1,99 @@
+import { createGenerationError, GENERATION_ERROR_CODES } from '../generationErrors';
+
+const RETRY_DELAY = 1000;
+
+/**
+ * Determines if a failed provider request is worth retrying
+ * @param {Error} error - The axios error
+ * @returns {boolean} Whether the request should be retried
+ */
+export function isRetryableError(error) {
+  const status = error.response?.status;
+
+  // Rate limits clear up on their own; other client errors will not
+  if (status === 429) {
+    return true;
+  }
+  if (status >= 400 && status < 500) {
+    return false;
+  }
+
+  return (
+    !error.response || // Network errors (no response)
+    status >= 500 || // Server errors
+    error.code === 'ECONNABORTED' // Timeout
+  );
+}
+
+/**
+ * Run a provider request, retrying transient failures with exponential backoff
+ * @param {Function} request - Function returning the request promise
+ * @param {Object} options - Retry options
+ * @param {string} options.provider - Provider name, for logs and errors
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.retryDelayMs - Base backoff delay
+ * @returns {Promise<*>} - Result of the request
+ */
+export async function withRetries(request, { provider, maxRetries = 0, retryDelayMs = RETRY_DELAY }) {
+  let attempt = 0;
+
+  for (;;) {
+    try {
+      return await request();
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw toProviderError(provider, error);
+      }
+      attempt += 1;
+
+      // Honour Retry-After on rate limits, otherwise back off exponentially with jitter
+      const retryAfter = Number(error.response?.headers?.['retry-after']);
+      const delay = retryAfter > 0
+        ? retryAfter * 1000
+        : retryDelayMs * Math.pow(2, attempt - 1) + Math.random() * 100;
+      console.warn(`[WARN] ${provider} request failed (${error.message}), retry ${attempt}/${maxRetries} in ${Math.round(delay)}ms`);
+      await new Promise(resolve => global.setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Wrap a provider failure in a structured generation error
+ * @param {string} provider - Provider name
+ * @param {Error} error - Underlying error
+ * @returns {Error} - AI_REQUEST_FAILED generation error
+ */
+export function toProviderError(provider, error) {
+  if (error.code && error.details) {
+    return error;
+  }
+  const status = error.response?.status;
+  const enhancedError = createGenerationError(
+    GENERATION_ERROR_CODES.AI_REQUEST_FAILED,
+    `${provider} request failed: ${error.message}`,
+    { provider, status }
+  );
+  enhancedError.originalError = error;
+  return enhancedError;
+}
+
+/**
+ * Build the normalised completion object every provider returns
+ * @param {Object} fields - Completion fields
+ * @returns {{text: string, model: string, finishReason: string|null, usage: {inputTokens: number, outputTokens: number}}}
+ */
+export function normaliseCompletion({ provider, text, model, finishReason = null, inputTokens = 0, outputTokens = 0 }) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.AI_REQUEST_FAILED,
+      `${provider} returned an empty completion`,
+      { provider, finishReason }
+    );
+  }
+  return {
+    text,
+    model,
+    finishReason,
+    usage: { inputTokens, outputTokens }
+  };
+}
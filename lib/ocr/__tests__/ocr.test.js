@@ -0,0 +1,174 @@
+/* global jest, describe, beforeEach, it, expect */
+
+import TextRecognition from '@react-native-ml-kit/text-recognition';
+import { createWorker } from 'tesseract.js';
+import { createOcrEngine, findLowConfidencePages, recognizePages } from '../index';
+import { estimateLineConfidence, summarisePageConfidence } from '../ocrConfidence';
+import { GENERATION_ERROR_CODES } from '../../generationErrors';
+
+jest.mock('../../../src/utils/environment', () => ({
+  env: { ocr: { engine: null, assetPath: null, language: 'eng' } }
+}));
+
+jest.mock('@react-native-ml-kit/text-recognition', () => ({
+  __esModule: true,
+  default: { recognize: jest.fn() }
+}));
+
+jest.mock('tesseract.js', () => ({
+  createWorker: jest.fn()
+}));
+
+const CLEAN_LINES = [
+  'The altimeter measures static pressure and displays it as height.',
+  'Set QNH 1013 hPa to read altitude above mean sea level.',
+  'At FL350 the standard temperature is -54.3°C.'
+];
+
+// Engine returning fixed lines per image
+const fakeEngine = (pages) => ({
+  name: 'fake',
+  recognize: jest.fn(uri => Promise.resolve({ lines: pages[uri] })),
+  terminate: jest.fn()
+});
+
+const linesOf = (texts, confidence) => texts.map(text => ({ text, confidence, confidenceSource: 'engine' }));
+
+describe('ocrConfidence', () => {
+  it('should give clean text, numbers and aviation units a high confidence', () => {
+    CLEAN_LINES.forEach(line => expect(estimateLineConfidence(line)).toBeGreaterThan(0.9));
+    expect(estimateLineConfidence('VOR 112.7 MHz, RWY 03L, 3000ft, 270°')).toBeGreaterThan(0.9);
+  });
+
+  it('should give misread text a low confidence', () => {
+    expect(estimateLineConfidence('tHe a1t!m3ter ~~ mcasrs |||')).toBeLessThan(0.6);
+    expect(estimateLineConfidence('■■ ¥¥ §§')).toBeLessThan(0.2);
+    expect(estimateLineConfidence('   ')).toBe(0);
+  });
+
+  it('should flag pages with a low average or many low-confidence lines', () => {
+    expect(summarisePageConfidence(linesOf(CLEAN_LINES, 0.95)).lowConfidence).toBe(false);
+    expect(summarisePageConfidence(linesOf(CLEAN_LINES, 0.5)).lowConfidence).toBe(true);
+
+    const mixed = [...linesOf(CLEAN_LINES.slice(0, 2), 0.98), ...linesOf(['Stall speed', 'Vso'], 0.3)];
+    expect(summarisePageConfidence(mixed)).toMatchObject({ lowConfidenceLines: 2, lowConfidence: true });
+    expect(summarisePageConfidence([]).lowConfidence).toBe(true);
+  });
+});
+
+describe('recognizePages', () => {
+  it('should build an extraction with a page map and per-line confidences', async () => {
+    const engine = fakeEngine({ 'page1.jpg': linesOf(CLEAN_LINES, 0.92), 'page2.jpg': linesOf(CLEAN_LINES, 0.4) });
+    const onProgress = jest.fn();
+
+    const extraction = await recognizePages(['page1.jpg', 'page2.jpg'], { engine, onProgress });
+
+    expect(extraction).toMatchObject({ extractor: 'ocr', pageCount: 2, scannedPages: [] });
+    expect(extraction.text.startsWith(CLEAN_LINES.join('\n'))).toBe(true);
+    expect(extraction.pageMap[1].page).toBe(2);
+    expect(extraction.ocrPages[0]).toMatchObject({
+      page: 1,
+      engine: 'fake',
+      confidence: 0.92,
+      confidenceSource: 'engine',
+      lowConfidence: false
+    });
+    expect(extraction.ocrPages[1].lines[0]).toEqual({ text: CLEAN_LINES[0], confidence: 0.4, source: 'engine' });
+    expect(findLowConfidencePages(extraction)).toEqual([2]);
+    expect(onProgress).toHaveBeenCalledWith({ page: 2, pageCount: 2 });
+  });
+
+  it('should mark pages read by an engine without scores as estimated', async () => {
+    const estimated = CLEAN_LINES.map(text => ({ text, confidence: 0.95, confidenceSource: 'estimated' }));
+    const engine = fakeEngine({ 'page1.jpg': estimated });
+
+    const extraction = await recognizePages(['page1.jpg'], { engine });
+
+    expect(extraction.ocrPages[0]).toMatchObject({ confidence: 0.95, confidenceSource: 'estimated' });
+    expect(extraction.ocrPages[0].lines[0].source).toBe('estimated');
+  });
+
+  it('should report photos without enough text', async () => {
+    const engine = fakeEngine({ 'blank.jpg': linesOf(['Page 12'], 0.9) });
+
+    await expect(recognizePages(['blank.jpg'], { engine }))
+      .rejects.toMatchObject({ code: GENERATION_ERROR_CODES.NO_EXTRACTABLE_TEXT });
+  });
+});
+
+describe('OCR engines', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should default to ML Kit on devices and estimate its line confidence', async () => {
+    TextRecognition.recognize.mockResolvedValue({
+      text: 'ignored',
+      blocks: [{
+        lines: [
+          { text: CLEAN_LINES[0], frame: { left: 10, top: 20, width: 300, height: 18 } },
+          { text: 'tH# a1t!m3ter |||' },
+          { text: '  ' }
+        ]
+      }]
+    });
+
+    const engine = createOcrEngine();
+    const { lines } = await engine.recognize('file:///page.jpg');
+
+    expect(engine.name).toBe('mlkit');
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ confidenceSource: 'estimated', box: { x: 10, y: 20, width: 300, height: 18 } });
+    expect(lines[0].confidence).toBeGreaterThan(0.9);
+    expect(lines[1].confidence).toBeLessThan(0.6);
+  });
+
+  it('should report ML Kit as unavailable when the native module is not linked', async () => {
+    TextRecognition.recognize.mockRejectedValue(
+      new Error("The package '@react-native-ml-kit/text-recognition' doesn't seem to be linked.")
+    );
+
+    await expect(createOcrEngine({ engine: 'mlkit' }).recognize('file:///page.jpg')).rejects.toMatchObject({
+      code: GENERATION_ERROR_CODES.OCR_FAILED,
+      details: { engine: 'mlkit', reason: 'unavailable' }
+    });
+  });
+
+  it('should refuse to start Tesseract without local assets', () => {
+    expect(() => createOcrEngine({ engine: 'tesseract' })).toThrow(expect.objectContaining({
+      code: GENERATION_ERROR_CODES.OCR_FAILED,
+      details: { engine: 'tesseract', reason: 'unavailable' }
+    }));
+  });
+
+  it('should run Tesseract in a worker with local assets and use its line confidences', async () => {
+    const worker = {
+      recognize: jest.fn().mockResolvedValue({
+        data: {
+          blocks: [{
+            paragraphs: [{
+              lines: [{ text: `${CLEAN_LINES[0]}\n`, confidence: 87, bbox: { x0: 5, y0: 10, x1: 405, y1: 30 } }]
+            }]
+          }]
+        }
+      }),
+      terminate: jest.fn()
+    };
+    createWorker.mockResolvedValue(worker);
+
+    const engine = createOcrEngine({ engine: 'tesseract', assetPath: '/data/ocr/' });
+    const { lines } = await engine.recognize('/data/page.png');
+    await engine.recognize('/data/page2.png');
+    await engine.terminate();
+
+    expect(createWorker).toHaveBeenCalledTimes(1);
+    expect(createWorker).toHaveBeenCalledWith('eng', 1, { langPath: '/data/ocr', gzip: true, cacheMethod: 'none' });
+    expect(lines).toEqual([{
+      text: CLEAN_LINES[0],
+      confidence: 0.87,
+      confidenceSource: 'engine',
+      box: { x: 5, y: 10, width: 400, height: 20 }
+    }]);
+    expect(worker.terminate).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Offline OCR for photographed study pages.
+ *
+ * Every engine exposes the same interface:
+ *   engine.name
+ *   engine.recognize(imageUri) -> Promise<{ lines: [{ text, confidence, confidenceSource, box }] }>
+ *   engine.terminate()
+ *
+ * Recognition never leaves the device: ML Kit runs natively on iOS and Android,
+ * Tesseract runs in a local worker on web. Failures surface as OCR_FAILED
+ * generation errors. The engine is chosen by the `ocr` section of
+ * src/utils/environment.js.
+ */
+import { Platform } from 'react-native';
+import { env } from '../../src/utils/environment';
+import { createGenerationError, GENERATION_ERROR_CODES } from '../generationErrors';
+import { buildPageMap, EXTRACTOR_VERSION, MIN_DOCUMENT_TEXT_CHARS } from '../documentExtraction';
+import { summarisePageConfidence } from './ocrConfidence';
+import { createMlKitEngine } from './mlKitEngine';
+import { createTesseractEngine } from './tesseractEngine';
+
+export const OCR_ENGINES = {
+  mlkit: createMlKitEngine,
+  tesseract: createTesseractEngine
+};
+
+let activeEngine = null;
+
+/**
+ * Create an OCR engine from configuration
+ * @param {Object} config - Engine configuration; `engine` selects the implementation
+ * @returns {Object} - OCR engine
+ */
+export function createOcrEngine(config = {}) {
+  const engineName = config.engine || (Platform.OS === 'web' ? 'tesseract' : 'mlkit');
+  const factory = OCR_ENGINES[engineName];
+
+  if (!factory) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.OCR_FAILED,
+      `Unknown OCR engine "${engineName}". Expected one of: ${Object.keys(OCR_ENGINES).join(', ')}`,
+      { engine: engineName, reason: 'unavailable' }
+    );
+  }
+
+  if (engineName === 'tesseract' && config.assetPath && !config.langPath) {
+    const assetPath = config.assetPath.replace(/\/$/, '');
+    return factory({
+      ...config,
+      langPath: assetPath,
+      // Browsers also load the worker script and wasm core, which default to a CDN
+      ...(Platform.OS === 'web' ? { corePath: assetPath, workerPath: `${assetPath}/worker.min.js` } : {})
+    });
+  }
+  return factory(config);
+}
+
+/**
+ * Get the engine configured for this environment (created once, then reused)
+ * @returns {Object} - OCR engine
+ */
+export function getOcrEngine() {
+  if (!activeEngine) {
+    activeEngine = createOcrEngine(env.ocr);
+    console.log(`[DEBUG] Using OCR engine: ${activeEngine.name}`);
+  }
+  return activeEngine;
+}
+
+/**
+ * Override the active engine, e.g. in tests. Pass null to reset.
+ * @param {Object|null} engine - OCR engine instance
+ */
+export function setOcrEngine(engine) {
+  activeEngine = engine;
+}
+
+/**
+ * Recognise the text of photographed pages, one image per page.
+ * The result has the same shape as extractDocumentContent, so it can be stored
+ * with the document and used for question generation.
+ * @param {Array<string>} imageUris - Page images in page order
+ * @param {Object} options - Options
+ * @param {Object} options.engine - Engine to use instead of the configured one
+ * @param {Function} options.onProgress - Called with {page, pageCount} before each page
+ * @returns {Promise<Object>} - Extraction with `ocrPages` holding per-line confidences and where they came from
+ * @throws {Error} - OCR_FAILED or NO_EXTRACTABLE_TEXT generation errors
+ */
+export async function recognizePages(imageUris, options = {}) {
+  const engine = options.engine || getOcrEngine();
+  const pages = [];
+
+  for (let index = 0; index < imageUris.length; index++) {
+    if (options.onProgress) {
+      options.onProgress({ page: index + 1, pageCount: imageUris.length });
+    }
+
+    const { lines } = await engine.recognize(imageUris[index]);
+    pages.push({
+      pageNumber: index + 1,
+      text: lines.map(line => line.text).join('\n'),
+      lines,
+      ...summarisePageConfidence(lines)
+    });
+    console.log(`[DEBUG] OCR page ${index + 1}: ${lines.length} lines, confidence ${pages[index].confidence.toFixed(2)}`);
+  }
+
+  const { text, pageMap } = buildPageMap(pages);
+  const textLength = text.replace(/\s/g, '').length;
+  if (textLength < MIN_DOCUMENT_TEXT_CHARS) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.NO_EXTRACTABLE_TEXT,
+      `OCR found too little text (${textLength} characters)`,
+      { pageCount: pages.length, engine: engine.name }
+    );
+  }
+
+  return {
+    text,
+    pageMap,
+    pageCount: pages.length,
+    scannedPages: [],
+    extractor: 'ocr',
+    extractorVersion: EXTRACTOR_VERSION,
+    ocrPages: pages.map(page => ({
+      page: page.pageNumber,
+      engine: engine.name,
+      confidence: Math.round(page.confidence * 100) / 100,
+      // 'estimated' for engines that report no scores of their own (ML Kit)
+      confidenceSource: page.confidenceSource,
+      lowConfidence: page.lowConfidence,
+      lowConfidenceLines: page.lowConfidenceLines,
+      lines: page.lines.map(line => ({
+        text: line.text,
+        confidence: Math.round(line.confidence * 100) / 100,
+        source: line.confidenceSource
+      }))
+    }))
+  };
+}
+
+/**
+ * Page numbers of an OCR extraction that should be checked by the user
+ * @param {Object} extraction - Result of recognizePages
+ * @returns {Array<number>}
+ */
+export function findLowConfidencePages(extraction) {
+  return (extraction?.ocrPages || []).filter(page => page.lowConfidence).map(page => page.page);
+}
@@ -0,0 +1,99 @@
+/**
+ * Confidence scoring for OCR output.
+ *
+ * Confidences are 0..1. Engines that report their own confidence (Tesseract) are
+ * used as-is; for engines that do not (ML Kit), a line's confidence is estimated
+ * from how plausible its text is: recognition errors show up as fragments that are
+ * neither words nor numbers, stray symbols and mixed letter/digit tokens.
+ */
+
+// A line below this confidence is unlikely to have been read correctly
+export const LOW_LINE_CONFIDENCE = 0.6;
+// A page is flagged when its average confidence is below this...
+export const LOW_PAGE_CONFIDENCE = 0.7;
+// ...or when more than this share of its lines are low-confidence
+export const MAX_LOW_LINE_SHARE = 0.3;
+
+const WORD_PATTERN = /^[A-Za-z]+(?:['’-][A-Za-z]+)*$/;
+// Numbers, times, frequencies, headings and percentages: 1013.25, 09:30, 118.1, 270°, -5°C, 15%
+const NUMBER_PATTERN = /^[+\-−]?\d+(?:[.,:/]\d+)*(?:°[CF]?|%)?$/;
+// Values with units and identifiers: 1013hPa, 3000ft, FL350, ZS, A4
+const UNIT_PATTERN = /^(?:\d+[A-Za-z]{1,4}|[A-Z]{1,4}\d+[A-Z]?|[A-Z]{2,})$/;
+const EXPECTED_CHAR_PATTERN = /[A-Za-z0-9\s.,;:!?'’"“”()[\]%°/+\-−–—&]/;
+const VOWEL_PATTERN = /[aeiouyAEIOUY]/;
+
+function isPlausibleToken(token) {
+  const core = token.replace(/^[("'“[]+|[)"'”\].,;:!?]+$/g, '');
+  if (core.length === 0) {
+    return /^[-–—&/]$/.test(token);
+  }
+  if (NUMBER_PATTERN.test(core) || UNIT_PATTERN.test(core)) {
+    return true;
+  }
+  if (!WORD_PATTERN.test(core)) {
+    return false;
+  }
+  // Mixed case inside a word ("tHe") and long runs without vowels are misreads
+  if (core.length > 1 && /[a-z][A-Z]/.test(core)) {
+    return false;
+  }
+  return core.length <= 3 || VOWEL_PATTERN.test(core);
+}
+
+/**
+ * Estimate the confidence of an OCR line from its text
+ * @param {string} text - Recognised line
+ * @returns {number} - Confidence between 0 and 1
+ */
+export function estimateLineConfidence(text) {
+  const trimmed = (text || '').trim();
+  if (trimmed.length === 0) {
+    return 0;
+  }
+
+  const tokens = trimmed.split(/\s+/);
+  const plausible = tokens.filter(isPlausibleToken).length;
+
+  let unexpected = 0;
+  for (const char of trimmed) {
+    if (!EXPECTED_CHAR_PATTERN.test(char)) unexpected++;
+  }
+
+  const tokenScore = plausible / tokens.length;
+  const charScore = 1 - unexpected / trimmed.length;
+  return Math.max(0, Math.min(1, tokenScore * charScore));
+}
+
+/**
+ * Summarise the line confidences of a recognised page
+ * @param {Array<{text: string, confidence: number, confidenceSource: string}>} lines - Recognised lines
+ * @returns {{confidence: number, confidenceSource: string, lowConfidenceLines: number, lowConfidence: boolean}} -
+ *          confidenceSource is 'engine' when every line was scored by the engine, 'estimated' otherwise
+ */
+export function summarisePageConfidence(lines) {
+  const confidenceSource = lines.length > 0 && lines.every(line => line.confidenceSource === 'engine')
+    ? 'engine'
+    : 'estimated';
+  if (lines.length === 0) {
+    return { confidence: 0, confidenceSource, lowConfidenceLines: 0, lowConfidence: true };
+  }
+
+  // Weight by length so a misread heading does not outweigh a paragraph
+  let weighted = 0;
+  let totalLength = 0;
+  lines.forEach(line => {
+    const length = Math.max(line.text.length, 1);
+    weighted += line.confidence * length;
+    totalLength += length;
+  });
+
+  const confidence = weighted / totalLength;
+  const lowConfidenceLines = lines.filter(line => line.confidence < LOW_LINE_CONFIDENCE).length;
+
+  return {
+    confidence,
+    confidenceSource,
+    lowConfidenceLines,
+    lowConfidence: confidence < LOW_PAGE_CONFIDENCE || lowConfidenceLines / lines.length > MAX_LOW_LINE_SHARE
+  };
+}
@@ -0,0 +1,95 @@
+import { createGenerationError, GENERATION_ERROR_CODES } from '../generationErrors';
+
+/**
+ * OCR with Tesseract (tesseract.js) running in a local worker: a Web Worker on
+ * web, a worker thread in Node. Tesseract downloads its language data and, in
+ * browsers, its worker and wasm core from a CDN unless told otherwise, so the
+ * asset locations are required and the engine refuses to start without them.
+ * @param {Object} config - Engine configuration
+ * @param {string} config.langPath - Directory or URL holding <language>.traineddata(.gz)
+ * @param {string} config.corePath - Location of tesseract.js-core (browsers only)
+ * @param {string} config.workerPath - Location of worker.min.js (browsers only)
+ * @param {string} config.language - Tesseract language code (default eng)
+ * @param {boolean} config.gzip - Whether the language data is gzipped (default true)
+ * @param {Function} config.logger - Receives tesseract.js progress messages
+ * @returns {Object} - OCR engine
+ */
+export function createTesseractEngine(config = {}) {
+  const language = config.language || 'eng';
+
+  if (!config.langPath) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.OCR_FAILED,
+      'Tesseract language data location is not configured (OCR_ASSET_PATH)',
+      { engine: 'tesseract', reason: 'unavailable' }
+    );
+  }
+
+  const workerOptions = {
+    langPath: config.langPath,
+    gzip: config.gzip ?? true,
+    // Assets are local, so there is nothing worth caching
+    cacheMethod: 'none'
+  };
+  // Unset keys must be left out, otherwise they replace tesseract.js' own defaults
+  if (config.corePath) workerOptions.corePath = config.corePath;
+  if (config.workerPath) workerOptions.workerPath = config.workerPath;
+  if (config.logger) workerOptions.logger = config.logger;
+
+  let workerPromise = null;
+  const getWorker = () => {
+    if (!workerPromise) {
+      const { createWorker } = require('tesseract.js');
+      workerPromise = createWorker(language, 1, workerOptions).catch(error => {
+        workerPromise = null;
+        throw error;
+      });
+    }
+    return workerPromise;
+  };
+
+  return {
+    name: 'tesseract',
+
+    async recognize(imageUri) {
+      let data;
+      try {
+        const worker = await getWorker();
+        ({ data } = await worker.recognize(imageUri, {}, { text: true, blocks: true }));
+      } catch (error) {
+        throw createGenerationError(
+          GENERATION_ERROR_CODES.OCR_FAILED,
+          `Tesseract text recognition failed: ${error.message || error}`,
+          { engine: 'tesseract', reason: 'error' }
+        );
+      }
+
+      const lines = (data.blocks || [])
+        .flatMap(block => block.paragraphs || [])
+        .flatMap(paragraph => paragraph.lines || [])
+        .map(line => ({
+          text: (line.text || '').trim(),
+          // Tesseract reports 0-100
+          confidence: Math.max(0, Math.min(1, line.confidence / 100)),
+          confidenceSource: 'engine',
+          box: {
+            x: line.bbox.x0,
+            y: line.bbox.y0,
+            width: line.bbox.x1 - line.bbox.x0,
+            height: line.bbox.y1 - line.bbox.y0
+          }
+        }))
+        .filter(line => line.text.length > 0);
+
+      return { lines };
+    },
+
+    async terminate() {
+      if (workerPromise) {
+        const worker = await workerPromise;
+        workerPromise = null;
+        await worker.terminate();
+      }
+    }
+  };
+}
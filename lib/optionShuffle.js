@@ -0,0 +1,227 @@
+/**
+ * Answer-position balancing and option shuffling.
+ *
+ * Models put the correct answer in A or B far more often than chance, and users
+ * learn the bias. Generated questions are therefore re-ordered so the correct
+ * answers are spread evenly over the positions, deterministically from the
+ * questions' own text, and every id (`correctOptionId`, the `correct_answer`
+ * index and `question_options.is_correct`) is derived from the new order.
+ *
+ * On top of that each quiz attempt shows the options in its own order, from a
+ * seed stored with the attempt; the same seed reproduces the order the user saw
+ * when the attempt is reviewed. Answers are stored against the canonical order.
+ *
+ * True/false options keep their order and numeric questions have none; multi-select
+ * options are shuffled without balancing, as they have several correct answers.
+ */
+import { QUESTION_TYPES, questionTypeOf } from './questionTypes';
+
+const OPTION_IDS = ['A', 'B', 'C', 'D', 'E'];
+
+/**
+ * New random seed for a quiz attempt
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export function createShuffleSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Seed derived from a string (FNV-1a), so the same content always shuffles the same way
+ * @param {string} text - Any text
+ * @returns {number} - Unsigned 32-bit integer
+ */
+export function seedFromString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Unsigned 32-bit integer
+ * @returns {Function} - Returns numbers in [0, 1), the same sequence for the same seed
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+// Fisher-Yates shuffle of a copy
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Index of the correct option of a generated question
+ * @param {Object} question - Question ({options: [{id, text}], correctOptionId})
+ * @returns {number} - Position of the correct option, the value stored as questions.correct_answer
+ */
+export function correctAnswerIndex(question) {
+  return question.options.findIndex(option => option.id === question.correctOptionId);
+}
+
+/**
+ * Indexes of the correct options of a generated multi-select question
+ * @param {Object} question - Question ({options: [{id, text}], correctOptionIds})
+ * @returns {Array<number>} - Positions of the correct options, in order
+ */
+export function correctAnswerIndexes(question) {
+  return question.options
+    .map((option, index) => ((question.correctOptionIds || []).includes(option.id) ? index : -1))
+    .filter(index => index !== -1);
+}
+
+// Shuffle all options of a multi-select question and re-letter them
+function shuffleMultiSelect(question, random) {
+  const ordered = shuffle(question.options, random);
+  const options = ordered.map((option, index) => ({ ...option, id: OPTION_IDS[index] }));
+  const correctOptionIds = ordered
+    .map((option, index) => (question.correctOptionIds.includes(option.id) ? OPTION_IDS[index] : null))
+    .filter(Boolean);
+  return { ...question, options, correctOptionIds };
+}
+
+/**
+ * Move a generated question's correct option to a position, shuffle the distractors
+ * around it and re-letter the options
+ * @param {Object} question - Question ({options: [{id, text}], correctOptionId})
+ * @param {number} position - Index the correct option should end up at
+ * @param {Function} random - Random source (see createRandom)
+ * @returns {Object} - Copy of the question with new option ids and correctOptionId
+ */
+export function placeCorrectOption(question, position, random) {
+  const correct = question.options.find(option => option.id === question.correctOptionId);
+  if (!correct) {
+    return question;
+  }
+
+  const ordered = shuffle(question.options.filter(option => option !== correct), random);
+  ordered.splice(Math.min(position, ordered.length), 0, correct);
+  const options = ordered.map((option, index) => ({ ...option, id: OPTION_IDS[index] }));
+  return { ...question, options, correctOptionId: options[ordered.indexOf(correct)].id };
+}
+
+/**
+ * Re-order the options of generated questions so the correct answers are spread evenly
+ * over the positions. Each question's correct answer goes to the position used least so
+ * far (ties broken at random), so every position is used equally often, give or take one.
+ * @param {Array<Object>} questions - Questions ({options: [{id, text}], correctOptionId})
+ * @param {number} seed - Seed for the order; defaults to one derived from the question texts
+ * @returns {Array<Object>} - Re-ordered copies of the questions
+ */
+export function balanceAnswerPositions(questions, seed = null) {
+  const random = createRandom(seed ?? seedFromString(questions.map(question => question.text).join('\n')));
+  const used = OPTION_IDS.map(() => 0);
+
+  return questions.map(question => {
+    const type = questionTypeOf(question);
+    if (type === QUESTION_TYPES.MULTI_SELECT) {
+      return shuffleMultiSelect(question, random);
+    }
+    if (type !== QUESTION_TYPES.SINGLE_CHOICE) {
+      return question;
+    }
+    const positions = question.options.map((_, index) => index);
+    const fewest = Math.min(...positions.map(position => used[position]));
+    const candidates = positions.filter(position => used[position] === fewest);
+    const position = candidates[Math.floor(random() * candidates.length)];
+    used[position]++;
+    return placeCorrectOption(question, position, random);
+  });
+}
+
+/**
+ * Show the options of quiz screen questions in the order of one attempt.
+ * Every question is shuffled from the attempt seed and its own id, so the order does not
+ * depend on which other questions are shown.
+ * @param {Array<Object>} questions - Quiz screen questions ({id, options: [{text, isCorrect}], correctAnswer, userAnswer},
+ *                                      multi-select with correctAnswers and an array userAnswer)
+ * @param {number} seed - Attempt seed (see createShuffleSeed)
+ * @returns {Array<Object>} - Copies with the options, correct answers and userAnswer in the attempt's order, and
+ *                            `optionOrder` listing the canonical index of each option shown. True/false and
+ *                            numeric questions are returned as they are.
+ */
+export function shuffleForAttempt(questions, seed) {
+  return questions.map(question => {
+    const type = questionTypeOf(question);
+    if (type === QUESTION_TYPES.TRUE_FALSE || type === QUESTION_TYPES.NUMERIC) {
+      return question;
+    }
+    const random = createRandom((seed ^ seedFromString(String(question.id))) >>> 0);
+    const optionOrder = shuffle(question.options.map((_, index) => index), random);
+    const toDisplay = index => optionOrder.indexOf(index);
+    const shuffled = {
+      ...question,
+      options: optionOrder.map(index => question.options[index]),
+      correctAnswer: toDisplay(question.correctAnswer),
+      userAnswer: typeof question.userAnswer === 'number' ? toDisplay(question.userAnswer) : question.userAnswer,
+      optionOrder
+    };
+    if (type === QUESTION_TYPES.MULTI_SELECT) {
+      shuffled.correctAnswers = (question.correctAnswers || []).map(toDisplay);
+      shuffled.userAnswer = Array.isArray(question.userAnswer) ? question.userAnswer.map(toDisplay) : question.userAnswer;
+    }
+    return shuffled;
+  });
+}
+
+/**
+ * Translate an answer given in an attempt's order back to the canonical option order
+ * @param {Object} question - Question from shuffleForAttempt
+ * @param {number|Array<number>|string} displayIndex - Index of the option the user picked, as shown, the indexes
+ *                                                     picked for multi-select, or a typed numeric answer
+ * @returns {number|Array<number>|string|undefined} - Index or indexes in the stored option order (undefined when
+ *                                                    unanswered); numeric answers are returned as they are
+ */
+export function toCanonicalAnswer(question, displayIndex) {
+  if (!Array.isArray(question.optionOrder)) {
+    return displayIndex;
+  }
+  if (Array.isArray(displayIndex)) {
+    return displayIndex.map(index => question.optionOrder[index]);
+  }
+  if (typeof displayIndex !== 'number') {
+    return displayIndex;
+  }
+  return question.optionOrder[displayIndex];
+}
+
+/**
+ * Translate an answer in the canonical option order to an attempt's order, the inverse of toCanonicalAnswer
+ * (used to restore the selections of a resumed attempt)
+ * @param {Object} question - Question from shuffleForAttempt
+ * @param {number|Array<number>|string} canonicalAnswer - Index or indexes in the stored option order, or a typed
+ *                                                        numeric answer
+ * @returns {number|Array<number>|string|undefined} - Index or indexes as shown; numeric answers are returned as they are
+ */
+export function toDisplayAnswer(question, canonicalAnswer) {
+  if (!Array.isArray(question.optionOrder)) {
+    return canonicalAnswer;
+  }
+  if (Array.isArray(canonicalAnswer)) {
+    return canonicalAnswer
+      .map(index => question.optionOrder.indexOf(index))
+      .filter(index => index !== -1)
+      .sort((a, b) => a - b);
+  }
+  if (typeof canonicalAnswer !== 'number') {
+    return canonicalAnswer;
+  }
+  const displayIndex = question.optionOrder.indexOf(canonicalAnswer);
+  return displayIndex === -1 ? undefined : displayIndex;
+}
@@ -0,0 +1,60 @@
+/* global describe, it, expect */
+
+import { layoutPageText } from '../textLayout';
+
+// Build a text item the way the content interpreter reports it
+const item = (x, y, text, height = 10) => ({ x, y, width: text.length * height * 0.5, height, text });
+
+describe('textLayout', () => {
+  it('should join items on the same baseline and insert spaces at gaps', () => {
+    const text = layoutPageText([
+      item(100, 700, 'Density'),
+      item(140, 700, 'altitude'),
+      item(50, 700, 'Pressure'),
+      item(50, 686, 'and temperature')
+    ]);
+
+    expect(text).toBe('Pressure Density altitude\nand temperature');
+  });
+
+  it('should keep adjacent glyph runs together without spaces', () => {
+    expect(layoutPageText([item(50, 700, 'Alti'), item(70, 700, 'meter')])).toBe('Altimeter');
+  });
+
+  it('should start a new paragraph after a large vertical gap', () => {
+    expect(layoutPageText([item(50, 700, 'First'), item(50, 650, 'Second')])).toBe('First\n\nSecond');
+  });
+
+  it('should read two-column pages column by column', () => {
+    const items = [item(50, 760, 'Chapter 3: Meteorology', 14)];
+    for (let line = 0; line < 5; line++) {
+      const y = 730 - line * 12;
+      items.push(item(50, y, `Left column line ${line + 1}`));
+      items.push(item(320, y, `Right column line ${line + 1}`));
+    }
+
+    const lines = layoutPageText(items).split('\n').filter(Boolean);
+
+    expect(lines[0]).toBe('Chapter 3: Meteorology');
+    expect(lines.slice(1, 6)).toEqual([1, 2, 3, 4, 5].map(n => `Left column line ${n}`));
+    expect(lines.slice(6)).toEqual([1, 2, 3, 4, 5].map(n => `Right column line ${n}`));
+  });
+
+  it('should not split single-column paragraphs with table-like gaps into columns', () => {
+    const items = [];
+    for (let line = 0; line < 6; line++) {
+      items.push(item(50, 700 - line * 12, 'This is a long line of body text that spans the page width'));
+    }
+    items.push(item(50, 628, 'Short'));
+    items.push(item(400, 628, 'end'));
+
+    const lines = layoutPageText(items).split('\n');
+
+    expect(lines).toHaveLength(7);
+    expect(lines[6]).toBe('Short end');
+  });
+
+  it('should ignore whitespace-only items', () => {
+    expect(layoutPageText([item(50, 700, '   ')])).toBe('');
+  });
+});
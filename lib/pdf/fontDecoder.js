@@ -0,0 +1,311 @@
+import { bytesToByteString, isDict, PdfName, PdfRef } from './pdfParser';
+
+/**
+ * Font decoding for PDF text extraction.
+ * Turns the byte strings shown by text operators into Unicode text and glyph widths,
+ * using the font's ToUnicode CMap when present and its encoding otherwise.
+ */
+
+// WinAnsiEncoding differs from Latin-1 only in 0x80-0x9F
+const WIN_ANSI_HIGH = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x0192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020,
+  0x87: 0x2021, 0x88: 0x02c6, 0x89: 0x2030, 0x8a: 0x0160, 0x8b: 0x2039, 0x8c: 0x0152,
+  0x8e: 0x017d, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022,
+  0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02dc, 0x99: 0x2122, 0x9a: 0x0161, 0x9b: 0x203a,
+  0x9c: 0x0153, 0x9e: 0x017e, 0x9f: 0x0178
+};
+
+// MacRomanEncoding, codes 0x80-0xFF
+const MAC_ROMAN_HIGH = 'ÄÅÇÉÑÖÜáàâäãåçéèêëíìîïñóòôöõúùûü†°¢£§•¶ß®©™´¨≠ÆØ∞±≤≥¥µ∂∑∏π∫ªºΩæø' +
+  '¿¡¬√ƒ≈∆«»…\u00A0ÀÃÕŒœ–—“”‘’÷◊ÿŸ⁄€‹›ﬁﬂ‡·‚„‰ÂÊÁËÈÍÎÏÌÓÔ\uF8FFÒÚÛÙıˆ˜¯˘˙˚¸˝˛ˇ';
+
+// Glyph names used in /Differences arrays that are not single letters
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%',
+  ampersand: '&', quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*',
+  plus: '+', comma: ',', hyphen: '-', period: '.', slash: '/', colon: ':', semicolon: ';',
+  less: '<', equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[',
+  backslash: '\\', bracketright: ']', asciicircum: '^', underscore: '_', grave: '`',
+  braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+  quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”',
+  quotesinglbase: '‚', quotedblbase: '„', bullet: '•', endash: '–',
+  emdash: '—', ellipsis: '…', degree: '°', minus: '−', multiply: '×',
+  divide: '÷', plusminus: '±', copyright: '©', registered: '®',
+  trademark: '™', section: '§', paragraph: '¶', periodcentered: '·',
+  dagger: '†', daggerdbl: '‡', mu: 'µ', germandbls: 'ß', nbspace: '\u00A0',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', dotlessi: 'ı',
+  onehalf: '½', onequarter: '¼', threequarters: '¾', Euro: '€'
+};
+
+// Accent suffixes of glyph names such as "eacute" or "Udieresis"
+const ACCENTS = {
+  acute: '\u0301', grave: '\u0300', circumflex: '\u0302', dieresis: '\u0308',
+  tilde: '\u0303', cedilla: '\u0327', ring: '\u030A', caron: '\u030C'
+};
+
+/**
+ * Map a glyph name to Unicode text
+ * @param {string} name - Glyph name
+ * @returns {string|null}
+ */
+export function glyphNameToUnicode(name) {
+  if (!name) return null;
+  if (/^[A-Za-z]$/.test(name)) return name;
+  if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+
+  const uniMatch = name.match(/^uni([0-9A-Fa-f]{4,})$/) || name.match(/^u([0-9A-Fa-f]{4,6})$/);
+  if (uniMatch) {
+    const hex = uniMatch[1];
+    if (hex.length > 6) {
+      // uniXXXXYYYY - sequence of code units
+      return utf16HexToString(hex);
+    }
+    return String.fromCodePoint(parseInt(hex, 16));
+  }
+
+  const accentMatch = name.match(/^([A-Za-z])(acute|grave|circumflex|dieresis|tilde|cedilla|ring|caron)$/);
+  if (accentMatch) {
+    const composed = accentMatch[1] + ACCENTS[accentMatch[2]];
+    return typeof composed.normalize === 'function' ? composed.normalize('NFC') : accentMatch[1];
+  }
+
+  // Variants such as "a.sc" or "one.oldstyle"
+  const base = name.split('.')[0];
+  if (base !== name) return glyphNameToUnicode(base);
+
+  return null;
+}
+
+function utf16HexToString(hex) {
+  const padded = hex.length % 4 === 0 ? hex : hex.padStart(Math.ceil(hex.length / 4) * 4, '0');
+  const units = [];
+  for (let i = 0; i < padded.length; i += 4) {
+    units.push(parseInt(padded.substr(i, 4), 16));
+  }
+  return String.fromCharCode(...units);
+}
+
+function byteStringToCode(str, start, length) {
+  let code = 0;
+  for (let i = 0; i < length; i++) {
+    code = code * 256 + (str.charCodeAt(start + i) & 0xff);
+  }
+  return code;
+}
+
+/**
+ * Parse a ToUnicode CMap stream
+ * @param {string} cmapText - CMap program as text
+ * @returns {{map: Map<number, string>, codespaces: Array<{length: number, low: number, high: number}>}}
+ */
+export function parseToUnicodeCMap(cmapText) {
+  const map = new Map();
+  const codespaces = [];
+
+  const codespaceBlocks = cmapText.match(/begincodespacerange([\s\S]*?)endcodespacerange/g) || [];
+  codespaceBlocks.forEach(block => {
+    const pairPattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g;
+    let pair;
+    while ((pair = pairPattern.exec(block)) !== null) {
+      codespaces.push({
+        length: Math.ceil(pair[1].length / 2),
+        low: parseInt(pair[1], 16),
+        high: parseInt(pair[2], 16)
+      });
+    }
+  });
+
+  const charBlocks = cmapText.match(/beginbfchar([\s\S]*?)endbfchar/g) || [];
+  charBlocks.forEach(block => {
+    const pairPattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g;
+    let pair;
+    while ((pair = pairPattern.exec(block)) !== null) {
+      map.set(parseInt(pair[1], 16), utf16HexToString(pair[2]));
+      if (codespaces.length === 0) {
+        codespaces.push({ length: Math.ceil(pair[1].length / 2), low: 0, high: Infinity });
+      }
+    }
+  });
+
+  const rangeBlocks = cmapText.match(/beginbfrange([\s\S]*?)endbfrange/g) || [];
+  rangeBlocks.forEach(block => {
+    const rangePattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g;
+    let range;
+    while ((range = rangePattern.exec(block)) !== null) {
+      const low = parseInt(range[1], 16);
+      const high = Math.min(parseInt(range[2], 16), low + 0xffff);
+      if (codespaces.length === 0) {
+        codespaces.push({ length: Math.ceil(range[1].length / 2), low: 0, high: Infinity });
+      }
+
+      if (range[3].startsWith('[')) {
+        const targets = range[3].match(/<([0-9a-fA-F]*)>/g) || [];
+        targets.forEach((target, offset) => {
+          map.set(low + offset, utf16HexToString(target.slice(1, -1)));
+        });
+      } else {
+        // Destination increments in its last code unit
+        const destination = utf16HexToString(range[3].slice(1, -1));
+        const prefix = destination.slice(0, -1);
+        const lastUnit = destination.charCodeAt(destination.length - 1);
+        for (let code = low; code <= high; code++) {
+          map.set(code, prefix + String.fromCharCode(lastUnit + (code - low)));
+        }
+      }
+    }
+  });
+
+  return { map, codespaces };
+}
+
+function buildSimpleEncoding(doc, fontDict) {
+  const table = new Array(256);
+  const encoding = doc.resolve(fontDict.Encoding);
+  const baseName = encoding instanceof PdfName ? encoding.name : doc.nameOf(isDict(encoding) ? encoding.BaseEncoding : null);
+
+  for (let code = 0; code < 256; code++) {
+    if (baseName === 'MacRomanEncoding' && code >= 0x80) {
+      table[code] = MAC_ROMAN_HIGH[code - 0x80];
+    } else if (WIN_ANSI_HIGH[code]) {
+      table[code] = String.fromCharCode(WIN_ANSI_HIGH[code]);
+    } else {
+      table[code] = String.fromCharCode(code);
+    }
+  }
+
+  // StandardEncoding (the default for Type1 fonts) uses curly quotes here
+  if (!baseName && doc.nameOf(fontDict.Subtype) === 'Type1') {
+    table[0x27] = '’';
+    table[0x60] = '‘';
+  }
+
+  if (isDict(encoding)) {
+    const differences = doc.resolve(encoding.Differences);
+    if (Array.isArray(differences)) {
+      let code = 0;
+      differences.forEach(entry => {
+        const value = doc.resolve(entry);
+        if (typeof value === 'number') {
+          code = value;
+        } else if (value instanceof PdfName) {
+          const text = glyphNameToUnicode(value.name);
+          if (code < 256) table[code] = text ?? table[code];
+          code++;
+        }
+      });
+    }
+  }
+
+  return table;
+}
+
+function parseCidWidths(doc, descendant) {
+  const widths = new Map();
+  const array = doc.resolve(descendant.W);
+  if (!Array.isArray(array)) return widths;
+
+  for (let i = 0; i < array.length;) {
+    const first = doc.resolve(array[i]);
+    const next = doc.resolve(array[i + 1]);
+    if (Array.isArray(next)) {
+      next.forEach((width, offset) => widths.set(first + offset, doc.resolve(width)));
+      i += 2;
+    } else {
+      const last = next;
+      const width = doc.resolve(array[i + 2]);
+      for (let cid = first; cid <= last && cid - first < 0xffff; cid++) {
+        widths.set(cid, width);
+      }
+      i += 3;
+    }
+  }
+  return widths;
+}
+
+/**
+ * Create a decoder for a font resource
+ * @param {PdfDocument} doc - Parsed document
+ * @param {PdfRef|Object} fontRef - Font dictionary or reference
+ * @returns {{decode: Function}} - decode(byteString) -> Array<{text, width, isSpace, undecodable}>
+ */
+export function createFontDecoder(doc, fontRef) {
+  const fontDict = doc.resolve(fontRef) || {};
+  const subtype = doc.nameOf(fontDict.Subtype);
+  const isComposite = subtype === 'Type0';
+
+  let toUnicode = null;
+  if (fontDict.ToUnicode instanceof PdfRef && doc.isStream(fontDict.ToUnicode)) {
+    try {
+      toUnicode = parseToUnicodeCMap(bytesToByteString(doc.getStreamBytes(fontDict.ToUnicode)));
+    } catch (error) {
+      console.warn('[WARN] Could not read ToUnicode CMap:', error.message);
+    }
+  }
+
+  // Glyph widths are in thousandths of text space, except for Type3 fonts
+  const fontMatrix = doc.resolve(fontDict.FontMatrix);
+  const widthScale = subtype === 'Type3' && Array.isArray(fontMatrix) ? doc.resolve(fontMatrix[0]) : 0.001;
+
+  if (isComposite) {
+    const descendant = doc.resolve((doc.resolve(fontDict.DescendantFonts) || [])[0]) || {};
+    const defaultWidth = doc.resolve(descendant.DW) ?? 1000;
+    const widths = parseCidWidths(doc, descendant);
+    const codespaces = toUnicode?.codespaces?.length ? toUnicode.codespaces : [{ length: 2, low: 0, high: 0xffff }];
+
+    return {
+      decode(bytes) {
+        const glyphs = [];
+        let position = 0;
+        while (position < bytes.length) {
+          let length = codespaces[0].length;
+          for (const space of codespaces) {
+            const code = byteStringToCode(bytes, position, space.length);
+            if (code >= space.low && code <= space.high) {
+              length = space.length;
+              break;
+            }
+          }
+          const code = byteStringToCode(bytes, position, length);
+          position += length;
+
+          // Identity encodings use the code as CID
+          const text = toUnicode ? toUnicode.map.get(code) : undefined;
+          glyphs.push({
+            text: text ?? '',
+            width: (widths.get(code) ?? defaultWidth) * 0.001,
+            isSpace: text === ' ',
+            undecodable: text === undefined
+          });
+        }
+        return glyphs;
+      }
+    };
+  }
+
+  const encoding = buildSimpleEncoding(doc, fontDict);
+  const firstChar = doc.resolve(fontDict.FirstChar) || 0;
+  const widthArray = doc.resolve(fontDict.Widths);
+  const descriptor = doc.resolve(fontDict.FontDescriptor) || {};
+  const missingWidth = doc.resolve(descriptor.MissingWidth) || 500;
+
+  return {
+    decode(bytes) {
+      const glyphs = [];
+      for (let i = 0; i < bytes.length; i++) {
+        const code = bytes.charCodeAt(i) & 0xff;
+        const mapped = toUnicode ? toUnicode.map.get(code) : undefined;
+        const text = mapped ?? encoding[code] ?? '';
+        const width = Array.isArray(widthArray) ? doc.resolve(widthArray[code - firstChar]) : undefined;
+        glyphs.push({
+          text,
+          width: (typeof width === 'number' ? width : missingWidth) * widthScale,
+          // Word spacing (Tw) applies to the single-byte code 32 only
+          isSpace: code === 32,
+          undecodable: false
+        });
+      }
+      return glyphs;
+    }
+  };
+}
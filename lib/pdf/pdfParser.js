@@ -0,0 +1,635 @@
+import pako from 'pako';
+
+/**
+ * Minimal PDF object parser.
+ *
+ * Reads the objects of a PDF file (including compressed object streams), resolves
+ * references and decodes stream data. The cross-reference table is not trusted:
+ * objects are found by scanning for "n g obj", which also copes with the slightly
+ * broken files exported by many scanners and word processors.
+ *
+ * Strings are kept as byte strings (one char per byte, code 0-255); turning them
+ * into text is the job of the font decoders in pdfTextExtractor.js.
+ */
+
+export class PdfName {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+export class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+export class PdfString {
+  constructor(bytes) {
+    this.bytes = bytes;
+  }
+}
+
+const WHITESPACE = '\x00\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+const isWhitespace = char => WHITESPACE.includes(char);
+const isRegular = char => char !== undefined && !isWhitespace(char) && !DELIMITERS.includes(char);
+
+/**
+ * Whether a parsed value is a PDF dictionary (plain object)
+ * @param {*} value - Parsed value
+ * @returns {boolean}
+ */
+export function isDict(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof PdfName) && !(value instanceof PdfRef) && !(value instanceof PdfString);
+}
+
+/**
+ * Convert bytes to a byte string (one char per byte)
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string}
+ */
+export function bytesToByteString(bytes) {
+  let result = '';
+  const CHUNK = 8192;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return result;
+}
+
+function byteStringToBytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) {
+    bytes[i] = str.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+/**
+ * Tokenizer shared by object parsing and content stream interpretation
+ */
+export class PdfLexer {
+  constructor(source, position = 0) {
+    this.source = source;
+    this.position = position;
+  }
+
+  skipWhitespace() {
+    const { source } = this;
+    while (this.position < source.length) {
+      const char = source[this.position];
+      if (isWhitespace(char)) {
+        this.position++;
+      } else if (char === '%') {
+        // Comment runs to the end of the line
+        while (this.position < source.length && source[this.position] !== '\n' && source[this.position] !== '\r') {
+          this.position++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read the next token
+   * @returns {{type: string, value: *}|null} - null at end of input
+   */
+  nextToken() {
+    this.skipWhitespace();
+    const { source } = this;
+    if (this.position >= source.length) {
+      return null;
+    }
+
+    const char = source[this.position];
+
+    if (char === '/') {
+      let end = this.position + 1;
+      while (isRegular(source[end])) end++;
+      const raw = source.substring(this.position + 1, end);
+      this.position = end;
+      // #xx escapes in names
+      return { type: 'name', value: raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) };
+    }
+
+    if (char === '(') {
+      return { type: 'string', value: this.readLiteralString() };
+    }
+
+    if (char === '<') {
+      if (source[this.position + 1] === '<') {
+        this.position += 2;
+        return { type: 'dictStart' };
+      }
+      return { type: 'string', value: this.readHexString() };
+    }
+
+    if (char === '>' && source[this.position + 1] === '>') {
+      this.position += 2;
+      return { type: 'dictEnd' };
+    }
+
+    if (char === '[' || char === ']' || char === '{' || char === '}') {
+      this.position++;
+      return { type: char };
+    }
+
+    // Numbers and keywords
+    let end = this.position;
+    while (isRegular(source[end])) end++;
+    if (end === this.position) {
+      // Stray delimiter such as a lone ')' or '>' - skip it
+      this.position++;
+      return this.nextToken();
+    }
+    const word = source.substring(this.position, end);
+    this.position = end;
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+      return { type: 'number', value: parseFloat(word) };
+    }
+    return { type: 'keyword', value: word };
+  }
+
+  readLiteralString() {
+    const { source } = this;
+    let depth = 1;
+    let result = '';
+    this.position++; // opening (
+
+    while (this.position < source.length) {
+      const char = source[this.position++];
+      if (char === '\\') {
+        const next = source[this.position++];
+        switch (next) {
+          case 'n': result += '\n'; break;
+          case 'r': result += '\r'; break;
+          case 't': result += '\t'; break;
+          case 'b': result += '\b'; break;
+          case 'f': result += '\f'; break;
+          case '\r':
+            // Line continuation
+            if (source[this.position] === '\n') this.position++;
+            break;
+          case '\n':
+            break;
+          default:
+            if (next >= '0' && next <= '7') {
+              let octal = next;
+              while (octal.length < 3 && source[this.position] >= '0' && source[this.position] <= '7') {
+                octal += source[this.position++];
+              }
+              result += String.fromCharCode(parseInt(octal, 8) & 0xff);
+            } else if (next !== undefined) {
+              result += next;
+            }
+        }
+      } else if (char === '(') {
+        depth++;
+        result += char;
+      } else if (char === ')') {
+        depth--;
+        if (depth === 0) break;
+        result += char;
+      } else {
+        result += char;
+      }
+    }
+
+    return result;
+  }
+
+  readHexString() {
+    const { source } = this;
+    const end = source.indexOf('>', this.position);
+    const stop = end === -1 ? source.length : end;
+    let hex = source.substring(this.position + 1, stop).replace(/[^0-9a-fA-F]/g, '');
+    this.position = stop + 1;
+    if (hex.length % 2 === 1) hex += '0';
+
+    let result = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      result += String.fromCharCode(parseInt(hex.substr(i, 2), 16));
+    }
+    return result;
+  }
+}
+
+/**
+ * Parse one value starting at the lexer position
+ * @param {PdfLexer} lexer - Lexer positioned before the value
+ * @param {Object} token - Already consumed first token (optional)
+ * @returns {*} - Parsed value, or undefined at end of input
+ */
+export function parseValue(lexer, token = lexer.nextToken()) {
+  if (!token) return undefined;
+
+  switch (token.type) {
+    case 'name':
+      return new PdfName(token.value);
+    case 'string':
+      return new PdfString(token.value);
+    case 'dictStart': {
+      const dict = {};
+      for (;;) {
+        const keyToken = lexer.nextToken();
+        if (!keyToken || keyToken.type === 'dictEnd') break;
+        if (keyToken.type !== 'name') continue;
+        dict[keyToken.value] = parseValue(lexer);
+      }
+      return dict;
+    }
+    case '[': {
+      const array = [];
+      for (;;) {
+        const itemToken = lexer.nextToken();
+        if (!itemToken || itemToken.type === ']') break;
+        array.push(parseValue(lexer, itemToken));
+      }
+      return array;
+    }
+    case 'number': {
+      // "num gen R" is an indirect reference
+      const saved = lexer.position;
+      const genToken = lexer.nextToken();
+      if (genToken && genToken.type === 'number') {
+        const rToken = lexer.nextToken();
+        if (rToken && rToken.type === 'keyword' && rToken.value === 'R') {
+          return new PdfRef(token.value, genToken.value);
+        }
+      }
+      lexer.position = saved;
+      return token.value;
+    }
+    case 'keyword':
+      if (token.value === 'true') return true;
+      if (token.value === 'false') return false;
+      // Operators have no meaning inside object definitions
+      return null;
+    default:
+      return null;
+  }
+}
+
+function applyFilter(filterName, data, params) {
+  switch (filterName) {
+    case 'FlateDecode':
+    case 'Fl': {
+      let inflated;
+      try {
+        inflated = pako.inflate(data);
+      } catch (error) {
+        // Truncated or corrupt streams are common; keep whatever inflated cleanly
+        const chunks = [];
+        const inflator = new pako.Inflate();
+        inflator.onData = chunk => chunks.push(chunk);
+        inflator.push(data, true);
+        if (chunks.length === 0) throw error;
+        inflated = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        chunks.forEach(chunk => {
+          inflated.set(chunk, offset);
+          offset += chunk.length;
+        });
+      }
+      return applyPredictor(inflated, params);
+    }
+    case 'ASCIIHexDecode':
+    case 'AHx':
+      return byteStringToBytes(new PdfLexer(`<${bytesToByteString(data).replace(/>[\s\S]*$/, '')}>`).readHexString());
+    case 'ASCII85Decode':
+    case 'A85':
+      return decodeAscii85(bytesToByteString(data));
+    default: {
+      const error = new Error(`Unsupported PDF filter: ${filterName}`);
+      error.unsupportedFilter = filterName;
+      throw error;
+    }
+  }
+}
+
+// PNG predictors (Predictor >= 10) as used by object and xref streams
+function applyPredictor(data, params) {
+  const predictor = isDict(params) ? params.Predictor : undefined;
+  if (!predictor || predictor < 10) {
+    return data;
+  }
+
+  const columns = params.Columns || 1;
+  const colors = params.Colors || 1;
+  const bitsPerComponent = params.BitsPerComponent || 8;
+  const bytesPerPixel = Math.max(1, Math.ceil((colors * bitsPerComponent) / 8));
+  const rowLength = Math.ceil((columns * colors * bitsPerComponent) / 8);
+  const rows = Math.floor(data.length / (rowLength + 1));
+  const output = new Uint8Array(rows * rowLength);
+  let previous = new Uint8Array(rowLength);
+
+  for (let row = 0; row < rows; row++) {
+    const type = data[row * (rowLength + 1)];
+    const current = data.subarray(row * (rowLength + 1) + 1, (row + 1) * (rowLength + 1));
+    const decoded = output.subarray(row * rowLength, (row + 1) * rowLength);
+
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? decoded[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      let value = current[i];
+      if (type === 1) value += left;
+      else if (type === 2) value += up;
+      else if (type === 3) value += Math.floor((left + up) / 2);
+      else if (type === 4) {
+        const estimate = left + up - upLeft;
+        const distLeft = Math.abs(estimate - left);
+        const distUp = Math.abs(estimate - up);
+        const distUpLeft = Math.abs(estimate - upLeft);
+        value += distLeft <= distUp && distLeft <= distUpLeft ? left : (distUp <= distUpLeft ? up : upLeft);
+      }
+      decoded[i] = value & 0xff;
+    }
+    previous = decoded;
+  }
+
+  return output;
+}
+
+function decodeAscii85(input) {
+  const text = input.replace(/^<~/, '').replace(/~>[\s\S]*$/, '').replace(/\s/g, '');
+  const output = [];
+  let group = [];
+
+  const flush = (count) => {
+    while (group.length < 5) group.push(84); // pad with 'u'
+    let value = 0;
+    for (const digit of group) value = value * 85 + digit;
+    const bytes = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    output.push(...bytes.slice(0, count));
+    group = [];
+  };
+
+  for (const char of text) {
+    if (char === 'z' && group.length === 0) {
+      output.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(char.charCodeAt(0) - 33);
+    if (group.length === 5) flush(4);
+  }
+  if (group.length > 0) flush(group.length - 1);
+
+  return new Uint8Array(output);
+}
+
+/**
+ * A parsed PDF file
+ */
+export class PdfDocument {
+  /**
+   * @param {Uint8Array} bytes - Raw PDF file contents
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.source = bytesToByteString(bytes);
+    this.objects = new Map();
+    this.trailer = {};
+    this.scanObjects();
+    this.loadObjectStreams();
+    this.findTrailer();
+  }
+
+  scanObjects() {
+    const { source } = this;
+    const objectPattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = objectPattern.exec(source)) !== null) {
+      const num = parseInt(match[1], 10);
+      const lexer = new PdfLexer(source, objectPattern.lastIndex);
+      const value = parseValue(lexer);
+      const entry = { value, streamStart: -1, streamEnd: -1 };
+
+      // Dictionaries may be followed by stream data
+      const afterValue = lexer.position;
+      lexer.skipWhitespace();
+      if (isDict(value) && source.startsWith('stream', lexer.position)) {
+        let start = lexer.position + 'stream'.length;
+        if (source[start] === '\r') start++;
+        if (source[start] === '\n') start++;
+
+        let end = -1;
+        const declaredLength = typeof value.Length === 'number' ? value.Length : -1;
+        if (declaredLength >= 0 && /^\s*endstream/.test(source.substr(start + declaredLength, 20))) {
+          end = start + declaredLength;
+        } else {
+          end = source.indexOf('endstream', start);
+          if (end === -1) end = source.length;
+          // Drop the end-of-line marker before "endstream"
+          if (source[end - 1] === '\n') end--;
+          if (source[end - 1] === '\r') end--;
+        }
+
+        entry.streamStart = start;
+        entry.streamEnd = end;
+        const endstream = source.indexOf('endstream', end);
+        objectPattern.lastIndex = endstream === -1 ? source.length : endstream + 'endstream'.length;
+      } else {
+        objectPattern.lastIndex = Math.max(afterValue, objectPattern.lastIndex);
+      }
+
+      // Later definitions (incremental updates) replace earlier ones
+      this.objects.set(num, entry);
+    }
+  }
+
+  loadObjectStreams() {
+    for (const [num, entry] of [...this.objects.entries()]) {
+      const dict = entry.value;
+      if (!isDict(dict) || this.nameOf(dict.Type) !== 'ObjStm') continue;
+
+      let data;
+      try {
+        data = bytesToByteString(this.getStreamBytes(num));
+      } catch (error) {
+        console.warn('[WARN] Could not decode PDF object stream', num, error.message);
+        continue;
+      }
+
+      const count = this.resolve(dict.N) || 0;
+      const first = this.resolve(dict.First) || 0;
+      const header = new PdfLexer(data);
+      const offsets = [];
+      for (let i = 0; i < count; i++) {
+        const objNum = header.nextToken();
+        const offset = header.nextToken();
+        if (!objNum || !offset) break;
+        offsets.push([objNum.value, offset.value]);
+      }
+
+      offsets.forEach(([objNum, offset]) => {
+        if (this.objects.has(objNum)) return;
+        const value = parseValue(new PdfLexer(data, first + offset));
+        this.objects.set(objNum, { value, streamStart: -1, streamEnd: -1 });
+      });
+    }
+  }
+
+  findTrailer() {
+    const { source } = this;
+    const trailerIndex = source.lastIndexOf('trailer');
+    if (trailerIndex !== -1) {
+      const value = parseValue(new PdfLexer(source, trailerIndex + 'trailer'.length));
+      if (isDict(value)) {
+        this.trailer = value;
+      }
+    }
+
+    // PDF 1.5+ files keep the trailer entries in the cross-reference stream
+    if (!this.trailer.Root) {
+      for (const entry of this.objects.values()) {
+        if (isDict(entry.value) && this.nameOf(entry.value.Type) === 'XRef' && entry.value.Root) {
+          this.trailer = entry.value;
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether the file is encrypted (we cannot decrypt it)
+   * @returns {boolean}
+   */
+  isEncrypted() {
+    return !!this.trailer.Encrypt;
+  }
+
+  /**
+   * Follow references until a direct value is reached
+   * @param {*} value - Value or PdfRef
+   * @returns {*} - Direct value
+   */
+  resolve(value) {
+    let current = value;
+    let guard = 0;
+    while (current instanceof PdfRef && guard++ < 32) {
+      const entry = this.objects.get(current.num);
+      current = entry ? entry.value : null;
+    }
+    return current;
+  }
+
+  /**
+   * Get a name value as a plain string
+   * @param {*} value - PdfName or reference to one
+   * @returns {string|null}
+   */
+  nameOf(value) {
+    const resolved = this.resolve(value);
+    return resolved instanceof PdfName ? resolved.name : null;
+  }
+
+  /**
+   * Get the decoded data of a stream object
+   * @param {PdfRef|number} ref - Stream reference or object number
+   * @returns {Uint8Array} - Decoded bytes
+   */
+  getStreamBytes(ref) {
+    const num = ref instanceof PdfRef ? ref.num : ref;
+    const entry = this.objects.get(num);
+    if (!entry || entry.streamStart < 0) {
+      return new Uint8Array(0);
+    }
+
+    let data = this.bytes.subarray(entry.streamStart, entry.streamEnd);
+    const dict = entry.value;
+    const filters = [].concat(this.resolve(dict.Filter) || []).map(filter => this.nameOf(filter));
+    const params = [].concat(this.resolve(dict.DecodeParms) || []).map(param => this.resolve(param));
+
+    filters.forEach((filter, index) => {
+      if (filter) {
+        data = applyFilter(filter, data, params[index]);
+      }
+    });
+
+    return data;
+  }
+
+  /**
+   * Whether an object is a stream
+   * @param {PdfRef} ref - Reference
+   * @returns {boolean}
+   */
+  isStream(ref) {
+    const entry = ref instanceof PdfRef ? this.objects.get(ref.num) : null;
+    return !!entry && entry.streamStart >= 0;
+  }
+
+  /**
+   * Get the page dictionaries in reading order, with inherited attributes applied
+   * @returns {Array<Object>} - Page dictionaries
+   */
+  getPages() {
+    const pages = [];
+    const root = this.resolve(this.trailer.Root) || this.findCatalog();
+    const visited = new Set();
+
+    const walk = (nodeRef, inherited) => {
+      if (nodeRef instanceof PdfRef) {
+        if (visited.has(nodeRef.num)) return;
+        visited.add(nodeRef.num);
+      }
+      const node = this.resolve(nodeRef);
+      if (!isDict(node)) return;
+
+      const attributes = {
+        Resources: node.Resources || inherited.Resources,
+        MediaBox: node.MediaBox || inherited.MediaBox,
+        Rotate: node.Rotate ?? inherited.Rotate
+      };
+
+      const kids = this.resolve(node.Kids);
+      if (this.nameOf(node.Type) === 'Pages' || Array.isArray(kids)) {
+        (kids || []).forEach(kid => walk(kid, attributes));
+      } else {
+        pages.push({ ...node, ...attributes });
+      }
+    };
+
+    if (root && root.Pages) {
+      walk(root.Pages, {});
+    }
+
+    // Damaged page tree: fall back to every page object in file order
+    if (pages.length === 0) {
+      for (const entry of this.objects.values()) {
+        if (isDict(entry.value) && this.nameOf(entry.value.Type) === 'Page') {
+          pages.push(entry.value);
+        }
+      }
+    }
+
+    return pages;
+  }
+
+  findCatalog() {
+    for (const entry of this.objects.values()) {
+      if (isDict(entry.value) && this.nameOf(entry.value.Type) === 'Catalog') {
+        return entry.value;
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Whether the bytes look like a PDF file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean}
+ */
+export function isPdf(bytes) {
+  // The header may be preceded by a little junk; the spec allows it within the first 1KB
+  const head = bytesToByteString(bytes.subarray(0, 1024));
+  return head.includes('%PDF-');
+}
@@ -0,0 +1,316 @@
+import { PdfDocument, PdfLexer, PdfName, PdfRef, PdfString, isDict, parseValue, bytesToByteString } from './pdfParser';
+import { createFontDecoder } from './fontDecoder';
+import { layoutPageText } from './textLayout';
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const MAX_FORM_DEPTH = 8;
+
+// Multiply two PDF matrices [a b c d e f]
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[1] * n[2],
+    m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2],
+    m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4],
+    m[4] * n[1] + m[5] * n[3] + n[5]
+  ];
+}
+
+function toMatrix(doc, value) {
+  const array = doc.resolve(value);
+  if (!Array.isArray(array) || array.length !== 6) return IDENTITY;
+  return array.map(entry => Number(doc.resolve(entry)) || 0);
+}
+
+function initialTextState() {
+  return {
+    ctm: IDENTITY,
+    font: null,
+    fontSize: 0,
+    charSpacing: 0,
+    wordSpacing: 0,
+    horizontalScale: 1,
+    leading: 0,
+    rise: 0,
+    renderMode: 0
+  };
+}
+
+/**
+ * Interprets page content streams and collects positioned text
+ */
+class ContentInterpreter {
+  constructor(doc) {
+    this.doc = doc;
+    this.fontCache = new Map();
+    this.items = [];
+    this.imageCount = 0;
+    this.undecodableGlyphs = 0;
+  }
+
+  getFont(resources, name) {
+    const fonts = this.doc.resolve(resources?.Font);
+    const fontRef = fonts ? fonts[name] : null;
+    if (!fontRef) return null;
+
+    const key = fontRef instanceof PdfRef ? fontRef.num : null;
+    if (key !== null && this.fontCache.has(key)) {
+      return this.fontCache.get(key);
+    }
+    const decoder = createFontDecoder(this.doc, fontRef);
+    if (key !== null) {
+      this.fontCache.set(key, decoder);
+    }
+    return decoder;
+  }
+
+  /**
+   * Run a content stream
+   * @param {string} content - Content stream as a byte string
+   * @param {Object} resources - Resource dictionary
+   * @param {Array<number>} baseMatrix - CTM at the start of the stream
+   * @param {number} depth - Form XObject nesting depth
+   */
+  run(content, resources, baseMatrix = IDENTITY, depth = 0) {
+    const lexer = new PdfLexer(content);
+    const stack = [];
+    let state = { ...initialTextState(), ctm: baseMatrix };
+    let textMatrix = IDENTITY;
+    let lineMatrix = IDENTITY;
+
+    const nextLine = (tx, ty) => {
+      lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+      textMatrix = lineMatrix;
+    };
+
+    const showText = (bytes) => {
+      if (!state.font || typeof bytes !== 'string') return;
+      const glyphs = state.font.decode(bytes);
+      const rendering = multiply(textMatrix, state.ctm);
+      const scaleX = Math.hypot(rendering[0], rendering[1]);
+      const scaleY = Math.hypot(rendering[2], rendering[3]);
+
+      let advance = 0;
+      let text = '';
+      glyphs.forEach(glyph => {
+        if (glyph.undecodable) this.undecodableGlyphs++;
+        text += glyph.text;
+        advance += (glyph.width * state.fontSize + state.charSpacing + (glyph.isSpace ? state.wordSpacing : 0)) *
+          state.horizontalScale;
+      });
+
+      this.items.push({
+        x: rendering[4],
+        y: rendering[5] + state.rise * scaleY,
+        width: advance * scaleX,
+        height: Math.abs(state.fontSize * scaleY),
+        text,
+        // Render mode 3 is invisible text, e.g. the OCR layer of a scanned page
+        invisible: state.renderMode === 3
+      });
+
+      textMatrix = multiply([1, 0, 0, 1, advance, 0], textMatrix);
+    };
+
+    const stateStack = [];
+
+    for (;;) {
+      const token = lexer.nextToken();
+      if (!token) break;
+
+      if (token.type !== 'keyword') {
+        stack.push(parseValue(lexer, token));
+        continue;
+      }
+
+      const operator = token.value;
+      const operands = stack.splice(0, stack.length);
+      const num = index => Number(this.doc.resolve(operands[index])) || 0;
+
+      switch (operator) {
+        case 'true':
+        case 'false':
+        case 'null':
+          stack.push(...operands, operator === 'true' ? true : (operator === 'false' ? false : null));
+          break;
+        case 'q':
+          stateStack.push({ ...state });
+          break;
+        case 'Q':
+          if (stateStack.length > 0) state = stateStack.pop();
+          break;
+        case 'cm':
+          state.ctm = multiply(operands.map((_, index) => num(index)), state.ctm);
+          break;
+        case 'BT':
+          textMatrix = IDENTITY;
+          lineMatrix = IDENTITY;
+          break;
+        case 'ET':
+          break;
+        case 'Tf': {
+          const fontName = operands[0] instanceof PdfName ? operands[0].name : null;
+          state.font = fontName ? this.getFont(resources, fontName) : null;
+          state.fontSize = num(1);
+          break;
+        }
+        case 'Tc':
+          state.charSpacing = num(0);
+          break;
+        case 'Tw':
+          state.wordSpacing = num(0);
+          break;
+        case 'Tz':
+          state.horizontalScale = num(0) / 100;
+          break;
+        case 'TL':
+          state.leading = num(0);
+          break;
+        case 'Ts':
+          state.rise = num(0);
+          break;
+        case 'Tr':
+          state.renderMode = num(0);
+          break;
+        case 'Td':
+          nextLine(num(0), num(1));
+          break;
+        case 'TD':
+          state.leading = -num(1);
+          nextLine(num(0), num(1));
+          break;
+        case 'Tm':
+          lineMatrix = operands.map((_, index) => num(index));
+          textMatrix = lineMatrix;
+          break;
+        case 'T*':
+          nextLine(0, -state.leading);
+          break;
+        case 'Tj':
+          showText(operands[0]?.bytes);
+          break;
+        case "'":
+          nextLine(0, -state.leading);
+          showText(operands[0]?.bytes);
+          break;
+        case '"':
+          state.wordSpacing = num(0);
+          state.charSpacing = num(1);
+          nextLine(0, -state.leading);
+          showText(operands[2]?.bytes);
+          break;
+        case 'TJ': {
+          const parts = Array.isArray(operands[0]) ? operands[0] : [];
+          parts.forEach(part => {
+            if (part instanceof PdfString) {
+              showText(part.bytes);
+            } else if (typeof part === 'number') {
+              // Adjustments are in thousandths of text space, negative moves right
+              const shift = (-part / 1000) * state.fontSize * state.horizontalScale;
+              textMatrix = multiply([1, 0, 0, 1, shift, 0], textMatrix);
+            }
+          });
+          break;
+        }
+        case 'Do':
+          this.drawXObject(operands[0], resources, state.ctm, depth);
+          break;
+        case 'BI':
+          this.skipInlineImage(lexer);
+          this.imageCount++;
+          break;
+        default:
+          // Path construction, colour and marked-content operators carry no text
+          break;
+      }
+    }
+  }
+
+  drawXObject(nameValue, resources, ctm, depth) {
+    if (!(nameValue instanceof PdfName)) return;
+    const xObjects = this.doc.resolve(resources?.XObject);
+    const ref = xObjects ? xObjects[nameValue.name] : null;
+    const xObject = this.doc.resolve(ref);
+    if (!isDict(xObject)) return;
+
+    const subtype = this.doc.nameOf(xObject.Subtype);
+    if (subtype === 'Image') {
+      this.imageCount++;
+      return;
+    }
+    if (subtype !== 'Form' || depth >= MAX_FORM_DEPTH || !(ref instanceof PdfRef)) {
+      return;
+    }
+
+    try {
+      const content = bytesToByteString(this.doc.getStreamBytes(ref));
+      const formResources = this.doc.resolve(xObject.Resources) || resources;
+      this.run(content, formResources, multiply(toMatrix(this.doc, xObject.Matrix), ctm), depth + 1);
+    } catch (error) {
+      console.warn('[WARN] Could not read PDF form XObject:', error.message);
+    }
+  }
+
+  // Inline image data is binary; jump past "ID ... EI"
+  skipInlineImage(lexer) {
+    const { source } = lexer;
+    const dataStart = source.indexOf('ID', lexer.position);
+    if (dataStart === -1) {
+      lexer.position = source.length;
+      return;
+    }
+    const endPattern = /\sEI(?=\s|$)/g;
+    endPattern.lastIndex = dataStart + 3;
+    const match = endPattern.exec(source);
+    lexer.position = match ? match.index + match[0].length : source.length;
+  }
+}
+
+function getPageContent(doc, page) {
+  const contents = doc.resolve(page.Contents);
+  const refs = Array.isArray(contents) ? contents : [page.Contents];
+
+  return refs
+    .filter(ref => ref instanceof PdfRef)
+    .map(ref => {
+      try {
+        return bytesToByteString(doc.getStreamBytes(ref));
+      } catch (error) {
+        console.warn('[WARN] Could not decode PDF page content:', error.message);
+        return '';
+      }
+    })
+    .join('\n');
+}
+
+/**
+ * Extract text from a PDF, page by page
+ * @param {Uint8Array} bytes - PDF file contents
+ * @returns {{encrypted: boolean, pageCount: number, pages: Array<{pageNumber: number, text: string, imageCount: number, undecodableGlyphs: number}>}}
+ */
+export function extractPdfPages(bytes) {
+  const doc = new PdfDocument(bytes);
+
+  if (doc.isEncrypted()) {
+    return { encrypted: true, pageCount: 0, pages: [] };
+  }
+
+  const pages = doc.getPages().map((page, index) => {
+    const interpreter = new ContentInterpreter(doc);
+    try {
+      interpreter.run(getPageContent(doc, page), doc.resolve(page.Resources) || {});
+    } catch (error) {
+      console.warn(`[WARN] Failed to interpret page ${index + 1}:`, error.message);
+    }
+
+    return {
+      pageNumber: index + 1,
+      text: layoutPageText(interpreter.items),
+      imageCount: interpreter.imageCount,
+      undecodableGlyphs: interpreter.undecodableGlyphs
+    };
+  });
+
+  return { encrypted: false, pageCount: pages.length, pages };
+}
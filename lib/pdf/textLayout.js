@@ -0,0 +1,208 @@
+/**
+ * Reading-order reconstruction for positioned PDF text.
+ *
+ * Text items ({x, y, width, height, text}) are grouped into lines, lines are cut
+ * into segments at wide gaps, and segments are split into columns wherever a
+ * vertical gutter runs through the page. Columns are read top to bottom, left to
+ * right; text spanning the gutter (titles, full-width figures captions) separates
+ * the column bands.
+ */
+
+// Gap between items, in font heights, that is read as a space
+const WORD_GAP = 0.15;
+// Gap that may be a column gutter or a table cell boundary
+const SEGMENT_GAP = 1.0;
+// Minimum gutter width in points
+const MIN_GUTTER = 8;
+// Share of segments allowed to cross a gutter (full-width headings)
+const MAX_CROSSING_SHARE = 0.25;
+const MIN_SEGMENTS_PER_COLUMN = 3;
+const MAX_COLUMN_DEPTH = 2;
+
+function groupIntoLines(items) {
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  sorted.forEach(item => {
+    const line = lines[lines.length - 1];
+    const tolerance = Math.max(item.height, line ? line.height : 0) * 0.5;
+    if (line && Math.abs(line.y - item.y) <= tolerance) {
+      line.items.push(item);
+      line.height = Math.max(line.height, item.height);
+    } else {
+      lines.push({ y: item.y, height: item.height, items: [item] });
+    }
+  });
+
+  return lines;
+}
+
+function splitIntoSegments(line) {
+  const items = [...line.items].sort((a, b) => a.x - b.x);
+  const segments = [];
+  let current = null;
+
+  items.forEach(item => {
+    const gap = current ? item.x - current.x1 : 0;
+    if (current && gap > line.height * SEGMENT_GAP) {
+      segments.push(current);
+      current = null;
+    }
+
+    if (!current) {
+      current = { x0: item.x, x1: item.x + item.width, y: line.y, height: line.height, text: item.text };
+      return;
+    }
+
+    const needsSpace = gap > line.height * WORD_GAP && !/\s$/.test(current.text) && !/^\s/.test(item.text);
+    current.text += (needsSpace ? ' ' : '') + item.text;
+    current.x1 = Math.max(current.x1, item.x + item.width);
+  });
+
+  if (current) {
+    segments.push(current);
+  }
+  return segments.map(segment => ({ ...segment, text: segment.text.replace(/\s+/g, ' ').trim() }))
+    .filter(segment => segment.text.length > 0);
+}
+
+/**
+ * Find a vertical gutter splitting the segments into two columns
+ * @param {Array<Object>} segments - Line segments
+ * @returns {number|null} - x position of the gutter centre
+ */
+function findGutter(segments) {
+  if (segments.length < MIN_SEGMENTS_PER_COLUMN * 2) {
+    return null;
+  }
+
+  const minX = Math.min(...segments.map(segment => segment.x0));
+  const maxX = Math.max(...segments.map(segment => segment.x1));
+  const width = maxX - minX;
+  if (width <= MIN_GUTTER * 4) {
+    return null;
+  }
+
+  // Project narrow segments onto the x axis; wide ones are headings or single-column text
+  const bins = new Uint8Array(Math.ceil(width) + 1);
+  segments.forEach(segment => {
+    if (segment.x1 - segment.x0 > width * 0.6) return;
+    for (let x = Math.floor(segment.x0 - minX); x <= Math.ceil(segment.x1 - minX); x++) {
+      bins[x] = 1;
+    }
+  });
+
+  // Widest empty run in the middle of the text block
+  const from = Math.floor(width * 0.2);
+  const to = Math.ceil(width * 0.8);
+  let best = null;
+  let runStart = -1;
+  for (let x = from; x <= to + 1; x++) {
+    const empty = x <= to && bins[x] === 0;
+    if (empty && runStart === -1) {
+      runStart = x;
+    } else if (!empty && runStart !== -1) {
+      if (!best || x - runStart > best.length) {
+        best = { start: runStart, length: x - runStart };
+      }
+      runStart = -1;
+    }
+  }
+
+  if (!best || best.length < MIN_GUTTER) {
+    return null;
+  }
+
+  const gutter = minX + best.start + best.length / 2;
+  const left = segments.filter(segment => segment.x1 <= gutter).length;
+  const right = segments.filter(segment => segment.x0 >= gutter).length;
+  const crossing = segments.length - left - right;
+
+  if (left < MIN_SEGMENTS_PER_COLUMN || right < MIN_SEGMENTS_PER_COLUMN ||
+      crossing > segments.length * MAX_CROSSING_SHARE) {
+    return null;
+  }
+  return gutter;
+}
+
+function byReadingOrder(a, b) {
+  return b.y - a.y || a.x0 - b.x0;
+}
+
+/**
+ * Order segments for reading, splitting into columns where a gutter is found
+ * @param {Array<Object>} segments - Line segments
+ * @param {number} depth - Recursion depth (nested column splits)
+ * @returns {Array<Object>} - Segments in reading order
+ */
+function orderSegments(segments, depth = 0) {
+  const gutter = depth < MAX_COLUMN_DEPTH ? findGutter(segments) : null;
+  if (gutter === null) {
+    return [...segments].sort(byReadingOrder);
+  }
+
+  const spanning = segments.filter(segment => segment.x0 < gutter && segment.x1 > gutter).sort(byReadingOrder);
+  const ordered = [];
+  let upperBound = Infinity;
+
+  // Column bands lie between consecutive full-width segments
+  [...spanning, null].forEach(separator => {
+    const lowerBound = separator ? separator.y : -Infinity;
+    const inBand = segment => segment.y < upperBound && segment.y > lowerBound;
+    const leftColumn = segments.filter(segment => segment.x1 <= gutter && inBand(segment));
+    const rightColumn = segments.filter(segment => segment.x0 >= gutter && inBand(segment));
+
+    ordered.push(...orderSegments(leftColumn, depth + 1), ...orderSegments(rightColumn, depth + 1));
+    if (separator) {
+      ordered.push(separator);
+      upperBound = separator.y;
+    }
+  });
+
+  // Segments on the exact baseline of a separator are kept next to it
+  const placed = new Set(ordered);
+  segments.forEach(segment => {
+    if (!placed.has(segment)) {
+      const index = ordered.findIndex(other => other.y === segment.y);
+      ordered.splice(index === -1 ? ordered.length : index + 1, 0, segment);
+    }
+  });
+
+  return ordered;
+}
+
+/**
+ * Build the text of a page from positioned text items
+ * @param {Array<{x: number, y: number, width: number, height: number, text: string}>} items - Text items
+ * @returns {string} - Page text in reading order
+ */
+export function layoutPageText(items) {
+  const visibleItems = items.filter(item => item.text && item.text.trim().length > 0 && item.height > 0);
+  if (visibleItems.length === 0) {
+    return '';
+  }
+
+  const segments = groupIntoLines(visibleItems).flatMap(splitIntoSegments);
+  const ordered = orderSegments(segments);
+
+  let text = '';
+  let previous = null;
+  ordered.forEach(segment => {
+    if (previous) {
+      const sameLine = Math.abs(previous.y - segment.y) <= Math.max(previous.height, segment.height) * 0.5;
+      const drop = previous.y - segment.y;
+      if (sameLine) {
+        text += ' ';
+      } else if (drop > Math.max(previous.height, segment.height) * 1.8) {
+        // A larger vertical gap starts a new paragraph
+        text += '\n\n';
+      } else {
+        text += '\n';
+      }
+    }
+    text += segment.text;
+    previous = segment;
+  });
+
+  return text;
+}
@@ -0,0 +1,303 @@
+/**
+ * Redaction of personal details before document text is sent to the AI provider.
+ *
+ * Students upload logbook pages, medical certificates and licences alongside their
+ * study notes. Before the text leaves the device, names, licence and ID numbers,
+ * phone numbers, email addresses and postal addresses are replaced with placeholders
+ * such as [NAME_1]. The same value always gets the same placeholder, so questions
+ * stay consistent across a document, and the mapping from placeholder back to value
+ * is kept on the device only (see documentService.savePIIMapping).
+ *
+ * Generated questions keep the placeholders. maskPII is applied to them as a last
+ * check, so a detected value never ends up in a question, even where one of its
+ * occurrences slipped past detection.
+ */
+import { applyEdits, shiftPageMap } from './textEdits';
+
+// Bump when detection changes, so reports can be told apart
+export const REDACTOR_VERSION = 2;
+
+export const PII_KINDS = {
+  NAME: 'name',
+  EMAIL: 'email',
+  PHONE: 'phone',
+  LICENCE: 'licence',
+  ID_NUMBER: 'id_number',
+  ADDRESS: 'address'
+};
+
+const PLACEHOLDER_LABELS = {
+  [PII_KINDS.NAME]: 'NAME',
+  [PII_KINDS.EMAIL]: 'EMAIL',
+  [PII_KINDS.PHONE]: 'PHONE',
+  [PII_KINDS.LICENCE]: 'LICENCE',
+  [PII_KINDS.ID_NUMBER]: 'ID',
+  [PII_KINDS.ADDRESS]: 'ADDRESS'
+};
+
+// How each kind is described to the user, singular and plural
+const KIND_DESCRIPTIONS = {
+  [PII_KINDS.NAME]: ['name', 'names'],
+  [PII_KINDS.EMAIL]: ['email address', 'email addresses'],
+  [PII_KINDS.PHONE]: ['phone number', 'phone numbers'],
+  [PII_KINDS.LICENCE]: ['licence number', 'licence numbers'],
+  [PII_KINDS.ID_NUMBER]: ['ID number', 'ID numbers'],
+  [PII_KINDS.ADDRESS]: ['address', 'addresses']
+};
+
+const PLACEHOLDER_PATTERN = /\[(?:NAME|EMAIL|PHONE|LICENCE|ID|ADDRESS)_\d+\]/g;
+
+// A capitalised word of a name ("Smith", "O'Neil", "SMITH"), not a field label ("Licence:")
+const NAME_WORD = "[A-Z][A-Za-z'-]+(?![A-Za-z'-]*:)";
+const NAME = `${NAME_WORD}(?:,? ${NAME_WORD}| [A-Z]\\.){0,3}`;
+// After a form label, a name is two or more capitalised words, or one or more after an honorific
+const NAME_AT_START = new RegExp(
+  `^(?:(?:Mr|Mrs|Ms|Miss|Mx|Dr|Capt)\\.? (${NAME})|(${NAME_WORD}(?:,? ${NAME_WORD}| [A-Z]\\.){1,3}))`
+);
+// Form fields only, with the label starting the line ("Student: Jane Doe") - in prose ("the examiner: ...")
+// a label says nothing about what follows. Labels are matched case-insensitively, so the value is checked separately
+const NAME_LABEL = /^[ \t]*(?:full name|name|surname|first names?|given names?|pilot in command|pilot|student|instructor|examiner|holder|candidate|signed by|signed|signature|PIC)[ \t]*[:-][ \t]*/gim;
+const HONORIFIC_NAME = new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Mx|Dr|Capt|Captain|Prof)\\.? (${NAME})`, 'g');
+// Words that start a sentence rather than a name ("Instructor: The Aircraft ...")
+const NOT_NAME_START = new Set(['the', 'a', 'an', 'this', 'that', 'these', 'those', 'all', 'any', 'each', 'every',
+  'no', 'not', 'always', 'never', 'if', 'when', 'check', 'note', 'see', 'remember']);
+
+// Value patterns: group 1, where present, is the value and ends the match
+const DETECTORS = [
+  { kind: PII_KINDS.EMAIL, pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  {
+    kind: PII_KINDS.PHONE,
+    pattern: /\b(?:tel|telephone|phone|mobile|cell|fax|contact number)\.?[ \t]*(?:no\.?|number)?[ \t]*[:-]?[ \t]*(\+?[\d(][\d ().-]{6,}\d)/gi
+  },
+  { kind: PII_KINDS.PHONE, pattern: /(?:^|[^\w+.])(\+\d{1,3}(?:[ .-]?\(?\d{1,4}\)?){2,5})/g },
+  { kind: PII_KINDS.PHONE, pattern: /(?:^|[^\w.])(\(?0\d{1,4}\)?[ .-]\d{3,4}[ .-]?\d{3,4})(?!\w|\.\d)/g },
+  {
+    kind: PII_KINDS.LICENCE,
+    pattern: /\b(?:licen[cs]e|certificate|cert|medical|PPL|CPL|ATPL|LAPL|SPL)[ \t]*(?:no\.?|number|num|#)?[ \t]*[:#]?[ \t]*([A-Z0-9][A-Z0-9./-]{3,}[A-Z0-9])/gi
+  },
+  { kind: PII_KINDS.LICENCE, pattern: /\b[A-Z]{2,3}\.FCL\.[A-Z0-9.]*\d[A-Z0-9]*\b/g },
+  {
+    kind: PII_KINDS.ID_NUMBER,
+    pattern: /\b(?:ID|identity|passport|national id|id card|SSN|social security)[ \t]*(?:no\.?|number|num|#)?[ \t]*[:#]?[ \t]*([A-Z0-9][A-Z0-9-]{4,}[A-Z0-9])/gi
+  },
+  { kind: PII_KINDS.ID_NUMBER, pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { kind: PII_KINDS.ID_NUMBER, pattern: /\b\d{13}\b/g },
+  {
+    kind: PII_KINDS.ADDRESS,
+    pattern: /\b\d{1,5} (?:[A-Z][a-z]+ ){1,3}(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Boulevard|Blvd|Way|Court|Crescent|Close|Place|Terrace)\b\.?/g
+  },
+  // A form field with a house number or postcode in it, not "Address: the aerodrome operator ..."
+  {
+    kind: PII_KINDS.ADDRESS,
+    pattern: /^[ \t]*(?:residential address|postal address|home address|address)[ \t]*[:-][ \t]*(?=[^\n]*\d)([^\n]{5,100})/gim
+  }
+];
+
+// Numbers need this many digits to count (licence and ID values, phone numbers)
+const MIN_DIGITS = {
+  [PII_KINDS.PHONE]: 9,
+  [PII_KINDS.LICENCE]: 3,
+  [PII_KINDS.ID_NUMBER]: 3
+};
+// Shorter values are not masked elsewhere in the text or in questions, as they match too much
+const MIN_MASKED_CHARS = 4;
+
+const digitCount = value => (value.match(/\d/g) || []).length;
+const normaliseValue = value => value.toLowerCase().replace(/\s+/g, ' ').trim();
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Every occurrence of a value as a whole word, whatever its case and spacing
+function occurrencePattern(value) {
+  const before = /^\w/.test(value) ? '\\b' : '';
+  const after = /\w$/.test(value) ? '\\b' : '';
+  return new RegExp(`${before}${escapeRegExp(value).replace(/ /g, '\\s+')}${after}`, 'gi');
+}
+
+// The matched value and where it starts - group 1 ends the match when a pattern has one
+function valueOf(match) {
+  const value = match[1] !== undefined ? match[1] : match[0];
+  return { start: match.index + match[0].length - value.length, value };
+}
+
+// Every candidate span in the text, possibly overlapping
+function findCandidates(text) {
+  const candidates = [];
+  const add = (kind, start, value) => {
+    const trimmed = value.replace(/[\s.,;:-]+$/, '');
+    if (trimmed.length > 0 && digitCount(trimmed) >= (MIN_DIGITS[kind] || 0)) {
+      candidates.push({ kind, start, end: start + trimmed.length, value: trimmed });
+    }
+  };
+
+  DETECTORS.forEach(({ kind, pattern }) => {
+    for (const match of text.matchAll(pattern)) {
+      const { start, value } = valueOf(match);
+      add(kind, start, value);
+    }
+  });
+
+  for (const label of text.matchAll(NAME_LABEL)) {
+    const from = label.index + label[0].length;
+    const name = text.slice(from, from + 80).match(NAME_AT_START);
+    const value = name && (name[1] || name[2]);
+    if (value && !NOT_NAME_START.has(value.split(/[ ,]/)[0].toLowerCase())) {
+      add(PII_KINDS.NAME, from + name[0].length - value.length, value);
+    }
+  }
+  for (const match of text.matchAll(HONORIFIC_NAME)) {
+    const { start, value } = valueOf(match);
+    add(PII_KINDS.NAME, start, value);
+  }
+
+  return candidates;
+}
+
+// Keep the earliest, then longest, of overlapping spans
+function withoutOverlaps(spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const kept = [];
+  sorted.forEach(span => {
+    if (kept.length === 0 || span.start >= kept[kept.length - 1].end) {
+      kept.push(span);
+    }
+  });
+  return kept;
+}
+
+// Whether other occurrences of a value are masked too. A single word ("Smith" after "Capt.") could
+// be an ordinary word elsewhere, so only full names are
+const isMaskedEverywhere = (kind, value) =>
+  value.length >= MIN_MASKED_CHARS && (kind !== PII_KINDS.NAME || /\s/.test(value));
+
+// Other places a detected value appears without the label or format that gave it away
+function findRepeats(text, values) {
+  const repeats = [];
+  values.forEach(({ kind, value }) => {
+    if (!isMaskedEverywhere(kind, value)) {
+      return;
+    }
+    for (const match of text.matchAll(occurrencePattern(value))) {
+      repeats.push({ kind, start: match.index, end: match.index + match[0].length, value: match[0] });
+    }
+  });
+  return repeats;
+}
+
+/**
+ * Replace the personal details in a text with placeholders (see the module comment)
+ * @param {string} text - Document text
+ * @returns {{text: string, mapOffset: Function, mapping: Object, report: Object}} - Redacted text, a function
+ *          mapping offsets in the original text to the redacted one, the placeholder-to-value mapping
+ *          (e.g. {"[NAME_1]": "Jane Doe"}) and the report: {redactorVersion, total, occurrences, counts}
+ *          where counts holds the number of distinct values per kind - never the values themselves
+ */
+export function redactPII(text) {
+  const source = text || '';
+  const detected = withoutOverlaps(findCandidates(source));
+  const spans = withoutOverlaps([...detected, ...findRepeats(source, detected)]);
+
+  const mapping = {};
+  const placeholders = new Map();
+  const counts = Object.fromEntries(Object.values(PII_KINDS).map(kind => [kind, 0]));
+  const edits = spans.map(span => {
+    const key = `${span.kind}:${normaliseValue(span.value)}`;
+    if (!placeholders.has(key)) {
+      counts[span.kind]++;
+      const placeholder = `[${PLACEHOLDER_LABELS[span.kind]}_${counts[span.kind]}]`;
+      placeholders.set(key, placeholder);
+      mapping[placeholder] = span.value;
+    }
+    return { start: span.start, end: span.end, replacement: placeholders.get(key) };
+  });
+
+  const { text: redacted, mapOffset } = applyEdits(source, edits);
+  return {
+    text: redacted,
+    mapOffset,
+    mapping,
+    report: {
+      redactorVersion: REDACTOR_VERSION,
+      total: placeholders.size,
+      occurrences: edits.length,
+      counts
+    }
+  };
+}
+
+/**
+ * Describe a redaction report to the user, e.g. "2 names and 1 licence number"
+ * @param {Object} report - Redaction report from redactPII
+ * @returns {string|null} - Description, or null when nothing was redacted
+ */
+export function describeRedaction(report) {
+  const parts = Object.entries(KIND_DESCRIPTIONS)
+    .filter(([kind]) => report?.counts?.[kind] > 0)
+    .map(([kind, [singular, plural]]) => `${report.counts[kind]} ${report.counts[kind] === 1 ? singular : plural}`);
+  if (parts.length === 0) {
+    return null;
+  }
+  return parts.length === 1 ? parts[0] : `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+/**
+ * Redact an extraction's text and shift its page map to match
+ * @param {Object} extraction - Document extraction ({text, pageMap, ...}, see documentExtraction.js)
+ * @returns {Object} - The extraction with the redacted text and page map, plus `redaction` (the report,
+ *          see redactPII) and `piiMapping` (placeholder to value - keep it on the device)
+ */
+export function redactExtraction(extraction) {
+  const { text, mapOffset, mapping, report } = redactPII(extraction.text);
+  return {
+    ...extraction,
+    text,
+    pageMap: shiftPageMap(extraction.pageMap, mapOffset),
+    redaction: report,
+    piiMapping: mapping
+  };
+}
+
+/**
+ * Put the real values back in place of the placeholders, for display on the device only
+ * @param {string} text - Text with placeholders
+ * @param {Object} mapping - Placeholder-to-value mapping from redactPII
+ * @returns {string}
+ */
+export function restorePII(text, mapping) {
+  if (typeof text !== 'string' || !mapping) {
+    return text;
+  }
+  return text.replace(PLACEHOLDER_PATTERN, placeholder => mapping[placeholder] ?? placeholder);
+}
+
+/**
+ * Replace any real value from the mapping with its placeholder, in every string of a value
+ * (e.g. generated questions)
+ * @param {*} value - String, array or object
+ * @param {Object} mapping - Placeholder-to-value mapping from redactPII
+ * @returns {*} - A copy with the values masked
+ */
+export function maskPII(value, mapping) {
+  const entries = Object.entries(mapping || {})
+    .filter(([placeholder, original]) =>
+      isMaskedEverywhere(placeholder.startsWith('[NAME_') ? PII_KINDS.NAME : null, original))
+    // Longest first, so a full name is masked before a shorter value inside it
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([placeholder, original]) => [placeholder, occurrencePattern(original)]);
+  if (entries.length === 0) {
+    return value;
+  }
+
+  const mask = item => {
+    if (typeof item === 'string') {
+      return entries.reduce((masked, [placeholder, pattern]) => masked.replace(pattern, placeholder), item);
+    }
+    if (Array.isArray(item)) {
+      return item.map(mask);
+    }
+    if (item && typeof item === 'object') {
+      return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, mask(entry)]));
+    }
+    return item;
+  };
+  return mask(value);
+}
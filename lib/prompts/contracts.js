@@ -0,0 +1,26 @@
+/**
+ * Output contracts: what a prompt template promises the model's response looks like,
+ * and how the response is checked against that promise.
+ *
+ * `parse(rawResponse, {checkQuestion, index})` validates the response against the
+ * question schemas (see questionSchema.js).
+ */
+import { parseQuestionSet, parseSingleQuestion } from '../questionSchema';
+
+export const OUTPUT_CONTRACTS = {
+  // {"questions": [...]} -> {questions, invalid}; throws a parse failure when nothing usable came back
+  QUESTION_SET: {
+    id: 'question_set',
+    json: true,
+    maxTokens: 4000,
+    parse: (rawResponse, { checkQuestion = null } = {}) => parseQuestionSet(rawResponse, checkQuestion)
+  },
+  // One question object -> {question, errors}; question is null when it is still invalid
+  SINGLE_QUESTION: {
+    id: 'single_question',
+    json: true,
+    maxTokens: 4000,
+    parse: (rawResponse, { checkQuestion = null, index = 0 } = {}) =>
+      parseSingleQuestion(rawResponse, index, checkQuestion)
+  }
+};
@@ -0,0 +1,187 @@
+/**
+ * Prompt template registry.
+ *
+ * Templates (see templates.js) are registered by name and version. The version a
+ * generation uses is chosen per template:
+ *   - the version pinned in the configuration, e.g. to roll back a bad prompt change;
+ *   - otherwise an A/B experiment, with a weight per version, assigned by a stable key
+ *     so the same document always gets the same variant;
+ *   - otherwise the newest registered version.
+ * The configuration is the `prompts` section of src/utils/environment.js, e.g.
+ *   { versions: { 'question-set': 3 }, experiments: { 'question-repair': { 1: 1, 2: 1 } } }
+ *
+ * The versions used are stored on every generated quiz and key the question pool, so
+ * questions can be traced back to the prompts that produced them.
+ */
+import { env } from '../../src/utils/environment';
+import { seedFromString } from '../optionShuffle';
+import { OUTPUT_CONTRACTS } from './contracts';
+import { PROMPT_TEMPLATES } from './templates';
+
+export { OUTPUT_CONTRACTS, PROMPT_TEMPLATES };
+
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+let activeRegistry = null;
+
+/**
+ * Identifier of a template version, e.g. "question-set@4"
+ * @param {Object} template - Prompt template
+ * @returns {string}
+ */
+export function promptId(template) {
+  return `${template.name}@${template.version}`;
+}
+
+/**
+ * Fill a template's placeholders
+ * @param {Object} template - Prompt template (see templates.js)
+ * @param {Object} input - Values for the template's variables
+ * @returns {{id: string, name: string, version: number, system: string, text: string, contract: Object}}
+ * @throws {Error} - When a variable is missing or a placeholder has no value
+ */
+export function renderPrompt(template, input = {}) {
+  const id = promptId(template);
+  const missing = (template.variables || []).filter(name => input[name] === undefined);
+  if (missing.length > 0) {
+    throw new Error(`Prompt ${id} is missing variables: ${missing.join(', ')}`);
+  }
+
+  const values = { ...input, ...(template.derive ? template.derive(input) : {}) };
+  // One pass, so placeholders inside the values (e.g. in document text) are left alone
+  const text = template.user.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (values[name] === undefined || values[name] === null) {
+      throw new Error(`Prompt ${id} has no value for ${placeholder}`);
+    }
+    return String(values[name]);
+  });
+
+  return { id, name: template.name, version: template.version, system: template.system, text, contract: template.contract };
+}
+
+/**
+ * Create a registry of prompt templates
+ * @param {Array<Object>} templates - Prompt templates (default: PROMPT_TEMPLATES)
+ * @param {Object} config - Selection configuration
+ * @param {Object} config.versions - Version to use per template name, overriding experiments and the newest version
+ * @param {Object} config.experiments - Per template name, a weight per version to split generations between
+ * @returns {Object} - Registry: {names, versions, get, select, selectAll}
+ * @throws {Error} - When templates clash or the configuration names a version that is not registered
+ */
+export function createPromptRegistry(templates = PROMPT_TEMPLATES, config = {}) {
+  const byName = new Map();
+  templates.forEach(template => {
+    if (!template.contract || typeof template.contract.parse !== 'function') {
+      throw new Error(`Prompt ${promptId(template)} has no output contract`);
+    }
+    const versions = byName.get(template.name) || new Map();
+    if (versions.has(template.version)) {
+      throw new Error(`Prompt ${promptId(template)} is registered twice`);
+    }
+    versions.set(template.version, template);
+    byName.set(template.name, versions);
+  });
+
+  const versionsOf = name => [...(byName.get(name)?.keys() || [])].sort((a, b) => a - b);
+
+  const get = (name, version = null) => {
+    const versions = byName.get(name);
+    if (!versions) {
+      throw new Error(`Unknown prompt template "${name}". Expected one of: ${[...byName.keys()].join(', ')}`);
+    }
+    const chosen = version === null ? Math.max(...versions.keys()) : Number(version);
+    if (!versions.has(chosen)) {
+      throw new Error(`Prompt template "${name}" has no version ${version}. Registered: ${versionsOf(name).join(', ')}`);
+    }
+    return versions.get(chosen);
+  };
+
+  const pinned = config.versions || {};
+  const experiments = {};
+  Object.entries(pinned).forEach(([name, version]) => get(name, version));
+  Object.entries(config.experiments || {}).forEach(([name, weights]) => {
+    const arms = Object.entries(weights)
+      .filter(([, weight]) => weight > 0)
+      .map(([version, weight]) => ({ template: get(name, version), weight }));
+    if (arms.length === 0) {
+      throw new Error(`Prompt experiment "${name}" has no version with a positive weight`);
+    }
+    experiments[name] = arms;
+  });
+
+  const select = (name, key = null) => {
+    if (pinned[name] !== undefined) {
+      return get(name, pinned[name]);
+    }
+    const arms = experiments[name];
+    if (!arms) {
+      return get(name);
+    }
+    const total = arms.reduce((sum, arm) => sum + arm.weight, 0);
+    const point = (key === null ? Math.random() : seedFromString(`${name}:${key}`) / 0x100000000) * total;
+    let cumulative = 0;
+    return (arms.find(arm => (cumulative += arm.weight) > point) || arms[arms.length - 1]).template;
+  };
+
+  return {
+    names: () => [...byName.keys()],
+    versions: versionsOf,
+    get,
+    /**
+     * Pick the version of one template to use
+     * @param {string} name - Template name
+     * @param {string|null} key - Stable key experiments are assigned by (random assignment when null)
+     * @returns {Object} - Prompt template
+     */
+    select,
+    /**
+     * Pick the version of every template for one generation
+     * @param {string|null} key - Stable key experiments are assigned by
+     * @returns {Object} - Template per name
+     */
+    selectAll: (key = null) => Object.fromEntries([...byName.keys()].map(name => [name, select(name, key)]))
+  };
+}
+
+/**
+ * Versions of a selection, as stored on quizzes
+ * @param {Object} selection - Template per name (see registry.selectAll)
+ * @returns {Object} - Version per template name, e.g. {"question-set": 4, "question-repair": 1}
+ */
+export function promptVersionsOf(selection) {
+  return Object.fromEntries(Object.entries(selection).map(([name, template]) => [name, template.version]));
+}
+
+/**
+ * One string for a set of template versions, to compare cached results against
+ * @param {Object} versions - Version per template name (see promptVersionsOf)
+ * @returns {string} - e.g. "question-repair@1,question-set@4"
+ */
+export function promptVersionKey(versions) {
+  return Object.keys(versions).sort().map(name => `${name}@${versions[name]}`).join(',');
+}
+
+/**
+ * Get the registry configured for this environment (created once, then reused).
+ * An invalid configuration is ignored, so a bad rollback setting cannot stop generation.
+ * @returns {Object} - Prompt registry
+ */
+export function getPromptRegistry() {
+  if (!activeRegistry) {
+    try {
+      activeRegistry = createPromptRegistry(PROMPT_TEMPLATES, env.prompts || {});
+    } catch (error) {
+      console.warn('[WARN] Ignoring invalid prompt configuration:', error.message);
+      activeRegistry = createPromptRegistry(PROMPT_TEMPLATES);
+    }
+  }
+  return activeRegistry;
+}
+
+/**
+ * Override the active registry, e.g. to try a new template version in tests. Pass null to reset.
+ * @param {Object|null} registry - Prompt registry
+ */
+export function setPromptRegistry(registry) {
+  activeRegistry = registry;
+}
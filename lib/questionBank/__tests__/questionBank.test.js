@@ -0,0 +1,80 @@
+/* global describe, it, expect */
+
+import bank from '../sacaaPplBank.json';
+import { detectSubjects, drawFallbackQuestions, SUBJECTS, toQuizScreenQuestion } from '..';
+
+// Deterministic stand-in for Math.random
+const seeded = (seed = 1) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+describe('questionBank', () => {
+  it('should hold well-formed questions for every subject', () => {
+    const subjectIds = SUBJECTS.map(subject => subject.id);
+    expect(subjectIds).toEqual(expect.arrayContaining([
+      'air-law', 'navigation', 'meteorology', 'principles-of-flight', 'human-performance', 'flight-planning'
+    ]));
+    expect(new Set(bank.questions.map(question => question.id)).size).toBe(bank.questions.length);
+
+    bank.questions.forEach(question => {
+      expect(subjectIds).toContain(question.subject);
+      expect(question.options.map(option => option.id)).toContain(question.correctOptionId);
+      expect(question.explanation).toBeTruthy();
+      expect(question.reference).toBeTruthy();
+    });
+    subjectIds.forEach(id => {
+      expect(bank.questions.filter(question => question.subject === id).length).toBeGreaterThanOrEqual(5);
+    });
+  });
+
+  it('should detect the subjects a document covers, strongest first', () => {
+    const subjects = detectSubjects('Chapter 4: Meteorology. Radiation fog forms under clear skies; ' +
+      'cumulonimbus clouds bring thunderstorms. Set QNH before landing at the aerodrome.');
+
+    expect(subjects[0]).toMatchObject({ id: 'meteorology', name: 'Meteorology' });
+    expect(detectSubjects('')).toEqual([]);
+    expect(detectSubjects('Shopping list: eggs, bread')).toEqual([]);
+  });
+
+  it('should draw matching subjects first without repeating questions', () => {
+    const questions = drawFallbackQuestions(8, { text: 'VOR radials, magnetic variation and chart reading', random: seeded() });
+
+    expect(questions).toHaveLength(8);
+    expect(new Set(questions.map(question => question.id)).size).toBe(8);
+    expect(questions.slice(0, 5).every(question => question.subject === 'Navigation')).toBe(true);
+    expect(questions.slice(5).every(question => question.subject !== 'Navigation')).toBe(true);
+    expect(questions[0].bank).toEqual({ version: bank.version, questionId: questions[0].id.replace('bank-', '') });
+  });
+
+  it('should spread questions across subjects when none is detected', () => {
+    const questions = drawFallbackQuestions(SUBJECTS.length, { random: seeded(7) });
+
+    expect(new Set(questions.map(question => question.subject)).size).toBe(SUBJECTS.length);
+  });
+
+  it('should return fewer questions rather than repeat when the bank runs out', () => {
+    const questions = drawFallbackQuestions(bank.questions.length + 10, { subjects: ['air-law'] });
+
+    expect(questions).toHaveLength(bank.questions.length);
+    expect(new Set(questions.map(question => question.id)).size).toBe(bank.questions.length);
+  });
+
+  it('should convert bank questions to the quiz screen shape', () => {
+    const [question] = drawFallbackQuestions(1, { subjects: ['communications'], random: seeded(3) });
+    const screenQuestion = toQuizScreenQuestion(question, 2);
+
+    expect(screenQuestion).toMatchObject({
+      id: question.id,
+      questionText: question.text,
+      questionNumber: 3,
+      category: 'Radiotelephony and Communications',
+      reference: question.reference
+    });
+    expect(screenQuestion.options[screenQuestion.correctAnswer]).toEqual({
+      id: question.correctOptionId,
+      text: question.options.find(option => option.id === question.correctOptionId).text,
+      isCorrect: true
+    });
+  });
+});
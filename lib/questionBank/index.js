@@ -0,0 +1,135 @@
+/**
+ * Bundled SACAA PPL question bank.
+ *
+ * Used when questions cannot be generated from the uploaded document, and by the
+ * simulated quizzes in Expo Go. Questions are drawn by the subjects the document
+ * appears to cover, then from the remaining subjects, and never repeat within a draw.
+ * The bank itself lives in sacaaPplBank.json; bump its `version` when it changes.
+ */
+import bank from './sacaaPplBank.json';
+import { classifyDifficulty } from '../difficulty';
+import { toQuizScreenQuestion as toScreenQuestion } from '../questionModel';
+
+export const QUESTION_BANK_VERSION = bank.version;
+
+/** Subjects of the bank: [{id, name, keywords}] */
+export const SUBJECTS = bank.subjects;
+
+const subjectsById = new Map(SUBJECTS.map(subject => [subject.id, subject]));
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// One matcher per subject; keywords match whole words, with an optional plural
+const keywordPatterns = new Map(SUBJECTS.map(subject => [
+  subject.id,
+  new RegExp(`\\b(?:${subject.keywords.map(escapeRegExp).join('|')})s?\\b`, 'g')
+]));
+
+/**
+ * Detect which subjects a document covers from its keywords
+ * @param {string} text - Document text or title
+ * @returns {Array<{id: string, name: string, matches: number}>} - Matching subjects, most matches first
+ */
+export function detectSubjects(text) {
+  const lowerText = (text || '').toLowerCase().replace(/\s+/g, ' ');
+  if (!lowerText.trim()) {
+    return [];
+  }
+
+  return SUBJECTS
+    .map(subject => ({
+      id: subject.id,
+      name: subject.name,
+      matches: (lowerText.match(keywordPatterns.get(subject.id)) || []).length
+    }))
+    .filter(subject => subject.matches > 0)
+    .sort((a, b) => b.matches - a.matches);
+}
+
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+// Take one question from each subject in turn so no subject crowds out the others
+function interleave(subjectIds, questionsBySubject) {
+  const queues = subjectIds.map(id => [...(questionsBySubject.get(id) || [])]);
+  const ordered = [];
+  while (queues.some(queue => queue.length > 0)) {
+    queues.forEach(queue => {
+      if (queue.length > 0) {
+        ordered.push(queue.shift());
+      }
+    });
+  }
+  return ordered;
+}
+
+function toFallbackQuestion(question) {
+  return {
+    id: `bank-${question.id}`,
+    text: question.text,
+    options: question.options.map(option => ({ ...option })),
+    correctOptionId: question.correctOptionId,
+    explanation: question.explanation,
+    difficulty: classifyDifficulty(question),
+    subject: subjectsById.get(question.subject).name,
+    reference: question.reference,
+    bank: { version: QUESTION_BANK_VERSION, questionId: question.id }
+  };
+}
+
+/**
+ * Draw questions from the bank, preferring the subjects of the document
+ * @param {number} count - Number of questions wanted
+ * @param {Object} options - Options
+ * @param {string} options.text - Document text or title used to detect subjects
+ * @param {Array<string>} options.subjects - Subject ids to prefer (instead of detecting them from text)
+ * @param {Function} options.random - Random number source in [0, 1) (default Math.random)
+ * @returns {Array<Object>} - Distinct questions in the generated question shape, with subject and reference.
+ *                            Fewer than count when the bank runs out; questions are never repeated.
+ */
+export function drawFallbackQuestions(count, options = {}) {
+  const random = options.random || Math.random;
+  const preferred = (options.subjects || detectSubjects(options.text).map(subject => subject.id))
+    .filter(id => subjectsById.has(id));
+  const others = shuffle(SUBJECTS.map(subject => subject.id).filter(id => !preferred.includes(id)), random);
+
+  const questionsBySubject = new Map();
+  bank.questions.forEach(question => {
+    questionsBySubject.set(question.subject, [...(questionsBySubject.get(question.subject) || []), question]);
+  });
+  questionsBySubject.forEach((questions, id) => questionsBySubject.set(id, shuffle(questions, random)));
+
+  const ordered = [
+    ...interleave(preferred, questionsBySubject),
+    ...interleave(others, questionsBySubject)
+  ];
+  const drawn = ordered.slice(0, Math.max(0, count));
+
+  if (drawn.length < count) {
+    console.warn(`[WARN] Question bank has only ${drawn.length} questions, ${count} requested`);
+  }
+  return drawn.map(toFallbackQuestion);
+}
+
+/**
+ * Convert a bank question to the shape the quiz screens display
+ * @param {Object} question - Question from drawFallbackQuestions
+ * @param {number} index - Position in the quiz
+ * @returns {Object} - Quiz screen question (see questionModel.toQuizScreenQuestion) with the subject as its category
+ *                     and reference
+ */
+export function toQuizScreenQuestion(question, index) {
+  return {
+    ...toScreenQuestion(question, index),
+    category: question.subject,
+    difficulty: question.difficulty || 'Medium'
+  };
+}
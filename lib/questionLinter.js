@@ -0,0 +1,203 @@
+/**
+ * Rule-based quality linter for generated questions.
+ *
+ * Runs between parsing and persistence and catches the test-writing slips models
+ * make: duplicate options, "all of the above" answers, a correct answer that gives
+ * itself away by being the longest option, and a stem that already contains the
+ * answer. Mechanical problems are fixed in place (duplicate and catch-all
+ * distractors are removed and the options re-lettered); the rest lower the
+ * question's score or reject it with the reasons.
+ */
+
+import { QUESTION_TYPES, questionTypeOf } from './questionTypes';
+
+// Bump when rules change, so stored reports can be told apart
+export const LINTER_VERSION = 2;
+
+export const LINT_RULES = {
+  DUPLICATE_OPTIONS: 'duplicate-options',
+  CATCH_ALL_OPTION: 'catch-all-option',
+  LONGEST_CORRECT_OPTION: 'longest-correct-option',
+  ANSWER_IN_STEM: 'answer-in-stem',
+  TOO_FEW_OPTIONS: 'too-few-options'
+};
+
+// Score lost for each problem that could only be flagged, and for each that was fixed
+const WARNING_PENALTY = 0.2;
+const FIX_PENALTY = 0.05;
+
+// Options questions need after fixes, per type (matches the question schemas)
+const MIN_OPTIONS = {
+  [QUESTION_TYPES.SINGLE_CHOICE]: 3,
+  [QUESTION_TYPES.TRUE_FALSE]: 2,
+  [QUESTION_TYPES.MULTI_SELECT]: 4
+};
+
+// The correct option gives itself away when it is this much longer than every distractor
+const LONGEST_RATIO = 1.6;
+const LONGEST_MIN_EXTRA_CHARS = 15;
+
+// Answers shorter than this ("Yes", "VFR") turn up in stems by coincidence
+const MIN_STEM_ANSWER_CHARS = 5;
+
+const CATCH_ALL_OPTION = /^(all|none|both|neither) of (the )?(above|these|the options)$|^(both )?[a-e] and [a-e]( (are|is) correct)?$|^all (are|answers are) correct$/;
+const OPTION_IDS = ['A', 'B', 'C', 'D', 'E'];
+
+// Lower case, punctuation and repeated whitespace removed
+function normalise(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Give the options consecutive ids again after some were removed
+function reletter(options, question) {
+  const relettered = options.map((option, index) => ({ ...option, id: OPTION_IDS[index] }));
+  const newId = id => {
+    const index = options.findIndex(option => option.id === id);
+    return index === -1 ? id : OPTION_IDS[index];
+  };
+  return Array.isArray(question.correctOptionIds)
+    ? { options: relettered, correctOptionIds: question.correctOptionIds.map(newId) }
+    : { options: relettered, correctOptionId: newId(question.correctOptionId) };
+}
+
+/**
+ * Lint one question and fix what can be fixed mechanically
+ * @param {Object} question - Question ({type, text, options, correctOptionId or correctOptionIds, ...})
+ * @returns {{question: Object, score: number, rejected: boolean, issues: Array<{rule: string, message: string, fixed: boolean}>, reasons: Array<string>}}
+ *          The fixed question (re-lettered when options were removed), its score from 0 to 1,
+ *          every issue found and, for rejected questions, why
+ */
+export function lintQuestion(question) {
+  const issues = [];
+  const reasons = [];
+  const type = questionTypeOf(question);
+
+  // Numeric questions have no options to lint
+  if (type === QUESTION_TYPES.NUMERIC) {
+    return { question, score: 1, rejected: false, issues, reasons };
+  }
+
+  let options = question.options || [];
+  const minOptions = MIN_OPTIONS[type];
+  const correctIds = new Set(type === QUESTION_TYPES.MULTI_SELECT ? question.correctOptionIds || [] : [question.correctOptionId]);
+  const isCorrect = option => correctIds.has(option.id);
+
+  // Duplicate options: keep the correct one, otherwise the first
+  const seen = new Map();
+  const duplicates = new Set();
+  options.forEach(option => {
+    const key = normalise(option.text);
+    if (!seen.has(key)) {
+      seen.set(key, option);
+    } else if (isCorrect(option)) {
+      duplicates.add(seen.get(key));
+      seen.set(key, option);
+    } else {
+      duplicates.add(option);
+    }
+  });
+  if (duplicates.size > 0) {
+    options = options.filter(option => !duplicates.has(option));
+    issues.push({
+      rule: LINT_RULES.DUPLICATE_OPTIONS,
+      message: `removed ${duplicates.size} duplicate option${duplicates.size === 1 ? '' : 's'}`,
+      fixed: true
+    });
+  }
+
+  // "All of the above" and friends: unfair as the answer, dropped as a distractor while enough options remain
+  options.filter(option => CATCH_ALL_OPTION.test(normalise(option.text))).forEach(option => {
+    if (isCorrect(option)) {
+      const message = `the correct answer is "${option.text}"`;
+      issues.push({ rule: LINT_RULES.CATCH_ALL_OPTION, message, fixed: false });
+      reasons.push(message);
+    } else if (options.length > minOptions) {
+      options = options.filter(other => other !== option);
+      issues.push({ rule: LINT_RULES.CATCH_ALL_OPTION, message: `removed the "${option.text}" option`, fixed: true });
+    } else {
+      issues.push({ rule: LINT_RULES.CATCH_ALL_OPTION, message: `"${option.text}" is used as a distractor`, fixed: false });
+    }
+  });
+
+  if (options.length < minOptions) {
+    const message = `only ${options.length} distinct options`;
+    issues.push({ rule: LINT_RULES.TOO_FEW_OPTIONS, message, fixed: false });
+    reasons.push(message);
+  }
+
+  // Length and stem giveaways only apply to a single correct option among real distractors
+  const correct = type === QUESTION_TYPES.SINGLE_CHOICE ? options.find(isCorrect) : null;
+  const distractors = options.filter(option => !isCorrect(option));
+
+  if (correct && distractors.length > 0) {
+    const longestDistractor = Math.max(...distractors.map(option => option.text.length));
+    if (correct.text.length >= longestDistractor * LONGEST_RATIO &&
+        correct.text.length - longestDistractor >= LONGEST_MIN_EXTRA_CHARS) {
+      issues.push({
+        rule: LINT_RULES.LONGEST_CORRECT_OPTION,
+        message: `the correct option is much longer than the others (${correct.text.length} vs ${longestDistractor} characters)`,
+        fixed: false
+      });
+    }
+
+    // The stem quotes the answer, and no distractor, word for word
+    const stem = ` ${normalise(question.text)} `;
+    const answer = normalise(correct.text);
+    const inStem = text => stem.includes(` ${text} `);
+    if (answer.length >= MIN_STEM_ANSWER_CHARS && inStem(answer) &&
+        !distractors.some(option => inStem(normalise(option.text)))) {
+      const message = 'the question text contains the correct answer';
+      issues.push({ rule: LINT_RULES.ANSWER_IN_STEM, message, fixed: false });
+      reasons.push(message);
+    }
+  }
+
+  const rejected = reasons.length > 0;
+  const fixedCount = issues.filter(issue => issue.fixed).length;
+  const warningCount = issues.length - fixedCount;
+  const score = rejected
+    ? 0
+    : Math.max(0, Math.round((1 - WARNING_PENALTY * warningCount - FIX_PENALTY * fixedCount) * 100) / 100);
+
+  const fixed = options.length === (question.options || []).length
+    ? question
+    : { ...question, ...reletter(options, question) };
+
+  return { question: fixed, score, rejected, issues, reasons };
+}
+
+/**
+ * Summarise the linting of a generated question set, for the quiz record
+ * @param {Array<Object>} questions - Accepted questions carrying a `quality` result ({score, issues})
+ * @param {Array<{text: string, reasons: Array<string>}>} rejected - Questions the linter rejected
+ * @returns {{linterVersion: number, checked: number, passed: number, fixed: number, rejected: number, averageScore: number|null, rules: Object, rejections: Array<Object>, flagged: Array<Object>}}
+ *          `rules` counts the issues on accepted questions per rule; `flagged` lists the accepted questions with issues
+ */
+export function buildQualityReport(questions, rejected = []) {
+  const linted = questions.filter(question => question.quality);
+  const rules = {};
+  linted.forEach(question => question.quality.issues.forEach(issue => {
+    rules[issue.rule] = (rules[issue.rule] || 0) + 1;
+  }));
+
+  const scores = linted.map(question => question.quality.score);
+  return {
+    linterVersion: LINTER_VERSION,
+    checked: linted.length + rejected.length,
+    passed: linted.filter(question => question.quality.issues.length === 0).length,
+    fixed: linted.filter(question => question.quality.issues.some(issue => issue.fixed)).length,
+    rejected: rejected.length,
+    averageScore: scores.length > 0
+      ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100
+      : null,
+    rules,
+    rejections: rejected.map(entry => ({ text: entry.text, reasons: entry.reasons })),
+    flagged: linted
+      .filter(question => question.quality.issues.length > 0)
+      .map(question => ({
+        text: question.text,
+        score: question.quality.score,
+        issues: question.quality.issues.map(issue => issue.message)
+      }))
+  };
+}
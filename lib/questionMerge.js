@@ -0,0 +1,106 @@
+/**
+ * Merging questions generated from separate document chunks.
+ *
+ * Chunks overlap in content (repeated definitions, summaries, chapter reviews),
+ * so the same question often comes back from more than one chunk. Overlaps are
+ * detected on the question stem and correct answer; the remaining questions are
+ * picked so each chunk contributes its allocated share.
+ */
+
+// Stem similarity above which two questions are the same question
+const DUPLICATE_STEM_SIMILARITY = 0.6;
+// Lower bar when both questions also have the same correct answer
+const DUPLICATE_ANSWER_STEM_SIMILARITY = 0.4;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'to', 'in', 'on', 'for', 'at', 'by', 'from', 'with', 'and', 'or',
+  'is', 'are', 'was', 'be', 'which', 'what', 'when', 'how', 'why', 'does', 'do', 'that',
+  'this', 'it', 'as', 'its', 'following'
+]);
+
+function tokenize(text) {
+  return new Set(
+    (text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9.\s]/g, ' ')
+      .split(/\s+/)
+      .map(token => token.replace(/^\.+|\.+$/g, ''))
+      .filter(token => token.length > 0 && !STOP_WORDS.has(token))
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) {
+    return 1;
+  }
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function correctAnswerText(question) {
+  const option = (question.options || []).find(candidate => candidate.id === question.correctOptionId);
+  return option ? [...tokenize(option.text)].sort().join(' ') : '';
+}
+
+/**
+ * Whether two questions ask the same thing
+ * @param {Object} a - Question
+ * @param {Object} b - Question
+ * @returns {boolean}
+ */
+export function isDuplicateQuestion(a, b) {
+  const similarity = jaccard(tokenize(a.text), tokenize(b.text));
+  if (similarity >= DUPLICATE_STEM_SIMILARITY) {
+    return true;
+  }
+  const answer = correctAnswerText(a);
+  return answer.length > 0 && answer === correctAnswerText(b) && similarity >= DUPLICATE_ANSWER_STEM_SIMILARITY;
+}
+
+/**
+ * Merge per-chunk questions into one set of `questionCount` questions.
+ * Duplicates are dropped (the first occurrence wins), every chunk contributes up
+ * to its target, and shortfalls (failed chunks, duplicates) are filled with spare
+ * questions from the chapters that have the fewest so far.
+ * @param {Array<{chunk: Object, target: number, questions: Array<Object>}>} results - Per-chunk results in document order
+ * @param {number} questionCount - Number of questions to return
+ * @returns {Array<Object>} - Merged questions in document order
+ */
+export function mergeChunkQuestions(results, questionCount) {
+  const kept = [];
+  const candidates = results.map(result => {
+    const unique = [];
+    result.questions.forEach(question => {
+      if (!kept.some(other => isDuplicateQuestion(question, other))) {
+        kept.push(question);
+        unique.push(question);
+      }
+    });
+    return { ...result, unique, selected: unique.slice(0, result.target) };
+  });
+
+  let total = candidates.reduce((acc, candidate) => acc + candidate.selected.length, 0);
+  const perChapter = new Map();
+  candidates.forEach(candidate => {
+    const chapter = candidate.chunk.chapter;
+    perChapter.set(chapter, (perChapter.get(chapter) || 0) + candidate.selected.length);
+  });
+
+  while (total < questionCount) {
+    const spare = candidates
+      .filter(candidate => candidate.selected.length < candidate.unique.length)
+      .sort((a, b) => perChapter.get(a.chunk.chapter) - perChapter.get(b.chunk.chapter) ||
+        a.chunk.index - b.chunk.index)[0];
+    if (!spare) {
+      break;
+    }
+    spare.selected.push(spare.unique[spare.selected.length]);
+    perChapter.set(spare.chunk.chapter, perChapter.get(spare.chunk.chapter) + 1);
+    total++;
+  }
+
+  return candidates.flatMap(candidate => candidate.selected).slice(0, questionCount);
+}
@@ -0,0 +1,206 @@
+/**
+ * The canonical question model, and converters to and from every shape a question takes.
+ *
+ * A question is canonical in the shape generation produces (see questionSchema.js):
+ *   {id, type, text, options: [{id, text}], explanation, difficulty, category, citation}
+ * plus the answer key for its type:
+ *   - single_choice and true_false: correctOptionId ('B')
+ *   - multi_select: correctOptionIds (['A', 'C'])
+ *   - numeric: answer {value, unit, tolerance} and no options
+ * The answer key names options by id rather than position, so it survives re-ordering.
+ *
+ * Elsewhere the same question is stored as a `questions` row (correct_answer index, or
+ * answer JSONB for multi_select and numeric), as `question_options` rows (is_correct), and
+ * shown on the quiz screen with isCorrect options and correctAnswer indexes into the
+ * options as shown. Convert at the boundary with the functions below rather than reading
+ * one representation's fields off another, and score with scoring.js.
+ */
+import { QUESTION_TYPES, questionTypeOf } from './questionTypes';
+
+const OPTION_IDS = ['A', 'B', 'C', 'D', 'E'];
+
+// Fields carried over as they are, when set
+const DESCRIPTIVE_FIELDS = ['explanation', 'difficulty', 'category', 'citation', 'reference'];
+
+const isIndex = (value, options) => Number.isInteger(value) && value >= 0 && value < options.length;
+
+// Options as {id, text}, from the options themselves or from question_options rows
+function optionsOf(question) {
+  const rows = Array.isArray(question.question_options) ? question.question_options : [];
+  const source = Array.isArray(question.options) && question.options.length > 0 ? question.options : rows;
+  return source.map((option, index) => {
+    if (typeof option === 'string') {
+      return { id: OPTION_IDS[index], text: option };
+    }
+    return { id: option.id ?? option.option_identifier ?? OPTION_IDS[index], text: option.text };
+  });
+}
+
+// Positions of the options flagged correct (isCorrect on screen options, is_correct on rows)
+function flaggedIndexes(question) {
+  const rows = Array.isArray(question.question_options) ? question.question_options : [];
+  const source = Array.isArray(question.options) && question.options.length > 0 ? question.options : rows;
+  return source
+    .map((option, index) => (option && (option.isCorrect === true || option.is_correct === true) ? index : -1))
+    .filter(index => index !== -1);
+}
+
+// Ids are the most reliable key, then indexes into the options as given, then the flags on the options
+function correctIndexesOf(question, type, options) {
+  const ids = options.map(option => option.id);
+  const byIds = list => list.map(id => ids.indexOf(id)).filter(index => index !== -1);
+  const byIndexes = list => list.filter(index => isIndex(index, options));
+
+  if (type === QUESTION_TYPES.MULTI_SELECT) {
+    const keys = [
+      Array.isArray(question.correctOptionIds) ? byIds(question.correctOptionIds) : [],
+      Array.isArray(question.correctAnswers) ? byIndexes(question.correctAnswers) : [],
+      Array.isArray(question.answer?.correctAnswers) ? byIndexes(question.answer.correctAnswers) : [],
+      flaggedIndexes(question)
+    ];
+    return keys.find(indexes => indexes.length > 0) || [];
+  }
+
+  const keys = [
+    typeof question.correctOptionId === 'string' ? byIds([question.correctOptionId]) : [],
+    isIndex(question.correctAnswer, options) ? [question.correctAnswer] : [],
+    isIndex(question.correct_answer, options) ? [question.correct_answer] : [],
+    flaggedIndexes(question).slice(0, 1)
+  ];
+  return keys.find(indexes => indexes.length > 0) || [];
+}
+
+/**
+ * Convert a question in any of its shapes to the canonical model (see the module comment)
+ * @param {Object} question - Generated or bank question, `questions` row (optionally with its `question_options`
+ *                            rows), quiz screen question or a question returned by getQuiz
+ * @returns {Object} - Canonical question
+ */
+export function toCanonicalQuestion(question) {
+  const type = questionTypeOf({ type: question.type ?? question.question_type });
+  const canonical = {
+    id: question.id,
+    type,
+    text: question.text ?? question.questionText ?? question.question_text ?? question.question ?? ''
+  };
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    const answer = question.answer || {};
+    canonical.answer = { value: answer.value, unit: answer.unit ?? null, tolerance: answer.tolerance };
+    if (typeof answer.tolerancePercent === 'number') {
+      canonical.answer.tolerancePercent = answer.tolerancePercent;
+    }
+  } else {
+    const options = optionsOf(question);
+    const correct = correctIndexesOf(question, type, options);
+    canonical.options = options;
+    if (type === QUESTION_TYPES.MULTI_SELECT) {
+      canonical.correctOptionIds = correct.map(index => options[index].id);
+    } else {
+      canonical.correctOptionId = correct.length > 0 ? options[correct[0]].id : null;
+    }
+  }
+
+  DESCRIPTIVE_FIELDS.forEach(field => {
+    if (question[field] !== undefined && question[field] !== null) {
+      canonical[field] = question[field];
+    }
+  });
+  return canonical;
+}
+
+/**
+ * Positions of a canonical question's correct options
+ * @param {Object} question - Canonical question
+ * @returns {Array<number>} - Indexes into options, in order; empty for numeric questions
+ */
+export function correctIndexes(question) {
+  const ids = question.type === QUESTION_TYPES.MULTI_SELECT
+    ? question.correctOptionIds || []
+    : [question.correctOptionId];
+  return (question.options || [])
+    .map((option, index) => (ids.includes(option.id) ? index : -1))
+    .filter(index => index !== -1);
+}
+
+/**
+ * Convert a question to a `questions` row (see supabase-schema.sql)
+ * @param {Object} question - Question in any shape (see toCanonicalQuestion)
+ * @param {number} position - Position of the question in its quiz, from 1
+ * @returns {Object} - Row with question_number, question_text, question_type, options, correct_answer (index, null
+ *                     for multi_select and numeric), answer ({correctAnswers} or {value, unit, tolerance}),
+ *                     explanation, citation and difficulty
+ */
+export function toQuestionRow(question, position) {
+  const canonical = toCanonicalQuestion(question);
+  const indexes = correctIndexes(canonical);
+  let correctAnswer = null;
+  let answer = null;
+  if (canonical.type === QUESTION_TYPES.NUMERIC) {
+    answer = canonical.answer;
+  } else if (canonical.type === QUESTION_TYPES.MULTI_SELECT) {
+    answer = { correctAnswers: indexes };
+  } else {
+    correctAnswer = indexes.length > 0 ? indexes[0] : null;
+  }
+  return {
+    question_number: position,
+    question_text: canonical.text,
+    question_type: canonical.type,
+    options: canonical.options || [],
+    correct_answer: correctAnswer,
+    answer,
+    explanation: canonical.explanation ?? null,
+    citation: canonical.citation ?? null,
+    difficulty: canonical.difficulty ?? null
+  };
+}
+
+/**
+ * Convert a question's options to `question_options` rows
+ * @param {Object} question - Question in any shape (see toCanonicalQuestion)
+ * @param {string} questionId - Id of the `questions` row
+ * @returns {Array<Object>} - Rows with question_id, text, is_correct and option_identifier
+ */
+export function toOptionRows(question, questionId) {
+  const canonical = toCanonicalQuestion(question);
+  const indexes = correctIndexes(canonical);
+  return (canonical.options || []).map((option, index) => ({
+    question_id: questionId,
+    text: option.text,
+    is_correct: indexes.includes(index),
+    option_identifier: option.id
+  }));
+}
+
+/**
+ * Convert a question to the shape the quiz screens show
+ * @param {Object} question - Question in any shape (see toCanonicalQuestion); other fields, such as userAnswer,
+ *                            are kept
+ * @param {number} index - Position of the question in the quiz; keeps the question's own number when omitted
+ * @returns {Object} - Question with type, questionText, questionNumber, options ({id, text, isCorrect}) and
+ *                     correctAnswer (index); multi-select questions have correctAnswers (indexes) and a null
+ *                     correctAnswer, numeric questions answer ({value, unit, tolerance}) and a null correctAnswer
+ */
+export function toQuizScreenQuestion(question, index) {
+  const canonical = toCanonicalQuestion(question);
+  const indexes = correctIndexes(canonical);
+  const screenQuestion = {
+    ...question,
+    ...canonical,
+    questionText: canonical.text,
+    questionNumber: typeof index === 'number' ? index + 1 : question.questionNumber ?? question.question_number,
+    options: (canonical.options || []).map((option, optionIndex) => ({
+      id: option.id,
+      text: option.text,
+      isCorrect: indexes.includes(optionIndex)
+    })),
+    correctAnswer: null
+  };
+  if (canonical.type === QUESTION_TYPES.MULTI_SELECT) {
+    screenQuestion.correctAnswers = indexes;
+  } else if (canonical.type !== QUESTION_TYPES.NUMERIC) {
+    screenQuestion.correctAnswer = indexes.length > 0 ? indexes[0] : null;
+  }
+  return screenQuestion;
+}
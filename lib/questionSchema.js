@@ -0,0 +1,442 @@
+import Ajv from 'ajv';
+import { createGenerationError, GENERATION_ERROR_CODES } from './generationErrors';
+import { DIFFICULTY_LEVELS, normaliseDifficulty } from './difficulty';
+import { normaliseQuestionType, parseNumericAnswer, QUESTION_TYPES, questionTypeOf } from './questionTypes';
+
+// Properties every question type shares
+const COMMON_PROPERTIES = {
+  type: { type: 'string', enum: Object.values(QUESTION_TYPES) },
+  text: { type: 'string', minLength: 10 },
+  explanation: { type: 'string', minLength: 1 },
+  difficulty: { type: 'string', enum: DIFFICULTY_LEVELS },
+  source: {
+    type: 'object',
+    required: ['excerpt'],
+    properties: {
+      excerpt: { type: 'string', minLength: 12 }
+    }
+  }
+};
+
+const optionsSchema = (minItems, maxItems) => ({
+  type: 'array',
+  minItems,
+  maxItems,
+  items: {
+    type: 'object',
+    required: ['id', 'text'],
+    properties: {
+      id: { type: 'string', pattern: '^[A-E]$' },
+      text: { type: 'string', minLength: 1 }
+    }
+  }
+});
+
+const OPTION_ID_SCHEMA = { type: 'string', pattern: '^[A-E]$' };
+
+/**
+ * JSON schema for a single generated multiple-choice question
+ */
+export const QUESTION_SCHEMA = {
+  type: 'object',
+  required: ['text', 'options', 'correctOptionId', 'explanation', 'source'],
+  properties: {
+    ...COMMON_PROPERTIES,
+    options: optionsSchema(3, 5),
+    correctOptionId: OPTION_ID_SCHEMA
+  }
+};
+
+/**
+ * JSON schemas for every question type (see questionTypes.js)
+ */
+export const QUESTION_SCHEMAS = {
+  [QUESTION_TYPES.SINGLE_CHOICE]: QUESTION_SCHEMA,
+  [QUESTION_TYPES.TRUE_FALSE]: {
+    type: 'object',
+    required: ['text', 'options', 'correctOptionId', 'explanation', 'source'],
+    properties: {
+      ...COMMON_PROPERTIES,
+      options: optionsSchema(2, 2),
+      correctOptionId: { type: 'string', enum: ['A', 'B'] }
+    }
+  },
+  [QUESTION_TYPES.MULTI_SELECT]: {
+    type: 'object',
+    required: ['text', 'options', 'correctOptionIds', 'explanation', 'source'],
+    properties: {
+      ...COMMON_PROPERTIES,
+      options: optionsSchema(4, 5),
+      correctOptionIds: { type: 'array', minItems: 2, items: OPTION_ID_SCHEMA }
+    }
+  },
+  [QUESTION_TYPES.NUMERIC]: {
+    type: 'object',
+    required: ['text', 'answer', 'explanation', 'source'],
+    properties: {
+      ...COMMON_PROPERTIES,
+      answer: {
+        type: 'object',
+        required: ['value', 'unit', 'tolerance'],
+        properties: {
+          value: { type: 'number' },
+          unit: { type: 'string' },
+          tolerance: { type: 'number', minimum: 0 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * JSON schema for the envelope the model is asked to return
+ */
+export const QUESTION_SET_SCHEMA = {
+  type: 'object',
+  required: ['questions'],
+  properties: {
+    questions: { type: 'array' }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const questionValidators = Object.fromEntries(
+  Object.entries(QUESTION_SCHEMAS).map(([type, schema]) => [type, ajv.compile(schema)])
+);
+const validateQuestionSetShape = ajv.compile(QUESTION_SET_SCHEMA);
+
+const OPTION_IDS = ['A', 'B', 'C', 'D', 'E'];
+const TRUE_FALSE_OPTIONS = [{ id: 'A', text: 'True' }, { id: 'B', text: 'False' }];
+
+/**
+ * Pull the JSON payload out of a raw model response.
+ * Tolerates markdown code fences and prose around the JSON, and trailing commas.
+ * @param {string} rawResponse - Raw text returned by the model
+ * @returns {*} - Parsed JSON value
+ */
+export function extractJsonPayload(rawResponse) {
+  if (typeof rawResponse !== 'string' || rawResponse.trim().length === 0) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.INVALID_JSON,
+      'AI response is empty',
+      { preview: '' }
+    );
+  }
+
+  let candidate = rawResponse.trim();
+
+  // Strip ```json ... ``` fences if the model wrapped its answer
+  const fenceMatch = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenceMatch) {
+    candidate = fenceMatch[1].trim();
+  }
+
+  // Cut away any prose before the first brace/bracket and after the last one
+  const start = candidate.search(/[[{]/);
+  const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+  if (start === -1 || end < start) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.INVALID_JSON,
+      'AI response does not contain a JSON object',
+      { preview: rawResponse.substring(0, 200) }
+    );
+  }
+  candidate = candidate.substring(start, end + 1);
+
+  try {
+    return JSON.parse(candidate);
+  } catch (_firstError) {
+    // Second chance: trailing commas are the most common JSON slip
+    try {
+      return JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+    } catch (parseError) {
+      throw createGenerationError(
+        GENERATION_ERROR_CODES.INVALID_JSON,
+        `AI response is not valid JSON: ${parseError.message}`,
+        { preview: rawResponse.substring(0, 200) }
+      );
+    }
+  }
+}
+
+/**
+ * Normalise the common ways a model deviates from the requested question shape.
+ * Only mechanical fixes are applied; content is never invented.
+ * @param {Object} item - Raw question object from the model
+ * @returns {Object} - Repaired copy of the question
+ */
+export function repairQuestion(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return item;
+  }
+
+  const repaired = { ...item };
+  const type = inferQuestionType(item);
+  repaired.type = type;
+
+  // Alternative field names for the question stem
+  if (typeof repaired.text !== 'string') {
+    repaired.text = item.question || item.questionText || item.stem || repaired.text;
+  }
+  if (typeof repaired.text === 'string') {
+    repaired.text = repaired.text.replace(/\*\*/g, '').trim();
+  }
+
+  // Options may arrive as strings, as an {A: '...'} map, or with lower-case ids
+  let options = item.options || item.choices || (Array.isArray(item.answers) ? item.answers : null);
+  if (type === QUESTION_TYPES.TRUE_FALSE) {
+    options = TRUE_FALSE_OPTIONS;
+  }
+  if (options && !Array.isArray(options) && typeof options === 'object') {
+    options = Object.keys(options).map(key => ({ id: key, text: options[key] }));
+  }
+  if (Array.isArray(options)) {
+    repaired.options = options.map((option, index) => {
+      if (typeof option === 'string') {
+        // Strip "A) " / "B. " prefixes that duplicate the id
+        return { id: OPTION_IDS[index], text: option.replace(/^\s*[A-Ea-e][.):]\s+/, '').trim() };
+      }
+      if (option && typeof option === 'object') {
+        const id = typeof option.id === 'string' && option.id.trim()
+          ? option.id.trim().toUpperCase().replace(/[^A-E]/g, '')
+          : OPTION_IDS[index];
+        const text = typeof option.text === 'string' ? option.text.trim() : option.text;
+        return { id: id || OPTION_IDS[index], text };
+      }
+      return option;
+    });
+  }
+
+  // Correct answer may be named differently, be lower case, an index or the option text
+  const correct = item.correctOptionId ?? item.correctAnswer ?? item.correct_answer ?? item.answer;
+  if (type === QUESTION_TYPES.NUMERIC) {
+    delete repaired.options;
+    delete repaired.correctOptionId;
+    repaired.answer = repairNumericAnswer(item);
+  } else if (type === QUESTION_TYPES.MULTI_SELECT) {
+    delete repaired.correctOptionId;
+    const ids = item.correctOptionIds ?? item.correctAnswers ?? correct;
+    const list = Array.isArray(ids) ? ids : typeof ids === 'string' ? ids.split(/\s*(?:,|;|\band\b|&)\s*/) : [];
+    repaired.correctOptionIds = [...new Set(list.map(id => resolveOptionId(id, repaired.options)))];
+  } else if (type === QUESTION_TYPES.TRUE_FALSE && typeof correct === 'boolean') {
+    repaired.correctOptionId = correct ? 'A' : 'B';
+  } else {
+    repaired.correctOptionId = resolveOptionId(correct, repaired.options);
+  }
+
+  if (typeof repaired.explanation !== 'string' && typeof item.rationale === 'string') {
+    repaired.explanation = item.rationale;
+  }
+  if (typeof repaired.explanation === 'string') {
+    repaired.explanation = repaired.explanation.replace(/\*\*/g, '').trim();
+  }
+
+  // The difficulty label is optional; one we cannot read is dropped so the question gets classified instead
+  const difficulty = normaliseDifficulty(item.difficulty ?? item.level);
+  if (difficulty) {
+    repaired.difficulty = difficulty;
+  } else {
+    delete repaired.difficulty;
+  }
+
+  // The supporting quote may arrive as a plain string or under a flatter name
+  const source = item.source ?? item.excerpt ?? item.quote;
+  if (typeof source === 'string') {
+    repaired.source = { excerpt: source.trim() };
+  } else if (source && typeof source === 'object') {
+    const excerpt = source.excerpt ?? source.quote ?? source.text;
+    repaired.source = { excerpt: typeof excerpt === 'string' ? excerpt.trim() : excerpt };
+  }
+
+  return repaired;
+}
+
+// Work out a question's type from its `type` field, or from its shape when the model left it out
+function inferQuestionType(item) {
+  const named = normaliseQuestionType(item.type ?? item.questionType ?? item.question_type);
+  if (named) {
+    return named;
+  }
+  if (Array.isArray(item.correctOptionIds) || Array.isArray(item.correctAnswers)) {
+    return QUESTION_TYPES.MULTI_SELECT;
+  }
+  const options = item.options || item.choices;
+  if (!options && item.answer !== undefined && parseNumericAnswer(item.answer?.value ?? item.answer)) {
+    return QUESTION_TYPES.NUMERIC;
+  }
+  if (Array.isArray(options) && options.length === 2 &&
+      options.every(option => /^(true|false)$/i.test(String(option?.text ?? option).trim()))) {
+    return QUESTION_TYPES.TRUE_FALSE;
+  }
+  return QUESTION_TYPES.SINGLE_CHOICE;
+}
+
+// Turn a letter ("b)", "(C)", "D) option text"), an index or the option text into an option id
+function resolveOptionId(correct, options) {
+  if (typeof correct === 'number' && Array.isArray(options) && options[correct]) {
+    return options[correct].id;
+  }
+  if (typeof correct === 'boolean' && Array.isArray(options)) {
+    const byText = options.find(option => String(option?.text).toLowerCase() === String(correct));
+    return byText ? byText.id : correct;
+  }
+  if (typeof correct !== 'string') {
+    return correct;
+  }
+  const trimmed = correct.trim();
+  // "B", "b)", "(C)" or "D) option text" - but not option text that merely starts with "A "
+  const letterMatch = trimmed.match(/^\(?([A-Ea-e])\)?[.):]?$/) || trimmed.match(/^\(?([A-E])[.)]\s+/);
+  if (letterMatch) {
+    return letterMatch[1].toUpperCase();
+  }
+  if (Array.isArray(options)) {
+    const byText = options.find(option =>
+      typeof option?.text === 'string' && option.text.toLowerCase() === trimmed.toLowerCase()
+    );
+    return byText ? byText.id : trimmed;
+  }
+  return trimmed;
+}
+
+// A numeric answer may be a number, "1250 ft", or an object with the value as text; unit and
+// tolerance may sit next to it on the question
+function repairNumericAnswer(item) {
+  const raw = item.answer ?? item.correctAnswer ?? item.correct_answer;
+  const source = raw && typeof raw === 'object' ? raw : { value: raw };
+  const parsed = parseNumericAnswer(source.value);
+  const unit = source.unit ?? item.unit ?? parsed?.unit ?? '';
+  const tolerance = parseNumericAnswer(source.tolerance ?? item.tolerance ?? 0);
+  return {
+    value: parsed ? parsed.value : source.value,
+    unit: typeof unit === 'string' ? unit.trim() : unit,
+    tolerance: tolerance ? Math.abs(tolerance.value) : source.tolerance
+  };
+}
+
+/**
+ * Validate a single question against the schema plus cross-field rules
+ * @param {Object} question - Question to validate
+ * @param {Function} checkQuestion - Extra rule run on schema-valid questions, returns a list of errors
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+export function validateQuestion(question, checkQuestion = null) {
+  const errors = [];
+  const type = questionTypeOf(question);
+  const validateQuestionShape = questionValidators[type];
+
+  if (!validateQuestionShape(question)) {
+    validateQuestionShape.errors.forEach(error => {
+      errors.push(`${error.instancePath || '/'} ${error.message}`);
+    });
+    return { valid: false, errors };
+  }
+
+  if (type !== QUESTION_TYPES.NUMERIC) {
+    const ids = question.options.map(option => option.id);
+    if (new Set(ids).size !== ids.length) {
+      errors.push('/options option ids must be unique');
+    }
+    if (type === QUESTION_TYPES.MULTI_SELECT) {
+      question.correctOptionIds.filter(id => !ids.includes(id)).forEach(id => {
+        errors.push(`/correctOptionIds "${id}" does not match any option`);
+      });
+      if (question.correctOptionIds.length >= ids.length) {
+        errors.push('/correctOptionIds at least one option must be wrong');
+      }
+    } else if (!ids.includes(question.correctOptionId)) {
+      errors.push(`/correctOptionId "${question.correctOptionId}" does not match any option`);
+    }
+  }
+  if (errors.length === 0 && checkQuestion) {
+    errors.push(...checkQuestion(question));
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Parse a raw model response into validated questions.
+ * Each item is repaired and validated on its own, so one bad question does not
+ * take the whole set down with it.
+ * @param {string} rawResponse - Raw text returned by the model
+ * @param {Function} checkQuestion - Extra rule applied to each item (see validateQuestion)
+ * @returns {{questions: Array<Object>, invalid: Array<{index: number, item: Object, errors: Array<string>}>}}
+ */
+export function parseQuestionSet(rawResponse, checkQuestion = null) {
+  let payload = extractJsonPayload(rawResponse);
+
+  // Accept a bare array as the question list
+  if (Array.isArray(payload)) {
+    payload = { questions: payload };
+  }
+
+  if (!validateQuestionSetShape(payload)) {
+    throw createGenerationError(
+      GENERATION_ERROR_CODES.SCHEMA_MISMATCH,
+      'AI response does not contain a "questions" array',
+      { errors: validateQuestionSetShape.errors.map(error => `${error.instancePath || '/'} ${error.message}`) }
+    );
+  }
+
+  const questions = [];
+  const invalid = [];
+
+  payload.questions.forEach((item, index) => {
+    const repaired = repairQuestion(item);
+    const { valid, errors } = validateQuestion(repaired, checkQuestion);
+    if (valid) {
+      questions.push(toQuestion(repaired, index));
+    } else {
+      invalid.push({ index, item, errors });
+    }
+  });
+
+  return { questions, invalid };
+}
+
+/**
+ * Parse a single question returned by a per-item repair request
+ * @param {string} rawResponse - Raw text returned by the model
+ * @param {number} index - Position of the question in the original set
+ * @param {Function} checkQuestion - Extra rule applied to the item (see validateQuestion)
+ * @returns {{question: Object|null, errors: Array<string>}}
+ */
+export function parseSingleQuestion(rawResponse, index, checkQuestion = null) {
+  let payload = extractJsonPayload(rawResponse);
+
+  // Models sometimes wrap the single item in the set envelope anyway
+  if (payload && Array.isArray(payload.questions)) {
+    payload = payload.questions[0];
+  } else if (payload && payload.question && typeof payload.question === 'object') {
+    payload = payload.question;
+  }
+
+  const repaired = repairQuestion(payload);
+  const { valid, errors } = validateQuestion(repaired, checkQuestion);
+  return { question: valid ? toQuestion(repaired, index) : null, errors };
+}
+
+// Build the app-side question object from a validated item
+function toQuestion(item, index) {
+  const type = questionTypeOf(item);
+  const answer = {};
+  if (type === QUESTION_TYPES.NUMERIC) {
+    answer.answer = { value: item.answer.value, unit: item.answer.unit, tolerance: item.answer.tolerance };
+  } else if (type === QUESTION_TYPES.MULTI_SELECT) {
+    answer.correctOptionIds = [...item.correctOptionIds];
+  } else {
+    answer.correctOptionId = item.correctOptionId;
+  }
+  return {
+    id: `q-${Date.now()}-${index}`,
+    type,
+    text: item.text,
+    options: type === QUESTION_TYPES.NUMERIC ? [] : item.options.map(option => ({ id: option.id, text: option.text })),
+    ...answer,
+    explanation: item.explanation,
+    // Classified by the generator when the model left it out
+    difficulty: item.difficulty || null,
+    // Located in the document by the generator, which fills in the rest of the citation
+    citation: { excerpt: item.source.excerpt }
+  };
+}
@@ -0,0 +1,316 @@
+/**
+ * Question types beyond single-answer multiple choice, and how answers to them are scored.
+ *
+ * - single_choice: options with one correctOptionId (the original type)
+ * - true_false: the options "True" and "False" with one correctOptionId
+ * - multi_select: options with several correctOptionIds; partly right answers get partial credit
+ * - numeric: no options, an answer {value, unit, tolerance}; answers may carry a unit, which is
+ *   converted to the answer's unit (feet and metres, kg and lb, litres and US gallons, ...)
+ *   before the tolerance band is applied
+ */
+import { apportion } from './documentChunking';
+
+export const QUESTION_TYPES = {
+  SINGLE_CHOICE: 'single_choice',
+  TRUE_FALSE: 'true_false',
+  MULTI_SELECT: 'multi_select',
+  NUMERIC: 'numeric'
+};
+
+export const QUESTION_TYPE_LIST = Object.values(QUESTION_TYPES);
+
+// How each type is described to the model in the generation prompt
+export const QUESTION_TYPE_DESCRIPTIONS = {
+  single_choice: 'multiple choice with exactly one correct option',
+  true_false: 'a statement that is either true or false',
+  multi_select: 'multiple choice where two or more options are correct ("select all that apply")',
+  numeric: 'a calculation (fuel burn, wind correction, density altitude, ...) answered with a number and unit'
+};
+
+// Tolerance used when a numeric question does not give one: 2% of the answer
+const DEFAULT_TOLERANCE_SHARE = 0.02;
+// Rounding slack, so 0.1 + 0.2 is within a tolerance of 0.3
+const EPSILON = 1e-9;
+
+const TYPE_ALIASES = {
+  single_choice: ['single_choice', 'single', 'mcq', 'multiple_choice', 'multiple-choice', 'single-choice'],
+  true_false: ['true_false', 'true/false', 'truefalse', 'true-false', 'boolean', 'tf'],
+  multi_select: ['multi_select', 'multi-select', 'multiselect', 'multiple_select', 'multiple_answer', 'select_all'],
+  numeric: ['numeric', 'number', 'calculation', 'numerical', 'calc']
+};
+
+// Canonical unit -> [dimension, factor to the dimension's base unit]
+const UNITS = {
+  ft: ['length', 1],
+  m: ['length', 3.28084],
+  nm: ['distance', 1],
+  km: ['distance', 0.539957],
+  sm: ['distance', 0.868976],
+  kg: ['mass', 1],
+  lb: ['mass', 0.453592],
+  l: ['volume', 1],
+  usg: ['volume', 3.78541],
+  impgal: ['volume', 4.54609],
+  kt: ['speed', 1],
+  kmh: ['speed', 0.539957],
+  mph: ['speed', 0.868976],
+  fpm: ['vertical speed', 1],
+  hpa: ['pressure', 1],
+  inhg: ['pressure', 33.8639],
+  deg: ['angle', 1],
+  min: ['time', 1],
+  h: ['time', 60],
+  c: ['temperature', null],
+  f: ['temperature', null]
+};
+
+const UNIT_ALIASES = {
+  ft: ['ft', 'feet', 'foot', "'"],
+  m: ['m', 'metre', 'metres', 'meter', 'meters'],
+  nm: ['nm', 'nmi', 'nautical mile', 'nautical miles'],
+  km: ['km', 'kilometre', 'kilometres', 'kilometer', 'kilometers'],
+  sm: ['sm', 'mi', 'mile', 'miles', 'statute mile', 'statute miles'],
+  kg: ['kg', 'kgs', 'kilogram', 'kilograms'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  l: ['l', 'lt', 'ltr', 'litre', 'litres', 'liter', 'liters'],
+  usg: ['usg', 'us gal', 'us gallon', 'us gallons', 'gal', 'gallon', 'gallons'],
+  impgal: ['imp gal', 'imperial gallon', 'imperial gallons'],
+  kt: ['kt', 'kts', 'knot', 'knots'],
+  kmh: ['km/h', 'kmh', 'kph', 'km/hr'],
+  mph: ['mph', 'miles per hour'],
+  fpm: ['fpm', 'ft/min', 'feet per minute'],
+  hpa: ['hpa', 'mb', 'mbar', 'millibar', 'millibars', 'hectopascal', 'hectopascals'],
+  inhg: ['inhg', 'in hg', '"hg', 'inches of mercury'],
+  deg: ['deg', 'degree', 'degrees', '°'],
+  min: ['min', 'mins', 'minute', 'minutes'],
+  h: ['h', 'hr', 'hrs', 'hour', 'hours'],
+  c: ['c', '°c', 'degc', 'deg c', 'celsius', 'degrees celsius'],
+  f: ['f', '°f', 'degf', 'deg f', 'fahrenheit', 'degrees fahrenheit']
+};
+
+const UNIT_LOOKUP = new Map(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map(alias => [alias, unit]))
+);
+
+/**
+ * Normalise a question type name
+ * @param {string} value - Type name or alias ('mcq', 'true/false', 'calculation', ...)
+ * @returns {string|null} - One of QUESTION_TYPE_LIST, or null for anything else
+ */
+export function normaliseQuestionType(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const lower = value.trim().toLowerCase().replace(/\s+/g, '_');
+  return QUESTION_TYPE_LIST.find(type => TYPE_ALIASES[type].includes(lower)) || null;
+}
+
+/**
+ * Type of a question, single_choice when it has none
+ * @param {Object} question - Question
+ * @returns {string}
+ */
+export function questionTypeOf(question) {
+  return normaliseQuestionType(question?.type) || QUESTION_TYPES.SINGLE_CHOICE;
+}
+
+/**
+ * Normalise a unit name
+ * @param {string} unit - Unit as written ('Feet', 'US gal', '°C', ...)
+ * @returns {string|null} - Canonical unit, the lower-cased text for units we do not know, null for none
+ */
+export function normaliseUnit(unit) {
+  if (typeof unit !== 'string' || unit.trim().length === 0) {
+    return null;
+  }
+  const lower = unit.trim().toLowerCase().replace(/\.$/, '').replace(/\s+/g, ' ');
+  return UNIT_LOOKUP.get(lower) || lower;
+}
+
+/**
+ * Convert a value between units of the same dimension
+ * @param {number} value - Value in fromUnit
+ * @param {string} fromUnit - Unit of the value
+ * @param {string} toUnit - Unit wanted
+ * @returns {number|null} - Converted value, or null when the units cannot be converted
+ */
+export function convertUnit(value, fromUnit, toUnit) {
+  const from = normaliseUnit(fromUnit);
+  const to = normaliseUnit(toUnit);
+  if (from === to) {
+    return value;
+  }
+  if (!UNITS[from] || !UNITS[to] || UNITS[from][0] !== UNITS[to][0]) {
+    return null;
+  }
+  if (UNITS[from][0] === 'temperature') {
+    return from === 'c' ? value * 9 / 5 + 32 : (value - 32) * 5 / 9;
+  }
+  return (value * UNITS[from][1]) / UNITS[to][1];
+}
+
+/**
+ * Read a number with an optional unit, e.g. "1,250 ft", "12,5 l", "-3°C" or "38.2"
+ * @param {string|number} input - Answer as typed
+ * @returns {{value: number, unit: string|null}|null} - Null when no number can be read
+ */
+export function parseNumericAnswer(input) {
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? { value: input, unit: null } : null;
+  }
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const match = input.trim().match(/^([+-]?(?:\d[\d, ]*\d|\d)?(?:[.,]\d+)?)\s*(.*)$/);
+  if (!match || !/\d/.test(match[1])) {
+    return null;
+  }
+
+  let number = match[1].replace(/ /g, '');
+  // "1,250" groups thousands, "12,5" is a decimal comma
+  number = /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(number) ? number.replace(/,/g, '') : number.replace(',', '.');
+  const value = Number(number);
+  if (!Number.isFinite(value)) {
+    return null;
+  }
+  return { value, unit: normaliseUnit(match[2]) };
+}
+
+/**
+ * Absolute tolerance of a numeric answer, in the answer's unit
+ * @param {{value: number, tolerance?: number, tolerancePercent?: number}} answer - Numeric answer
+ * @returns {number}
+ */
+export function toleranceOf(answer) {
+  if (typeof answer.tolerance === 'number' && answer.tolerance >= 0) {
+    return answer.tolerance;
+  }
+  if (typeof answer.tolerancePercent === 'number' && answer.tolerancePercent >= 0) {
+    return Math.abs(answer.value) * answer.tolerancePercent / 100;
+  }
+  return Math.abs(answer.value) * DEFAULT_TOLERANCE_SHARE;
+}
+
+/**
+ * Human-readable numeric answer, e.g. "1250 ft (±50)"
+ * @param {{value: number, unit?: string}} answer - Numeric answer
+ * @returns {string}
+ */
+export function formatNumericAnswer(answer) {
+  const unit = answer.unit ? ` ${answer.unit}` : '';
+  const tolerance = toleranceOf(answer);
+  return `${answer.value}${unit}${tolerance > 0 ? ` (±${Math.round(tolerance * 100) / 100})` : ''}`;
+}
+
+/**
+ * Describe the correct answer of a question, as shown under a wrong answer
+ * @param {Object} question - Quiz screen question
+ * @returns {string} - Option letter ('B'), letters for multi-select ('A, C'), or the numeric answer ('80 l (±2)')
+ */
+export function describeCorrectAnswer(question) {
+  const type = questionTypeOf(question);
+  if (type === QUESTION_TYPES.NUMERIC) {
+    return question.answer ? formatNumericAnswer(question.answer) : '';
+  }
+  if (type === QUESTION_TYPES.MULTI_SELECT) {
+    return (question.correctAnswers || []).map(index => String.fromCharCode(65 + index)).join(', ');
+  }
+  return String.fromCharCode(65 + (question.correctAnswer ?? 0));
+}
+
+/**
+ * How far a numeric answer is from the expected value. Bearings wrap at north, so 359° and 001° are 2° apart
+ * @param {number} value - Answer, in the expected unit
+ * @param {number} expected - Expected value
+ * @param {string} unit - Canonical unit of both (see UNITS)
+ * @returns {number}
+ */
+export function numericDifference(value, expected, unit) {
+  const difference = Math.abs(value - expected);
+  if (unit !== 'deg') {
+    return difference;
+  }
+  const wrapped = difference % 360;
+  return Math.min(wrapped, 360 - wrapped);
+}
+
+/**
+ * Score an answer to a quiz screen question
+ * @param {Object} question - Question ({type, correctAnswer} for choice types, {type: 'multi_select',
+ *                            correctAnswers} or {type: 'numeric', answer: {value, unit, tolerance}})
+ * @param {number|Array<number>|string} answer - Option index, option indexes, or the typed numeric answer
+ * @returns {{credit: number, correct: boolean}} - Credit from 0 to 1; multi-select answers earn a share
+ *          for every correct option picked, less one share for every wrong one
+ */
+export function scoreAnswer(question, answer) {
+  const type = questionTypeOf(question);
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    const expected = question.answer;
+    const given = parseNumericAnswer(answer);
+    if (!expected || !given) {
+      return { credit: 0, correct: false };
+    }
+    // An answer without a unit is read in the expected unit
+    const value = given.unit && expected.unit ? convertUnit(given.value, given.unit, expected.unit) : given.value;
+    const correct = value !== null &&
+      numericDifference(value, expected.value, expected.unit) <= toleranceOf(expected) + EPSILON;
+    return { credit: correct ? 1 : 0, correct };
+  }
+
+  if (type === QUESTION_TYPES.MULTI_SELECT) {
+    const expected = new Set(question.correctAnswers || []);
+    const picked = new Set(Array.isArray(answer) ? answer : []);
+    if (expected.size === 0) {
+      return { credit: 0, correct: false };
+    }
+    const hits = [...picked].filter(index => expected.has(index)).length;
+    const misses = picked.size - hits;
+    const credit = Math.max(0, (hits - misses) / expected.size);
+    return { credit: Math.round(credit * 100) / 100, correct: hits === expected.size && misses === 0 };
+  }
+
+  const correct = typeof answer === 'number' && answer === question.correctAnswer;
+  return { credit: correct ? 1 : 0, correct };
+}
+
+/**
+ * Whether a question has been answered at all
+ * @param {Object} question - Quiz screen question
+ * @param {*} answer - Answer so far
+ * @returns {boolean}
+ */
+export function isAnswered(question, answer) {
+  const type = questionTypeOf(question);
+  if (type === QUESTION_TYPES.NUMERIC) {
+    return typeof answer === 'string' ? answer.trim().length > 0 : typeof answer === 'number';
+  }
+  if (type === QUESTION_TYPES.MULTI_SELECT) {
+    return Array.isArray(answer) && answer.length > 0;
+  }
+  return typeof answer === 'number';
+}
+
+/**
+ * Normalise the question types requested for generation
+ * @param {string|Array<string>} types - Type or types (any alias); empty means single_choice only
+ * @returns {Array<string>} - Distinct types in QUESTION_TYPE_LIST order
+ */
+export function resolveQuestionTypes(types) {
+  const wanted = new Set([].concat(types || []).map(normaliseQuestionType).filter(Boolean));
+  const resolved = QUESTION_TYPE_LIST.filter(type => wanted.has(type));
+  return resolved.length > 0 ? resolved : [QUESTION_TYPES.SINGLE_CHOICE];
+}
+
+/**
+ * Number of questions to ask for of each type, split evenly
+ * @param {number} questionCount - Questions in the prompt
+ * @param {string|Array<string>} types - Requested types (see resolveQuestionTypes)
+ * @returns {Object} - Count per type, adding up to questionCount
+ */
+export function allocateQuestionTypes(questionCount, types) {
+  const resolved = resolveQuestionTypes(types);
+  const shares = apportion(Math.max(0, questionCount), resolved.map(() => 1));
+  return Object.fromEntries(resolved.map((type, index) => [type, shares[index]]));
+}
@@ -0,0 +1,100 @@
+/**
+ * Progress of a quiz attempt that has not been submitted yet.
+ *
+ * An attempt can be left at any point and resumed after an app restart. Its progress:
+ *   {quizId, title, totalQuestions, optionSeed, currentQuestionIndex, answers, flagged,
+ *    elapsedMs, mode, exam, questionTimes, startedAt, updatedAt}
+ * where answers map question ids to answers in the stored option order (as submitQuiz takes
+ * them) and flagged lists the ids of the questions marked for review. mode is 'untimed',
+ * 'practice' (answers are the first ones given) or 'exam'; an exam attempt carries its
+ * deadline in exam, and questionTimes the time spent on each question (see examMode.js).
+ * Resuming with the same optionSeed shows the options in the order the user saw (see
+ * optionShuffle.js).
+ * src/services/quizProgressService.js saves it.
+ */
+import { examTimeLimitMs, getExamProfile, QUIZ_MODES } from './examMode';
+import { toDisplayAnswer } from './optionShuffle';
+import { isAnswered } from './questionTypes';
+
+/**
+ * Progress of an attempt as the server has it, from quizService.getQuiz
+ * @param {Object} quiz - Quiz with questions ({id, userAnswer, flagged}), optionSeed, elapsedSeconds, and mode,
+ *                        examProfile and examEndsAt for an exam
+ * @returns {Object|null} - Progress (see the module comment) resuming at the first unanswered question, or null when
+ *                          the quiz is finished or nothing has been answered or flagged yet in an untimed attempt
+ */
+export function progressFromQuiz(quiz) {
+  const questions = quiz?.questions || [];
+  if (!quiz || quiz.status === 'completed' || questions.length === 0) {
+    return null;
+  }
+
+  const answers = {};
+  const flagged = [];
+  questions.forEach(question => {
+    if (question.userAnswer !== null && question.userAnswer !== undefined) {
+      answers[question.id] = question.userAnswer;
+    }
+    if (question.flagged) {
+      flagged.push(question.id);
+    }
+  });
+  // A started exam is resumed even with nothing answered, as its time is running
+  const exam = quiz.mode === QUIZ_MODES.EXAM && quiz.examEndsAt
+    ? {
+      profileId: getExamProfile(quiz.examProfile).id,
+      timeLimitMs: examTimeLimitMs(getExamProfile(quiz.examProfile), questions.length),
+      endsAt: quiz.examEndsAt
+    }
+    : null;
+  if (Object.keys(answers).length === 0 && flagged.length === 0 && !exam) {
+    return null;
+  }
+
+  const firstUnanswered = questions.findIndex(question => !isAnswered(question, answers[question.id]));
+  return {
+    quizId: quiz.id,
+    title: quiz.title,
+    totalQuestions: questions.length,
+    optionSeed: typeof quiz.optionSeed === 'number' ? quiz.optionSeed : null,
+    currentQuestionIndex: firstUnanswered === -1 ? questions.length - 1 : firstUnanswered,
+    answers,
+    flagged,
+    elapsedMs: (quiz.elapsedSeconds || 0) * 1000,
+    mode: exam ? QUIZ_MODES.EXAM : quiz.mode === QUIZ_MODES.PRACTICE ? QUIZ_MODES.PRACTICE : QUIZ_MODES.UNTIMED,
+    exam,
+    questionTimes: {},
+    startedAt: quiz.createdAt || null,
+    updatedAt: null
+  };
+}
+
+/**
+ * Selections of a resumed attempt, in the order its questions are shown
+ * @param {Array<Object>} questions - Questions from optionShuffle.shuffleForAttempt
+ * @param {Object} answers - Question id -> answer in the stored option order
+ * @returns {Object} - Question id -> answer as shown; questions no longer in the quiz are dropped
+ */
+export function restoreSelections(questions, answers) {
+  const selections = {};
+  questions.forEach(question => {
+    const answer = toDisplayAnswer(question, answers?.[question.id]);
+    if (answer !== undefined && answer !== null) {
+      selections[question.id] = answer;
+    }
+  });
+  return selections;
+}
+
+/**
+ * Time spent on an attempt, for display
+ * @param {number} elapsedMs - Milliseconds
+ * @returns {string} - "m:ss", or "h:mm:ss" from an hour
+ */
+export function formatElapsed(elapsedMs) {
+  const totalSeconds = Math.max(0, Math.floor((elapsedMs || 0) / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
@@ -0,0 +1,53 @@
+/**
+ * The one scoring engine for quiz attempts.
+ *
+ * The quiz screen scores the questions as it shows them and quizService.submitQuiz scores
+ * the stored rows; both go through scoreQuiz, which converts every question with
+ * questionModel.js first, so the same answers always earn the same score. How a single
+ * answer is marked (partial credit, numeric tolerance) is in questionTypes.scoreAnswer.
+ */
+import { toQuizScreenQuestion } from './questionModel';
+import { scoreAnswer } from './questionTypes';
+
+/**
+ * Mark one answer
+ * @param {Object} question - Question in any shape (see questionModel.toCanonicalQuestion)
+ * @param {number|Array<number>|string} answer - Option index into the question's options as given, the indexes
+ *                                               for multi-select, or the typed numeric answer
+ * @returns {{credit: number, correct: boolean}}
+ */
+export function scoreQuestion(question, answer) {
+  return scoreAnswer(toQuizScreenQuestion(question), answer);
+}
+
+/**
+ * Score a quiz attempt
+ * @param {Array<Object>} questions - Questions in any shape (see questionModel.toCanonicalQuestion)
+ * @param {Object} answers - Question id -> answer, indexes into each question's options as given
+ * @returns {{score: number, totalQuestions: number, correctAnswers: number, earnedCredit: number, marks: Object}} -
+ *          Score as a percentage of the questions (unanswered ones count as wrong), and the mark of every
+ *          question by id
+ */
+export function scoreQuiz(questions, answers) {
+  const marks = {};
+  let earnedCredit = 0;
+  let correctAnswers = 0;
+
+  (questions || []).forEach(question => {
+    const mark = scoreQuestion(question, answers?.[question.id]);
+    marks[question.id] = mark;
+    earnedCredit += mark.credit;
+    if (mark.correct) {
+      correctAnswers++;
+    }
+  });
+
+  const totalQuestions = (questions || []).length;
+  return {
+    score: totalQuestions > 0 ? (earnedCredit / totalQuestions) * 100 : 0,
+    totalQuestions,
+    correctAnswers,
+    earnedCredit,
+    marks
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Spaced repetition of the questions a user has seen (SM-2).
+ *
+ * Every question answered gets a review card:
+ *   {questionId, repetitions, intervalDays, easeFactor, dueAt, lastReviewedAt, lastQuality,
+ *    reviews, lapses, updatedAt}
+ * Each answer is graded 0-5 (qualityOf) from its mark and how long it took, and the card is
+ * rescheduled with SM-2: a wrong answer starts the question over and brings it back the next
+ * day; right answers space it out by a growing interval, faster for questions that are easy
+ * for the user. The daily "Due for review" session is the cards due by the end of the day.
+ * src/services/reviewService.js keeps the cards per user.
+ */
+
+export const INITIAL_EASE_FACTOR = 2.5;
+export const MIN_EASE_FACTOR = 1.3;
+
+// Most questions in one day's review session; the rest stay due for the next one
+export const DAILY_REVIEW_LIMIT = 20;
+
+// Answer times that count as instant or hesitant recall
+const QUICK_ANSWER_MS = 15 * 1000;
+const SLOW_ANSWER_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Grade an answer for SM-2
+ * @param {{credit: number, correct: boolean}} mark - Mark of the answer (see scoring.scoreQuestion)
+ * @param {Object} response - How the answer was given
+ * @param {boolean} response.answered - Whether the question was answered at all
+ * @param {number} response.timeSpentMs - Time spent on the question, when known
+ * @returns {number} - 5 quick and right, 4 right, 3 right after hesitating, 2 partly right, 1 wrong,
+ *                     0 not answered
+ */
+export function qualityOf(mark, { answered = true, timeSpentMs = null } = {}) {
+  if (!answered) {
+    return 0;
+  }
+  if (mark.correct) {
+    if (typeof timeSpentMs !== 'number') {
+      return 4;
+    }
+    return timeSpentMs <= QUICK_ANSWER_MS ? 5 : timeSpentMs >= SLOW_ANSWER_MS ? 3 : 4;
+  }
+  return mark.credit >= 0.5 ? 2 : 1;
+}
+
+/**
+ * A card for a question not reviewed yet
+ * @param {string} questionId - Question ID
+ * @param {number} now - Current time (ms since the epoch)
+ * @returns {Object} - Card (see the module comment), due now
+ */
+export function createCard(questionId, now = Date.now()) {
+  return {
+    questionId,
+    repetitions: 0,
+    intervalDays: 0,
+    easeFactor: INITIAL_EASE_FACTOR,
+    dueAt: new Date(now).toISOString(),
+    lastReviewedAt: null,
+    lastQuality: null,
+    reviews: 0,
+    lapses: 0,
+    updatedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * Reschedule a card after an answer (SM-2)
+ * @param {Object} card - Card from createCard or an earlier scheduleReview
+ * @param {number} quality - Grade of the answer, 0-5 (see qualityOf)
+ * @param {number} now - Current time (ms since the epoch)
+ * @returns {Object} - Updated copy of the card
+ */
+export function scheduleReview(card, quality, now = Date.now()) {
+  let { repetitions, intervalDays, easeFactor, lapses } = card;
+
+  if (quality < 3) {
+    // Forgotten: learn it again from the start; the ease factor is kept as SM-2 does. Forgetting a question
+    // that had been recalled before is a lapse
+    lapses = card.repetitions > 0 ? lapses + 1 : lapses;
+    repetitions = 0;
+    intervalDays = 1;
+  } else {
+    repetitions += 1;
+    intervalDays = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(intervalDays * easeFactor);
+    easeFactor = Math.max(
+      MIN_EASE_FACTOR,
+      easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+  }
+
+  return {
+    ...card,
+    repetitions,
+    intervalDays,
+    easeFactor: Math.round(easeFactor * 1000) / 1000,
+    dueAt: new Date(now + intervalDays * DAY_MS).toISOString(),
+    lastReviewedAt: new Date(now).toISOString(),
+    lastQuality: quality,
+    reviews: card.reviews + 1,
+    lapses,
+    updatedAt: new Date(now).toISOString()
+  };
+}
+
+/**
+ * The cards of today's review session
+ * @param {Array<Object>} cards - Cards
+ * @param {number} now - Current time (ms since the epoch)
+ * @param {number} limit - Most cards in the session
+ * @returns {Array<Object>} - Cards due by the end of the day, longest overdue first
+ */
+export function dueForReview(cards, now = Date.now(), limit = DAILY_REVIEW_LIMIT) {
+  const endOfDay = new Date(now);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  return (cards || [])
+    .filter(card => Date.parse(card.dueAt) <= endOfDay.getTime())
+    .sort((a, b) => Date.parse(a.dueAt) - Date.parse(b.dueAt))
+    .slice(0, limit);
+}
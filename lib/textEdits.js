@@ -0,0 +1,55 @@
+/**
+ * Offset-tracking edits to extracted document text.
+ *
+ * Passes that rewrite document text before it is prompted (see documentSanitiser.js
+ * and piiRedaction.js) record their changes as edits, so the page map and anything
+ * else holding offsets into the extracted text can be shifted to match.
+ */
+
+/**
+ * Apply non-overlapping edits to a text
+ * @param {string} text - Text
+ * @param {Array<{start: number, end: number, replacement: string}>} edits - Edits, in order
+ * @returns {{text: string, mapOffset: Function}} - Edited text, and a function mapping an offset
+ *          in the original text to the edited one
+ */
+export function applyEdits(text, edits) {
+  if (edits.length === 0) {
+    return { text, mapOffset: offset => offset };
+  }
+
+  let edited = '';
+  let from = 0;
+  edits.forEach(edit => {
+    edited += text.slice(from, edit.start) + edit.replacement;
+    from = edit.end;
+  });
+  edited += text.slice(from);
+
+  const mapOffset = offset => {
+    let shift = 0;
+    for (const edit of edits) {
+      if (edit.start >= offset) {
+        break;
+      }
+      if (edit.end > offset) {
+        // Inside an edit: the end of its replacement
+        return edit.start + shift + edit.replacement.length;
+      }
+      shift += edit.replacement.length - (edit.end - edit.start);
+    }
+    return offset + shift;
+  };
+
+  return { text: edited, mapOffset };
+}
+
+/**
+ * Shift a page map to an edited text
+ * @param {Array<{page: number, start: number, end: number}>} pageMap - Page map of the original text
+ * @param {Function} mapOffset - Offset mapping returned by applyEdits
+ * @returns {Array<{page: number, start: number, end: number}>}
+ */
+export function shiftPageMap(pageMap, mapOffset) {
+  return (pageMap || []).map(range => ({ ...range, start: mapOffset(range.start), end: mapOffset(range.end) }));
+}
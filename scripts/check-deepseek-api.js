@@ -5,7 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { chatCompletionsClient, chatCompletionsTarget } = require('./deepseek-endpoint');
 
 // Read app.json to extract DeepSeek API key
 function getDeepSeekApiKey() {
@@ -29,8 +29,7 @@ function getDeepSeekApiKey() {
 function testDeepSeekApi(apiKey) {
   return new Promise((resolve, reject) => {
     const options = {
-      hostname: 'api.deepseek.com',
-      path: '/v1/chat/completions',
+      ...chatCompletionsTarget,
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -50,7 +49,7 @@ function testDeepSeekApi(apiKey) {
       ]
     });
 
-    const req = https.request(options, (res) => {
+    const req = chatCompletionsClient.request(options, (res) => {
       let responseData = '';
 
       res.on('data', (chunk) => {
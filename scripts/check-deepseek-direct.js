@@ -6,7 +6,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { chatCompletionsClient, chatCompletionsTarget } = require('./deepseek-endpoint');
 
 // Get API key from app.json
 function getApiKey() {
@@ -40,8 +40,7 @@ async function testDeepSeekApi(apiKey) {
 
     // Request options
     const options = {
-      hostname: 'api.deepseek.com',
-      path: '/v1/chat/completions',
+      ...chatCompletionsTarget,
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -52,7 +51,7 @@ async function testDeepSeekApi(apiKey) {
 
     // Make the request
     console.log('Making request to DeepSeek API...');
-    const req = https.request(options, (res) => {
+    const req = chatCompletionsClient.request(options, (res) => {
       let responseData = '';
 
       // Collect response data
@@ -0,0 +1,27 @@
+/* eslint-env node */
+/**
+ * DeepSeek endpoint used by the scripts in this directory.
+ * Set DEEPSEEK_BASE_URL=http://localhost:4010/v1 to run them against the local mock
+ * server (node scripts/mock-llm-server.js) instead of the live API; any API key works there.
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEEPSEEK_BASE_URL = (process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com/v1').replace(/\/+$/, '');
+const CHAT_COMPLETIONS_URL = `${DEEPSEEK_BASE_URL}/chat/completions`;
+
+const endpoint = new URL(CHAT_COMPLETIONS_URL);
+
+// http or https, whichever the endpoint needs
+const chatCompletionsClient = endpoint.protocol === 'http:' ? http : https;
+
+// Request options for http(s).request; spread them into the script's own options
+const chatCompletionsTarget = {
+  protocol: endpoint.protocol,
+  hostname: endpoint.hostname,
+  port: endpoint.port || undefined,
+  path: endpoint.pathname
+};
+
+module.exports = { DEEPSEEK_BASE_URL, CHAT_COMPLETIONS_URL, chatCompletionsClient, chatCompletionsTarget };
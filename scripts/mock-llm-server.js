@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/**
+ * Local stand-in for an OpenAI-style chat-completions API (DeepSeek and other
+ * openai-compatible endpoints), so question generation can be developed and tested
+ * without network access or API keys.
+ *
+ * Usage:
+ *   node scripts/mock-llm-server.js [--port 4010] [--mode template|canned] [--latency 800]
+ *     [--rate-limit-every 5] [--error-rate 0.1] [--malformed-rate 0.1] [--fixture path/to/responses.json]
+ *
+ * Point the app at it with LLM_PROVIDER=mock-server (LLM_BASE_URL when not on localhost:4010),
+ * and the DeepSeek scripts with DEEPSEEK_BASE_URL=http://localhost:4010/v1.
+ *
+ * Modes:
+ *   template - questions are built from the study material in the prompt: each one completes
+ *              a sentence of the material, which is quoted as the source (default)
+ *   canned   - answers come from a fixture in the lib/llm/fixtures/mockResponses.json format
+ * Prompts that are not question requests always get the canned answer.
+ *
+ * Endpoints:
+ *   POST /v1/chat/completions - completion for the last user message
+ *   GET  /v1/models           - the mock model
+ *   POST /__mock/scenarios    - queue outcomes for the next completions, e.g.
+ *                               {"next": ["rate_limit", "server_error", "malformed"]}
+ *   GET  /health
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_PORT = 4010;
+const MODEL = 'mock-llm';
+const DEFAULT_FIXTURE = path.join(__dirname, '..', 'lib', 'llm', 'fixtures', 'mockResponses.json');
+const SCENARIOS = ['ok', 'rate_limit', 'server_error', 'malformed'];
+const OPTION_IDS = ['A', 'B', 'C', 'D'];
+const BLANK = '_____';
+
+// Figures with their units make the best blanks; they have natural distractors
+const FIGURE_PATTERN = /\b\d{1,3}(?:,\d{3})*(?:\.\d+)?(?:\s?(?:MHz|kHz|Hz|ft|feet|knots|kt|nm|NM|hPa|inHg|mb|%|degrees|°C|°F|statute miles|nautical miles|miles|minutes|hours|seconds|satellites|kg|lbs|litres|gallons))?/g;
+const STOP_WORDS = new Set(['which', 'their', 'there', 'these', 'those', 'should', 'would', 'could', 'about',
+  'other', 'after', 'before', 'during', 'through', 'between', 'within', 'without', 'because', 'always']);
+
+/**
+ * Seeded pseudo-random numbers (mulberry32), so the same prompt gets the same questions
+ * @param {string} text - Text the seed is derived from
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function randomFor(text) {
+  let state = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    state = Math.imul(state ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, random) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// Sentences of the material, exactly as written so they can be quoted as the source
+function sentencesOf(material) {
+  return material
+    .split(/\n+|(?<=[.!?])\s+(?=[A-Z])/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length >= 40 && sentence.length <= 300 && /[.!?]$/.test(sentence));
+}
+
+// Wrong answers of the same kind as the answer: other figures with the same unit, scaled
+// figures, or other long words from the material
+function distractorsFor(answer, material, random) {
+  const figure = answer.match(/^([\d,.]+)\s?(.*)$/);
+  let candidates;
+  if (figure) {
+    const unit = figure[2];
+    const value = Number(figure[1].replace(/,/g, ''));
+    const decimals = (figure[1].split('.')[1] || '').length;
+    const sameUnit = (material.match(FIGURE_PATTERN) || [])
+      .map(match => match.trim())
+      .filter(match => match !== answer && /^(0\.|[1-9])/.test(match) &&
+        (unit ? match.endsWith(` ${unit}`) || match.endsWith(unit) : /^[\d,.]+$/.test(match)));
+    const scaled = [0.5, 2, 1.5, 0.75, 3, 10].map(factor => {
+      const scaledValue = (value * factor).toFixed(decimals);
+      return unit ? `${scaledValue} ${unit}`.replace(/ (%|°C|°F)$/, '$1') : scaledValue;
+    });
+    candidates = [...shuffle(sameUnit, random), ...scaled];
+  } else {
+    // Same capitalisation and a similar length, so the answer does not stand out
+    const capitalised = /^[A-Z]/.test(answer);
+    const words = [...new Set(material.match(/\b[A-Za-z][A-Za-z-]{5,}\b/g) || [])]
+      .filter(word => !STOP_WORDS.has(word.toLowerCase()) && word.toLowerCase() !== answer.toLowerCase() &&
+        /^[A-Z]/.test(word) === capitalised)
+      .sort((a, b) => Math.abs(a.length - answer.length) - Math.abs(b.length - answer.length));
+    candidates = shuffle(words.slice(0, 8), random);
+  }
+  return [...new Set(candidates)].filter(candidate => candidate !== answer).slice(0, OPTION_IDS.length - 1);
+}
+
+// The part of a sentence to blank out: a figure, or else its longest uncommon word. It must
+// appear only once, or the stem would still give the answer away.
+function answerIn(sentence) {
+  const once = candidate => sentence.toLowerCase().split(candidate.toLowerCase()).length === 2;
+  const figures = (sentence.match(FIGURE_PATTERN) || []).map(match => match.trim())
+    .filter(match => /^(0\.|[1-9])/.test(match) && once(match));
+  if (figures.length > 0) {
+    return figures.sort((a, b) => b.length - a.length)[0];
+  }
+  const words = (sentence.match(/\b[A-Za-z][A-Za-z-]{6,}\b/g) || [])
+    .filter(word => !STOP_WORDS.has(word.toLowerCase()) && once(word));
+  return words.sort((a, b) => b.length - a.length)[0] || null;
+}
+
+/**
+ * Build sentence-completion questions from study material
+ * @param {string} material - Study material from the prompt
+ * @param {number} count - Questions wanted
+ * @param {Function} random - Seeded random numbers
+ * @returns {Array<Object>} - Questions in the requested JSON shape (may be fewer than count)
+ */
+function buildQuestions(material, count, random) {
+  const questions = [];
+  for (const sentence of shuffle(sentencesOf(material), random)) {
+    if (questions.length >= count) {
+      break;
+    }
+    const answer = answerIn(sentence);
+    const distractors = answer ? distractorsFor(answer, material, random) : [];
+    if (distractors.length < OPTION_IDS.length - 1) {
+      continue;
+    }
+    const texts = shuffle([answer, ...distractors], random);
+    questions.push({
+      text: `Which completes this statement from the study material: "${sentence.replace(answer, BLANK)}"`,
+      options: texts.map((text, index) => ({ id: OPTION_IDS[index], text })),
+      correctOptionId: OPTION_IDS[texts.indexOf(answer)],
+      explanation: `The study material states: "${sentence}"`,
+      difficulty: 'Medium',
+      source: { excerpt: sentence }
+    });
+  }
+  return questions;
+}
+
+// Older prompts in scripts/ ask for "### Question N" markdown instead of JSON
+function toMarkdown(questions) {
+  return questions.map((question, index) => [
+    `### Question ${index + 1}`,
+    question.text,
+    ...question.options.map(option => `(${option.id}) ${option.text}`),
+    '',
+    `Correct answer: ${question.correctOptionId}`,
+    `Explanation: ${question.explanation}`
+  ].join('\n')).join('\n\n---\n\n');
+}
+
+function cannedResponse(fixture, prompt) {
+  const entry = fixture.responses.find(candidate => candidate.match && prompt.includes(candidate.match)) ||
+    fixture.responses.find(candidate => !candidate.match);
+  if (!entry) {
+    return 'Working';
+  }
+  return typeof entry.response === 'string' ? entry.response : JSON.stringify(entry.response);
+}
+
+/**
+ * Answer one prompt
+ * @param {string} prompt - Last user message
+ * @param {Object} options - Server options ({mode, fixture})
+ * @returns {string} - Completion text
+ */
+function respondTo(prompt, options) {
+  // Fenced prompts put the material between <study_material> tags, older ones after a heading
+  const materialMatch = prompt.match(/<study_material>\s*([\s\S]*?)\s*<\/study_material>/) ||
+    prompt.match(/study material:\s*([\s\S]+)$/i);
+  if (options.mode === 'canned' || !materialMatch) {
+    return cannedResponse(options.fixture, prompt);
+  }
+
+  const random = randomFor(prompt);
+  const material = materialMatch[1];
+  // Repair prompts want the one question back as an object
+  if (/failed validation/i.test(prompt)) {
+    const [question] = buildQuestions(material, 1, random);
+    return question ? JSON.stringify(question) : cannedResponse(options.fixture, prompt);
+  }
+
+  const countMatch = prompt.match(/(\d+)\s+(?:[\w-]+\s+)?questions/i);
+  const questions = buildQuestions(material, countMatch ? Number(countMatch[1]) : 5, random);
+  return /### Question/.test(prompt) ? toMarkdown(questions) : JSON.stringify({ questions });
+}
+
+function readFixture(fixturePath) {
+  return JSON.parse(fs.readFileSync(fixturePath || DEFAULT_FIXTURE, 'utf8'));
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the mock server
+ * @param {Object} options - Options
+ * @param {string} options.mode - 'template' (default) or 'canned'
+ * @param {string} options.fixturePath - Canned responses (default: lib/llm/fixtures/mockResponses.json)
+ * @param {number} options.latencyMs - Delay before every completion
+ * @param {number} options.rateLimitEvery - Answer every Nth completion with 429 (0 = never)
+ * @param {number} options.errorRate - Share of completions answered with 503
+ * @param {number} options.malformedRate - Share of completions answered with broken JSON
+ * @returns {{server: http.Server, listen: Function, close: Function, queue: Function, requests: Array}}
+ */
+function createMockLLMServer(options = {}) {
+  const config = {
+    mode: options.mode || 'template',
+    fixture: readFixture(options.fixturePath),
+    latencyMs: Number(options.latencyMs) || 0,
+    rateLimitEvery: Number(options.rateLimitEvery) || 0,
+    errorRate: Number(options.errorRate) || 0,
+    malformedRate: Number(options.malformedRate) || 0
+  };
+  const queued = [];
+  const requests = [];
+  let completionCount = 0;
+
+  // Queued scenarios first, then the configured failure rates
+  const nextScenario = () => {
+    completionCount += 1;
+    if (queued.length > 0) {
+      return queued.shift();
+    }
+    if (config.rateLimitEvery > 0 && completionCount % config.rateLimitEvery === 0) {
+      return 'rate_limit';
+    }
+    if (Math.random() < config.errorRate) {
+      return 'server_error';
+    }
+    return Math.random() < config.malformedRate ? 'malformed' : 'ok';
+  };
+
+  const complete = async (body, res) => {
+    const scenario = nextScenario();
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const prompt = [...messages].reverse().find(message => message.role === 'user')?.content || '';
+    requests.push({ scenario, model: body.model, prompt });
+
+    if (config.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, config.latencyMs));
+    }
+    if (scenario === 'rate_limit') {
+      sendJson(res, 429, { error: { message: 'Rate limit reached, retry after 1s', type: 'rate_limit_error' } },
+        { 'Retry-After': '1' });
+      return;
+    }
+    if (scenario === 'server_error') {
+      sendJson(res, 503, { error: { message: 'The server is overloaded', type: 'server_error' } });
+      return;
+    }
+
+    let content = respondTo(prompt, config);
+    if (scenario === 'malformed') {
+      // Cut off mid-object, as a model hitting its token limit does
+      content = `Here are the questions:\n${content.slice(0, Math.max(20, Math.floor(content.length / 2)))}`;
+    }
+    const promptTokens = Math.ceil(messages.reduce((sum, message) => sum + String(message.content || '').length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    sendJson(res, 200, {
+      id: `chatcmpl-mock-${completionCount}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: body.model || MODEL,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: scenario === 'malformed' ? 'length' : 'stop' }],
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+    });
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      let body = {};
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch (error) {
+        sendJson(res, 400, { error: { message: `Request body is not JSON: ${error.message}`, type: 'invalid_request_error' } });
+        return;
+      }
+
+      const route = `${req.method} ${req.url.split('?')[0].replace(/\/+$/, '')}`;
+      if (route === 'POST /v1/chat/completions' || route === 'POST /chat/completions') {
+        complete(body, res).catch(error => sendJson(res, 500, { error: { message: error.message, type: 'server_error' } }));
+      } else if (route === 'GET /v1/models' || route === 'GET /models') {
+        sendJson(res, 200, { object: 'list', data: [{ id: MODEL, object: 'model', owned_by: 'groundschool-ai' }] });
+      } else if (route === 'POST /__mock/scenarios') {
+        const next = (Array.isArray(body.next) ? body.next : []).filter(scenario => SCENARIOS.includes(scenario));
+        queued.push(...next);
+        sendJson(res, 200, { queued: [...queued] });
+      } else if (route === 'GET /health') {
+        sendJson(res, 200, { status: 'ok', mode: config.mode, completions: completionCount });
+      } else {
+        sendJson(res, 404, { error: { message: `No route for ${route}`, type: 'invalid_request_error' } });
+      }
+    });
+  });
+
+  return {
+    server,
+    requests,
+    /**
+     * Start listening
+     * @param {number} port - Port (0 picks a free one)
+     * @returns {Promise<{port: number, url: string}>} - url is the API base URL, ending in /v1
+     */
+    listen: (port = DEFAULT_PORT) => new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => {
+        const actualPort = server.address().port;
+        resolve({ port: actualPort, url: `http://localhost:${actualPort}/v1` });
+      });
+    }),
+    close: () => new Promise(resolve => server.close(() => resolve())),
+    /**
+     * Queue outcomes for the next completions
+     * @param {Array<string>} scenarios - 'ok', 'rate_limit', 'server_error' or 'malformed'
+     */
+    queue: scenarios => {
+      queued.push(...scenarios.filter(scenario => SCENARIOS.includes(scenario)));
+    }
+  };
+}
+
+// --name value pairs from the command line, falling back to MOCK_LLM_* environment variables
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+      args[name] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : 'true';
+    }
+  }
+  return {
+    port: Number(args.port || process.env.MOCK_LLM_PORT) || DEFAULT_PORT,
+    mode: args.mode || process.env.MOCK_LLM_MODE,
+    fixturePath: args.fixture || process.env.MOCK_LLM_FIXTURE,
+    latencyMs: args.latency || process.env.MOCK_LLM_LATENCY_MS,
+    rateLimitEvery: args.rateLimitEvery || process.env.MOCK_LLM_RATE_LIMIT_EVERY,
+    errorRate: args.errorRate || process.env.MOCK_LLM_ERROR_RATE,
+    malformedRate: args.malformedRate || process.env.MOCK_LLM_MALFORMED_RATE
+  };
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  const mock = createMockLLMServer(options);
+  mock.listen(options.port)
+    .then(({ url }) => {
+      console.log(`🛩️  Mock LLM server listening on ${url} (mode: ${options.mode || 'template'})`);
+      console.log('   App:     LLM_PROVIDER=mock-server' + (options.port === DEFAULT_PORT ? '' : ` LLM_BASE_URL=${url}`));
+      console.log(`   Scripts: DEEPSEEK_BASE_URL=${url}`);
+    })
+    .catch(error => {
+      console.error('❌ Could not start the mock LLM server:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { createMockLLMServer, respondTo, buildQuestions };
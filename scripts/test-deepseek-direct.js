@@ -6,6 +6,7 @@ require('dotenv').config();
 const fetch = require('node-fetch');
 const fs = require('fs');
 const path = require('path');
+const { CHAT_COMPLETIONS_URL } = require('./deepseek-endpoint');
 
 // Function to load a document from a file path
 const loadDocumentText = (filePath) => {
@@ -74,7 +75,7 @@ Study material: ${documentText}`;
     console.log(`📊 Document size: ${documentText.length} characters`);
     
     // Make the API request
-    const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
+    const response = await fetch(CHAT_COMPLETIONS_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
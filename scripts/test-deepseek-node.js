@@ -7,6 +7,7 @@ require('dotenv').config();
 const fetch = require('node-fetch');
 const fs = require('fs');
 const path = require('path');
+const { CHAT_COMPLETIONS_URL } = require('./deepseek-endpoint');
 
 // Sample document text for testing - aviation altimetry focused
 const SAMPLE_TEXT = `
@@ -78,7 +79,7 @@ Remember: Quality over quantity. Only create questions directly answerable from
     console.log('Making request to DeepSeek API...');
     
     // Make the request to DeepSeek API
-    const response = await fetch('https://api.deepseek.com/v1/chat/completions', {
+    const response = await fetch(CHAT_COMPLETIONS_URL, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
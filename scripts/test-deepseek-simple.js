@@ -5,7 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { chatCompletionsClient, chatCompletionsTarget } = require('./deepseek-endpoint');
 
 // Sample aviation text for testing
 const SAMPLE_TEXT = `
@@ -77,8 +77,7 @@ Study material: ${documentText}`;
 
     // Request options
     const requestOptions = {
-      hostname: 'api.deepseek.com',
-      path: '/v1/chat/completions',
+      ...chatCompletionsTarget,
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -91,7 +90,7 @@ Study material: ${documentText}`;
     console.log(`Making request to DeepSeek API with model: ${questionOptions.model}`);
     console.log(`Requesting ${questionOptions.questionCount} questions`);
     
-    const req = https.request(requestOptions, (res) => {
+    const req = chatCompletionsClient.request(requestOptions, (res) => {
       let responseData = '';
 
       // Collect response data
@@ -0,0 +1,123 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import PropTypes from 'prop-types';
+import { useTheme } from '../context/ThemeContext';
+import Button from './Button';
+import SourceCitation from './SourceCitation';
+import { describeCorrectAnswer } from '../../lib/questionTypes';
+import { scoreQuestion } from '../../lib/scoring';
+
+/**
+ * Feedback on an answer in practice mode, shown as soon as it is given: whether it is right,
+ * the explanation and where in the study material the answer comes from
+ */
+const AnswerFeedback = ({
+  question,
+  answer,
+  onRetry,
+  onContinue,
+  continueTitle = 'Continue',
+  testID = 'answer-feedback'
+}) => {
+  const { colors } = useTheme();
+  const mark = scoreQuestion(question, answer);
+
+  // Define styles within the component to use theme colors
+  const styles = StyleSheet.create({
+    container: {
+      marginTop: 16,
+      padding: 12,
+      borderRadius: 8,
+      backgroundColor: 'rgba(255, 255, 255, 0.05)',
+    },
+    status: {
+      paddingVertical: 6,
+      paddingHorizontal: 12,
+      borderRadius: 4,
+      alignSelf: 'flex-start',
+      marginBottom: 8,
+    },
+    correct: {
+      backgroundColor: 'rgba(72, 187, 120, 0.2)',
+    },
+    wrong: {
+      backgroundColor: 'rgba(245, 101, 101, 0.2)',
+    },
+    statusText: {
+      color: colors.text,
+      fontWeight: 'bold',
+      fontSize: 14,
+    },
+    correctAnswerText: {
+      color: '#68D391',
+      fontSize: 15,
+      marginBottom: 8,
+    },
+    explanation: {
+      color: colors.text,
+      fontSize: 15,
+      lineHeight: 22,
+    },
+    buttons: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginTop: 16,
+    },
+    button: {
+      flex: 0.48,
+    },
+  });
+
+  return (
+    <View style={styles.container} testID={testID}>
+      <View style={[styles.status, mark.correct ? styles.correct : styles.wrong]}>
+        <Text style={styles.statusText}>
+          {mark.correct ? 'CORRECT' : mark.credit > 0 ? `PARTLY CORRECT (${Math.round(mark.credit * 100)}%)` : 'INCORRECT'}
+        </Text>
+      </View>
+
+      {!mark.correct && (
+        <Text style={styles.correctAnswerText}>Correct answer: {describeCorrectAnswer(question)}</Text>
+      )}
+
+      {question.explanation ? <Text style={styles.explanation}>{question.explanation}</Text> : null}
+
+      <SourceCitation citation={question.citation} />
+
+      <View style={styles.buttons}>
+        <Button
+          title="Try Again"
+          onPress={onRetry}
+          variant="outline"
+          size="medium"
+          style={styles.button}
+          testID={`${testID}-retry-btn`}
+        />
+        <Button
+          title={continueTitle}
+          onPress={onContinue}
+          variant="primary"
+          size="medium"
+          style={styles.button}
+          testID={`${testID}-continue-btn`}
+        />
+      </View>
+    </View>
+  );
+};
+
+AnswerFeedback.propTypes = {
+  // Quiz screen question, options in the order shown
+  question: PropTypes.shape({
+    explanation: PropTypes.string,
+    citation: PropTypes.object
+  }).isRequired,
+  // Option index, option indexes for multi_select, or the typed answer for numeric
+  answer: PropTypes.oneOfType([PropTypes.number, PropTypes.arrayOf(PropTypes.number), PropTypes.string]),
+  onRetry: PropTypes.func.isRequired,
+  onContinue: PropTypes.func.isRequired,
+  continueTitle: PropTypes.string,
+  testID: PropTypes.string
+};
+
+export default AnswerFeedback;
@@ -1,5 +1,5 @@
 import React from 'react';
-import { TouchableOpacity, Text, StyleSheet } from 'react-native';
+import { TouchableOpacity, Text, View, StyleSheet } from 'react-native';
 import PropTypes from 'prop-types';
 
 const AnswerOption = ({
@@ -8,6 +8,7 @@ const AnswerOption = ({
   isCorrect,
   showResult,
   onSelect,
+  multiple = false,
   testID = 'answer-option'
 }) => {
   const getStyles = () => {
@@ -37,9 +38,21 @@ const AnswerOption = ({
       disabled={showResult}
       testID={testID}
     >
-      <Text style={[styles.text, getTextStyles()]}>
-        {option}
-      </Text>
+      {multiple ? (
+        // Check box for "select all that apply" questions, where several options can be picked
+        <View style={styles.row}>
+          <View style={[styles.checkbox, isSelected && styles.checkboxChecked]} testID={`${testID}-checkbox`}>
+            {isSelected && <Text style={styles.checkmark}>✓</Text>}
+          </View>
+          <Text style={[styles.text, styles.rowText, getTextStyles()]}>
+            {option}
+          </Text>
+        </View>
+      ) : (
+        <Text style={[styles.text, getTextStyles()]}>
+          {option}
+        </Text>
+      )}
     </TouchableOpacity>
   );
 };
@@ -50,6 +63,7 @@ AnswerOption.propTypes = {
   isCorrect: PropTypes.bool.isRequired,
   showResult: PropTypes.bool.isRequired,
   onSelect: PropTypes.func.isRequired,
+  multiple: PropTypes.bool,
   testID: PropTypes.string
 };
 
@@ -81,6 +95,32 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '500',
   },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rowText: {
+    flex: 1,
+  },
+  checkbox: {
+    width: 22,
+    height: 22,
+    borderRadius: 4,
+    borderWidth: 2,
+    borderColor: '#A0AEC0',
+    marginRight: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  checkboxChecked: {
+    backgroundColor: '#4299E1',
+    borderColor: '#4299E1',
+  },
+  checkmark: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '700',
+  },
   defaultText: {
     color: '#2D3748',
   },
@@ -0,0 +1,162 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import { useTheme } from '../context/ThemeContext';
+import { describeGenerationError } from '../../lib/generationErrors';
+
+const PENDING_STATUSES = ['queued', 'running'];
+const FAILED_STATUSES = ['failed', 'cancelled'];
+
+/**
+ * Status line for a job
+ * @param {Object} job - Generation job (see generationJobService)
+ * @returns {string}
+ */
+export const describeJobStatus = (job) => {
+  if (job.status === 'queued') {
+    return 'Waiting to start';
+  }
+  if (job.status === 'running') {
+    const progress = job.progress;
+    if (progress?.stage === 'merging') {
+      return 'Combining questions from all sections...';
+    }
+    if (progress?.chunkCount > 1) {
+      return `Generating questions: section ${progress.chunk} of ${progress.chunkCount}`;
+    }
+    return 'Generating questions...';
+  }
+  if (job.status === 'cancelled') {
+    return 'Cancelled';
+  }
+  return (job.error?.code && describeGenerationError(job.error.code)) || job.error?.message || 'Question generation failed';
+};
+
+/**
+ * Lists quiz generation jobs that are still pending or have failed, with their actions
+ */
+const GenerationJobList = ({
+  jobs,
+  onCancel,
+  onRetry,
+  onDismiss,
+  testID = 'generation-job-list'
+}) => {
+  const { colors } = useTheme();
+  const visibleJobs = jobs.filter(job => PENDING_STATUSES.includes(job.status) || FAILED_STATUSES.includes(job.status));
+
+  if (visibleJobs.length === 0) {
+    return null;
+  }
+
+  // Define styles within the component to use theme colors
+  const styles = StyleSheet.create({
+    container: {
+      marginBottom: 24,
+    },
+    heading: {
+      fontSize: 18,
+      fontWeight: 'bold',
+      color: colors.text,
+      marginBottom: 12,
+    },
+    job: {
+      backgroundColor: colors.card,
+      borderRadius: 12,
+      borderWidth: 1,
+      borderColor: colors.border,
+      padding: 16,
+      marginBottom: 12,
+    },
+    failedJob: {
+      borderColor: 'rgba(255, 99, 132, 0.5)',
+    },
+    title: {
+      fontSize: 16,
+      fontWeight: 'bold',
+      color: colors.text,
+      marginBottom: 4,
+    },
+    status: {
+      fontSize: 14,
+      color: colors.subText,
+    },
+    actions: {
+      flexDirection: 'row',
+      marginTop: 8,
+    },
+    action: {
+      marginRight: 8,
+    },
+  });
+
+  return (
+    <View style={styles.container} testID={testID}>
+      <Text style={styles.heading}>Question Generation</Text>
+      {visibleJobs.map(job => {
+        const failed = FAILED_STATUSES.includes(job.status);
+        return (
+          <View key={job.id} style={[styles.job, failed && styles.failedJob]} testID={`${testID}-${job.id}`}>
+            <Text style={styles.title}>{job.title}</Text>
+            <Text style={styles.status}>{describeJobStatus(job)}</Text>
+            <View style={styles.actions}>
+              {failed ? (
+                <>
+                  <Button
+                    title="Retry"
+                    onPress={() => onRetry(job.id)}
+                    size="small"
+                    variant="primary"
+                    style={styles.action}
+                    testID={`${testID}-retry-${job.id}`}
+                  />
+                  <Button
+                    title="Dismiss"
+                    onPress={() => onDismiss(job.id)}
+                    size="small"
+                    variant="outline"
+                    style={styles.action}
+                    testID={`${testID}-dismiss-${job.id}`}
+                  />
+                </>
+              ) : (
+                <Button
+                  title="Cancel"
+                  onPress={() => onCancel(job.id)}
+                  size="small"
+                  variant="outline"
+                  style={styles.action}
+                  testID={`${testID}-cancel-${job.id}`}
+                />
+              )}
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+GenerationJobList.propTypes = {
+  jobs: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string,
+    status: PropTypes.oneOf(['queued', 'running', 'completed', 'failed', 'cancelled']).isRequired,
+    progress: PropTypes.shape({
+      stage: PropTypes.string,
+      chunk: PropTypes.number,
+      chunkCount: PropTypes.number
+    }),
+    error: PropTypes.shape({
+      message: PropTypes.string,
+      code: PropTypes.string
+    })
+  })).isRequired,
+  onCancel: PropTypes.func.isRequired,
+  onRetry: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+  testID: PropTypes.string
+};
+
+export default GenerationJobList;
@@ -1,5 +1,5 @@
 import React from 'react';
-import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, TextInput } from 'react-native';
 import PropTypes from 'prop-types';
 
 const QuestionCard = ({ 
@@ -7,11 +7,63 @@ const QuestionCard = ({
   questionText,
   category,
   difficulty,
+  type = 'single_choice',
   options = [],
   selectedOption,
   onSelectOption,
+  onChangeAnswer,
+  answerUnit,
   testID = 'question-card'
 }) => {
+  const isMultiSelect = type === 'multi_select';
+  // Multi-select answers are arrays of option indexes
+  const isSelected = index => (isMultiSelect
+    ? Array.isArray(selectedOption) && selectedOption.includes(index)
+    : selectedOption === index);
+
+  const renderAnswerInput = () => {
+    if (type === 'numeric') {
+      return (
+        <View style={styles.numericContainer}>
+          <TextInput
+            style={styles.numericInput}
+            value={typeof selectedOption === 'string' ? selectedOption : ''}
+            onChangeText={text => onChangeAnswer && onChangeAnswer(text)}
+            editable={Boolean(onChangeAnswer)}
+            placeholder={answerUnit ? `Answer in ${answerUnit}` : 'Answer'}
+            keyboardType="numbers-and-punctuation"
+            testID="numeric-answer"
+          />
+          <Text style={styles.hintText}>Include the unit if you use a different one</Text>
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.optionsContainer}>
+        {isMultiSelect && <Text style={styles.hintText}>Select all that apply</Text>}
+        {options && options.length > 0 ? options.map((option, index) => (
+          <TouchableOpacity
+            key={`option-${index}`}
+            style={[
+              styles.optionItem,
+              isSelected(index) && styles.selectedOption
+            ]}
+            onPress={() => onSelectOption && onSelectOption(index)}
+            testID={`option-${index}`}
+          >
+            <View style={isMultiSelect ? [styles.optionNumber, styles.optionCheckbox] : styles.optionNumber}>
+              <Text style={styles.optionLetter}>{String.fromCharCode(65 + index)}</Text>
+            </View>
+            <Text style={styles.optionText}>{option.text}</Text>
+          </TouchableOpacity>
+        )) : (
+          <Text style={styles.noOptionsText}>No options available</Text>
+        )}
+      </View>
+    );
+  };
+
   return (
     <View style={styles.container} testID={testID}>
       <View style={styles.header}>
@@ -32,27 +84,8 @@ const QuestionCard = ({
       </View>
       <Text style={styles.questionText}>{questionText}</Text>
       
-      {/* Options container */}
-      <View style={styles.optionsContainer}>
-        {options && options.length > 0 ? options.map((option, index) => (
-          <TouchableOpacity
-            key={`option-${index}`}
-            style={[
-              styles.optionItem,
-              selectedOption === index && styles.selectedOption
-            ]}
-            onPress={() => onSelectOption && onSelectOption(index)}
-            testID={`option-${index}`}
-          >
-            <View style={styles.optionNumber}>
-              <Text style={styles.optionLetter}>{String.fromCharCode(65 + index)}</Text>
-            </View>
-            <Text style={styles.optionText}>{option.text}</Text>
-          </TouchableOpacity>
-        )) : (
-          <Text style={styles.noOptionsText}>No options available</Text>
-        )}
-      </View>
+      {/* Options, or the answer field of numeric questions */}
+      {renderAnswerInput()}
     </View>
   );
 };
@@ -62,12 +95,16 @@ QuestionCard.propTypes = {
   questionText: PropTypes.string.isRequired,
   category: PropTypes.string.isRequired,
   difficulty: PropTypes.oneOf(['Easy', 'Medium', 'Hard']),
+  type: PropTypes.oneOf(['single_choice', 'true_false', 'multi_select', 'numeric']),
   options: PropTypes.arrayOf(PropTypes.shape({
     text: PropTypes.string.isRequired,
     isCorrect: PropTypes.bool
   })),
-  selectedOption: PropTypes.number,
+  // Option index, option indexes for multi_select, or the typed answer for numeric
+  selectedOption: PropTypes.oneOfType([PropTypes.number, PropTypes.arrayOf(PropTypes.number), PropTypes.string]),
   onSelectOption: PropTypes.func,
+  onChangeAnswer: PropTypes.func,
+  answerUnit: PropTypes.string,
   testID: PropTypes.string
 };
 
@@ -159,6 +196,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginRight: 12,
   },
+  optionCheckbox: {
+    borderRadius: 4,
+  },
   optionLetter: {
     fontSize: 14,
     fontWeight: '600',
@@ -169,6 +209,24 @@ const styles = StyleSheet.create({
     fontSize: 15,
     color: '#2D3748',
   },
+  hintText: {
+    fontSize: 13,
+    color: '#718096',
+    marginBottom: 8,
+  },
+  numericContainer: {
+    marginTop: 16,
+  },
+  numericInput: {
+    backgroundColor: '#F7FAFC',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    fontSize: 16,
+    color: '#2D3748',
+  },
   noOptionsText: {
     fontSize: 14,
     color: '#A0AEC0',
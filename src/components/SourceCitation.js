@@ -0,0 +1,66 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import PropTypes from 'prop-types';
+import { useTheme } from '../context/ThemeContext';
+
+/**
+ * Shows where in the study material a question's answer comes from
+ */
+const SourceCitation = ({
+  citation,
+  testID = 'source-citation'
+}) => {
+  const { colors } = useTheme();
+
+  if (!citation || !citation.excerpt) {
+    return null;
+  }
+
+  const location = [
+    citation.section,
+    citation.page ? `Page ${citation.page}` : null
+  ].filter(Boolean).join(' · ');
+
+  // Define styles within the component to use theme colors
+  const styles = StyleSheet.create({
+    container: {
+      marginTop: 8,
+      paddingLeft: 12,
+      borderLeftWidth: 3,
+      borderLeftColor: colors.primary,
+    },
+    label: {
+      color: colors.subText,
+      fontSize: 13,
+      fontWeight: 'bold',
+      marginBottom: 4,
+    },
+    excerpt: {
+      color: colors.text,
+      fontSize: 14,
+      fontStyle: 'italic',
+      lineHeight: 20,
+    },
+  });
+
+  return (
+    <View style={styles.container} testID={testID}>
+      <Text style={styles.label}>
+        {location ? `From your study material: ${location}` : 'From your study material'}
+      </Text>
+      <Text style={styles.excerpt}>“{citation.excerpt}”</Text>
+    </View>
+  );
+};
+
+SourceCitation.propTypes = {
+  citation: PropTypes.shape({
+    documentId: PropTypes.string,
+    page: PropTypes.number,
+    section: PropTypes.string,
+    excerpt: PropTypes.string
+  }),
+  testID: PropTypes.string
+};
+
+export default SourceCitation;
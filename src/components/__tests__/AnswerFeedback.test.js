@@ -0,0 +1,83 @@
+/* global jest, describe, it, expect */
+
+import React from 'react';
+import renderer, { act } from 'react-test-renderer';
+import AnswerFeedback from '../AnswerFeedback';
+import * as ThemeContextModule from '../../context/ThemeContext';
+
+// Mock theme context
+const mockTheme = {
+  isDarkMode: true,
+  colors: {
+    background: '#0A0F24',
+    card: 'rgba(255, 255, 255, 0.05)',
+    text: '#FFFFFF',
+    subText: '#E2E8F0',
+    primary: '#00FFCC'
+  }
+};
+
+jest.spyOn(ThemeContextModule, 'useTheme').mockImplementation(() => mockTheme);
+
+const question = {
+  id: 'q1',
+  type: 'single_choice',
+  questionText: 'Which frequency band does the VOR use?',
+  options: [
+    { id: 'C', text: 'UHF', isCorrect: false },
+    { id: 'B', text: 'VHF', isCorrect: true },
+    { id: 'A', text: 'LF', isCorrect: false }
+  ],
+  correctAnswer: 1,
+  explanation: 'The VOR operates between 108.0 and 117.95 MHz.',
+  citation: { page: 2, excerpt: '108.0 to 117.95 MHz' }
+};
+
+// Text of every <Text> element in the rendered tree
+const textsOf = (component) => component.root
+  .findAll(node => node.type === 'Text')
+  .map(node => [].concat(node.props.children).join(''));
+
+const renderFeedback = (props = {}) => {
+  let component;
+  act(() => {
+    component = renderer.create(
+      <AnswerFeedback question={question} answer={1} onRetry={jest.fn()} onContinue={jest.fn()} {...props} />
+    );
+  });
+  return component;
+};
+
+describe('AnswerFeedback Component', () => {
+  it('confirms a correct answer with the explanation and its source', () => {
+    const texts = textsOf(renderFeedback());
+
+    expect(texts).toContain('CORRECT');
+    expect(texts).toContain(question.explanation);
+    expect(texts).toContain('From your study material: Page 2');
+    expect(texts.some(text => text.startsWith('Correct answer'))).toBe(false);
+  });
+
+  it('shows the correct answer, as the options are shown, under a wrong one', () => {
+    const texts = textsOf(renderFeedback({ answer: 0 }));
+
+    expect(texts).toContain('INCORRECT');
+    expect(texts).toContain('Correct answer: B');
+  });
+
+  it('lets the user try again or continue', () => {
+    const onRetry = jest.fn();
+    const onContinue = jest.fn();
+    const component = renderFeedback({ answer: 0, onRetry, onContinue, continueTitle: 'Finish Practice' });
+    const press = testID => act(() => {
+      component.root.findByProps({ testID }).props.onPress();
+    });
+
+    press('answer-feedback-retry-btn');
+    press('answer-feedback-continue-btn');
+
+    expect(onRetry).toHaveBeenCalledTimes(1);
+    expect(onContinue).toHaveBeenCalledTimes(1);
+    expect(textsOf(component)).toContain('Finish Practice');
+  });
+});
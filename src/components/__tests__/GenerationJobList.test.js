@@ -0,0 +1,80 @@
+/* global jest, describe, it, expect */
+
+import React from 'react';
+import renderer, { act } from 'react-test-renderer';
+import GenerationJobList from '../GenerationJobList';
+import * as ThemeContextModule from '../../context/ThemeContext';
+
+// Mock theme context
+const mockTheme = {
+  isDarkMode: true,
+  colors: {
+    background: '#0A0F24',
+    card: 'rgba(255, 255, 255, 0.05)',
+    text: '#FFFFFF',
+    subText: '#E2E8F0',
+    primary: '#00FFCC',
+    border: 'rgba(255, 255, 255, 0.1)'
+  }
+};
+
+jest.spyOn(ThemeContextModule, 'useTheme').mockImplementation(() => mockTheme);
+
+const jobs = [
+  { id: 'job_1', title: 'gps-notes.pdf', status: 'completed', quizId: 'quiz-1' },
+  { id: 'job_2', title: 'met-chapter.pdf', status: 'running', progress: { stage: 'generating', chunk: 2, chunkCount: 4 } },
+  { id: 'job_3', title: 'air-law.pdf', status: 'queued' },
+  { id: 'job_4', title: 'scan.pdf', status: 'failed', error: { message: 'No text', code: 'NO_EXTRACTABLE_TEXT' } }
+];
+
+// Text of every <Text> element in the rendered tree
+const textsOf = (component) => component.root
+  .findAll(node => node.type === 'Text')
+  .map(node => [].concat(node.props.children).join(''));
+
+const renderList = (props = {}) => {
+  let component;
+  act(() => {
+    component = renderer.create(
+      <GenerationJobList jobs={jobs} onCancel={jest.fn()} onRetry={jest.fn()} onDismiss={jest.fn()} {...props} />
+    );
+  });
+  return component;
+};
+
+describe('GenerationJobList Component', () => {
+  it('lists pending and failed jobs with their status', () => {
+    const texts = textsOf(renderList());
+
+    expect(texts).toContain('Generating questions: section 2 of 4');
+    expect(texts).toContain('Waiting to start');
+    expect(texts).toContain('air-law.pdf');
+    expect(texts).toContain('scan.pdf');
+    expect(texts).not.toContain('gps-notes.pdf');
+  });
+
+  it('offers cancel for pending jobs and retry or dismiss for failed ones', () => {
+    const onCancel = jest.fn();
+    const onRetry = jest.fn();
+    const onDismiss = jest.fn();
+    const component = renderList({ onCancel, onRetry, onDismiss });
+    const press = testID => act(() => {
+      component.root.findByProps({ testID }).props.onPress();
+    });
+
+    press('generation-job-list-cancel-job_2');
+    press('generation-job-list-retry-job_4');
+    press('generation-job-list-dismiss-job_4');
+
+    expect(onCancel).toHaveBeenCalledWith('job_2');
+    expect(onRetry).toHaveBeenCalledWith('job_4');
+    expect(onDismiss).toHaveBeenCalledWith('job_4');
+    expect(component.root.findAllByProps({ testID: 'generation-job-list-retry-job_2' })).toHaveLength(0);
+  });
+
+  it('renders nothing when no job is pending or failed', () => {
+    const component = renderList({ jobs: [jobs[0]] });
+
+    expect(component.toJSON()).toBeNull();
+  });
+});
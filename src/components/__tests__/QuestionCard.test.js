@@ -139,6 +139,60 @@ describe('QuestionCard Component', () => {
     expect(component.toJSON()).toMatchSnapshot();
   });
 
+  it('toggles several options for multi-select questions', () => {
+    const onSelectOption = jest.fn();
+    let component;
+
+    act(() => {
+      component = renderer.create(
+        <QuestionCard
+          {...defaultProps}
+          type="multi_select"
+          selectedOption={[0, 2]}
+          onSelectOption={onSelectOption}
+        />
+      );
+    });
+
+    expect(component.root.findByProps({ children: 'Select all that apply' })).toBeTruthy();
+    const options = component.root.findAllByType(TouchableOpacity);
+    // Both picked options carry the selected style, the others do not
+    expect(options.map(option => Boolean(option.props.style[1]))).toEqual([true, false, true, false]);
+
+    act(() => {
+      options[3].props.onPress();
+    });
+    expect(onSelectOption).toHaveBeenCalledWith(3);
+  });
+
+  it('shows an answer field instead of options for numeric questions', () => {
+    const onChangeAnswer = jest.fn();
+    let component;
+
+    act(() => {
+      component = renderer.create(
+        <QuestionCard
+          {...defaultProps}
+          type="numeric"
+          options={[]}
+          selectedOption="12"
+          answerUnit="nm"
+          onChangeAnswer={onChangeAnswer}
+        />
+      );
+    });
+
+    const input = component.root.findByProps({ testID: 'numeric-answer' });
+    expect(input.props.value).toBe('12');
+    expect(input.props.placeholder).toBe('Answer in nm');
+    expect(component.root.findAllByType(TouchableOpacity)).toHaveLength(0);
+
+    act(() => {
+      input.props.onChangeText('12.5 nm');
+    });
+    expect(onChangeAnswer).toHaveBeenCalledWith('12.5 nm');
+  });
+
   it('handles undefined difficulty gracefully', () => {
     let tree;
     act(() => {
@@ -0,0 +1,61 @@
+/* global jest, describe, it, expect */
+
+import React from 'react';
+import renderer, { act } from 'react-test-renderer';
+import SourceCitation from '../SourceCitation';
+import * as ThemeContextModule from '../../context/ThemeContext';
+
+// Mock theme context
+const mockTheme = {
+  isDarkMode: true,
+  colors: {
+    background: '#0A0F24',
+    card: 'rgba(255, 255, 255, 0.05)',
+    text: '#FFFFFF',
+    subText: '#E2E8F0',
+    primary: '#00FFCC'
+  }
+};
+
+jest.spyOn(ThemeContextModule, 'useTheme').mockImplementation(() => mockTheme);
+
+const citation = {
+  documentId: '5b0c7f8e-3d2a-4c1b-9e6f-0a1b2c3d4e5f',
+  page: 2,
+  section: '2.2 WAAS and RAIM',
+  excerpt: 'For approach procedures, RAIM must verify the availability of at least 5 satellites with good geometry.'
+};
+
+// Text of every <Text> element in the rendered tree
+const textsOf = (component) => component.root
+  .findAll(node => node.type === 'Text')
+  .map(node => [].concat(node.props.children).join(''));
+
+describe('SourceCitation Component', () => {
+  it('renders the section, page and excerpt', () => {
+    let component;
+    act(() => {
+      component = renderer.create(<SourceCitation citation={citation} />);
+    });
+    expect(textsOf(component)).toEqual([
+      'From your study material: 2.2 WAAS and RAIM · Page 2',
+      `“${citation.excerpt}”`
+    ]);
+  });
+
+  it('leaves out location details the citation does not have', () => {
+    let component;
+    act(() => {
+      component = renderer.create(<SourceCitation citation={{ ...citation, page: null, section: null }} />);
+    });
+    expect(textsOf(component)[0]).toBe('From your study material');
+  });
+
+  it('renders nothing without a citation', () => {
+    let component;
+    act(() => {
+      component = renderer.create(<SourceCitation citation={null} />);
+    });
+    expect(component.toJSON()).toBeNull();
+  });
+});
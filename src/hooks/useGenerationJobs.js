@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+import generationJobService from '../services/generationJobService';
+
+/**
+ * Hook to follow background quiz generation jobs
+ * @returns {{jobs: Array<Object>, cancel: Function, retry: Function, dismiss: Function}} - Jobs, oldest first,
+ *          and the job actions of generationJobService
+ */
+export const useGenerationJobs = () => {
+  const [jobs, setJobs] = useState([]);
+
+  useEffect(() => generationJobService.subscribe(setJobs), []);
+
+  return {
+    jobs,
+    cancel: jobId => generationJobService.cancel(jobId),
+    retry: jobId => generationJobService.retry(jobId),
+    dismiss: jobId => generationJobService.dismiss(jobId)
+  };
+};
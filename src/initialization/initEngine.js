@@ -14,7 +14,8 @@ const dependencyGraph = {
   auth: ['logger', 'storage'],
   navigation: ['logger'],
   analytics: ['logger', 'auth'],
-  crashReporting: ['logger', 'auth']
+  crashReporting: ['logger', 'auth'],
+  generationJobs: ['logger', 'storage', 'auth']
 };
 
 /**
@@ -116,6 +117,22 @@ const serviceInitializers = {
       Logger.error('Crash reporting initialization failed:', error);
       return false;
     }
+  },
+
+  /**
+   * Resume quiz generation jobs interrupted by the last app exit
+   */
+  generationJobs: async () => {
+    try {
+      // Loaded lazily so the quiz and AI modules stay out of the critical startup path
+      const { default: generationJobService } = require('../services/generationJobService');
+      const pending = await generationJobService.resumePendingJobs();
+      Logger.info(`Generation jobs service initialized (${pending} pending)`);
+      return true;
+    } catch (error) {
+      Logger.error('Generation jobs initialization failed:', error);
+      return false;
+    }
   }
 };
 
@@ -0,0 +1,186 @@
+/* global jest, describe, beforeEach, it, expect */
+
+// AsyncStorage backed by a plain object, so jobs survive a simulated app restart
+let mockStorage = {};
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(key => Promise.resolve(key in mockStorage ? mockStorage[key] : null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+  removeItem: jest.fn()
+}));
+
+jest.mock('../../utils/Logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../quizService', () => ({
+  generateQuiz: jest.fn()
+}));
+
+jest.mock('../documentService', () => ({
+  updateDocumentStatus: jest.fn().mockResolvedValue(true)
+}));
+
+const DOCUMENT_ID = '5b0c7f8e-3d2a-4c1b-9e6f-0a1b2c3d4e5f';
+const QUIZ_ID = '8d1e2f3a-4b5c-4d6e-8f7a-9b0c1d2e3f4a';
+
+const file = { uri: 'file:///cache/gps-notes.pdf', name: 'gps-notes.pdf', type: 'application/pdf', size: 2048 };
+
+const completedQuiz = {
+  quiz: { id: QUIZ_ID, title: 'Quiz on gps-notes', questions: [{ id: 'q1' }, { id: 'q2' }] }
+};
+
+// Fresh module instances, as after an app restart
+const loadModules = () => ({
+  generationJobService: require('../generationJobService').default,
+  quizService: require('../quizService'),
+  documentService: require('../documentService')
+});
+
+describe('GenerationJobService', () => {
+  let generationJobService;
+  let quizService;
+  let documentService;
+
+  beforeEach(() => {
+    mockStorage = {};
+    jest.resetModules();
+    ({ generationJobService, quizService, documentService } = loadModules());
+  });
+
+  it('should run a queued job and record the quiz', async () => {
+    quizService.generateQuiz.mockResolvedValue(completedQuiz);
+
+    const job = await generationJobService.enqueue({
+      documentId: DOCUMENT_ID,
+      title: file.name,
+      file,
+      options: { questionCount: 10, difficulty: 'mixed' }
+    });
+    const finished = await generationJobService.waitForJob(job.id);
+
+    expect(finished).toMatchObject({ status: 'completed', quizId: QUIZ_ID, attempts: 1, error: null });
+    expect(quizService.generateQuiz).toHaveBeenCalledWith(file, expect.objectContaining({
+      questionCount: 10,
+      difficulty: 'mixed',
+      documentId: DOCUMENT_ID,
+      signal: expect.any(Object)
+    }));
+    expect(documentService.updateDocumentStatus.mock.calls).toEqual([
+      [DOCUMENT_ID, 'processing'],
+      [DOCUMENT_ID, 'completed']
+    ]);
+    expect(JSON.parse(mockStorage.generationJobs)[0]).toMatchObject({ id: job.id, status: 'completed' });
+  });
+
+  it('should keep the redaction report for the upload screen', async () => {
+    const redactionReport = { redactorVersion: 2, total: 1, occurrences: 2, counts: { name: 1 } };
+    quizService.generateQuiz.mockResolvedValue({ quiz: { ...completedQuiz.quiz, redactionReport } });
+
+    const job = await generationJobService.enqueue({ documentId: DOCUMENT_ID, title: file.name, file });
+    const finished = await generationJobService.waitForJob(job.id);
+
+    expect(finished).toMatchObject({ status: 'completed', redactionReport });
+  });
+
+  it('should record progress reported while generating', async () => {
+    quizService.generateQuiz.mockImplementation(async (_, options) => {
+      options.onProgress({ stage: 'generating', chunk: 2, chunkCount: 3, section: 'Navigation' });
+      return completedQuiz;
+    });
+    const updates = [];
+    generationJobService.subscribe(jobs => updates.push(...jobs.map(job => job.progress)));
+
+    const job = await generationJobService.enqueue({ documentId: DOCUMENT_ID, file });
+    await generationJobService.waitForJob(job.id);
+
+    expect(updates).toContainEqual({ stage: 'generating', chunk: 2, chunkCount: 3, section: 'Navigation' });
+  });
+
+  it('should mark failed generations and run them again on retry', async () => {
+    quizService.generateQuiz
+      .mockResolvedValueOnce({
+        quiz: { id: QUIZ_ID, questions: [], error: 'No readable text', errorCode: 'NO_EXTRACTABLE_TEXT' }
+      })
+      .mockResolvedValueOnce(completedQuiz);
+
+    const job = await generationJobService.enqueue({ documentId: DOCUMENT_ID, file });
+    const failed = await generationJobService.waitForJob(job.id);
+
+    expect(failed).toMatchObject({ status: 'failed', error: { message: 'No readable text', code: 'NO_EXTRACTABLE_TEXT' } });
+    expect(documentService.updateDocumentStatus).toHaveBeenLastCalledWith(DOCUMENT_ID, 'failed');
+
+    await generationJobService.retry(job.id);
+    const retried = await generationJobService.waitForJob(job.id);
+
+    expect(retried).toMatchObject({ status: 'completed', attempts: 2, error: null, quizId: QUIZ_ID });
+  });
+
+  it('should record thrown errors as failures', async () => {
+    quizService.generateQuiz.mockRejectedValue(new Error('Network request failed'));
+
+    const job = await generationJobService.enqueue({ documentId: DOCUMENT_ID, file });
+    const finished = await generationJobService.waitForJob(job.id);
+
+    expect(finished).toMatchObject({ status: 'failed', error: { message: 'Network request failed', code: null } });
+  });
+
+  it('should cancel a running job through its abort signal', async () => {
+    quizService.generateQuiz.mockImplementation((_, options) => new Promise(resolve => {
+      options.signal.addEventListener('abort', () => resolve({
+        quiz: { id: QUIZ_ID, questions: [], error: 'Question generation was cancelled.', errorCode: 'CANCELLED' }
+      }));
+    }));
+
+    const job = await generationJobService.enqueue({ documentId: DOCUMENT_ID, file });
+    await generationJobService.waitForJob(job.id, { timeoutMs: 10 });
+    expect(await generationJobService.cancel(job.id)).toBe(true);
+    const finished = await generationJobService.waitForJob(job.id);
+
+    expect(finished.status).toBe('cancelled');
+    expect(documentService.updateDocumentStatus).toHaveBeenLastCalledWith(DOCUMENT_ID, 'cancelled');
+    expect(await generationJobService.cancel(job.id)).toBe(false);
+  });
+
+  it('should stop waiting after the timeout and leave the job running', async () => {
+    quizService.generateQuiz.mockImplementation(() => new Promise(() => {}));
+
+    const job = await generationJobService.enqueue({ documentId: DOCUMENT_ID, file });
+    const current = await generationJobService.waitForJob(job.id, { timeoutMs: 10 });
+
+    expect(current.status).toBe('running');
+  });
+
+  it('should resume jobs interrupted by an app restart', async () => {
+    quizService.generateQuiz.mockImplementation(() => new Promise(() => {}));
+    const job = await generationJobService.enqueue({ documentId: DOCUMENT_ID, file });
+    await generationJobService.waitForJob(job.id, { timeoutMs: 10 });
+    expect(JSON.parse(mockStorage.generationJobs)[0].status).toBe('running');
+
+    // Restart: the running generation is lost, the persisted job is not
+    jest.resetModules();
+    ({ generationJobService, quizService } = loadModules());
+    quizService.generateQuiz.mockResolvedValue(completedQuiz);
+
+    expect(await generationJobService.resumePendingJobs()).toBe(1);
+    const finished = await generationJobService.waitForJob(job.id);
+
+    expect(finished).toMatchObject({ status: 'completed', attempts: 2, quizId: QUIZ_ID });
+  });
+
+  it('should dismiss finished jobs only', async () => {
+    quizService.generateQuiz.mockRejectedValue(new Error('Network request failed'));
+    const job = await generationJobService.enqueue({ documentId: DOCUMENT_ID, file });
+    await generationJobService.waitForJob(job.id);
+
+    expect(await generationJobService.dismiss(job.id)).toBe(true);
+    expect(await generationJobService.getJobs()).toEqual([]);
+    expect(await generationJobService.dismiss('job_missing')).toBe(false);
+  });
+});
@@ -0,0 +1,149 @@
+/* global jest, describe, beforeEach, afterEach, it, expect */
+
+// AsyncStorage backed by a plain object, so progress survives a simulated app restart
+let mockStorage = {};
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(key => Promise.resolve(key in mockStorage ? mockStorage[key] : null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+  removeItem: jest.fn()
+}));
+
+jest.mock('../../utils/Logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../quizService', () => ({
+  getQuiz: jest.fn(),
+  saveAnswer: jest.fn().mockResolvedValue(true)
+}));
+
+const QUIZ_ID = '8d1e2f3a-4b5c-4d6e-8f7a-9b0c1d2e3f4a';
+const QUESTION_ID = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+
+// Fresh module instances, as after an app restart
+const loadModules = () => ({
+  quizProgressService: require('../quizProgressService').default,
+  quizService: require('../quizService')
+});
+
+describe('QuizProgressService', () => {
+  let quizProgressService;
+  let quizService;
+
+  beforeEach(() => {
+    mockStorage = {};
+    jest.useFakeTimers();
+    jest.resetModules();
+    ({ quizProgressService, quizService } = loadModules());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should restore answers, flags and the position after a restart', async () => {
+    await quizProgressService.saveProgress(QUIZ_ID, { title: 'Navigation', totalQuestions: 5, optionSeed: 42 });
+    await quizProgressService.recordAnswer(QUIZ_ID, QUESTION_ID, [0, 2], { elapsedMs: 30000 });
+    await quizProgressService.setFlagged(QUIZ_ID, 'q2', true);
+    await quizProgressService.saveProgress(QUIZ_ID, { currentQuestionIndex: 1 });
+
+    ({ quizProgressService } = loadModules());
+    const progress = await quizProgressService.loadProgress(QUIZ_ID);
+
+    expect(progress).toMatchObject({
+      quizId: QUIZ_ID,
+      title: 'Navigation',
+      totalQuestions: 5,
+      optionSeed: 42,
+      currentQuestionIndex: 1,
+      answers: { [QUESTION_ID]: [0, 2] },
+      flagged: ['q2'],
+      elapsedMs: 30000
+    });
+    expect(await quizProgressService.getInProgress()).toEqual([progress]);
+  });
+
+  it('should save answers to the server once they stop changing', async () => {
+    await quizProgressService.saveProgress(QUIZ_ID, { optionSeed: 42 });
+    await quizProgressService.recordAnswer(QUIZ_ID, QUESTION_ID, 1, { elapsedMs: 12000 });
+    await quizProgressService.recordAnswer(QUIZ_ID, QUESTION_ID, 3, { elapsedMs: 14000 });
+
+    expect(quizService.saveAnswer).not.toHaveBeenCalled();
+
+    await quizProgressService.flush(QUIZ_ID);
+
+    expect(quizService.saveAnswer).toHaveBeenCalledTimes(1);
+    expect(quizService.saveAnswer).toHaveBeenCalledWith(QUIZ_ID, QUESTION_ID, {
+      answer: 3,
+      flagged: false,
+      optionSeed: 42,
+      elapsedMs: 14000,
+      mode: 'untimed',
+      exam: null
+    });
+
+    jest.runOnlyPendingTimers();
+    expect(quizService.saveAnswer).toHaveBeenCalledTimes(1);
+  });
+
+  it('should clear an answer the user takes back', async () => {
+    await quizProgressService.recordAnswer(QUIZ_ID, QUESTION_ID, 1);
+    const progress = await quizProgressService.recordAnswer(QUIZ_ID, QUESTION_ID, undefined);
+
+    expect(progress.answers).toEqual({});
+  });
+
+  it('should forget a submitted attempt', async () => {
+    await quizProgressService.recordAnswer(QUIZ_ID, QUESTION_ID, 1);
+    await quizProgressService.clearProgress(QUIZ_ID);
+    jest.runOnlyPendingTimers();
+
+    expect(quizService.saveAnswer).not.toHaveBeenCalled();
+    ({ quizProgressService } = loadModules());
+    expect(await quizProgressService.getInProgress()).toEqual([]);
+  });
+
+  it('should resume from the answers saved on the server when the device has none', async () => {
+    quizService.getQuiz.mockResolvedValue({
+      id: QUIZ_ID,
+      title: 'Navigation',
+      status: 'in_progress',
+      optionSeed: 42,
+      elapsedSeconds: 60,
+      questions: [
+        { id: 'q1', type: 'single_choice', userAnswer: 2, flagged: false },
+        { id: 'q2', type: 'single_choice', userAnswer: null, flagged: false }
+      ]
+    });
+
+    const progress = await quizProgressService.loadProgress(QUIZ_ID);
+
+    expect(progress).toMatchObject({ optionSeed: 42, currentQuestionIndex: 1, answers: { q1: 2 }, elapsedMs: 60000 });
+  });
+
+  it('should resume from a quiz that is already loaded without fetching it again', async () => {
+    const quiz = {
+      id: QUIZ_ID,
+      status: 'in_progress',
+      questions: [{ id: 'q1', type: 'single_choice', userAnswer: 1, flagged: true }]
+    };
+
+    const progress = await quizProgressService.loadProgress(QUIZ_ID, quiz);
+
+    expect(progress).toMatchObject({ currentQuestionIndex: 0, answers: { q1: 1 }, flagged: ['q1'] });
+    expect(quizService.getQuiz).not.toHaveBeenCalled();
+  });
+
+  it('should have nothing to resume when the quiz cannot be loaded', async () => {
+    quizService.getQuiz.mockRejectedValue(new Error('offline'));
+
+    expect(await quizProgressService.loadProgress(QUIZ_ID)).toBeNull();
+  });
+});
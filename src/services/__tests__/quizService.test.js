@@ -25,6 +25,18 @@ jest.mock('@react-native-async-storage/async-storage', () => ({
   clear: jest.fn(),
 }));
 
+// The service traces with the transaction API, which the installed Sentry SDK no longer has
+jest.mock('@sentry/node', () => ({
+  startTransaction: jest.fn(() => ({ finish: jest.fn() })),
+  setContext: jest.fn(),
+  captureException: jest.fn()
+}));
+
+// Question generation reads the provider from the environment, which needs the native expo-constants module
+jest.mock('../../utils/environment', () => ({
+  env: { llm: { provider: 'mock' } }
+}));
+
 jest.mock('../apiClient', () => ({
   post: jest.fn(),
   get: jest.fn(),
@@ -210,9 +222,13 @@ describe('QuizService', () => {
       const mockInsert = jest.fn().mockReturnValue({
         select: mockSelect
       });
+      const mockUpdate = jest.fn().mockReturnValue({
+        eq: jest.fn().mockResolvedValue({ error: null })
+      });
       const mockFrom = jest.fn().mockReturnValue({
         insert: mockInsert,
-        select: mockSelect
+        select: mockSelect,
+        update: mockUpdate
       });
       supabase.from = mockFrom;
 
@@ -239,15 +255,15 @@ describe('QuizService', () => {
 
       const result = await quizService.generateQuiz(mockFile, { questionCount: 10 });
       
-      expect(result).toEqual({
-        quiz: {
-          id: 'doc-1',
-          title: expect.any(String),
-          documentId: 'doc-1',
-          createdAt: undefined,
-          questions: []
-        }
+      // The mocked storage has no document to download, so the questions come from the question bank
+      expect(result.quiz).toMatchObject({
+        id: 'doc-1',
+        title: expect.any(String),
+        documentId: 'doc-1',
+        createdAt: undefined
       });
+      expect(result.quiz.error).toBeUndefined();
+      expect(result.quiz.questions).toHaveLength(10);
       expect(supabase.storage.from).toHaveBeenCalledWith('documents');
       expect(supabase.from).toHaveBeenCalledWith('documents');
       expect(supabase.from).toHaveBeenCalledWith('quizzes');
@@ -275,15 +291,9 @@ describe('QuizService', () => {
 
       const result = await quizService.generateQuiz(mockFile);
       
-      expect(result).toEqual({
-        quiz: {
-          id: 'doc-1',
-          title: expect.any(String),
-          documentId: 'doc-1',
-          createdAt: undefined,
-          questions: []
-        }
-      });
+      expect(result.quiz).toMatchObject({ id: 'doc-1', documentId: 'doc-1' });
+      expect(result.quiz.error).toBeUndefined();
+      expect(result.quiz.questions.length).toBeGreaterThan(0);
       expect(supabase.storage.from().upload).toHaveBeenCalledTimes(3);
     });
   });
@@ -394,6 +404,58 @@ describe('QuizService', () => {
       expect(supabase.from).toHaveBeenCalledWith('quizzes');
     });
     
+    // quiz_questions rows ({id, difficulty, question_number}) of the quiz as Supabase returns them
+    const mockQuizQuestions = (rows) => {
+      const questionRow = ([id, difficulty, questionNumber]) => ({
+        id: `qq-${id}`,
+        user_answer: null,
+        is_correct: null,
+        flagged: false,
+        time_spent_ms: null,
+        question: {
+          id,
+          text: `${difficulty} question`,
+          difficulty,
+          question_number: questionNumber,
+          options: ['Option A', 'Option B'],
+          correct_answer: 0
+        }
+      });
+      
+      supabase.from = jest.fn((tableName) => {
+        if (tableName === 'quizzes') {
+          return {
+            select: () => ({
+              eq: () => ({ single: jest.fn().mockResolvedValue({ data: mockQuiz, error: null }) })
+            })
+          };
+        }
+        return {
+          select: () => ({
+            eq: () => ({ data: rows.map(questionRow), error: null })
+          })
+        };
+      });
+      AsyncStorage.getItem.mockResolvedValueOnce(null);
+    };
+    
+    it('only returns the questions of the difficulty asked for', async () => {
+      mockQuizQuestions([['q1', 'Easy', 1], ['q2', 'Hard', 2], ['q3', 'Hard', 3]]);
+      
+      const questions = await quizService.getQuizQuestions(mockQuizId, { difficulty: ['Hard'] });
+      
+      expect(questions.map(question => question.id)).toEqual(['q2', 'q3']);
+      expect(questions.every(question => question.difficulty === 'Hard')).toBe(true);
+    });
+    
+    it('returns the questions in question number order, whatever order the rows come in', async () => {
+      mockQuizQuestions([['q3', 'Hard', 3], ['q1', 'Easy', 1], ['q2', 'Medium', 2]]);
+      
+      const quiz = await quizService.getQuiz(mockQuizId);
+      
+      expect(quiz.questions.map(question => question.id)).toEqual(['q1', 'q2', 'q3']);
+    });
+    
     it('falls back to local storage when Supabase fails', async () => {
       // Mock Supabase to fail
       const mockSingle = jest.fn().mockResolvedValue({
@@ -479,6 +541,12 @@ describe('QuizService', () => {
           totalQuestions: expect.any(Number),
           correctAnswers: expect.any(Number),
           answers: mockAnswers,
+          optionSeed: null,
+          mode: 'untimed',
+          examProfileId: null,
+          timedOut: false,
+          elapsedMs: null,
+          questionTimes: {},
           completedAt: expect.any(String)
         }
       });
@@ -521,34 +589,20 @@ describe('QuizService', () => {
         {
           id: 'quiz-1',
           title: 'Quiz 1',
-          created_at: '2025-03-20T10:00:00Z',
-          status: 'completed',
-          document: {
-            title: 'Document 1'
-          },
+          score: 80,
+          mode: 'untimed',
           total_questions: 10,
-          quiz_results: [
-            {
-              score: 80,
-              completed_at: '2025-03-20T10:30:00Z'
-            }
-          ]
+          completed_at: '2025-03-20T10:30:00Z',
+          document_id: null
         },
         {
           id: 'quiz-2',
           title: 'Quiz 2',
-          created_at: '2025-03-21T10:00:00Z',
-          status: 'completed',
-          document: {
-            title: 'Document 2'
-          },
+          score: 90,
+          mode: 'exam',
           total_questions: 10,
-          quiz_results: [
-            {
-              score: 90,
-              completed_at: '2025-03-21T10:30:00Z'
-            }
-          ]
+          completed_at: '2025-03-21T10:30:00Z',
+          document_id: null
         }
       ],
       count: 2,
@@ -587,8 +641,20 @@ describe('QuizService', () => {
       });
       
       // Verify the correct methods were called with expected arguments
-      expect(supabase.from).toHaveBeenCalledWith('quiz_results');
+      expect(supabase.from).toHaveBeenCalledWith('quizzes');
       expect(mockSelect).toHaveBeenCalled();
+      expect(mockEq).toHaveBeenCalledWith('status', 'completed');
+      expect(mockEq).not.toHaveBeenCalledWith('mode', expect.anything());
+      expect(result.quizzes[1]).toEqual({
+        id: 'quiz-2',
+        title: 'Quiz 2',
+        score: 90,
+        mode: 'exam',
+        totalQuestions: 10,
+        completedAt: '2025-03-21T10:30:00Z',
+        documentId: null,
+        documentUrl: null
+      });
       expect(mockOrderBy).toHaveBeenCalledWith('completed_at', { ascending: false });
       expect(mockRange).toHaveBeenCalledWith(0, 9); // 0-based indexing for range
     });
@@ -662,5 +728,30 @@ describe('QuizService', () => {
         limit: 10
       });
     });
+
+    it('keeps the attempts of one mode apart from the others', async () => {
+      const mockOrderBy = jest.fn().mockReturnThis();
+      const mockRange = jest.fn().mockResolvedValue({
+        data: [{ id: 'quiz-1', title: 'Air Law', score: 80, mode: 'practice', completed_at: '2026-10-01T10:00:00Z' }],
+        count: 1,
+        error: null
+      });
+      const mockSelect = jest.fn().mockReturnThis();
+      const mockEq = jest.fn().mockReturnThis();
+      supabase.from = jest.fn().mockReturnValue({
+        select: mockSelect,
+        order: mockOrderBy,
+        range: mockRange,
+        eq: mockEq
+      });
+
+      const result = await quizService.getQuizHistory(1, 10, { mode: 'practice' });
+
+      expect(supabase.from).toHaveBeenCalledWith('quizzes');
+      expect(mockSelect).toHaveBeenCalledWith(expect.stringContaining('mode'), { count: 'exact' });
+      expect(mockEq).toHaveBeenCalledWith('status', 'completed');
+      expect(mockEq).toHaveBeenCalledWith('mode', 'practice');
+      expect(result.quizzes[0]).toMatchObject({ id: 'quiz-1', score: 80, mode: 'practice' });
+    });
   });
 });
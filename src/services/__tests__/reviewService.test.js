@@ -0,0 +1,138 @@
+/* global jest, describe, beforeEach, it, expect */
+
+// AsyncStorage backed by a plain object, so cards survive a simulated app restart
+let mockStorage = {};
+// review_cards rows on the server
+let mockRows = [];
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(key => Promise.resolve(key in mockStorage ? mockStorage[key] : null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+  removeItem: jest.fn()
+}));
+
+jest.mock('../../utils/Logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../supabaseClient', () => {
+  const mockSupabase = {
+    from: jest.fn().mockReturnThis(),
+    upsert: jest.fn().mockResolvedValue({ error: null }),
+    select: jest.fn().mockReturnThis(),
+    eq: jest.fn(() => Promise.resolve({ data: mockRows, error: null })),
+    in: jest.fn().mockResolvedValue({ data: [], error: null }),
+    auth: {
+      getUser: jest.fn()
+    }
+  };
+  return { supabase: mockSupabase };
+});
+
+const USER_ID = '5c6d7e8f-9a0b-4c1d-8e2f-3a4b5c6d7e8f';
+const QUESTION_ID = '1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-02T09:00:00.000Z');
+
+// Quiz screen questions: a stored one and one from the bundled question bank
+const questions = [
+  {
+    id: QUESTION_ID,
+    questionText: 'What is the standard sea level pressure?',
+    options: [
+      { id: 'A', text: '1013.25 hPa', isCorrect: true },
+      { id: 'B', text: '1000 hPa', isCorrect: false }
+    ],
+    correctAnswer: 0
+  },
+  {
+    id: 'bank-7',
+    questionText: 'Which instrument uses the pitot tube?',
+    options: [
+      { id: 'A', text: 'Altimeter', isCorrect: false },
+      { id: 'B', text: 'Airspeed indicator', isCorrect: true }
+    ],
+    correctAnswer: 1
+  }
+];
+
+// Fresh module instances, as after an app restart
+const loadModules = () => ({
+  reviewService: require('../reviewService').default,
+  supabase: require('../supabaseClient').supabase
+});
+
+describe('ReviewService', () => {
+  let reviewService;
+  let supabase;
+
+  beforeEach(() => {
+    mockStorage = {};
+    mockRows = [];
+    jest.resetModules();
+    ({ reviewService, supabase } = loadModules());
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: USER_ID } } });
+  });
+
+  it('should schedule a missed question for tomorrow and a right one further out', async () => {
+    const cards = await reviewService.recordAnswers(questions, { [QUESTION_ID]: 1, 'bank-7': 1 }, {
+      questionTimes: { 'bank-7': 5000 },
+      now: NOW
+    });
+
+    expect(cards[0]).toMatchObject({ questionId: QUESTION_ID, repetitions: 0, intervalDays: 1, lastQuality: 1 });
+    expect(cards[1]).toMatchObject({ questionId: 'bank-7', repetitions: 1, intervalDays: 1, lastQuality: 5 });
+    expect(await reviewService.getDueCount(NOW)).toBe(0);
+    expect(await reviewService.getDueCount(NOW + DAY_MS)).toBe(2);
+  });
+
+  it('should push the stored questions\' cards and keep the others on the device', async () => {
+    await reviewService.recordAnswers(questions, { [QUESTION_ID]: 0 }, { now: NOW });
+
+    expect(supabase.from).toHaveBeenCalledWith('review_cards');
+    expect(supabase.upsert).toHaveBeenCalledWith(
+      [expect.objectContaining({ user_id: USER_ID, question_id: QUESTION_ID, repetitions: 1, interval_days: 1 })],
+      { onConflict: 'user_id,question_id' }
+    );
+  });
+
+  it('should keep the cards and questions across a restart, for a review session offline', async () => {
+    supabase.upsert.mockResolvedValue({ error: new Error('Network request failed') });
+    await reviewService.recordAnswers(questions, { [QUESTION_ID]: 1, 'bank-7': 1 }, { now: NOW });
+
+    ({ reviewService, supabase } = loadModules());
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: USER_ID } } });
+    const due = await reviewService.getDueQuestions({ now: NOW + DAY_MS });
+
+    expect(due.map(question => question.id)).toEqual([QUESTION_ID, 'bank-7']);
+    expect(due[0]).toMatchObject({ questionText: 'What is the standard sea level pressure?', correctAnswer: 0 });
+    expect(JSON.parse(mockStorage[`reviewCards_${USER_ID}`]).pending).toEqual([QUESTION_ID, 'bank-7']);
+  });
+
+  it('should take a card reviewed on another device when it is newer', async () => {
+    await reviewService.recordAnswers(questions.slice(0, 1), { [QUESTION_ID]: 1 }, { now: NOW });
+    mockRows = [{
+      question_id: QUESTION_ID,
+      repetitions: 2,
+      interval_days: 6,
+      ease_factor: 2.6,
+      due_at: new Date(NOW + 7 * DAY_MS).toISOString(),
+      last_reviewed_at: new Date(NOW + DAY_MS).toISOString(),
+      last_quality: 5,
+      reviews: 3,
+      lapses: 0,
+      updated_at: new Date(NOW + DAY_MS).toISOString()
+    }];
+
+    await reviewService.sync();
+
+    expect(await reviewService.getDueCount(NOW + 2 * DAY_MS)).toBe(0);
+    expect(await reviewService.getDueCount(NOW + 7 * DAY_MS)).toBe(1);
+  });
+});
@@ -1,5 +1,7 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { supabase } from './supabaseClient';
+import { hashDocumentContent } from '../../lib/contentHash';
+import { readBlobBytes } from '../../lib/documentExtraction';
 
 /**
  * Document Service for handling document processing and storage
@@ -278,6 +280,242 @@ class DocumentService {
     }
   }
   
+  /**
+   * Get the stored text extraction of a document
+   * @param {string} documentId - Document ID
+   * @param {number} extractorVersion - Extractor version the caller expects
+   * @returns {Promise<Object|null>} - Extraction, or null when missing or made by another extractor version
+   */
+  async getDocumentText(documentId, extractorVersion) {
+    try {
+      const { data, error } = await supabase
+        .from('document_texts')
+        .select('*')
+        .eq('document_id', documentId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data || data.extractor_version !== extractorVersion) {
+        return null;
+      }
+
+      return {
+        text: data.content,
+        pageMap: data.page_map || [],
+        pageCount: data.page_count,
+        scannedPages: data.scanned_pages || [],
+        extractor: data.extractor,
+        extractorVersion: data.extractor_version,
+        ocrPages: data.ocr_pages || null
+      };
+    } catch (error) {
+      console.error('Get document text error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the text extraction of a document so it is not parsed again
+   * @param {string} documentId - Document ID
+   * @param {Object} extraction - Result of extractDocumentContent or recognizePages
+   * @returns {Promise<boolean>} - Whether the extraction was stored
+   */
+  async saveDocumentText(documentId, extraction) {
+    try {
+      const { error } = await supabase
+        .from('document_texts')
+        .upsert({
+          document_id: documentId,
+          content: extraction.text,
+          page_map: extraction.pageMap,
+          page_count: extraction.pageCount,
+          scanned_pages: extraction.scannedPages,
+          extractor: extraction.extractor,
+          extractor_version: extraction.extractorVersion,
+          ocr_pages: extraction.ocrPages || null
+        }, { onConflict: 'document_id' });
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Save document text error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Find an uploaded document with the same content
+   * @param {string} contentHash - Content hash of the file (see lib/contentHash.js)
+   * @returns {Promise<Object|null>} - Document record ({id, file_path, ...}), or null when none matches
+   */
+  async findDocumentByContentHash(contentHash) {
+    try {
+      const { data, error } = await supabase
+        .from('documents')
+        .select('*')
+        .eq('content_hash', contentHash)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw error;
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('Find document by content hash error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Hash a picked file and look for an earlier upload of the same content
+   * @param {string} uri - Local file URI
+   * @returns {Promise<{contentHash: string|null, document: Object|null}>} - contentHash is null when the
+   *          file could not be read, document is null when the content has not been uploaded before
+   */
+  async findUploadedDocument(uri) {
+    try {
+      const response = await fetch(uri);
+      const contentHash = hashDocumentContent(await readBlobBytes(await response.blob()));
+      return { contentHash, document: await this.findDocumentByContentHash(contentHash) };
+    } catch (error) {
+      console.error('Hash document content error:', error);
+      return { contentHash: null, document: null };
+    }
+  }
+
+  /**
+   * Record the processing status of a document
+   * @param {string} documentId - Document ID
+   * @param {string} status - 'processing', 'completed' or 'failed'
+   * @returns {Promise<boolean>} - Whether the status was stored
+   */
+  async updateDocumentStatus(documentId, status) {
+    try {
+      const { error } = await supabase
+        .from('documents')
+        .update({ status, updated_at: new Date().toISOString() })
+        .eq('id', documentId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Update document status error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Record what was redacted from a document before it was sent to the AI provider
+   * @param {string} documentId - Document ID
+   * @param {Object} report - Redaction report (see lib/piiRedaction.js) - counts only, no values
+   * @returns {Promise<boolean>} - Whether the report was stored
+   */
+  async saveRedactionReport(documentId, report) {
+    try {
+      const { error } = await supabase
+        .from('documents')
+        .update({ redaction_report: report, updated_at: new Date().toISOString() })
+        .eq('id', documentId);
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Save redaction report error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Keep the placeholder-to-value mapping of a redacted document on the device.
+   * It holds the personal details themselves, so it is never sent to Supabase.
+   * @param {string} documentId - Document ID
+   * @param {Object} mapping - Mapping from lib/piiRedaction.js, e.g. {"[NAME_1]": "Jane Doe"}
+   * @returns {Promise<void>}
+   */
+  async savePIIMapping(documentId, mapping) {
+    try {
+      await AsyncStorage.setItem(`piiMapping_${documentId}`, JSON.stringify(mapping));
+    } catch (error) {
+      console.error('Save PII mapping error:', error);
+    }
+  }
+
+  /**
+   * Get the placeholder-to-value mapping of a redacted document, to show the real values on this device
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} - Mapping, or null when the document was not redacted here
+   */
+  async getPIIMapping(documentId) {
+    try {
+      const mappingString = await AsyncStorage.getItem(`piiMapping_${documentId}`);
+      return mappingString ? JSON.parse(mappingString) : null;
+    } catch (error) {
+      console.error('Get PII mapping error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the cached question pool of a document
+   * @param {string} contentHash - Content hash of the document
+   * @param {string} optionsKey - Generation options key (see lib/generationCache.js)
+   * @returns {Promise<Object|null>} - Pool, or null when none is stored
+   */
+  async getQuestionPool(contentHash, optionsKey) {
+    try {
+      const { data, error } = await supabase
+        .from('question_pools')
+        .select('*')
+        .eq('content_hash', contentHash)
+        .eq('options_key', optionsKey)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        return null;
+      }
+
+      return {
+        contentHash: data.content_hash,
+        optionsKey: data.options_key,
+        promptVersion: data.prompt_version,
+        extractorVersion: data.extractor_version,
+        questions: data.questions || [],
+        servedCount: data.served_count || 0
+      };
+    } catch (error) {
+      console.error('Get question pool error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store the question pool of a document, replacing the previous one
+   * @param {Object} pool - Pool (see lib/generationCache.js)
+   * @returns {Promise<boolean>} - Whether the pool was stored
+   */
+  async saveQuestionPool(pool) {
+    try {
+      const { error } = await supabase
+        .from('question_pools')
+        .upsert({
+          user_id: (await supabase.auth.getUser()).data.user?.id,
+          content_hash: pool.contentHash,
+          options_key: pool.optionsKey,
+          prompt_version: pool.promptVersion,
+          extractor_version: pool.extractorVersion,
+          questions: pool.questions,
+          served_count: pool.servedCount,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'user_id,content_hash,options_key' });
+
+      if (error) throw error;
+      return true;
+    } catch (error) {
+      console.error('Save question pool error:', error);
+      return false;
+    }
+  }
+
   /**
    * Save document to local storage
    * @param {Object} document - Document data
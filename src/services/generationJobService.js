@@ -0,0 +1,388 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Logger from '../utils/Logger';
+import quizService from './quizService';
+import documentService from './documentService';
+import { GENERATION_ERROR_CODES } from '../../lib/generationErrors';
+
+const STORAGE_KEY = 'generationJobs';
+
+// Finished jobs kept for the job lists; older ones are dropped
+const MAX_FINISHED_JOBS = 20;
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Document status recorded when a job finishes (see documents.status in supabase-schema.sql)
+const DOCUMENT_STATUS = {
+  [JOB_STATUS.COMPLETED]: 'completed',
+  [JOB_STATUS.FAILED]: 'failed',
+  [JOB_STATUS.CANCELLED]: 'cancelled'
+};
+
+/**
+ * Whether a job has stopped running, successfully or not
+ * @param {Object} job - Job
+ * @returns {boolean}
+ */
+export const isJobFinished = (job) => FINISHED_STATUSES.includes(job.status);
+
+/**
+ * Generation Job Service for running quiz generation in the background
+ *
+ * Jobs are persisted in AsyncStorage, so the upload screen can be left while questions
+ * are generated and jobs interrupted by an app restart are picked up again on the next
+ * launch (see initEngine.js). Jobs run one at a time, in the order they were queued.
+ */
+class GenerationJobService {
+  constructor() {
+    this.jobs = null;
+    this.listeners = new Set();
+    this.controllers = new Map();
+    this.processing = null;
+  }
+
+  /**
+   * Load persisted jobs, once
+   * @returns {Promise<Array<Object>>}
+   */
+  async loadJobs() {
+    if (!this.jobs) {
+      try {
+        const stored = await AsyncStorage.getItem(STORAGE_KEY);
+        this.jobs = this.jobs || (stored ? JSON.parse(stored) : []);
+      } catch (error) {
+        Logger.error('Failed to load generation jobs', error);
+        this.jobs = this.jobs || [];
+      }
+    }
+    return this.jobs;
+  }
+
+  /**
+   * Persist jobs and notify subscribers
+   * @returns {Promise<void>}
+   */
+  async saveJobs() {
+    const finished = this.jobs.filter(isJobFinished);
+    if (finished.length > MAX_FINISHED_JOBS) {
+      const dropped = new Set(finished.slice(0, finished.length - MAX_FINISHED_JOBS).map(job => job.id));
+      this.jobs = this.jobs.filter(job => !dropped.has(job.id));
+    }
+
+    this.notify();
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(this.jobs));
+    } catch (error) {
+      Logger.error('Failed to save generation jobs', error);
+    }
+  }
+
+  /**
+   * Apply changes to a job and persist them
+   * @param {string} jobId - Job ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} - Updated job, or null when it no longer exists
+   */
+  async updateJob(jobId, changes) {
+    await this.loadJobs();
+    const index = this.jobs.findIndex(job => job.id === jobId);
+    if (index < 0) {
+      return null;
+    }
+
+    const job = { ...this.jobs[index], ...changes, updatedAt: new Date().toISOString() };
+    this.jobs = [...this.jobs.slice(0, index), job, ...this.jobs.slice(index + 1)];
+    await this.saveJobs();
+    return job;
+  }
+
+  notify() {
+    const jobs = this.jobs ? [...this.jobs] : [];
+    this.listeners.forEach(listener => {
+      try {
+        listener(jobs);
+      } catch (error) {
+        Logger.error('Generation job listener error', error);
+      }
+    });
+  }
+
+  /**
+   * Receive the job list whenever a job changes
+   * @param {Function} listener - Called with the array of jobs, oldest first
+   * @returns {Function} - Unsubscribes the listener
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    this.loadJobs().then(jobs => {
+      if (this.listeners.has(listener)) {
+        listener([...jobs]);
+      }
+    });
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Get all jobs
+   * @returns {Promise<Array<Object>>} - Jobs, oldest first
+   */
+  async getJobs() {
+    return [...(await this.loadJobs())];
+  }
+
+  /**
+   * Get a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>}
+   */
+  async getJob(jobId) {
+    const jobs = await this.loadJobs();
+    return jobs.find(job => job.id === jobId) || null;
+  }
+
+  /**
+   * Queue question generation for an uploaded document
+   * @param {Object} request - Job request
+   * @param {string} request.documentId - Uploaded document ID
+   * @param {string} request.title - Name shown in the job lists
+   * @param {Object} request.file - Picked file ({uri, name, type, size})
+   * @param {Object} request.options - Generation options ({questionCount, difficulty, questionTypes, calculationCount, redactPII})
+   * @returns {Promise<Object>} - Queued job
+   */
+  async enqueue({ documentId, title, file, options = {} }) {
+    await this.loadJobs();
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      documentId,
+      title: title || file?.name || 'Document',
+      file: file ? { uri: file.uri, name: file.name, type: file.type, size: file.size } : null,
+      options: {
+        questionCount: options.questionCount,
+        difficulty: options.difficulty,
+        questionTypes: options.questionTypes,
+        calculationCount: options.calculationCount,
+        redactPII: options.redactPII
+      },
+      status: JOB_STATUS.QUEUED,
+      progress: null,
+      attempts: 0,
+      error: null,
+      quizId: null,
+      quizTitle: null,
+      // Counts of the personal details masked before the text went to the AI provider (see lib/piiRedaction.js)
+      redactionReport: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs = [...this.jobs, job];
+    await this.saveJobs();
+    Logger.info(`Queued generation job ${job.id} for document ${documentId}`);
+
+    await documentService.updateDocumentStatus(documentId, 'processing');
+    this.processQueue();
+    return job;
+  }
+
+  /**
+   * Cancel a job. A running job stops before its next AI request.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} - Whether the job was still pending
+   */
+  async cancel(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job || isJobFinished(job)) {
+      return false;
+    }
+
+    const controller = this.controllers.get(jobId);
+    if (controller) {
+      controller.abort();
+      return true;
+    }
+
+    await this.finishJob(job, { status: JOB_STATUS.CANCELLED });
+    return true;
+  }
+
+  /**
+   * Queue a failed or cancelled job again
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Requeued job, or null when it cannot be retried
+   */
+  async retry(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job || ![JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status)) {
+      return null;
+    }
+
+    const queued = await this.updateJob(jobId, { status: JOB_STATUS.QUEUED, progress: null, error: null });
+    await documentService.updateDocumentStatus(job.documentId, 'processing');
+    this.processQueue();
+    return queued;
+  }
+
+  /**
+   * Remove a finished job from the lists
+   * @param {string} jobId - Job ID
+   * @returns {Promise<boolean>} - Whether the job was removed
+   */
+  async dismiss(jobId) {
+    const job = await this.getJob(jobId);
+    if (!job || !isJobFinished(job)) {
+      return false;
+    }
+
+    this.jobs = this.jobs.filter(other => other.id !== jobId);
+    await this.saveJobs();
+    return true;
+  }
+
+  /**
+   * Requeue jobs interrupted by an app restart and start the queue. Called on app start.
+   * @returns {Promise<number>} - Number of pending jobs
+   */
+  async resumePendingJobs() {
+    const jobs = await this.loadJobs();
+    const interrupted = jobs.filter(job => job.status === JOB_STATUS.RUNNING && !this.controllers.has(job.id));
+    for (const job of interrupted) {
+      Logger.info(`Resuming generation job ${job.id} interrupted by an app restart`);
+      await this.updateJob(job.id, { status: JOB_STATUS.QUEUED, progress: null });
+    }
+
+    const pending = this.jobs.filter(job => !isJobFinished(job)).length;
+    if (pending > 0) {
+      this.processQueue();
+    }
+    return pending;
+  }
+
+  /**
+   * Wait for a job to finish
+   * @param {string} jobId - Job ID
+   * @param {Object} options - Wait options
+   * @param {number} options.timeoutMs - Stop waiting after this long (default: wait until finished)
+   * @returns {Promise<Object|null>} - The finished job, or its current state when the wait timed out
+   */
+  waitForJob(jobId, { timeoutMs } = {}) {
+    return new Promise(resolve => {
+      let timer = null;
+      let unsubscribe = () => {};
+      let settled = false;
+      const settle = (job) => {
+        if (settled) return;
+        settled = true;
+        global.clearTimeout(timer);
+        unsubscribe();
+        resolve(job);
+      };
+
+      unsubscribe = this.subscribe(jobs => {
+        const job = jobs.find(other => other.id === jobId);
+        if (!job || isJobFinished(job)) {
+          settle(job || null);
+        }
+      });
+      if (timeoutMs) {
+        timer = global.setTimeout(() => this.getJob(jobId).then(settle), timeoutMs);
+      }
+    });
+  }
+
+  /**
+   * Run queued jobs one at a time until none are left
+   * @returns {Promise<void>}
+   */
+  processQueue() {
+    if (!this.processing) {
+      this.processing = (async () => {
+        try {
+          let next;
+          while ((next = (await this.loadJobs()).find(job => job.status === JOB_STATUS.QUEUED))) {
+            await this.runJob(next);
+          }
+        } finally {
+          this.processing = null;
+        }
+      })();
+    }
+    return this.processing;
+  }
+
+  /**
+   * Generate the quiz for a job
+   * @param {Object} job - Queued job
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    const controller = new global.AbortController();
+    this.controllers.set(job.id, controller);
+    await this.updateJob(job.id, { status: JOB_STATUS.RUNNING, attempts: job.attempts + 1, progress: null, error: null });
+    Logger.info(`Running generation job ${job.id} (attempt ${job.attempts + 1})`);
+
+    try {
+      const response = await quizService.generateQuiz(job.file, {
+        ...job.options,
+        documentId: job.documentId,
+        signal: controller.signal,
+        onProgress: progress => {
+          this.updateJob(job.id, { progress });
+        }
+      });
+      const quiz = response?.quiz;
+
+      if (controller.signal.aborted || quiz?.errorCode === GENERATION_ERROR_CODES.CANCELLED) {
+        await this.finishJob(job, { status: JOB_STATUS.CANCELLED, quizId: quiz?.id || null });
+      } else if (!quiz || quiz.errorCode || !quiz.questions || quiz.questions.length === 0) {
+        await this.finishJob(job, {
+          status: JOB_STATUS.FAILED,
+          quizId: quiz?.id || null,
+          error: {
+            message: quiz?.error || 'No questions were generated',
+            code: quiz?.errorCode || null,
+            details: quiz?.errorDetails || null
+          }
+        });
+      } else {
+        await this.finishJob(job, {
+          status: JOB_STATUS.COMPLETED,
+          quizId: quiz.id,
+          quizTitle: quiz.title,
+          redactionReport: quiz.redactionReport || null
+        });
+      }
+    } catch (error) {
+      Logger.error(`Generation job ${job.id} failed`, error);
+      await this.finishJob(job, controller.signal.aborted
+        ? { status: JOB_STATUS.CANCELLED }
+        : { status: JOB_STATUS.FAILED, error: { message: error.message, code: error.code || null, details: error.details || null } });
+    } finally {
+      this.controllers.delete(job.id);
+    }
+  }
+
+  /**
+   * Record how a job ended, on the job and its document
+   * @param {Object} job - Job
+   * @param {Object} changes - Final status and results
+   * @returns {Promise<void>}
+   */
+  async finishJob(job, changes) {
+    // Document first, so callers waiting for the job see the final document status too
+    await documentService.updateDocumentStatus(job.documentId, DOCUMENT_STATUS[changes.status]);
+    await this.updateJob(job.id, changes);
+    Logger.info(`Generation job ${job.id} ${changes.status}`);
+  }
+}
+
+// Create and export a singleton instance
+const generationJobService = new GenerationJobService();
+export default generationJobService;
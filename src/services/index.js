@@ -2,10 +2,16 @@ import apiClient from './apiClient';
 import authService from './authService';
 import quizService from './quizService';
 import documentService from './documentService';
+import generationJobService from './generationJobService';
+import quizProgressService from './quizProgressService';
+import reviewService from './reviewService';
 
 export {
   apiClient,
   authService,
   quizService,
-  documentService
+  documentService,
+  generationJobService,
+  quizProgressService,
+  reviewService
 };
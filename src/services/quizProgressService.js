@@ -0,0 +1,226 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Logger from '../utils/Logger';
+import quizService from './quizService';
+import { QUIZ_MODES } from '../../lib/examMode';
+import { progressFromQuiz } from '../../lib/quizProgress';
+
+const STORAGE_KEY = 'quizProgress';
+
+// Attempts in progress kept on the device; the least recently used are dropped
+const MAX_SAVED_ATTEMPTS = 20;
+
+// Answers are sent to the server once the user has stopped changing them, so typing a numeric answer is one save
+const REMOTE_SAVE_DELAY_MS = 1000;
+
+/**
+ * Quiz Progress Service for resuming quiz attempts
+ *
+ * The progress of every attempt in progress (see lib/quizProgress.js) is saved in AsyncStorage
+ * as the user goes, so an attempt survives an app restart. Each answer and flag is also saved to
+ * quiz_questions through quizService.saveAnswer, so an attempt the device has no progress for can
+ * be resumed from the server. Progress is cleared when the attempt is submitted.
+ */
+class QuizProgressService {
+  constructor() {
+    this.attempts = null;
+    this.remoteSaves = new Map();
+  }
+
+  /**
+   * Load saved progress, once
+   * @returns {Promise<Object>} - Quiz ID -> progress
+   */
+  async loadAttempts() {
+    if (!this.attempts) {
+      try {
+        const stored = await AsyncStorage.getItem(STORAGE_KEY);
+        this.attempts = this.attempts || (stored ? JSON.parse(stored) : {});
+      } catch (error) {
+        Logger.error('Failed to load quiz progress', error);
+        this.attempts = this.attempts || {};
+      }
+    }
+    return this.attempts;
+  }
+
+  /**
+   * Persist saved progress
+   * @returns {Promise<void>}
+   */
+  async saveAttempts() {
+    const byLastUse = Object.values(this.attempts).sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    byLastUse.slice(MAX_SAVED_ATTEMPTS).forEach(progress => {
+      delete this.attempts[progress.quizId];
+    });
+
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(this.attempts));
+    } catch (error) {
+      Logger.error('Failed to save quiz progress', error);
+    }
+  }
+
+  /**
+   * Get the progress saved on the device for a quiz
+   * @param {string} quizId - Quiz ID
+   * @returns {Promise<Object|null>}
+   */
+  async getProgress(quizId) {
+    const attempts = await this.loadAttempts();
+    return attempts[quizId] || null;
+  }
+
+  /**
+   * Get the progress of a quiz to resume: the device's, or else the answers saved on the server
+   * @param {string} quizId - Quiz ID
+   * @param {Object} quiz - The quiz from quizService.getQuiz when it is already loaded; fetched when not given
+   * @returns {Promise<Object|null>} - Progress, or null when there is nothing to resume
+   */
+  async loadProgress(quizId, quiz = null) {
+    const saved = await this.getProgress(quizId);
+    if (saved) {
+      return saved;
+    }
+
+    try {
+      return progressFromQuiz(quiz || await quizService.getQuiz(quizId));
+    } catch (error) {
+      Logger.warn(`Could not load the saved answers of quiz ${quizId}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the attempts in progress, for the "Continue" entries of recent activity
+   * @returns {Promise<Array<Object>>} - Progress, most recently used first
+   */
+  async getInProgress() {
+    const attempts = await this.loadAttempts();
+    return Object.values(attempts).sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+
+  /**
+   * Save changes to the progress of an attempt on the device
+   * @param {string} quizId - Quiz ID
+   * @param {Object} changes - Fields to update (see lib/quizProgress.js)
+   * @returns {Promise<Object>} - Updated progress
+   */
+  async saveProgress(quizId, changes) {
+    await this.loadAttempts();
+    const now = new Date().toISOString();
+    const progress = {
+      quizId,
+      title: null,
+      totalQuestions: 0,
+      optionSeed: null,
+      currentQuestionIndex: 0,
+      answers: {},
+      flagged: [],
+      elapsedMs: 0,
+      mode: QUIZ_MODES.UNTIMED,
+      exam: null,
+      questionTimes: {},
+      startedAt: now,
+      ...this.attempts[quizId],
+      ...changes,
+      updatedAt: now
+    };
+    this.attempts = { ...this.attempts, [quizId]: progress };
+    await this.saveAttempts();
+    return progress;
+  }
+
+  /**
+   * Record an answer (or clear it) and save it to the server shortly after
+   * @param {string} quizId - Quiz ID
+   * @param {string} questionId - Question ID
+   * @param {*} answer - Answer in the stored option order (see lib/optionShuffle.toCanonicalAnswer); undefined clears it
+   * @param {Object} changes - Other fields to update, e.g. elapsedMs
+   * @returns {Promise<Object>} - Updated progress
+   */
+  async recordAnswer(quizId, questionId, answer, changes = {}) {
+    const { answers = {} } = (await this.getProgress(quizId)) || {};
+    const { [questionId]: _previous, ...otherAnswers } = answers;
+    const progress = await this.saveProgress(quizId, {
+      ...changes,
+      answers: answer === undefined ? otherAnswers : { ...otherAnswers, [questionId]: answer }
+    });
+    this.scheduleRemoteSave(quizId, questionId);
+    return progress;
+  }
+
+  /**
+   * Flag a question for review, or unflag it, and save that to the server shortly after
+   * @param {string} quizId - Quiz ID
+   * @param {string} questionId - Question ID
+   * @param {boolean} flagged - Whether the question is flagged
+   * @param {Object} changes - Other fields to update, e.g. elapsedMs
+   * @returns {Promise<Object>} - Updated progress
+   */
+  async setFlagged(quizId, questionId, flagged, changes = {}) {
+    const { flagged: current = [] } = (await this.getProgress(quizId)) || {};
+    const others = current.filter(id => id !== questionId);
+    const progress = await this.saveProgress(quizId, { ...changes, flagged: flagged ? [...others, questionId] : others });
+    this.scheduleRemoteSave(quizId, questionId);
+    return progress;
+  }
+
+  scheduleRemoteSave(quizId, questionId) {
+    const key = `${quizId}:${questionId}`;
+    global.clearTimeout(this.remoteSaves.get(key)?.timer);
+    const save = () => {
+      this.remoteSaves.delete(key);
+      return this.saveToServer(quizId, questionId);
+    };
+    this.remoteSaves.set(key, { quizId, save, timer: global.setTimeout(save, REMOTE_SAVE_DELAY_MS) });
+  }
+
+  async saveToServer(quizId, questionId) {
+    const progress = await this.getProgress(quizId);
+    if (!progress) {
+      return false;
+    }
+    return quizService.saveAnswer(quizId, questionId, {
+      answer: progress.answers[questionId],
+      flagged: progress.flagged.includes(questionId),
+      optionSeed: progress.optionSeed,
+      elapsedMs: progress.elapsedMs,
+      mode: progress.mode,
+      exam: progress.exam
+    });
+  }
+
+  /**
+   * Send the answers of a quiz still waiting to be saved to the server now
+   * @param {string} quizId - Quiz ID
+   * @returns {Promise<void>}
+   */
+  async flush(quizId) {
+    const pending = [...this.remoteSaves.values()].filter(entry => entry.quizId === quizId);
+    pending.forEach(entry => global.clearTimeout(entry.timer));
+    await Promise.all(pending.map(entry => entry.save()));
+  }
+
+  /**
+   * Forget the progress of a quiz, once it has been submitted
+   * @param {string} quizId - Quiz ID
+   * @returns {Promise<void>}
+   */
+  async clearProgress(quizId) {
+    [...this.remoteSaves.entries()]
+      .filter(([, entry]) => entry.quizId === quizId)
+      .forEach(([key, entry]) => {
+        global.clearTimeout(entry.timer);
+        this.remoteSaves.delete(key);
+      });
+
+    await this.loadAttempts();
+    const { [quizId]: _cleared, ...others } = this.attempts;
+    this.attempts = others;
+    await this.saveAttempts();
+  }
+}
+
+// Create and export a singleton instance
+const quizProgressService = new QuizProgressService();
+export default quizProgressService;
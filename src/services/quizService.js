@@ -5,6 +5,15 @@ import { supabase } from './supabaseClient';
 import { Platform } from 'react-native';
 import Logger from '../utils/Logger';
 import * as Sentry from '@sentry/node';
+import documentService from './documentService';
+import { summariseGrounding } from '../../lib/groundingVerifier';
+import { hashDocumentContent } from '../../lib/contentHash';
+import { readBlobBytes } from '../../lib/documentExtraction';
+import { isCancellation } from '../../lib/generationErrors';
+import { filterByDifficulty } from '../../lib/difficulty';
+import { toCanonicalQuestion, toOptionRows, toQuestionRow, toQuizScreenQuestion } from '../../lib/questionModel';
+import { scoreQuiz } from '../../lib/scoring';
+import { QUIZ_MODES } from '../../lib/examMode';
 
 // Define UUID regex pattern as a constant for better performance
 // Modified to support variable-length last segments (at least 12 chars)
@@ -82,6 +91,10 @@ class QuizService {
    * Generate quiz questions from an uploaded document
    * @param {Object} file - File object with uri, name, and type
    * @param {Object} options - Quiz generation options
+   * @param {Function} options.onProgress - Receives per-chunk generation progress (see lib/aiProcessing.js)
+   * @param {AbortSignal} options.signal - Cancels question generation (the quiz is marked 'cancelled')
+   * @param {boolean} options.redactPII - Mask personal details before the document is sent to the AI provider
+   *                                      (default on; see lib/piiRedaction.js)
    * @returns {Promise<Object>} - Generated quiz data
    */
   async generateQuiz(file, options = {}) {
@@ -121,6 +134,25 @@ class QuizService {
       
       // If the document ID is provided in the options, we don't need to upload the file again
       let documentId = options.documentId;
+      let blob;
+      let contentHash = null;
+      
+      if (!documentId) {
+        blob = await this.fetchFileBlob(safeFile.uri);
+        
+        // Hash the content, so a document we have processed before is not uploaded again
+        // and its cached extraction and question pool are reused
+        try {
+          contentHash = hashDocumentContent(await readBlobBytes(blob));
+          const existingDocument = await documentService.findDocumentByContentHash(contentHash);
+          if (existingDocument) {
+            documentId = existingDocument.id;
+            Logger.info(`Document content already uploaded, reusing document ID: ${documentId}`);
+          }
+        } catch (hashError) {
+          Logger.warn('Could not hash document content, uploading without it', hashError);
+        }
+      }
       
       // If no document ID was provided, we need to create a document record first
       if (!documentId) {
@@ -140,37 +172,6 @@ class QuizService {
         
         while (!uploadSuccess && retryCount < maxRetries) {
           try {
-            // Attempt to get blob with timeout and error handling
-            let blob;
-            try {
-              Logger.info(`Fetching file data from URI: ${safeFile.uri.substring(0, 50)}...`);
-              const fetchPromise = fetch(safeFile.uri);
-              
-              // Use a safer timeout pattern with clear cleanup
-              let timeoutId;
-              const timeoutPromise = new Promise((_, reject) => {
-                timeoutId = global.setTimeout(() => {
-                  reject(new Error('File fetch timed out after 30 seconds'));
-                }, 30000);
-              });
-              
-              const response = await Promise.race([fetchPromise, timeoutPromise]);
-              // Clear the timeout to prevent memory leaks
-              if (timeoutId) global.clearTimeout(timeoutId);
-              
-              if (!response.ok) {
-                const error = new Error(`Failed to fetch file: ${response.status} ${response.statusText}`);
-                Logger.error('File fetch failed with HTTP error', error);
-                throw error;
-              }
-              
-              blob = await response.blob();
-              Logger.info(`Successfully fetched file blob, size: ${blob.size} bytes`);
-            } catch (fetchError) {
-              Logger.error('Error fetching file blob', fetchError);
-              throw new Error(`Failed to access file: ${fetchError.message}`);
-            }
-            
             // Generate a unique filename for this retry attempt
             const retryFileName = retryCount > 0 ? 
               `${Date.now()}_retry${retryCount}_${sanitizedName}` : 
@@ -265,6 +266,7 @@ class QuizService {
             file_path: fileName,
             file_type: safeFile.type,
             file_size: safeFile.size,
+            content_hash: contentHash,
             status: 'completed',
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString(),
@@ -359,9 +361,28 @@ class QuizService {
           
           // Generate questions based on the uploaded document
           // Use the document ID as a fallback if fileName is not available
+          let qualityReport = null;
+          let promptVersions = null;
+          let redactionReport = null;
           const generatedQuestions = await generateQuestions(documentId, {
             questionCount: quizOptions.questionCount,
-            difficulty: quizOptions.difficulty
+            difficulty: quizOptions.difficulty,
+            questionTypes: quizOptions.questionTypes,
+            calculationCount: quizOptions.calculationCount,
+            onProgress: quizOptions.onProgress,
+            signal: quizOptions.signal,
+            onQualityReport: report => {
+              qualityReport = report;
+            },
+            onPromptVersions: versions => {
+              promptVersions = versions;
+            },
+            redactPII: quizOptions.redactPII,
+            // The report goes with the upload; the mapping holds the real values and stays on the device
+            onRedaction: (report, mapping) => {
+              redactionReport = report;
+              documentService.savePIIMapping(documentId, mapping);
+            }
           });
           
           Logger.info(`Successfully generated ${generatedQuestions.length} questions with AI`);
@@ -371,15 +392,13 @@ class QuizService {
             Logger.info('Saving generated questions to database');
             
             // Insert questions into the questions table
-            for (const question of generatedQuestions) {
+            for (const [index, question] of generatedQuestions.entries()) {
               try {
-                // Insert question
+                // Options in their balanced order (see lib/optionShuffle.js); correct_answer indexes into them
                 const { data: questionData, error: questionError } = await supabase
                   .from('questions')
                   .insert({
-                    text: question.text,
-                    explanation: question.explanation,
-                    difficulty: quizOptions.difficulty,
+                    ...toQuestionRow(question, index + 1),
                     created_at: new Date().toISOString(),
                     user_id: userId
                   })
@@ -398,15 +417,10 @@ class QuizService {
                 const questionId = questionData[0].id;
                 
                 // Insert options
-                for (const option of question.options) {
+                for (const optionRow of toOptionRows(question, questionId)) {
                   const { error: optionError } = await supabase
                     .from('question_options')
-                    .insert({
-                      question_id: questionId,
-                      text: option.text,
-                      is_correct: option.id === question.correctOptionId,
-                      option_identifier: option.id // A, B, C, or D
-                    });
+                    .insert(optionRow);
                     
                   if (optionError) {
                     Logger.error('Error inserting option', optionError);
@@ -419,7 +433,7 @@ class QuizService {
                   .insert({
                     quiz_id: quizRecord[0].id,
                     question_id: questionId,
-                    position: generatedQuestions.indexOf(question) + 1
+                    position: index + 1
                   });
                   
                 if (linkError) {
@@ -432,6 +446,37 @@ class QuizService {
             }
           }
           
+          // Record how well the questions are grounded in the document, to track generation quality
+          const grounding = summariseGrounding(generatedQuestions || [], quizOptions.questionCount);
+          const { error: groundingError } = await supabase
+            .from('quizzes')
+            .update({
+              grounding_score: grounding.score,
+              grounding_report: grounding,
+              quality_report: qualityReport,
+              // Which prompt versions produced the questions, so a bad prompt change can be traced (see lib/prompts)
+              prompt_versions: promptVersions
+            })
+            .eq('id', quizRecord[0].id);
+          if (groundingError) {
+            Logger.error('Error recording quiz grounding score', groundingError);
+          } else {
+            Logger.info(`Quiz grounding score: ${grounding.score} (${grounding.regenerated} regenerated, ` +
+              `${grounding.returned} of ${grounding.requested} questions)`);
+          }
+          if (qualityReport) {
+            Logger.info(`Question quality: ${qualityReport.passed} of ${qualityReport.checked} passed, ` +
+              `${qualityReport.fixed} fixed, ${qualityReport.rejected} rejected`);
+          }
+          if (redactionReport) {
+            await documentService.saveRedactionReport(documentId, redactionReport);
+            Logger.info(`Redacted ${redactionReport.total} personal details before sending the document to the AI provider`);
+          }
+          if (qualityReport?.sanitisation?.suspicious) {
+            Logger.warn(`Document ${documentId} looks like it contains prompt injection ` +
+              `(${qualityReport.sanitisation.reasons.join(', ')}); ${qualityReport.sanitisation.neutralisedCount} passages neutralised`);
+          }
+          
           // Prepare the response with the generated questions
           response = {
             quiz: {
@@ -439,19 +484,24 @@ class QuizService {
               title: quizRecord[0].title,
               documentId: documentId,
               createdAt: quizRecord[0].created_at,
-              questions: generatedQuestions
+              questions: generatedQuestions,
+              grounding,
+              qualityReport,
+              promptVersions,
+              redactionReport
             }
           };
         } catch (aiError) {
           Logger.error('AI question generation error', aiError);
           
           // Update quiz status to reflect the error
+          const failedStatus = isCancellation(aiError) ? 'cancelled' : 'error';
           try {
             await supabase
               .from('quizzes')
-              .update({ status: 'error' })
+              .update({ status: failedStatus })
               .eq('id', quizRecord[0].id);
-            Logger.info(`Updated quiz status to 'error' for quiz ID: ${quizRecord[0].id}`);
+            Logger.info(`Updated quiz status to '${failedStatus}' for quiz ID: ${quizRecord[0].id}`);
           } catch (statusUpdateError) {
             Logger.error('Failed to update quiz status after AI error', statusUpdateError);
           }
@@ -464,7 +514,10 @@ class QuizService {
               documentId: documentId,
               createdAt: quizRecord[0].created_at,
               questions: [], // Empty questions array as fallback
-              error: aiError.message || 'Failed to generate questions'
+              error: aiError.message || 'Failed to generate questions',
+              // Structured generation errors carry a code the upload screen can explain
+              errorCode: aiError.code || null,
+              errorDetails: aiError.details || null
             }
           };
         }
@@ -508,12 +561,51 @@ class QuizService {
     }
   }
   
+  /**
+   * Fetch the contents of a picked file
+   * @param {string} uri - Local file URI
+   * @returns {Promise<Blob>} - File contents
+   */
+  async fetchFileBlob(uri) {
+    try {
+      Logger.info(`Fetching file data from URI: ${uri.substring(0, 50)}...`);
+      const fetchPromise = fetch(uri);
+      
+      // Use a safer timeout pattern with clear cleanup
+      let timeoutId;
+      const timeoutPromise = new Promise((_, reject) => {
+        timeoutId = global.setTimeout(() => {
+          reject(new Error('File fetch timed out after 30 seconds'));
+        }, 30000);
+      });
+      
+      const response = await Promise.race([fetchPromise, timeoutPromise]);
+      // Clear the timeout to prevent memory leaks
+      if (timeoutId) global.clearTimeout(timeoutId);
+      
+      if (!response.ok) {
+        const error = new Error(`Failed to fetch file: ${response.status} ${response.statusText}`);
+        Logger.error('File fetch failed with HTTP error', error);
+        throw error;
+      }
+      
+      const blob = await response.blob();
+      Logger.info(`Successfully fetched file blob, size: ${blob.size} bytes`);
+      return blob;
+    } catch (fetchError) {
+      Logger.error('Error fetching file blob', fetchError);
+      throw new Error(`Failed to access file: ${fetchError.message}`);
+    }
+  }
+  
   /**
    * Get quiz by ID
    * @param {string} quizId - Quiz ID
+   * @param {Object} options - Options
+   * @param {string|Array<string>} options.difficulty - Only return questions of these levels ('Easy', 'Medium', 'Hard')
    * @returns {Promise<Object>} - Quiz data
    */
-  async getQuiz(quizId) {
+  async getQuiz(quizId, options = {}) {
     const transaction = Sentry.startTransaction({
       name: 'getQuiz',
       op: 'quiz.retrieval'
@@ -570,7 +662,7 @@ class QuizService {
             // If we have a local version, use that instead
             if (localQuiz) {
               Logger.info('Using local quiz data as fallback');
-              return localQuiz;
+              return { ...localQuiz, questions: filterByDifficulty(localQuiz.questions || [], options.difficulty) };
             }
             throw error;
           }
@@ -582,6 +674,8 @@ class QuizService {
               id,
               user_answer,
               is_correct,
+              flagged,
+              time_spent_ms,
               question:question_id(*)
             `)
             .eq('quiz_id', sanitizedQuizId);
@@ -597,20 +691,19 @@ class QuizService {
             quizQuestionsData.forEach(item => {
               if (item.question) {
                 questions.push({
-                  id: item.question.id,
-                  questionText: item.question.question_text,
+                  ...toQuizScreenQuestion(toCanonicalQuestion(item.question)),
                   questionNumber: item.question.question_number,
-                  options: item.question.options || [],
-                  correctAnswer: item.question.correct_answer,
-                  category: item.question.category,
-                  difficulty: item.question.difficulty,
-                  explanation: item.question.explanation,
                   userAnswer: item.user_answer,
-                  isCorrect: item.is_correct
+                  isCorrect: item.is_correct,
+                  flagged: item.flagged === true,
+                  timeSpentMs: item.time_spent_ms ?? null
                 });
               }
             });
           }
+          // quiz_questions rows come back in no set order; a resumed attempt needs the same order every time
+          const orderOf = question => question.questionNumber ?? Number.MAX_SAFE_INTEGER;
+          questions.sort((a, b) => orderOf(a) - orderOf(b));
           
           Logger.info('Quiz data retrieved successfully');
           
@@ -652,7 +745,13 @@ class QuizService {
             createdAt: data.created_at,
             status: data.status,
             score: data.score,
-            questions: questions || []
+            // Attempt state, for resuming an attempt in progress (see quizProgressService.js)
+            optionSeed: data.option_seed,
+            elapsedSeconds: data.elapsed_seconds,
+            mode: data.mode,
+            examProfile: data.exam_profile,
+            examEndsAt: data.exam_ends_at,
+            questions: filterByDifficulty(questions || [], options.difficulty)
           };
           
           return quiz;
@@ -667,25 +766,116 @@ class QuizService {
           if (!quiz) {
             throw new Error('Quiz not found');
           }
-          return quiz;
+          return { ...quiz, questions: filterByDifficulty(quiz.questions || [], options.difficulty) };
         }
       } catch (error) {
         Sentry.captureException(error);
         console.error('Get quiz error:', error);
         throw error;
-      } finally {
-        transaction.finish();
       }
+    } finally {
+      transaction.finish();
+    }
+  }
+  
+  /**
+   * Get the questions of a quiz in the shape the quiz screen shows, options in their stored order
+   * (shuffle them per attempt with lib/optionShuffle.shuffleForAttempt)
+   * @param {string} quizId - Quiz ID
+   * @param {Object} options - Options passed on to getQuiz
+   * @returns {Promise<Array<Object>>} - Questions ({id, questionText, options: [{id, text, isCorrect}], correctAnswer})
+   */
+  async getQuizQuestions(quizId, options = {}) {
+    const quiz = await this.getQuiz(quizId, options);
+    return (quiz.questions || []).map(toQuizScreenQuestion);
+  }
+  
+  /**
+   * Save one answer of an attempt in progress as it is given, so the attempt can be resumed elsewhere
+   * (see quizProgressService.js, which keeps the full progress on the device)
+   * @param {string} quizId - Quiz ID
+   * @param {string} questionId - Question ID
+   * @param {Object} progress - Answer and attempt state
+   * @param {*} progress.answer - Answer in the stored option order, as submitQuiz takes it (null when cleared)
+   * @param {boolean} progress.flagged - Whether the question is flagged for review
+   * @param {number} progress.optionSeed - Seed the attempt's options are shuffled with
+   * @param {number} progress.elapsedMs - Time spent on the attempt so far
+   * @param {string} progress.mode - How the attempt is taken: 'untimed', 'practice' or 'exam' (see lib/examMode.js)
+   * @param {Object} progress.exam - Exam the attempt is taken as ({profileId, timeLimitMs, endsAt}), or null
+   * @returns {Promise<boolean>} - Whether the answer was saved; quizzes without a valid UUID (Expo Go) are not
+   */
+  async saveAnswer(quizId, questionId, {
+    answer = null,
+    flagged = false,
+    optionSeed = null,
+    elapsedMs = 0,
+    mode = QUIZ_MODES.UNTIMED,
+    exam = null
+  } = {}) {
+    const sanitizedQuizId = sanitizeQuizId(quizId);
+    if (!sanitizedQuizId || !UUID_REGEX.test(sanitizedQuizId)) {
+      return false;
+    }
+    
+    try {
+      const { error: answerError } = await supabase
+        .from('quiz_questions')
+        .update({ user_answer: answer ?? null, flagged })
+        .eq('quiz_id', sanitizedQuizId)
+        .eq('question_id', questionId);
+      if (answerError) {
+        throw answerError;
+      }
+      
+      const { error: quizError } = await supabase
+        .from('quizzes')
+        .update({
+          option_seed: optionSeed,
+          elapsed_seconds: Math.round(elapsedMs / 1000),
+          mode: exam ? QUIZ_MODES.EXAM : mode,
+          exam_profile: exam?.profileId ?? null,
+          exam_ends_at: exam?.endsAt ?? null
+        })
+        .eq('id', sanitizedQuizId);
+      if (quizError) {
+        throw quizError;
+      }
+      return true;
+    } catch (error) {
+      Logger.warn(`Failed to save the answer to question ${questionId} of quiz ${sanitizedQuizId}`, error);
+      return false;
     }
   }
   
   /**
    * Submit quiz answers
    * @param {string} quizId - Quiz ID
-   * @param {Object} answers - User's answers (questionId -> selectedOptionIndex)
+   * @param {Object} answers - User's answers (questionId -> selected option index in the stored option order, the
+   *                           indexes for multi-select, or the typed answer with its unit for numeric questions)
+   * @param {Object} options - Submission options
+   * @param {number} options.optionSeed - Seed the options were shuffled with for this attempt, stored with the
+   *                                      results so a review can show them in the same order
+   * @param {number} options.elapsedMs - Time spent on the attempt, across resumed sessions
+   * @param {string} options.mode - How the attempt was taken: 'untimed' (the default), 'practice' or 'exam' (see
+   *                                lib/examMode.js); practice attempts are recorded apart from exams
+   * @param {Object} options.exam - Exam the attempt was taken as ({profileId, timeLimitMs, endsAt}), or null
+   * @param {Object} options.questionTimes - Time spent on each question (question id -> milliseconds)
+   * @param {boolean} options.timedOut - Whether the exam was submitted because its time ran out
    * @returns {Promise<Object>} - Quiz results
    */
-  async submitQuiz(quizId, answers) {
+  async submitQuiz(quizId, answers, options = {}) {
+    const optionSeed = typeof options.optionSeed === 'number' ? options.optionSeed : null;
+    const elapsedSeconds = typeof options.elapsedMs === 'number' ? Math.round(options.elapsedMs / 1000) : null;
+    const exam = options.exam || null;
+    const questionTimes = options.questionTimes || {};
+    // Timing recorded with the results: overall, per question, and the exam profile the attempt was taken under
+    const timing = {
+      mode: exam ? QUIZ_MODES.EXAM : options.mode || QUIZ_MODES.UNTIMED,
+      examProfileId: exam?.profileId ?? null,
+      timedOut: options.timedOut === true,
+      elapsedMs: typeof options.elapsedMs === 'number' ? options.elapsedMs : null,
+      questionTimes
+    };
     console.log("🔍 DEBUG: Original quizId before submission:", quizId);
     console.log("DEBUG: Number of answers:", Object.keys(answers).length);
     
@@ -713,7 +903,7 @@ class QuizService {
     }
     
     // Sanitize the quiz ID to ensure it's a valid UUID for Supabase
-    const sanitizedQuizId = sanitizeQuizId(quizId);
+    let sanitizedQuizId = sanitizeQuizId(quizId);
     console.log("🔄 DEBUG: Sanitized quizId for submission:", sanitizedQuizId);
     
     // Store the original ID for fallback attempts and local storage lookups
@@ -807,26 +997,26 @@ class QuizService {
         }
       }
       
-      // Calculate score
+      // Score with the engine the quiz screen uses (see lib/scoring.js); multi-select answers can earn partial credit
       let correctAnswers = 0;
+      let score = 0;
       let totalQuestions = quizQuestions?.length || 0;
+      let marks = {};
       
       // In Expo Go, create simulated answers and score
       if (Platform.constants?.ExpoGoConstants?.appVersion) {
         console.log("🛢️ Creating simulated score for Expo Go");
         totalQuestions = Object.keys(answers).length || 5; // Use answer count or default to 5
         correctAnswers = Math.floor(totalQuestions * 0.6); // 60% correct for testing
+        score = (correctAnswers / totalQuestions) * 100;
       } else if (quizQuestions && quizQuestions.length > 0) {
-        quizQuestions.forEach(item => {
-          const question = item.questions;
-          if (question && answers[question.id] === question.correct_answer) {
-            correctAnswers++;
-          }
-        });
+        const scored = scoreQuiz(quizQuestions.map(item => item.questions).filter(Boolean), answers);
+        correctAnswers = scored.correctAnswers;
+        marks = scored.marks;
+        // Questions whose rows are missing count as unanswered
+        score = (scored.earnedCredit / totalQuestions) * 100;
       }
       
-      const score = totalQuestions > 0 ? (correctAnswers / totalQuestions) * 100 : 0;
-      
       // Only update in Supabase if not in Expo Go
       if (!(Platform.constants?.ExpoGoConstants?.appVersion)) {
         try {
@@ -836,6 +1026,10 @@ class QuizService {
             .update({
               status: 'completed',
               score: score,
+              option_seed: optionSeed,
+              elapsed_seconds: elapsedSeconds,
+              mode: timing.mode,
+              exam_profile: timing.examProfileId,
               completed_at: new Date().toISOString()
             })
             .eq('id', sanitizedQuizId);
@@ -855,7 +1049,9 @@ class QuizService {
                 .from('quiz_questions')
                 .update({
                   user_answer: answers[questionId],
-                  is_correct: quizQuestions.find(q => q.question_id.toString() === questionId)?.questions?.correct_answer === answers[questionId]
+                  is_correct: marks[questionId]?.correct ?? false,
+                  credit: marks[questionId]?.credit ?? 0,
+                  time_spent_ms: questionTimes[questionId] ?? null
                 })
                 .eq('quiz_id', sanitizedQuizId)
                 .eq('question_id', questionId);
@@ -886,6 +1082,8 @@ class QuizService {
           totalQuestions: totalQuestions,
           correctAnswers: correctAnswers,
           answers: answers,
+          optionSeed,
+          ...timing,
           completedAt: new Date().toISOString()
         }
       };
@@ -922,26 +1120,23 @@ class QuizService {
               totalQuestions: 0,
               correctAnswers: 0,
               answers: answers || {},
+              optionSeed,
+              ...timing,
               completedAt: new Date().toISOString()
             }
           };
         }
         
         // Calculate results
-        let correctAnswers = 0;
-        quiz.questions.forEach(question => {
-          if (answers[question.id] === question.correctAnswer) {
-            correctAnswers++;
-          }
-        });
-        
-        const score = (correctAnswers / quiz.questions.length) * 100;
+        const { score, correctAnswers } = scoreQuiz(quiz.questions, answers);
         const results = {
           quizId,
           score,
           totalQuestions: quiz.questions.length,
           correctAnswers,
           answers,
+          optionSeed,
+          ...timing,
           completedAt: new Date().toISOString()
         };
         
@@ -957,12 +1152,16 @@ class QuizService {
   }
   
   /**
-   * Get user's quiz history
+   * Get user's quiz history: their completed quizzes, most recent first
    * @param {number} page - Page number for pagination
    * @param {number} limit - Number of items per page
-   * @returns {Promise<Object>} - Quiz history data
+   * @param {Object} options - History options
+   * @param {string} options.mode - Only attempts taken in this mode ('untimed', 'practice' or 'exam', see
+   *                                lib/examMode.js), so practice and exam scores are not mixed
+   * @returns {Promise<Object>} - Quiz history data: {quizzes: [{id, title, score, mode, totalQuestions,
+   *                                completedAt, documentId, documentUrl}], total, page, limit}
    */
-  async getQuizHistory(page = 1, limit = 10) {
+  async getQuizHistory(page = 1, limit = 10, options = {}) {
     try {
       // Get user ID
       const userId = (await supabase.auth.getUser()).data.user?.id;
@@ -971,26 +1170,31 @@ class QuizService {
       const from = (page - 1) * limit;
       const to = from + limit - 1;
       
-      // Fetch quiz history
-      const { data, error, count } = await supabase
-        .from('quiz_results')
-        .select('*, quiz:quizzes(*)', { count: 'exact' })
+      // Completed quizzes carry their score (see submitQuiz), of one mode only when asked
+      let query = supabase
+        .from('quizzes')
+        .select('id, title, score, mode, total_questions, completed_at, document_id', { count: 'exact' })
         .eq('user_id', userId)
+        .eq('status', 'completed');
+      if (options.mode) {
+        query = query.eq('mode', options.mode);
+      }
+      const { data, error, count } = await query
         .order('completed_at', { ascending: false })
         .range(from, to);
         
       if (error) throw error;
       
       // Transform to expected format
-      const quizzes = await Promise.all(data.map(async result => {
+      const quizzes = await Promise.all(data.map(async quiz => {
         // If the quiz has a document_id, get the file URL
         let documentUrl = null;
-        if (result.quiz?.document_id) {
+        if (quiz.document_id) {
           try {
             const { data: document } = await supabase
               .from('documents')
               .select('file_path')
-              .eq('id', result.quiz.document_id)
+              .eq('id', quiz.document_id)
               .single();
               
             if (document?.file_path) {
@@ -1012,11 +1216,13 @@ class QuizService {
         }
         
         return {
-          id: result.quiz_id,
-          title: result.quiz?.title || 'Unknown Quiz',
-          score: result.score,
-          completedAt: result.completed_at,
-          documentId: result.quiz?.document_id,
+          id: quiz.id,
+          title: quiz.title || 'Unknown Quiz',
+          score: quiz.score,
+          mode: quiz.mode || QUIZ_MODES.UNTIMED,
+          totalQuestions: quiz.total_questions,
+          completedAt: quiz.completed_at,
+          documentId: quiz.document_id,
           documentUrl: documentUrl
         };
       }));
@@ -1038,7 +1244,8 @@ class QuizService {
           return { quizzes: [] };
         }
         
-        const history = JSON.parse(historyString);
+        const history = JSON.parse(historyString)
+          .filter(item => !options.mode || (item.mode || QUIZ_MODES.UNTIMED) === options.mode);
         
         // Apply pagination
         const startIndex = (page - 1) * limit;
@@ -1112,6 +1319,34 @@ class QuizService {
     }
   }
   
+  /**
+   * Question quality reports of the most recent quizzes in local storage (see lib/questionLinter.js)
+   * @param {number} limit - Maximum number of reports
+   * @returns {Promise<Array<{quizId: string, title: string, createdAt: string, report: Object}>>} - Newest first
+   */
+  async getQualityReports(limit = 10) {
+    try {
+      const quizListString = await AsyncStorage.getItem('quizList');
+      const quizList = quizListString ? JSON.parse(quizListString) : [];
+      const reports = [];
+      
+      for (const quizId of [...quizList].reverse()) {
+        if (reports.length >= limit) {
+          break;
+        }
+        const quiz = await this.getQuizFromStorage(quizId);
+        if (quiz && quiz.qualityReport) {
+          reports.push({ quizId, title: quiz.title, createdAt: quiz.createdAt, report: quiz.qualityReport });
+        }
+      }
+      
+      return reports;
+    } catch (error) {
+      console.error('Quality report retrieval error:', error);
+      return [];
+    }
+  }
+  
   /**
    * Get quiz from local storage
    * @param {string} quizId - Quiz ID
@@ -0,0 +1,215 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabaseClient';
+import Logger from '../utils/Logger';
+import { toCanonicalQuestion, toQuizScreenQuestion } from '../../lib/questionModel';
+import { isAnswered } from '../../lib/questionTypes';
+import { scoreQuestion } from '../../lib/scoring';
+import { createCard, DAILY_REVIEW_LIMIT, dueForReview, qualityOf, scheduleReview } from '../../lib/spacedRepetition';
+
+const STORAGE_KEY_PREFIX = 'reviewCards_';
+
+// Questions stored in Supabase have UUIDs; the others (the bundled question bank, Expo Go quizzes) are reviewed on
+// this device only
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// A card as a review_cards row, and back (see supabase-schema.sql)
+const toCardRow = (card, userId) => ({
+  user_id: userId,
+  question_id: card.questionId,
+  repetitions: card.repetitions,
+  interval_days: card.intervalDays,
+  ease_factor: card.easeFactor,
+  due_at: card.dueAt,
+  last_reviewed_at: card.lastReviewedAt,
+  last_quality: card.lastQuality,
+  reviews: card.reviews,
+  lapses: card.lapses,
+  updated_at: card.updatedAt
+});
+
+const fromCardRow = row => ({
+  questionId: row.question_id,
+  repetitions: row.repetitions,
+  intervalDays: row.interval_days,
+  easeFactor: row.ease_factor,
+  dueAt: row.due_at,
+  lastReviewedAt: row.last_reviewed_at,
+  lastQuality: row.last_quality,
+  reviews: row.reviews,
+  lapses: row.lapses,
+  updatedAt: row.updated_at
+});
+
+/**
+ * Review Service for spaced repetition of the questions a user has seen
+ *
+ * Every answered question gets a review card, rescheduled with SM-2 (see lib/spacedRepetition.js) each time it
+ * is answered, in a quiz or in a review session. Cards are kept per user in the review_cards table with a mirror
+ * in AsyncStorage, which also keeps each question so reviews work offline. Cards changed on the device are
+ * pushed on the next sync; cards changed elsewhere are pulled when they are newer.
+ */
+class ReviewService {
+  constructor() {
+    // {userId, cards: questionId -> card, questions: questionId -> canonical question, pending: [questionId]}
+    this.mirror = null;
+  }
+
+  async getUserId() {
+    try {
+      return (await supabase.auth.getUser()).data.user?.id || null;
+    } catch (error) {
+      Logger.warn('Could not get the user for review cards', error);
+      return null;
+    }
+  }
+
+  /**
+   * Load the signed in user's local mirror
+   * @returns {Promise<Object>} - Mirror (see the constructor)
+   */
+  async loadMirror() {
+    const userId = await this.getUserId();
+    if (this.mirror && this.mirror.userId === userId) {
+      return this.mirror;
+    }
+
+    let stored = null;
+    try {
+      const storedString = await AsyncStorage.getItem(`${STORAGE_KEY_PREFIX}${userId || 'guest'}`);
+      stored = storedString ? JSON.parse(storedString) : null;
+    } catch (error) {
+      Logger.error('Failed to load review cards', error);
+    }
+    this.mirror = { cards: {}, questions: {}, pending: [], ...stored, userId };
+    return this.mirror;
+  }
+
+  async saveMirror() {
+    try {
+      await AsyncStorage.setItem(`${STORAGE_KEY_PREFIX}${this.mirror.userId || 'guest'}`, JSON.stringify(this.mirror));
+    } catch (error) {
+      Logger.error('Failed to save review cards', error);
+    }
+  }
+
+  /**
+   * Push the cards changed on this device and pull the ones changed elsewhere
+   * @returns {Promise<boolean>} - Whether the cards are in sync; without a signed in user they stay on the device
+   */
+  async sync() {
+    const mirror = await this.loadMirror();
+    if (!mirror.userId) {
+      return false;
+    }
+
+    try {
+      const pendingRows = mirror.pending
+        .filter(questionId => UUID_REGEX.test(questionId) && mirror.cards[questionId])
+        .map(questionId => toCardRow(mirror.cards[questionId], mirror.userId));
+      if (pendingRows.length > 0) {
+        const { error: pushError } = await supabase
+          .from('review_cards')
+          .upsert(pendingRows, { onConflict: 'user_id,question_id' });
+        if (pushError) throw pushError;
+      }
+      mirror.pending = [];
+
+      const { data, error: pullError } = await supabase
+        .from('review_cards')
+        .select('*')
+        .eq('user_id', mirror.userId);
+      if (pullError) throw pullError;
+      (data || []).forEach(row => {
+        const local = mirror.cards[row.question_id];
+        if (!local || Date.parse(row.updated_at) > Date.parse(local.updatedAt)) {
+          mirror.cards[row.question_id] = fromCardRow(row);
+        }
+      });
+
+      await this.saveMirror();
+      return true;
+    } catch (error) {
+      Logger.warn('Could not sync review cards; they are kept on the device until the next sync', error);
+      await this.saveMirror();
+      return false;
+    }
+  }
+
+  /**
+   * Reschedule the questions of a finished quiz or review by how they were answered
+   * @param {Array<Object>} questions - Questions as shown (any shape, see lib/questionModel.js)
+   * @param {Object} answers - Question id -> answer, indexes into each question's options as given
+   * @param {Object} options - Options
+   * @param {Object} options.questionTimes - Question id -> time spent on it (ms), for grading how readily it was recalled
+   * @param {number} options.now - Current time (ms since the epoch)
+   * @returns {Promise<Array<Object>>} - Updated cards
+   */
+  async recordAnswers(questions, answers, { questionTimes = {}, now = Date.now() } = {}) {
+    const mirror = await this.loadMirror();
+    const updated = (questions || []).filter(question => question?.id).map(question => {
+      const answer = answers?.[question.id];
+      const quality = qualityOf(scoreQuestion(question, answer), {
+        answered: isAnswered(question, answer),
+        timeSpentMs: questionTimes[question.id] ?? null
+      });
+      const card = scheduleReview(mirror.cards[question.id] || createCard(question.id, now), quality, now);
+      mirror.cards[question.id] = card;
+      mirror.questions[question.id] = toCanonicalQuestion(question);
+      mirror.pending = [...mirror.pending.filter(id => id !== question.id), question.id];
+      return card;
+    });
+
+    await this.saveMirror();
+    await this.sync();
+    return updated;
+  }
+
+  /**
+   * Number of questions due for review by the end of today
+   * @param {number} now - Current time (ms since the epoch)
+   * @returns {Promise<number>}
+   */
+  async getDueCount(now = Date.now()) {
+    const mirror = await this.loadMirror();
+    return dueForReview(Object.values(mirror.cards), now, Infinity).length;
+  }
+
+  /**
+   * Today's "Due for review" session
+   * @param {Object} options - Options
+   * @param {number} options.limit - Most questions in the session
+   * @param {number} options.now - Current time (ms since the epoch)
+   * @returns {Promise<Array<Object>>} - Quiz screen questions, longest overdue first; questions that cannot be
+   *                                     loaded are left out
+   */
+  async getDueQuestions({ limit = DAILY_REVIEW_LIMIT, now = Date.now() } = {}) {
+    const mirror = await this.loadMirror();
+    const due = dueForReview(Object.values(mirror.cards), now, limit);
+
+    // Cards pulled from another device come without their question
+    const missingIds = due.map(card => card.questionId).filter(id => !mirror.questions[id] && UUID_REGEX.test(id));
+    if (missingIds.length > 0) {
+      try {
+        const { data, error } = await supabase
+          .from('questions')
+          .select('*, question_options(*)')
+          .in('id', missingIds);
+        if (error) throw error;
+        (data || []).forEach(row => {
+          mirror.questions[row.id] = toCanonicalQuestion(row);
+        });
+        await this.saveMirror();
+      } catch (error) {
+        Logger.warn('Could not load questions due for review', error);
+      }
+    }
+
+    return due
+      .filter(card => mirror.questions[card.questionId])
+      .map((card, index) => toQuizScreenQuestion(mirror.questions[card.questionId], index));
+  }
+}
+
+// Create and export a singleton instance
+const reviewService = new ReviewService();
+export default reviewService;
@@ -32,6 +32,10 @@ const getEnvironmentSettings = () => {
   
   // Get the DeepSeek API key, checking multiple potential sources
   const deepseekApiKey = extra.DEEPSEEK_API_KEY || extra.deepseekApiKey || null;
+  const claudeApiKey = extra.CLAUDE_API_KEY || extra.claudeApiKey || null;
+  
+  // Question generation provider: deepseek, anthropic, openai-compatible or mock
+  const llmProvider = extra.LLM_PROVIDER || extra.llmProvider || 'deepseek';
   
   // Construct and return the environment object
   const env = {
@@ -49,12 +53,58 @@ const getEnvironmentSettings = () => {
     apiBaseUrl: extra.API_BASE_URL || extra.apiBaseUrl || 'https://jqkzgtytsaphudyidcxk.supabase.co/rest/v1',
     supabaseUrl: extra.SUPABASE_URL || extra.supabaseUrl || 'https://jqkzgtytsaphudyidcxk.supabase.co',
     supabaseKey: extra.SUPABASE_KEY || extra.supabaseKey,
-    deepseekApiKey: deepseekApiKey
+    deepseekApiKey: deepseekApiKey,
+    claudeApiKey: claudeApiKey,
+    
+    // LLM provider configuration used by lib/llm
+    llm: {
+      provider: llmProvider,
+      model: extra.LLM_MODEL || extra.llmModel || null,
+      baseUrl: extra.LLM_BASE_URL || extra.llmBaseUrl || null,
+      apiKey: getProviderApiKey(llmProvider, extra, { deepseekApiKey, claudeApiKey }),
+      timeoutMs: Number(extra.LLM_TIMEOUT_MS || extra.llmTimeoutMs) || null,
+      maxRetries: parseOptionalInt(extra.LLM_MAX_RETRIES ?? extra.llmMaxRetries),
+      latencyMs: Number(extra.LLM_MOCK_LATENCY_MS || extra.llmMockLatencyMs) || 0
+    },
+    
+    // Offline OCR configuration used by lib/ocr (engine defaults to mlkit on devices, tesseract on web)
+    ocr: {
+      engine: extra.OCR_ENGINE || extra.ocrEngine || null,
+      assetPath: extra.OCR_ASSET_PATH || extra.ocrAssetPath || null,
+      language: extra.OCR_LANGUAGE || extra.ocrLanguage || 'eng'
+    },
+
+    // Prompt template selection used by lib/prompts: pinned versions (to roll back) and A/B experiments
+    prompts: {
+      versions: extra.PROMPT_VERSIONS || extra.promptVersions || {},
+      experiments: extra.PROMPT_EXPERIMENTS || extra.promptExperiments || {}
+    },
+
+    // Masking of personal details before document text goes to the AI provider (lib/piiRedaction.js); on unless set to false
+    privacy: {
+      redactPII: String(extra.PII_REDACTION ?? extra.piiRedaction ?? true) !== 'false'
+    }
   };
   
   return env;
 };
 
+// Pick the API key matching the selected LLM provider
+const getProviderApiKey = (provider, extra, keys) => {
+  const explicitKey = extra.LLM_API_KEY || extra.llmApiKey;
+  if (explicitKey) return explicitKey;
+  if (provider === 'deepseek') return keys.deepseekApiKey;
+  if (provider === 'anthropic') return keys.claudeApiKey;
+  return null;
+};
+
+// Parse an optional integer setting, keeping null when unset so provider defaults apply
+const parseOptionalInt = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
 // Helper to detect if running in a dev client or standalone app
 const isDevClientPackage = () => {
   const { expoConfig } = Constants;
@@ -87,7 +137,8 @@ console.log('🚀 Build type:',
 console.log('🔑 API Keys status:', {
   supabaseUrl: env.supabaseUrl ? '✅ Set' : '❌ Missing',
   supabaseKey: env.supabaseKey ? '✅ Set' : '❌ Missing', 
-  deepseekApiKey: env.deepseekApiKey ? '✅ Set' : '❌ Missing' 
+  deepseekApiKey: env.deepseekApiKey ? '✅ Set' : '❌ Missing',
+  llmProvider: env.llm.provider
 });
 
 // Store the DeepSeek API key in AsyncStorage as a backup in case the environment
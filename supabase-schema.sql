@@ -36,11 +36,15 @@ CREATE TABLE public.documents (
   file_path TEXT NOT NULL,
   file_type TEXT NOT NULL,
   file_size INTEGER NOT NULL,
-  status TEXT NOT NULL DEFAULT 'processing', -- 'processing', 'completed', 'failed'
+  content_hash TEXT, -- 'sha256:<hex>' of the file content, to recognise re-uploads of the same document
+  status TEXT NOT NULL DEFAULT 'processing', -- 'processing', 'completed', 'failed', 'cancelled' (set by generation jobs)
+  redaction_report JSONB, -- personal details masked before the text went to the AI provider: { "redactorVersion": 1, "total": 3, "occurrences": 5, "counts": { "name": 1, "licence": 1, ... } } - counts only, the values stay on the device
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+CREATE INDEX documents_user_content_hash_idx ON public.documents (user_id, content_hash);
+
 -- Enable Row Level Security on documents
 ALTER TABLE public.documents ENABLE ROW LEVEL SECURITY;
 
@@ -53,17 +57,98 @@ CREATE POLICY "Users can insert their own documents"
   ON public.documents 
   FOR INSERT WITH CHECK (auth.uid() = user_id);
 
+-- Document Texts Table (extracted text, so documents are only parsed once)
+CREATE TABLE public.document_texts (
+  document_id UUID PRIMARY KEY REFERENCES public.documents(id) ON DELETE CASCADE,
+  content TEXT NOT NULL,
+  page_map JSONB NOT NULL, -- [{ "page": 1, "start": 0, "end": 1840 }, ...] offsets into content
+  page_count INTEGER NOT NULL,
+  scanned_pages JSONB NOT NULL DEFAULT '[]', -- page numbers that contain only images
+  extractor TEXT NOT NULL, -- 'pdf', 'plain-text', 'ocr'
+  extractor_version INTEGER NOT NULL,
+  ocr_pages JSONB, -- OCR only: [{ "page": 1, "confidence": 0.91, "lowConfidence": false, "lines": [...] }, ...]
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable Row Level Security on document_texts
+ALTER TABLE public.document_texts ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for document_texts (users can only access text of their own documents)
+CREATE POLICY "Users can view text of their own documents" 
+  ON public.document_texts 
+  FOR SELECT USING (
+    EXISTS (
+      SELECT 1 FROM public.documents 
+      WHERE documents.id = document_texts.document_id 
+      AND documents.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can store text of their own documents" 
+  ON public.document_texts 
+  FOR INSERT WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM public.documents 
+      WHERE documents.id = document_texts.document_id 
+      AND documents.user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY "Users can update text of their own documents" 
+  ON public.document_texts 
+  FOR UPDATE USING (
+    EXISTS (
+      SELECT 1 FROM public.documents 
+      WHERE documents.id = document_texts.document_id 
+      AND documents.user_id = auth.uid()
+    )
+  );
+
+-- Question Pools Table (generated questions cached per document content and generation options)
+CREATE TABLE public.question_pools (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  content_hash TEXT NOT NULL, -- documents.content_hash
+  options_key TEXT NOT NULL, -- e.g. 'difficulty=mixed' or 'difficulty=mixed;types=single_choice,numeric'
+  prompt_version TEXT NOT NULL, -- prompt template versions, e.g. 'question-repair@1,question-set@4,response-retry@1'; pools made with other versions are discarded
+  extractor_version INTEGER NOT NULL,
+  questions JSONB NOT NULL DEFAULT '[]', -- generated questions, in the order they are served
+  served_count INTEGER NOT NULL DEFAULT 0, -- questions[0..served_count) have been used in a quiz
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, content_hash, options_key)
+);
+
+-- Enable Row Level Security on question_pools
+ALTER TABLE public.question_pools ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for question_pools (users can only access their own pools)
+CREATE POLICY "Users can view their own question pools" 
+  ON public.question_pools 
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own question pools" 
+  ON public.question_pools 
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own question pools" 
+  ON public.question_pools 
+  FOR UPDATE USING (auth.uid() = user_id);
+
 -- Questions Table (for generated MCQs)
 CREATE TABLE public.questions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   document_id UUID REFERENCES public.documents(id) ON DELETE CASCADE,
   question_number INTEGER NOT NULL,
   question_text TEXT NOT NULL,
-  options JSONB NOT NULL,
-  correct_answer INTEGER NOT NULL,
+  question_type TEXT NOT NULL DEFAULT 'single_choice', -- 'single_choice', 'true_false', 'multi_select' or 'numeric'
+  options JSONB NOT NULL, -- empty for numeric questions
+  correct_answer INTEGER, -- index into options, which are stored with the correct answers balanced over the positions; null for multi_select and numeric
+  answer JSONB, -- multi_select: { "correctAnswers": [0, 2] }, numeric: { "value": 1250, "unit": "ft", "tolerance": 50 }
   category TEXT,
-  difficulty TEXT,
+  difficulty TEXT, -- 'Easy', 'Medium' or 'Hard', classified per question
   explanation TEXT,
+  citation JSONB, -- { "documentId": "...", "page": 3, "section": "2.2 WAAS and RAIM", "excerpt": "..." }
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -88,8 +173,17 @@ CREATE TABLE public.quizzes (
   document_id UUID REFERENCES public.documents(id),
   title TEXT NOT NULL,
   total_questions INTEGER NOT NULL,
-  status TEXT NOT NULL DEFAULT 'in_progress', -- 'in_progress', 'completed'
+  status TEXT NOT NULL DEFAULT 'in_progress', -- 'in_progress', 'completed', 'error', 'cancelled'
   score INTEGER,
+  option_seed BIGINT, -- seed the options were shuffled with for the attempt, so a review shows the order the user saw
+  elapsed_seconds INTEGER, -- time spent on the attempt, kept across resumed sessions
+  mode TEXT DEFAULT 'untimed' CHECK (mode IN ('untimed', 'practice', 'exam')), -- QUIZ_MODES in lib/examMode.js: 'practice' gives feedback per question, 'exam' is the timed exam simulation
+  exam_profile TEXT, -- exam profile of an exam attempt, e.g. 'sacaa-ppl'
+  exam_ends_at TIMESTAMP WITH TIME ZONE, -- deadline of an exam attempt in progress; it runs in the background too
+  grounding_score REAL, -- mean grounding score of the generated questions (0-1)
+  grounding_report JSONB, -- { "score": 0.82, "minScore": 0.55, "verified": 10, "regenerated": 2, "requested": 10, "returned": 10 }
+  quality_report JSONB, -- question linter report: { "linterVersion": 1, "checked": 12, "passed": 8, "fixed": 2, "rejected": 2, "averageScore": 0.93, "rules": {...}, "rejections": [...], "flagged": [...], "sanitisation": { "suspicious": true, "reasons": ["instruction-like text"], "neutralised": [...], ... } } - sanitisation flags documents carrying prompt injection (lib/documentSanitiser.js)
+  prompt_versions JSONB, -- prompt template versions the questions were generated with (see lib/prompts): { "question-set": 4, "question-repair": 1, "response-retry": 1 }
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   completed_at TIMESTAMP WITH TIME ZONE
 );
@@ -115,8 +209,11 @@ CREATE TABLE public.quiz_questions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   quiz_id UUID REFERENCES public.quizzes(id) ON DELETE CASCADE,
   question_id UUID REFERENCES public.questions(id) ON DELETE CASCADE,
-  user_answer INTEGER,
+  user_answer JSONB, -- saved as each answer is given, so an attempt can be resumed; index in the stored option order, whatever order the attempt showed; an array of indexes for multi_select, the typed answer ("380 m") for numeric
   is_correct BOOLEAN,
+  credit REAL, -- 0 to 1; multi_select answers can earn partial credit
+  flagged BOOLEAN DEFAULT FALSE, -- marked for review during the attempt
+  time_spent_ms INTEGER, -- time the question was on screen during the attempt
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -144,6 +241,39 @@ CREATE POLICY "Users can update answers for their quizzes"
     )
   );
 
+-- Review Cards Table (spaced repetition of the questions a user has seen, see lib/spacedRepetition.js)
+CREATE TABLE public.review_cards (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES auth.users(id) NOT NULL,
+  question_id UUID REFERENCES public.questions(id) ON DELETE CASCADE NOT NULL,
+  repetitions INTEGER NOT NULL DEFAULT 0, -- right answers in a row
+  interval_days INTEGER NOT NULL DEFAULT 0,
+  ease_factor REAL NOT NULL DEFAULT 2.5, -- SM-2 ease factor, at least 1.3
+  due_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_reviewed_at TIMESTAMP WITH TIME ZONE,
+  last_quality INTEGER, -- grade of the last answer, 0-5
+  reviews INTEGER NOT NULL DEFAULT 0,
+  lapses INTEGER NOT NULL DEFAULT 0, -- times a question recalled before was forgotten
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, question_id)
+);
+
+-- Enable Row Level Security on review_cards
+ALTER TABLE public.review_cards ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for review_cards (users can only access their own cards)
+CREATE POLICY "Users can view their own review cards" 
+  ON public.review_cards 
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own review cards" 
+  ON public.review_cards 
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own review cards" 
+  ON public.review_cards 
+  FOR UPDATE USING (auth.uid() = user_id);
+
 -- Activity Table (for tracking user activity)
 CREATE TABLE public.activity (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -194,5 +324,6 @@ CREATE INDEX idx_documents_user_id ON public.documents(user_id);
 CREATE INDEX idx_questions_document_id ON public.questions(document_id);
 CREATE INDEX idx_quizzes_user_id ON public.quizzes(user_id);
 CREATE INDEX idx_quiz_questions_quiz_id ON public.quiz_questions(quiz_id);
+CREATE INDEX idx_review_cards_user_due ON public.review_cards(user_id, due_at);
 CREATE INDEX idx_activity_user_id ON public.activity(user_id);
 CREATE INDEX idx_activity_created_at ON public.activity(created_at);